@@ -0,0 +1,261 @@
+/**
+ * Benchmark for the in-memory daily matching engine
+ *
+ * Generates a synthetic population and times MatchingEngine.computeMatches.
+ * No Firebase credentials are needed.
+ *
+ * Usage:
+ *   node scripts/benchmarkMatching.js [--users 50000] [--matches 100000] [--pool 200] [--seed 42] [--cap 25]
+ *   node scripts/benchmarkMatching.js --users 2000 --pool 5000 --verify
+ *   node scripts/benchmarkMatching.js --users 20000 --mode reciprocal
+ *
+ * --verify also runs the old every-user-against-every-user selection and checks
+ * that both produce the same picks (use a population smaller than --pool so
+ * every compatible candidate is scored). The reference has no exposure cap,
+ * so --verify turns the cap off.
+ *
+ * --mode reciprocal times the reciprocal pairing instead and prints how its
+ * picks compare with greedy picks for the same population.
+ */
+const MatchingEngine = require('../src/services/matchingEngine');
+const scoringStrategies = require('../src/services/scoringStrategies');
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = { users: 50000, matches: 100000, pool: 200, seed: 42, cap: null, verify: false, mode: 'greedy' };
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (name === 'verify') {
+      options.verify = true;
+    } else if (name === 'mode') {
+      options.mode = args[++i];
+    } else if (name in options) {
+      options[name] = parseInt(args[++i]);
+    }
+  }
+
+  return options;
+};
+
+// Small seeded PRNG (mulberry32) so runs are reproducible
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, values) => values[Math.floor(random() * values.length)];
+
+const CITIES = [
+  'Mumbai', 'Delhi', 'Bangalore', 'Hyderabad', 'Chennai', 'Kolkata', 'Pune',
+  'Ahmedabad', 'Jaipur', 'Lucknow', 'Kochi', 'Chandigarh', 'Indore', 'Goa'
+];
+const TRAITS = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+
+const generateUsers = (count, random) => {
+  const users = [];
+
+  for (let i = 0; i < count; i++) {
+    const personalityScore = {};
+    TRAITS.forEach(trait => {
+      personalityScore[trait] = Math.round(random() * 100);
+    });
+
+    const age = random() < 0.02 ? null : 18 + Math.floor(random() * 30);
+    // About a third of users set an age range, a fifth a max distance
+    const hasAgeRange = age !== null && random() < 0.3;
+
+    const user = {
+      id: `user_${i}`,
+      matchingAlgorithm: pick(random, scoringStrategies.getIds()),
+      gender: pick(random, ['male', 'male', 'female', 'female', 'non-binary']),
+      interestedIn: pick(random, ['male', 'female', 'female', 'male', 'everyone']),
+      lookingFor: pick(random, ['dating', 'dating', 'friendship', 'both']),
+      relationshipStatus: pick(random, ['single', 'single', 'divorced']),
+      age: age,
+      city: random() < 0.05 ? '' : pick(random, CITIES),
+      minAge: hasAgeRange ? Math.max(18, age - 2 - Math.floor(random() * 6)) : null,
+      maxAge: hasAgeRange ? age + 2 + Math.floor(random() * 8) : null,
+      maxDistanceKm: random() < 0.2 ? pick(random, [25, 100, 500, 1500]) : null,
+      personalityAnalysis: {
+        personalityScore: personalityScore,
+        relationshipStyle: {
+          attachmentStyle: pick(random, ['secure', 'anxious', 'avoidant']),
+          communicationStyle: pick(random, ['direct', 'diplomatic'])
+        }
+      }
+    };
+    users.push(user);
+  }
+
+  return users;
+};
+
+const generateMatches = (count, users, random, startOfDay) => {
+  const matches = [];
+  const yesterday = new Date(startOfDay.getTime() - 1000);
+
+  for (let i = 0; i < count; i++) {
+    const user1 = pick(random, users);
+    const user2 = pick(random, users);
+    if (user1.id === user2.id) continue;
+
+    matches.push({
+      user1_id: user1.id,
+      user2_id: user2.id,
+      created_at: random() < 0.05 ? startOfDay : yesterday
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * The selection runDailyMatching used before the in-memory rewrite:
+ * every user is compared against every other user (with the same hard filters)
+ */
+const referenceMatches = (engine, users, existingMatches, startOfDay) => {
+  const { matchedPairs, todayCounts } = engine.buildMatchIndex(existingMatches, startOfDay);
+  const { profiles } = engine.buildCandidateIndex(users);
+  const coldStartIds = engine.getColdStartIds(users, matchedPairs);
+  const picks = [];
+
+  for (const user of users) {
+    const remainingSlots = engine.dailyMatchLimit - (todayCounts.get(user.id) || 0);
+    if (remainingSlots <= 0) continue;
+
+    const alreadyMatched = matchedPairs.get(user.id) || new Set();
+    const candidates = users.filter(candidate =>
+      candidate.id !== user.id &&
+      !alreadyMatched.has(candidate.id) &&
+      engine.areUsersCompatible(user, candidate) &&
+      engine.passesHardFilters(profiles.get(user.id), profiles.get(candidate.id))
+    );
+
+    engine.scoreCandidates(user, candidates, coldStartIds)
+      .filter(match => match.score >= engine.matchThreshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, remainingSlots)
+      .forEach(match => picks.push({ user1_id: user.id, user2_id: match.candidateId, user1_score: match.score }));
+  }
+
+  return picks;
+};
+
+/**
+ * Ties on score can be broken in a different order, so compare the
+ * score lists per user rather than the exact candidate ids
+ */
+const compareByUserScores = (expected, actual) => {
+  const scoresByUser = (picks) => {
+    const result = new Map();
+    picks.forEach(pickItem => {
+      if (!result.has(pickItem.user1_id)) result.set(pickItem.user1_id, []);
+      result.get(pickItem.user1_id).push(pickItem.user1_score);
+    });
+    return result;
+  };
+
+  const expectedScores = scoresByUser(expected);
+  const actualScores = scoresByUser(actual);
+  const mismatches = [];
+
+  for (const [userId, scores] of expectedScores) {
+    const otherScores = actualScores.get(userId) || [];
+    if (scores.join(',') !== otherScores.join(',')) {
+      mismatches.push(userId);
+    }
+  }
+
+  return mismatches;
+};
+
+const main = () => {
+  const options = parseArgs();
+  if (!MatchingEngine.MODES.includes(options.mode)) {
+    console.error(`❌ Unknown mode "${options.mode}" (expected one of: ${MatchingEngine.MODES.join(', ')})`);
+    process.exit(1);
+  }
+
+  const random = createRandom(options.seed);
+  const engine = new MatchingEngine({
+    candidatePoolSize: options.pool,
+    maxDailyExposure: options.verify ? 0 : options.cap ?? undefined
+  });
+
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  console.log(`🧪 Generating ${options.users} users and ~${options.matches} existing matches (seed ${options.seed})...`);
+  const users = generateUsers(options.users, random);
+  const existingMatches = generateMatches(options.matches, users, random, startOfDay);
+
+  const memoryBefore = process.memoryUsage().heapUsed;
+  const startTime = process.hrtime.bigint();
+  const reciprocalRun = options.mode === 'reciprocal'
+    ? engine.computeReciprocalMatches(users, existingMatches, startOfDay)
+    : null;
+  const { picks, exposureStats } = reciprocalRun || engine.computeMatches(users, existingMatches, startOfDay);
+  const processed = engine.processMatches(picks);
+  const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+  const memoryAfter = process.memoryUsage().heapUsed;
+
+  console.log('📊 Results');
+  console.log(`   • Mode:               ${options.mode}`);
+  console.log(`   • Users:              ${users.length}`);
+  console.log(`   • Candidate pool:     ${options.pool}`);
+  console.log(`   • Picks:              ${picks.length}`);
+  console.log(`   • Mutual / one-way:   ${processed.mutual.length} / ${processed.oneWay.length}`);
+  console.log(`   • Duration:           ${(durationMs / 1000).toFixed(3)}s`);
+  console.log(`   • Heap growth:        ${((memoryAfter - memoryBefore) / 1024 / 1024).toFixed(1)} MB`);
+
+  const exposure = engine.buildExposureReport(users, processed, exposureStats);
+  console.log('👀 One-way exposure');
+  console.log(`   • Cap per candidate:  ${exposure.maxDailyExposure || 'off'} (${exposure.usersAtCap} at cap)`);
+  console.log(`   • Users exposed:      ${exposure.usersExposed} of ${exposure.usersConsidered}`);
+  console.log(`   • Median / p99 / max: ${exposure.median} / ${exposure.p99} / ${exposure.max}`);
+  console.log(`   • Gini / top 1% share: ${exposure.gini} / ${exposure.topOnePercentShare}`);
+  console.log(`   • Cold-start picks:   ${exposure.coldStartBoostedPicks}`);
+
+  if (reciprocalRun) {
+    const { reciprocal, greedy } = reciprocalRun.comparison;
+    console.log('⚖️ Reciprocal vs greedy');
+    console.log(`   • Mutual pairs:       ${reciprocal.mutualPairs} vs ${greedy.mutualPairs}`);
+    console.log(`   • One-way pairs:      ${reciprocal.oneWayPairs} vs ${greedy.oneWayPairs}`);
+    console.log(`   • Users with mutual:  ${reciprocal.usersWithMutual} vs ${greedy.usersWithMutual}`);
+    console.log(`   • Avg mutual score:   ${reciprocal.averageMutualScore} vs ${greedy.averageMutualScore}`);
+    console.log(`   • Avg score:          ${reciprocal.averageScore} vs ${greedy.averageScore}`);
+  }
+
+  if (options.verify && reciprocalRun) {
+    console.log('⚠️ --verify checks greedy picks only, skipping');
+  } else if (options.verify) {
+    console.log('🔍 Running reference (all pairs) selection...');
+    const referenceStart = process.hrtime.bigint();
+    const expected = referenceMatches(engine, users, existingMatches, startOfDay);
+    const referenceMs = Number(process.hrtime.bigint() - referenceStart) / 1e6;
+    const mismatches = compareByUserScores(expected, picks);
+
+    const averageScore = (list) => list.reduce((sum, item) => sum + item.user1_score, 0) / (list.length || 1);
+
+    console.log(`   • Reference duration: ${(referenceMs / 1000).toFixed(3)}s`);
+    console.log(`   • Avg pick score:     ${averageScore(picks).toFixed(2)} (reference ${averageScore(expected).toFixed(2)})`);
+    if (mismatches.length === 0) {
+      console.log('✅ Picks match the all-pairs reference');
+    } else if (options.pool < options.users) {
+      // Expected when the pool is smaller than the compatible population
+      console.log(`⚠️ ${mismatches.length} of ${users.length} users got different picks with a pool of ${options.pool}`);
+    } else {
+      console.log(`❌ ${mismatches.length} users got different picks (first: ${mismatches.slice(0, 5).join(', ')})`);
+      process.exitCode = 1;
+    }
+  }
+};
+
+main();
@@ -0,0 +1,72 @@
+/**
+ * Apply the Firestore data migrations in src/migrations
+ *
+ * Migrations already applied are skipped, and one that stopped part way
+ * resumes from its last saved page, so this is safe to run on every deploy.
+ *
+ * Usage:
+ *   node scripts/migrate.js --status
+ *   node scripts/migrate.js --dry-run
+ *   node scripts/migrate.js
+ *   node scripts/migrate.js --only 002-match-actions
+ */
+const migrationRunner = require('../src/migrations/migrationRunner');
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = { status: false, dryRun: false, only: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+
+    if (name === 'status') {
+      options.status = true;
+    } else if (name === 'dry-run') {
+      options.dryRun = true;
+    } else if (name === 'only') {
+      options.only = args[++i];
+      if (!options.only) throw new Error('--only needs a migration ID');
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+
+  return options;
+};
+
+const printStatus = async () => {
+  const migrations = await migrationRunner.getStatus();
+
+  console.log('📋 Data migrations');
+  migrations.forEach(migration => {
+    const progress = migration.status === 'pending' ? '' : ` (${migration.updated} of ${migration.scanned} ${migration.collection} updated)`;
+    console.log(`   • ${migration.id.padEnd(24)} ${migration.status.padEnd(9)} ${migration.description}${progress}`);
+    if (migration.lastError) {
+      console.log(`     last error: ${migration.lastError}`);
+    }
+  });
+};
+
+const main = async () => {
+  const options = parseArgs();
+
+  if (options.status) {
+    await printStatus();
+    return;
+  }
+
+  const results = await migrationRunner.run({ dryRun: options.dryRun, only: options.only });
+  if (results === undefined) {
+    throw new Error('Another instance is running migrations');
+  }
+
+  const applied = results.filter(result => result.status !== 'skipped');
+  console.log(`✅ ${applied.length} migrations ${options.dryRun ? 'dry-run' : 'applied'}, ${results.length - applied.length} already applied`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,127 @@
+/**
+ * Dry-run the daily matching engine against a JSON fixture
+ *
+ * Nothing is read from or written to Firestore - use it to preview what a
+ * change to the threshold, the daily limit or a scoring strategy would do.
+ *
+ * Usage:
+ *   node scripts/simulateMatching.js --fixture scripts/fixtures/sampleUsers.json
+ *   node scripts/simulateMatching.js --fixture users.json --threshold 40 --limit 3 --mode reciprocal
+ *   node scripts/simulateMatching.js --fixture users.json --out report.json
+ *
+ * The fixture is either an array of user docs or
+ *   { "users": [...], "matches": [{ "user1_id", "user2_id", "created_at" }] }
+ * where matches are earlier matches (never repeated; today's count against
+ * the daily limit). Users need an `id`; those with isActive or
+ * isAnalysisComplete set to false are skipped, as in the real run.
+ */
+const fs = require('fs');
+const path = require('path');
+const MatchingEngine = require('../src/services/matchingEngine');
+
+// Flag -> engine setting
+const SETTING_FLAGS = {
+  threshold: 'matchThreshold',
+  limit: 'dailyMatchLimit',
+  pool: 'candidatePoolSize',
+  cap: 'maxDailyExposure',
+  'cold-start-boost': 'coldStartBoost'
+};
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = { fixture: null, mode: 'greedy', out: null, pairs: 20, settings: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    const value = args[++i];
+
+    if (name in SETTING_FLAGS) {
+      options.settings[SETTING_FLAGS[name]] = parseFloat(value);
+    } else if (name === 'pairs') {
+      options.pairs = parseInt(value);
+    } else if (['fixture', 'mode', 'out'].includes(name)) {
+      options[name] = value;
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+
+  if (!options.fixture) {
+    throw new Error('--fixture is required');
+  }
+  if (!MatchingEngine.MODES.includes(options.mode)) {
+    throw new Error(`Unknown mode "${options.mode}" (expected one of: ${MatchingEngine.MODES.join(', ')})`);
+  }
+
+  return options;
+};
+
+const loadFixture = (fixturePath) => {
+  const fixture = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  const users = Array.isArray(fixture) ? fixture : fixture.users || [];
+  const matches = Array.isArray(fixture) ? [] : fixture.matches || [];
+
+  users.forEach((user, index) => {
+    if (!user.id) throw new Error(`User at index ${index} has no id`);
+  });
+
+  return {
+    users: users.filter(user => user.isActive !== false && user.isAnalysisComplete !== false),
+    matches: matches.map(match => ({
+      user1_id: match.user1_id,
+      user2_id: match.user2_id,
+      created_at: match.created_at ? new Date(match.created_at) : null
+    }))
+  };
+};
+
+const main = () => {
+  const options = parseArgs();
+  const { users, matches } = loadFixture(options.fixture);
+  const engine = new MatchingEngine().withSettings(options.settings);
+
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const run = engine.runInMemory(users, matches, startOfDay, options.mode);
+  const report = {
+    mode: options.mode,
+    ...engine.buildSimulationReport(users, run.processedMatches),
+    exposure: run.exposure,
+    comparison: run.comparison
+  };
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), JSON.stringify(report, null, 2));
+    console.log(`💾 Full report written to ${options.out}`);
+  }
+
+  const { settings, scoreDistribution } = report;
+  console.log(`🧪 Dry run (${options.mode}) on ${users.length} users - nothing is saved`);
+  console.log(`   • Settings:           threshold ${settings.matchThreshold}, limit ${settings.dailyMatchLimit}, pool ${settings.candidatePoolSize}, cap ${settings.maxDailyExposure || 'off'}, cold-start +${settings.coldStartBoost}`);
+  console.log(`   • Pairs:              ${report.pairCount} (${report.mutualCount} mutual / ${report.oneWayCount} one-way, ${(report.mutualShare * 100).toFixed(1)}% mutual)`);
+  console.log(`   • Unmatched users:    ${report.unmatchedCount}${report.unmatchedCount > 0 ? ` (${report.unmatchedUserIds.slice(0, 10).join(', ')}${report.unmatchedCount > 10 ? ', ...' : ''})` : ''}`);
+
+  if (scoreDistribution) {
+    console.log(`   • Combined scores:    min ${scoreDistribution.min} / p10 ${scoreDistribution.p10} / median ${scoreDistribution.median} / p90 ${scoreDistribution.p90} / max ${scoreDistribution.max} (mean ${scoreDistribution.mean})`);
+    Object.entries(scoreDistribution.histogram).forEach(([bucket, count]) => {
+      console.log(`     ${bucket.padEnd(7)} ${String(count).padStart(6)} ${'█'.repeat(Math.ceil(count / report.pairCount * 40))}`);
+    });
+  }
+
+  if (report.pairs.length > 0) {
+    console.log(`🔗 ${Math.min(options.pairs, report.pairs.length)} of ${report.pairs.length} pairs`);
+    report.pairs.slice(0, options.pairs).forEach(pair => {
+      const scores = pair.user2_score === null ? `${pair.user1_score}` : `${pair.user1_score}/${pair.user2_score}`;
+      console.log(`   • ${pair.user1_id} → ${pair.user2_id}  ${pair.match_type}  score ${scores}  (${pair.user1_algorithm}: ${pair.user1_reason})`);
+    });
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -1,113 +1,74 @@
 // Load environment variables
 require('dotenv').config();
 
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const compression = require('compression');
-
-// Initialize Firebase when server starts
-require('./src/config/firebase');
+// Server entry point - starts listening and schedules the cron jobs.
+// The Express app itself lives in src/app.js.
+const app = require('./src/app');
+const { dataStore } = require('./src/config/firebase');
 
 // Import matching system
-const matchingRoutes = require('./src/routes/matching');
-const DailyMatchingJob = require('./src/jobs/dailyMatchingJob');
+const { dailyMatchingJob, rankingModelJob } = require('./src/controllers/adminController');
 
 // Import email notification system
-const emailRoutes = require('./src/routes/emailRoutes');
 const { emailNotificationJob } = require('./src/controllers/emailController');
-const chatRoutes = require('./src/routes/chatRoutes');
-
-const app = express();
-const PORT = process.env.PORT || 8000;
+const migrationRunner = require('./src/migrations/migrationRunner');
+const DataExportCleanupJob = require('./src/jobs/dataExportCleanupJob');
 
-// Middleware
-app.use(helmet());
-app.use(compression());
-app.use(morgan('combined'));
+const dataExportCleanupJob = new DataExportCleanupJob();
 
-// CORS Configuration
-app.use(cors({
-  origin: function(origin, callback) {
-    // Allow requests with no origin (mobile apps, Postman, etc.)
-    if (!origin) return callback(null, true);
-    
-    // In production, you should whitelist specific domains
-    // For now, allowing all origins - UPDATE THIS WITH YOUR DOMAINS
-    return callback(null, true);
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
-  maxAge: 86400 // 24 hours
-}));
-
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    message: 'Dating App Backend is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Routes
-app.use('/api/users', require('./src/routes/userRoutes'));
-app.use('/api/questions', require('./src/routes/questionRoutes'));
-app.use('/api/matching', matchingRoutes);
-app.use('/api/email', emailRoutes);
-app.use('/api/chat', chatRoutes);
+const PORT = process.env.PORT || 8000;
 
 // Initialize and start cron jobs
 const startCronJobs = () => {
   try {
-    // Start daily matching job (6:00 AM IST)
-    const dailyMatchingJob = new DailyMatchingJob();
+    // Start daily matching job (6:00 AM in each user's timezone)
     dailyMatchingJob.start();
     
-    // Start email notification job (8:00 AM IST - 2 hours after matching)
+    // Start email notification job (7:00 AM in each user's timezone - an hour after matching)
     emailNotificationJob.start();
+
+    // Start ranking model training (15:30 UTC - before the first timezone's matching window)
+    rankingModelJob.start();
+
+    // Delete expired data export archives (3:00 AM UTC)
+    dataExportCleanupJob.start();
     
     console.log('✅ Cron jobs initialized successfully');
-    console.log('   • Daily matching: 6:00 AM IST');
-    console.log('   • Email notifications: 8:00 AM IST');
+    console.log('   • Daily matching: 6:00 AM user local time');
+    console.log('   • Email notifications: 7:00 AM user local time');
+    console.log('   • Ranking model training: 15:30 UTC');
+    console.log('   • Data export cleanup: 3:00 AM UTC');
     
     // Store job instances for graceful shutdown
     app.locals.dailyMatchingJob = dailyMatchingJob;
     app.locals.emailNotificationJob = emailNotificationJob;
+    app.locals.rankingModelJob = rankingModelJob;
+    app.locals.dataExportCleanupJob = dataExportCleanupJob;
     
   } catch (error) {
     console.error('❌ Error starting cron jobs:', error);
   }
 };
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    status: 'error',
-    message: 'Route not found'
-  });
-});
+// The code expects the data shape of every migration in src/migrations
+const checkPendingMigrations = async () => {
+  // A fresh in-memory store has no old data to migrate
+  if (dataStore === 'memory') return;
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
-  res.status(err.status || 500).json({
-    status: 'error',
-    message: err.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+  try {
+    const pending = await migrationRunner.getPending();
+    if (pending.length > 0) {
+      console.warn(`⚠️ ${pending.length} data migrations have not been applied (${pending.map(migration => migration.id).join(', ')}) - run npm run migrate`);
+    }
+  } catch (error) {
+    console.error('❌ Error checking data migrations:', error.message);
+  }
+};
+
+// Graceful shutdown - stop the scheduled jobs before exiting
+const shutdown = (signal) => {
+  console.log(`Received ${signal}, shutting down gracefully...`);
 
-// Graceful shutdown handlers
-process.on('SIGTERM', () => {
-  console.log('Received SIGTERM, shutting down gracefully...');
-  
   // Stop daily matching job
   if (app.locals.dailyMatchingJob) {
     app.locals.dailyMatchingJob.stop();
@@ -117,25 +78,22 @@ process.on('SIGTERM', () => {
   if (app.locals.emailNotificationJob) {
     app.locals.emailNotificationJob.stop();
   }
-  
-  process.exit(0);
-});
 
-process.on('SIGINT', () => {
-  console.log('Received SIGINT, shutting down gracefully...');
-  
-  // Stop daily matching job
-  if (app.locals.dailyMatchingJob) {
-    app.locals.dailyMatchingJob.stop();
+  // Stop ranking model job
+  if (app.locals.rankingModelJob) {
+    app.locals.rankingModelJob.stop();
   }
-  
-  // Stop email notification job
-  if (app.locals.emailNotificationJob) {
-    app.locals.emailNotificationJob.stop();
+
+  // Stop data export cleanup job
+  if (app.locals.dataExportCleanupJob) {
+    app.locals.dataExportCleanupJob.stop();
   }
   
   process.exit(0);
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
 const HOST = '0.0.0.0'; // Listen on all network interfaces
@@ -159,6 +117,5 @@ Services Active:
   
   // Start cron jobs after server is running
   startCronJobs();
+  checkPendingMigrations();
 });
-
-module.exports = app;
\ No newline at end of file
@@ -0,0 +1,78 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const compression = require('compression');
+
+// Refuse to boot in production without a CORS allowlist
+const { assertCorsConfig, buildCorsOptions } = require('./config/cors');
+assertCorsConfig();
+
+// Initialize Firebase (or the in-memory store, see DATA_STORE) before anything uses it
+require('./config/firebase');
+
+const matchingRoutes = require('./routes/matching');
+const emailRoutes = require('./routes/emailRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+
+/**
+ * The Express app, without listening or cron jobs (see server.js)
+ * Integration tests import it directly and run it on the in-memory store.
+ */
+const app = express();
+
+// Behind Azure's front end - trust it so req.ip is the client address (used by rate limiting).
+// TRUST_PROXY_HOPS=0 turns this off for deployments with no proxy in front.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS);
+app.set('trust proxy', Number.isNaN(trustProxyHops) ? 1 : trustProxyHops);
+
+// Middleware
+app.use(helmet());
+app.use(compression());
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('combined'));
+}
+
+// CORS Configuration (allowlist comes from CORS_ALLOWED_ORIGINS / CORS_ALLOWED_ORIGINS_DEV)
+app.use(cors(buildCorsOptions()));
+
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    message: 'Dating App Backend is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Routes
+app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/questions', require('./routes/questionRoutes'));
+app.use('/api/matching', matchingRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/admin', adminRoutes);
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    status: 'error',
+    message: 'Route not found'
+  });
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+  console.error('Global error handler:', err);
+  res.status(err.status || 500).json({
+    status: 'error',
+    message: err.message || 'Internal server error',
+    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+  });
+});
+
+module.exports = app;
@@ -0,0 +1,79 @@
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Read the allowed origins for the current environment
+ * CORS_ALLOWED_ORIGINS is used in production, CORS_ALLOWED_ORIGINS_DEV everywhere else
+ * Both are comma-separated and may contain wildcard subdomains (https://*.example.com)
+ */
+const getAllowedOrigins = () => {
+  const rawList = isProduction()
+    ? process.env.CORS_ALLOWED_ORIGINS
+    : (process.env.CORS_ALLOWED_ORIGINS_DEV || 'http://localhost:3000');
+
+  return (rawList || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(origin => origin.length > 0);
+};
+
+/**
+ * Turn an allowlist entry into a matcher
+ * "https://*.example.com" matches any subdomain of example.com, but not example.com itself
+ */
+const toOriginMatcher = (pattern) => {
+  if (!pattern.includes('*')) {
+    return (origin) => origin === pattern;
+  }
+
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+  const regex = new RegExp(`^${escaped}$`, 'i');
+
+  return (origin) => regex.test(origin);
+};
+
+/**
+ * Refuse to boot in production without an allowlist
+ */
+const assertCorsConfig = () => {
+  if (isProduction() && getAllowedOrigins().length === 0) {
+    throw new Error('CORS_ALLOWED_ORIGINS must list at least one origin in production');
+  }
+};
+
+/**
+ * Build the options object for the cors middleware
+ */
+const buildCorsOptions = () => {
+  const allowedOrigins = getAllowedOrigins();
+  const matchers = allowedOrigins.map(toOriginMatcher);
+
+  return {
+    origin: function(origin, callback) {
+      // Allow requests with no origin (mobile apps, Postman, etc.)
+      if (!origin) return callback(null, true);
+
+      if (matchers.some(matches => matches(origin))) {
+        return callback(null, true);
+      }
+
+      console.warn('🚫 CORS request rejected from origin:', origin);
+      const error = new Error('Origin not allowed by CORS');
+      error.status = 403;
+      return callback(error);
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+    exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'Retry-After'],
+    maxAge: 86400 // 24 hours
+  };
+};
+
+module.exports = {
+  getAllowedOrigins,
+  assertCorsConfig,
+  buildCorsOptions
+};
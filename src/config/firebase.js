@@ -1,5 +1,11 @@
 const admin = require('firebase-admin');
 
+// 'firestore' (default) or 'memory' - in-memory repositories (see repositories/index)
+// and in-process stand-ins for Auth and Azure blob storage (see services/azureStorage),
+// so the app runs with no credentials or network
+const DATA_STORE = process.env.DATA_STORE || 'firestore';
+const DATA_STORES = ['firestore', 'memory'];
+
 const initializeFirebase = () => {
   console.log('🔍 Starting Firebase initialization...');
   console.log('NODE_ENV:', process.env.NODE_ENV);
@@ -93,26 +99,47 @@ const initializeFirebase = () => {
   }
 };
 
-// Initialize Firebase
-console.log('📦 firebase.js module loading...');
-const firebaseAdmin = initializeFirebase();
+/**
+ * Firestore, Auth and the Realtime Database for the configured DATA_STORE
+ * With DATA_STORE=memory there is no db or realtimeDb - the repositories hold the data
+ */
+const initializeServices = () => {
+  if (!DATA_STORES.includes(DATA_STORE)) {
+    throw new Error(`Unknown DATA_STORE "${DATA_STORE}" (expected one of: ${DATA_STORES.join(', ')})`);
+  }
+
+  if (DATA_STORE === 'memory') {
+    console.log('🧪 DATA_STORE=memory: using in-memory repositories, Auth and blob storage - nothing is saved');
+    const { MemoryAuth } = require('./memory');
+    return { firebaseAdmin: admin, db: null, auth: new MemoryAuth(), realtimeDb: null };
+  }
+
+  // Initialize Firebase
+  console.log('📦 firebase.js module loading...');
+  const firebaseAdmin = initializeFirebase();
+
+  // Get Firestore database instance
+  console.log('🔄 Getting Firestore instance...');
+  const db = firebaseAdmin.firestore();
 
-// Get Firestore database instance
-console.log('🔄 Getting Firestore instance...');
-const db = firebaseAdmin.firestore();
+  // Get Firebase Auth instance
+  console.log('🔄 Getting Auth instance...');
+  const auth = firebaseAdmin.auth();
 
-// Get Firebase Auth instance
-console.log('🔄 Getting Auth instance...');
-const auth = firebaseAdmin.auth();
+  console.log('🔄 Getting Realtime Database instance...');
+  const realtimeDb = firebaseAdmin.database();
 
-console.log('🔄 Getting Realtime Database instance...');
-const realtimeDb = firebaseAdmin.database();
+  console.log('✅ All Firebase services initialized');
+
+  return { firebaseAdmin, db, auth, realtimeDb };
+};
 
-console.log('✅ All Firebase services initialized');
+const { firebaseAdmin, db, auth, realtimeDb } = initializeServices();
 
 module.exports = {
   admin: firebaseAdmin,
   db,
   auth,
-  realtimeDb
+  realtimeDb,
+  dataStore: DATA_STORE
 };
@@ -0,0 +1,94 @@
+const BASE_URL = 'https://memory.blob.local';
+
+class BlockBlobClient {
+  constructor(container, name) {
+    this.container = container;
+    this.name = name;
+    this.url = `${BASE_URL}/${container.name}/${name}`;
+  }
+
+  async upload(body, contentLength, options = {}) {
+    this.container.blobs.set(this.name, {
+      content: Buffer.from(body).subarray(0, contentLength),
+      contentType: options.blobHTTPHeaders?.blobContentType || null,
+      lastModified: new Date()
+    });
+    return {};
+  }
+
+  async exists() {
+    return this.container.blobs.has(this.name);
+  }
+
+  async downloadToBuffer() {
+    const blob = this.container.blobs.get(this.name);
+    if (!blob) {
+      const error = new Error('The specified blob does not exist.');
+      error.statusCode = 404;
+      throw error;
+    }
+    return Buffer.from(blob.content);
+  }
+
+  async deleteIfExists() {
+    return { succeeded: this.container.blobs.delete(this.name) };
+  }
+
+  /**
+   * No signing in memory - the link just carries the expiry
+   */
+  async generateSasUrl({ expiresOn }) {
+    return `${this.url}?se=${encodeURIComponent(expiresOn.toISOString())}&sp=r`;
+  }
+}
+
+class ContainerClient {
+  constructor(name) {
+    this.name = name;
+    this.blobs = new Map();
+  }
+
+  async createIfNotExists() {
+    return { succeeded: true };
+  }
+
+  getBlockBlobClient(name) {
+    return new BlockBlobClient(this, name);
+  }
+
+  async *listBlobsFlat({ prefix = '' } = {}) {
+    // Copied first so deleting while listing is safe, as it is against Azure
+    const names = [...this.blobs.keys()].filter(name => name.startsWith(prefix)).sort();
+    for (const name of names) {
+      yield { name, properties: { contentLength: this.blobs.get(name)?.content.length || 0 } };
+    }
+  }
+}
+
+/**
+ * Azure Blob Storage stand-in for DATA_STORE=memory
+ *
+ * Covers what services/azureStorage uses: containers, upload, delete,
+ * prefix listing and SAS links (unsigned, and only valid in memory).
+ */
+class MemoryBlobServiceClient {
+  constructor() {
+    this.containers = new Map();
+  }
+
+  getContainerClient(name) {
+    if (!this.containers.has(name)) {
+      this.containers.set(name, new ContainerClient(name));
+    }
+    return this.containers.get(name);
+  }
+
+  /**
+   * Remove every blob
+   */
+  reset() {
+    this.containers.clear();
+  }
+}
+
+module.exports = MemoryBlobServiceClient;
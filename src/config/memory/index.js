@@ -0,0 +1,8 @@
+const MemoryAuth = require('./auth');
+const MemoryBlobServiceClient = require('./blobStorage');
+
+// The in-memory data itself lives in the repositories (repositories/memory)
+module.exports = {
+  MemoryAuth,
+  MemoryBlobServiceClient
+};
@@ -0,0 +1,277 @@
+const { userRepo } = require('../repositories');
+const DailyMatchingJob = require('../jobs/dailyMatchingJob');
+const RankingModelJob = require('../jobs/rankingModelJob');
+const accountDeletionService = require('../services/accountDeletionService');
+const matchingRunService = require('../services/matchingRunService');
+
+// Shared with the cron scheduler in server.js so manual runs see the same isRunning flag
+const dailyMatchingJob = new DailyMatchingJob();
+const rankingModelJob = new RankingModelJob();
+
+/**
+ * Manually trigger the daily matching job
+ * An optional `mode` in the body picks the pairing mode for this run only;
+ * `dryRun` (with optional `settings`) previews the run without saving anything
+ */
+const runDailyMatching = async (req, res) => {
+  try {
+    const { mode, dryRun, settings } = req.body;
+
+    if (!dryRun && dailyMatchingJob.isRunning) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Daily matching job is already running'
+      });
+    }
+
+    const result = await dailyMatchingJob.runManually({ mode, dryRun, settings });
+
+    // Another instance holds the job lease
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Daily matching job is already running'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: dryRun ? 'Daily matching dry run completed - nothing was saved' : 'Daily matching job completed successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Manual daily matching job failed:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Daily matching job failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get daily matching job status
+ */
+const getDailyMatchingStatus = (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      message: 'Daily matching job status',
+      data: dailyMatchingJob.getStatus()
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting daily matching job status:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get daily matching job status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Page through recorded daily matching runs, newest first
+ * Pass the returned `nextCursor` as `cursor` to get the next page
+ */
+const getMatchingRuns = async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    const page = await matchingRunService.listRuns({ limit, cursor });
+
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Daily matching runs',
+      data: page
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting daily matching runs:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get daily matching runs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Manually train the learned ranking model
+ */
+const runRankingModelTraining = async (req, res) => {
+  try {
+    if (rankingModelJob.isRunning) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Ranking model training is already running'
+      });
+    }
+
+    const result = await rankingModelJob.runManually();
+
+    // Another instance holds the job lease
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Ranking model training is already running'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: result.status === 'completed'
+        ? 'Ranking model trained successfully'
+        : 'Ranking model training skipped',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Manual ranking model training failed:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Ranking model training failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get ranking model training job status, including the last run's AUC
+ */
+const getRankingModelStatus = (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      message: 'Ranking model job status',
+      data: rankingModelJob.getStatus()
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting ranking model job status:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get ranking model job status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Look up a user by id
+ */
+const getUserById = async (req, res) => {
+  try {
+    const user = await userRepo.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: user
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin user lookup error:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'User lookup failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Look up a user by email
+ */
+const getUserByEmail = async (req, res) => {
+  try {
+    const user = await userRepo.findByEmail(req.query.email);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: user
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin user lookup error:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'User lookup failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Run or resume account deletion for a user
+ * Used to retry deletions whose receipt shows a failed step
+ */
+const deleteUserAccount = async (req, res) => {
+  try {
+    const receipt = await accountDeletionService.deleteAccount(req.params.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account deletion completed',
+      data: {
+        receipt: receipt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin account deletion error:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Account deletion failed',
+      data: {
+        receipt: error.receipt || null
+      },
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  runDailyMatching,
+  getDailyMatchingStatus,
+  getMatchingRuns,
+  runRankingModelTraining,
+  getRankingModelStatus,
+  getUserById,
+  getUserByEmail,
+  deleteUserAccount,
+  dailyMatchingJob, // Export the job instances for starting in server.js
+  rankingModelJob
+};
@@ -1,4 +1,4 @@
-const { realtimeDb, db } = require('../config/firebase');
+const { userRepo, matchRepo, conversationRepo, messageRepo } = require('../repositories');
 
 // Helper function to generate chat ID from two user IDs
 const generateChatId = (userId1, userId2) => {
@@ -8,9 +8,8 @@ const generateChatId = (userId1, userId2) => {
 // Helper function to get user basic info to test the work and test the work further and test the work further
 const getUserBasicInfo = async (userId) => {
   try {
-    const userDoc = await db.collection('users').doc(userId).get();
-    if (userDoc.exists) {
-      const userData = userDoc.data();
+    const userData = await userRepo.findById(userId);
+    if (userData) {
       return {
         id: userId,
         firstName: userData.firstName,
@@ -25,40 +24,49 @@ const getUserBasicInfo = async (userId) => {
   }
 };
 
+// Whether either user has blocked the other - a block ends the chat for good
+const isBlockedBetween = async (userId1, userId2) => {
+  const [user1, user2] = await Promise.all([userRepo.findById(userId1), userRepo.findById(userId2)]);
+  return Boolean(
+    user1?.blockedUserIds?.includes(userId2) ||
+    user2?.blockedUserIds?.includes(userId1)
+  );
+};
+
 // Create or get existing conversation
 const createOrGetConversation = async (req, res) => {
   try {
     const { user1Id, user2Id } = req.body;
 
-    if (!user1Id || !user2Id) {
+    if (user1Id === user2Id) {
       return res.status(400).json({
         status: 'error',
-        message: 'Both user IDs are required'
+        message: 'Cannot create conversation with yourself'
       });
     }
 
-    if (user1Id === user2Id) {
-      return res.status(400).json({
+    if (user1Id !== req.user.id && user2Id !== req.user.id) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Cannot create conversation with yourself'
+        message: 'You can only open conversations you are part of'
+      });
+    }
+
+    if (await isBlockedBetween(user1Id, user2Id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This conversation is no longer available'
       });
     }
 
     const chatId = generateChatId(user1Id, user2Id);
     
     // Check if conversation already exists
-    const conversationRef = realtimeDb.ref(`conversations/${chatId}`);
-    const conversationSnapshot = await conversationRef.once('value');
+    const conversationData = await conversationRepo.findById(chatId);
     
-    if (conversationSnapshot.exists()) {
-      // Conversation exists, ensure it's in user indexes
-      const conversationData = conversationSnapshot.val();
-      
-      // Add to user indexes if not already there
-      const updates = {};
-      updates[`userConversations/${user1Id}/${chatId}`] = true;
-      updates[`userConversations/${user2Id}/${chatId}`] = true;
-      await realtimeDb.ref().update(updates);
+    if (conversationData) {
+      // Conversation exists - add it to the user indexes if not already there
+      await conversationRepo.addToUserIndexes(chatId, [user1Id, user2Id]);
       
       res.json({
         status: 'success',
@@ -98,13 +106,10 @@ const createOrGetConversation = async (req, res) => {
         deletedBy: []
       };
 
-      await conversationRef.set(newConversation);
+      await conversationRepo.create(chatId, newConversation);
       
       // Add to user indexes
-      const updates = {};
-      updates[`userConversations/${user1Id}/${chatId}`] = true;
-      updates[`userConversations/${user2Id}/${chatId}`] = true;
-      await realtimeDb.ref().update(updates);
+      await conversationRepo.addToUserIndexes(chatId, [user1Id, user2Id]);
 
       res.json({
         status: 'success',
@@ -129,30 +134,24 @@ const getConversations = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    if (!userId) {
-      return res.status(400).json({
+    if (userId !== req.user.id) {
+      return res.status(403).json({
         status: 'error',
-        message: 'User ID is required'
+        message: 'You can only view your own conversations'
       });
     }
 
     const conversations = [];
     
     // First try to get from user index
-    const userConversationsRef = realtimeDb.ref(`userConversations/${userId}`);
-    const userConvSnapshot = await userConversationsRef.once('value');
+    const chatIds = await conversationRepo.findIdsForUser(userId);
     
-    if (userConvSnapshot.exists()) {
+    if (chatIds) {
       // Use the index method
-      const chatIds = Object.keys(userConvSnapshot.val());
-      
       for (const chatId of chatIds) {
-        const conversationRef = realtimeDb.ref(`conversations/${chatId}`);
-        const convSnapshot = await conversationRef.once('value');
+        const conversation = await conversationRepo.findById(chatId);
         
-        if (convSnapshot.exists()) {
-          const conversation = convSnapshot.val();
-          
+        if (conversation) {
           // Skip conversations that user has deleted
           const deletedBy = conversation.deletedBy || [];
           if (deletedBy.includes(userId)) {
@@ -175,40 +174,35 @@ const getConversations = async (req, res) => {
       }
     } else {
       // Fallback to old method for existing data
-      const conversationsRef = realtimeDb.ref('conversations');
-      const snapshot = await conversationsRef.once('value');
-      
-      if (snapshot.exists()) {
-        const conversationsData = snapshot.val();
-        
-        for (const [chatId, conversation] of Object.entries(conversationsData)) {
-          // Check if user is a participant
-          if (!conversation.participants || !conversation.participants[userId]) {
-            continue;
-          }
-          
-          // Skip conversations that user has deleted
-          const deletedBy = conversation.deletedBy || [];
-          if (deletedBy.includes(userId)) {
-            continue;
-          }
+      const conversationsData = await conversationRepo.findAll();
 
-          // Get the other participant
-          const otherUserId = Object.keys(conversation.participants).find(id => id !== userId);
-          const otherUser = conversation.participants[otherUserId];
-          
-          conversations.push({
-            chatId,
-            otherUser,
-            lastMessage: conversation.lastMessage,
-            lastMessageAt: conversation.lastMessageAt,
-            unreadCount: conversation.participants[userId]?.unreadCount || 0,
-            createdAt: conversation.createdAt
-          });
-          
-          // Add to user index for future queries
-          await realtimeDb.ref(`userConversations/${userId}/${chatId}`).set(true);
+      for (const [chatId, conversation] of Object.entries(conversationsData)) {
+        // Check if user is a participant
+        if (!conversation.participants || !conversation.participants[userId]) {
+          continue;
         }
+        
+        // Skip conversations that user has deleted
+        const deletedBy = conversation.deletedBy || [];
+        if (deletedBy.includes(userId)) {
+          continue;
+        }
+
+        // Get the other participant
+        const otherUserId = Object.keys(conversation.participants).find(id => id !== userId);
+        const otherUser = conversation.participants[otherUserId];
+        
+        conversations.push({
+          chatId,
+          otherUser,
+          lastMessage: conversation.lastMessage,
+          lastMessageAt: conversation.lastMessageAt,
+          unreadCount: conversation.participants[userId]?.unreadCount || 0,
+          createdAt: conversation.createdAt
+        });
+        
+        // Add to user index for future queries
+        await conversationRepo.addToUserIndexes(chatId, [userId]);
       }
     }
 
@@ -240,47 +234,24 @@ const getConversations = async (req, res) => {
 const getMessages = async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { limit = 50, before } = req.query;
+    const { limit, before } = req.query;
 
-    if (!chatId) {
-      return res.status(400).json({
+    // Only participants can read a conversation
+    if (!(await conversationRepo.isParticipant(chatId, req.user.id))) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Chat ID is required'
+        message: 'User is not a participant in this conversation'
       });
     }
 
-    let messagesRef = realtimeDb.ref(`messages/${chatId}`);
-    
-    if (before) {
-      messagesRef = messagesRef.orderByChild('timestamp').endBefore(before);
-    } else {
-      messagesRef = messagesRef.orderByChild('timestamp');
-    }
-    
-    messagesRef = messagesRef.limitToLast(parseInt(limit));
-    
-    const snapshot = await messagesRef.once('value');
-    const messages = [];
-    
-    if (snapshot.exists()) {
-      const messagesData = snapshot.val();
-      
-      for (const [messageId, message] of Object.entries(messagesData)) {
-        messages.push({
-          id: messageId,
-          ...message
-        });
-      }
-    }
-
-    // Sort messages by timestamp (oldest first for display)
-    messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    // Oldest first for display
+    const messages = await messageRepo.list(chatId, { limit, before });
 
     res.json({
       status: 'success',
       data: {
         messages,
-        hasMore: messages.length === parseInt(limit)
+        hasMore: messages.length === limit
       }
     });
 
@@ -296,27 +267,27 @@ const getMessages = async (req, res) => {
 // Send a message
 const sendMessage = async (req, res) => {
   try {
-    const { chatId, senderId, message, messageType = 'text' } = req.body;
-
-    if (!chatId || !senderId || !message) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Chat ID, sender ID, and message are required'
-      });
-    }
+    const { chatId, message, messageType } = req.body;
+    const senderId = req.user.id;
 
     // Get conversation to find recipient
-    const conversationRef = realtimeDb.ref(`conversations/${chatId}`);
-    const conversationSnapshot = await conversationRef.once('value');
+    const conversation = await conversationRepo.findById(chatId);
     
-    if (!conversationSnapshot.exists()) {
+    if (!conversation) {
       return res.status(404).json({
         status: 'error',
         message: 'Conversation not found'
       });
     }
 
-    const conversation = conversationSnapshot.val();
+    // Check if sender is participant
+    if (!conversation.participants[senderId]) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'User is not a participant in this conversation'
+      });
+    }
+
     const participants = Object.keys(conversation.participants);
     const recipientId = participants.find(id => id !== senderId);
 
@@ -338,9 +309,7 @@ const sendMessage = async (req, res) => {
     };
 
     // Add message to messages collection
-    const messagesRef = realtimeDb.ref(`messages/${chatId}`);
-    const messageRef = await messagesRef.push(newMessage);
-    const messageId = messageRef.key;
+    const messageId = await messageRepo.add(chatId, newMessage);
 
     // Update conversation
     const conversationUpdates = {
@@ -350,13 +319,10 @@ const sendMessage = async (req, res) => {
       deletedBy: [] // Clear the deletedBy array to restore conversation for both users
     };
 
-    await conversationRef.update(conversationUpdates);
+    await conversationRepo.update(chatId, conversationUpdates);
     
     // Ensure conversation is in both users' indexes
-    const indexUpdates = {};
-    indexUpdates[`userConversations/${senderId}/${chatId}`] = true;
-    indexUpdates[`userConversations/${recipientId}/${chatId}`] = true;
-    await realtimeDb.ref().update(indexUpdates);
+    await conversationRepo.addToUserIndexes(chatId, [senderId, recipientId]);
 
     res.json({
       status: 'success',
@@ -381,38 +347,12 @@ const sendMessage = async (req, res) => {
 // Mark messages as read
 const markMessagesAsRead = async (req, res) => {
   try {
-    const { chatId, userId } = req.body;
+    const { chatId } = req.body;
+    const userId = req.user.id;
 
-    if (!chatId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Chat ID and user ID are required'
-      });
-    }
-
-    // Get all unread messages for this user in this chat
-    const messagesRef = realtimeDb.ref(`messages/${chatId}`);
-    const unreadMessagesQuery = messagesRef
-      .orderByChild('recipientId')
-      .equalTo(userId);
-    
-    const snapshot = await unreadMessagesQuery.once('value');
-    
-    if (snapshot.exists()) {
-      const updates = {};
-      const messagesData = snapshot.val();
-      
-      for (const [messageId, message] of Object.entries(messagesData)) {
-        if (!message.read) {
-          updates[`messages/${chatId}/${messageId}/read`] = true;
-        }
-      }
-
-      // Reset unread count for user in conversation
-      updates[`conversations/${chatId}/participants/${userId}/unreadCount`] = 0;
-      updates[`conversations/${chatId}/participants/${userId}/lastSeen`] = new Date().toISOString();
-
-      await realtimeDb.ref().update(updates);
+    // Mark this user's unread messages in the chat, then reset their unread count
+    if (await messageRepo.markReadFor(chatId, userId)) {
+      await conversationRepo.markSeen(chatId, userId);
     }
 
     res.json({
@@ -432,27 +372,18 @@ const markMessagesAsRead = async (req, res) => {
 // Delete conversation for a specific user
 const deleteConversation = async (req, res) => {
   try {
-    const { chatId, userId } = req.body;
-
-    if (!chatId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Chat ID and user ID are required'
-      });
-    }
+    const { chatId } = req.body;
+    const userId = req.user.id;
 
     // Get conversation
-    const conversationRef = realtimeDb.ref(`conversations/${chatId}`);
-    const conversationSnapshot = await conversationRef.once('value');
+    const conversation = await conversationRepo.findById(chatId);
     
-    if (!conversationSnapshot.exists()) {
+    if (!conversation) {
       return res.status(404).json({
         status: 'error',
         message: 'Conversation not found'
       });
     }
-
-    const conversation = conversationSnapshot.val();
     
     // Check if user is participant
     if (!conversation.participants[userId]) {
@@ -462,18 +393,16 @@ const deleteConversation = async (req, res) => {
       });
     }
 
-    // Add user to deletedBy array
+    // Add user to deletedBy array - getConversations hides it from them. It
+    // stays in their index so exports and account deletion still find it
     const deletedBy = conversation.deletedBy || [];
     if (!deletedBy.includes(userId)) {
       deletedBy.push(userId);
       
-      await conversationRef.update({
+      await conversationRepo.update(chatId, {
         deletedBy: deletedBy,
         [`participants/${userId}/unreadCount`]: 0 // Clear unread count when deleting
       });
-      
-      // Remove from user's index
-      await realtimeDb.ref(`userConversations/${userId}/${chatId}`).remove();
     }
 
     res.json({
@@ -493,27 +422,18 @@ const deleteConversation = async (req, res) => {
 // Block user and remove all traces
 const blockUser = async (req, res) => {
   try {
-    const { chatId, userId } = req.body;
-
-    if (!chatId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Chat ID and user ID are required'
-      });
-    }
+    const { chatId } = req.body;
+    const userId = req.user.id;
     
     // Get conversation to find the other user
-    const conversationRef = realtimeDb.ref(`conversations/${chatId}`);
-    const conversationSnapshot = await conversationRef.once('value');
+    const conversation = await conversationRepo.findById(chatId);
     
-    if (!conversationSnapshot.exists()) {
+    if (!conversation) {
       return res.status(404).json({
         status: 'error',
         message: 'Conversation not found'
       });
     }
-
-    const conversation = conversationSnapshot.val();
     
     // Check if user is participant
     if (!conversation.participants[userId]) {
@@ -533,45 +453,30 @@ const blockUser = async (req, res) => {
       });
     }
     
-    // Step 1: Remove love matches between the two users
-    const matchesSnapshot = await db.collection('matches').get();
-    
-    const matchesToDelete = [];
-    matchesSnapshot.docs.forEach(doc => {
-      const matchData = doc.data();
-      
-      // Check if this match involves both users and is a love match
-      const involvesUsers = (
-        (matchData.user1_id === userId && matchData.user2_id === otherUserId) ||
-        (matchData.user1_id === otherUserId && matchData.user2_id === userId)
-      );
-      
-      // Only delete love matches (chat_unlocked = true)
-      if (involvesUsers && matchData.chat_unlocked) {
-        matchesToDelete.push(doc.id);
-      }
-    });
+    // A block revokes the blocked user's access to this chat and to the
+    // blocker, not their sign-in: it is recorded first so they cannot reopen
+    // the chat while it is being removed, and matching never pairs them again
+    await userRepo.addBlockedUser(userId, otherUserId);
 
-    // Delete the love matches
-    if (matchesToDelete.length > 0) {
-      const batch = db.batch();
-      matchesToDelete.forEach(matchId => {
-        const matchRef = db.collection('matches').doc(matchId);
-        batch.delete(matchRef);
-      });
-      await batch.commit();
-    }
+    // Step 1: Remove love matches (chat_unlocked = true) between the two users,
+    // and clear them from both users' live match updates so open clients drop them now
+    const matches = await matchRepo.findBetween(userId, otherUserId);
+    const matchesToDelete = matches
+      .filter(match => match.chat_unlocked)
+      .map(match => match.id);
+
+    await matchRepo.deleteMany(matchesToDelete);
+    await Promise.all(matchesToDelete.map(matchId => matchRepo.clearUpdate(matchId, [userId, otherUserId])));
 
     // Step 2: Delete all messages for this conversation
-    const messagesRef = realtimeDb.ref(`messages/${chatId}`);
-    await messagesRef.remove();
+    await messageRepo.removeAll(chatId);
 
     // Step 3: Delete the conversation completely
-    await conversationRef.remove();
+    await conversationRepo.remove(chatId);
     
     // Step 4: Remove from both users' indexes
-    await realtimeDb.ref(`userConversations/${userId}/${chatId}`).remove();
-    await realtimeDb.ref(`userConversations/${otherUserId}/${chatId}`).remove();
+    await conversationRepo.removeFromUserIndex(userId, chatId);
+    await conversationRepo.removeFromUserIndex(otherUserId, chatId);
 
     res.json({
       status: 'success',
@@ -8,7 +8,15 @@ const emailNotificationJob = new EmailNotificationJob();
 const runEmailNotifications = async (req, res) => {
   try {
     const result = await emailNotificationJob.runManually();
-    
+
+    // Already running here or on another instance
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Email notification job is already running'
+      });
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Email notification job completed successfully',
@@ -1,5 +1,4 @@
-const { db, realtimeDb } = require('../config/firebase');
-const { FieldValue } = require('firebase-admin/firestore');
+const { matchRepo } = require('../repositories');
 
 /**
  * Helper function to remove undefined values from object (Firebase doesn't allow undefined)
@@ -51,13 +50,7 @@ const sendMatchUpdate = async (matchId, matchData, updateType) => {
     const cleanPayload = removeUndefinedValues(updatePayload);
 
     // Send update to both users
-    const updates = {};
-    updates[`match_updates/${user1Id}/${matchId}`] = cleanPayload;
-    updates[`match_updates/${user2Id}/${matchId}`] = cleanPayload;    
-    await realtimeDb.ref().update(updates);    
-    // Verify the update was written
-    const verifyRef = realtimeDb.ref(`match_updates/${user1Id}/${matchId}`);
-    const verifySnapshot = await verifyRef.once('value'); 
+    await matchRepo.publishUpdate(matchId, [user1Id, user2Id], cleanPayload);
   } catch (error) {
     console.error('❌ Error sending real-time match update:', error);
     console.error('❌ Error details:', error.message);
@@ -71,10 +64,7 @@ const sendMatchUpdate = async (matchId, matchData, updateType) => {
  */
 const removeMatchUpdate = async (matchId, user1Id, user2Id) => {
   try {
-    const updates = {};
-    updates[`match_updates/${user1Id}/${matchId}`] = null;
-    updates[`match_updates/${user2Id}/${matchId}`] = null;
-    await realtimeDb.ref().update(updates);    
+    await matchRepo.clearUpdate(matchId, [user1Id, user2Id]);
   } catch (error) {
     console.error('❌ Error removing match update:', error);
     // Don't throw error - this shouldn't break the main functionality
@@ -87,28 +77,19 @@ const removeMatchUpdate = async (matchId, user1Id, user2Id) => {
  */
 const expressInterest = async (req, res) => {
   try {
-    const { matchId, userId } = req.body;
-
-    if (!matchId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Match ID and User ID are required'
-      });
-    }
+    const { matchId } = req.body;
+    const userId = req.user.id;
 
     // Get the match document
-    const matchRef = db.collection('matches').doc(matchId);
-    const matchDoc = await matchRef.get();
+    const matchData = await matchRepo.findById(matchId);
 
-    if (!matchDoc.exists) {
+    if (!matchData) {
       return res.status(404).json({
         status: 'error',
         message: 'Match not found'
       });
     }
 
-    const matchData = matchDoc.data();
-
     // Verify this is a one-way match and user is user1
     if (matchData.match_type !== 'one_way_interest') {
       return res.status(400).json({
@@ -137,20 +118,16 @@ const expressInterest = async (req, res) => {
       user1_expressed_interest: true,
       visible_to_user2: true, // Now user2 can see this match
       user2_notified_of_interest: true,
-      interest_expressed_at: FieldValue.serverTimestamp(),
-      last_action_by: userId,
-      last_action_at: FieldValue.serverTimestamp(),
-      total_interactions: FieldValue.increment(1),
+      interest_expressed_at: new Date(),
       // NEW: Mark that user2 should receive like email
       // interest_email_pending_user2: true
       // NEW: Mark that user2 should receive notification
       notification_pending_user2: true
     };
 
-    await matchRef.update(updateData);
+    await matchRepo.recordAction(matchId, userId, updateData);
     // Get updated match data
-    const updatedMatchDoc = await matchRef.get();
-    const updatedMatchData = updatedMatchDoc.data();
+    const updatedMatchData = await matchRepo.findById(matchId);
 
     // 🚀 NEW: Send real-time update
     await sendMatchUpdate(matchId, updatedMatchData, 'status_change');
@@ -180,28 +157,19 @@ const expressInterest = async (req, res) => {
  */
 const acceptInterest = async (req, res) => {
   try {
-    const { matchId, userId } = req.body;
-
-    if (!matchId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Match ID and User ID are required'
-      });
-    }
+    const { matchId } = req.body;
+    const userId = req.user.id;
 
     // Get the match document
-    const matchRef = db.collection('matches').doc(matchId);
-    const matchDoc = await matchRef.get();
+    const matchData = await matchRepo.findById(matchId);
 
-    if (!matchDoc.exists) {
+    if (!matchData) {
       return res.status(404).json({
         status: 'error',
         message: 'Match not found'
       });
     }
 
-    const matchData = matchDoc.data();
-
     // Verify this is a one-way match and user is user2
     if (matchData.match_type !== 'one_way_interest') {
       return res.status(400).json({
@@ -230,11 +198,8 @@ const acceptInterest = async (req, res) => {
       user2_action: 'like',
       chat_unlocked: true, // This makes it a love match
       match_status: 'love',
-      interest_responded_at: FieldValue.serverTimestamp(),
-      moved_to_love_at: FieldValue.serverTimestamp(),
-      last_action_by: userId,
-      last_action_at: FieldValue.serverTimestamp(),
-      total_interactions: FieldValue.increment(1),
+      interest_responded_at: new Date(),
+      moved_to_love_at: new Date(),
       // NEW: Mark that both users should receive love emails
       // love_email_pending_user1: true,
       // love_email_pending_user2: true
@@ -243,10 +208,9 @@ const acceptInterest = async (req, res) => {
       notification_pending_user2: true
     };
 
-    await matchRef.update(updateData);
+    await matchRepo.recordAction(matchId, userId, updateData);
     // Get updated match data
-    const updatedMatchDoc = await matchRef.get();
-    const updatedMatchData = updatedMatchDoc.data();
+    const updatedMatchData = await matchRepo.findById(matchId);
 
     // 🚀 NEW: Send real-time update for love match
     await sendMatchUpdate(matchId, updatedMatchData, 'love_match');
@@ -277,28 +241,19 @@ const acceptInterest = async (req, res) => {
  */
 const likeMatch = async (req, res) => {
   try {
-    const { matchId, userId, isSecondChance = false } = req.body;
-
-    if (!matchId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Match ID and User ID are required'
-      });
-    }
+    const { matchId, isSecondChance } = req.body;
+    const userId = req.user.id;
 
     // Get the match document
-    const matchRef = db.collection('matches').doc(matchId);
-    const matchDoc = await matchRef.get();
+    const matchData = await matchRepo.findById(matchId);
 
-    if (!matchDoc.exists) {
+    if (!matchData) {
       return res.status(404).json({
         status: 'error',
         message: 'Match not found'
       });
     }
 
-    const matchData = matchDoc.data();
-
     // Verify this is a mutual match
     if (matchData.match_type !== 'mutual_algorithm') {
       return res.status(400).json({
@@ -318,11 +273,7 @@ const likeMatch = async (req, res) => {
       });
     }
 
-    let updateData = {
-      last_action_by: userId,
-      last_action_at: FieldValue.serverTimestamp(),
-      total_interactions: FieldValue.increment(1)
-    };
+    let updateData = {};
 
     let isLoveMatch = false;
     let secondChanceOffered = false;
@@ -340,7 +291,7 @@ const likeMatch = async (req, res) => {
       // This creates a love match after second chance
       updateData.chat_unlocked = true;
       updateData.match_status = 'love';
-      updateData.moved_to_love_at = FieldValue.serverTimestamp();
+      updateData.moved_to_love_at = new Date();
       // NEW: Mark that both users should receive love emails
       // updateData.love_email_pending_user1 = true;
       // updateData.love_email_pending_user2 = true;
@@ -361,7 +312,7 @@ const likeMatch = async (req, res) => {
           // Both liked - create love match
           updateData.chat_unlocked = true;
           updateData.match_status = 'love';
-          updateData.moved_to_love_at = FieldValue.serverTimestamp();
+          updateData.moved_to_love_at = new Date();
           // NEW: Mark that both users should receive love emails
           // updateData.love_email_pending_user1 = true;
           // updateData.love_email_pending_user2 = true;
@@ -385,7 +336,7 @@ const likeMatch = async (req, res) => {
           // Both liked - create love match
           updateData.chat_unlocked = true;
           updateData.match_status = 'love';
-          updateData.moved_to_love_at = FieldValue.serverTimestamp();
+          updateData.moved_to_love_at = new Date();
           // NEW: Mark that both users should receive love emails
           // updateData.love_email_pending_user1 = true;
           // updateData.love_email_pending_user2 = true;
@@ -401,11 +352,10 @@ const likeMatch = async (req, res) => {
       }
     }
 
-    await matchRef.update(updateData);
+    await matchRepo.recordAction(matchId, userId, updateData);
 
     // Get updated match data
-    const updatedMatchDoc = await matchRef.get();
-    const updatedMatchData = updatedMatchDoc.data();
+    const updatedMatchData = await matchRepo.findById(matchId);
 
     // 🚀 NEW: Send real-time update
     const updateType = isLoveMatch ? 'love_match' : (secondChanceOffered ? 'second_chance' : 'status_change');
@@ -438,27 +388,18 @@ const likeMatch = async (req, res) => {
  */
 const passMatch = async (req, res) => {
   try {
-    const { matchId, userId, isSecondChance = false } = req.body;
-
-    if (!matchId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Match ID and User ID are required'
-      });
-    }
+    const { matchId, isSecondChance } = req.body;
+    const userId = req.user.id;
 
     // Get the match document
-    const matchRef = db.collection('matches').doc(matchId);
-    const matchDoc = await matchRef.get();
+    const matchData = await matchRepo.findById(matchId);
 
-    if (!matchDoc.exists) {
+    if (!matchData) {
       return res.status(404).json({
         status: 'error',
         message: 'Match not found'
       });
     }
-
-    const matchData = matchDoc.data();
     
     // Determine user position
     const isUser1 = matchData.user1_id === userId;
@@ -471,11 +412,7 @@ const passMatch = async (req, res) => {
       });
     }
 
-    let updateData = {
-      last_action_by: userId,
-      last_action_at: FieldValue.serverTimestamp(),
-      total_interactions: FieldValue.increment(1)
-    };
+    let updateData = {};
 
     let shouldDelete = false;
     let secondChanceOffered = false;
@@ -490,7 +427,7 @@ const passMatch = async (req, res) => {
       } else if (isUser2 && matchData.user1_expressed_interest) {
         // User2 rejects after user1 expressed interest
         updateData.user2_action = 'pass';
-        updateData.interest_responded_at = FieldValue.serverTimestamp();
+        updateData.interest_responded_at = new Date();
         shouldDelete = true;
       }
     }
@@ -540,17 +477,16 @@ const passMatch = async (req, res) => {
     // Handle deletion
     if (shouldDelete) {
       updateData.match_status = 'rejected';
-      updateData.deleted_at = FieldValue.serverTimestamp();
+      updateData.deleted_at = new Date();
       updateData.deleted_reason = isSecondChance ? 'second_chance_rejected' : 'both_passed';
       updateData.visible_to_user1 = false;
       updateData.visible_to_user2 = false;
     }
 
-    await matchRef.update(updateData);
+    await matchRepo.recordAction(matchId, userId, updateData);
 
     // Get updated match data
-    const updatedMatchDoc = await matchRef.get();
-    const updatedMatchData = updatedMatchDoc.data();
+    const updatedMatchData = await matchRepo.findById(matchId);
 
     // 🚀 NEW: Send real-time update
     if (shouldDelete) {
@@ -593,28 +529,19 @@ const passMatch = async (req, res) => {
  */
 const getMatchDetails = async (req, res) => {
   try {
-    const { matchId, userId } = req.query;
-
-    if (!matchId || !userId) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Match ID and User ID are required'
-      });
-    }
+    const { matchId } = req.query;
+    const userId = req.user.id;
 
     // Get the match document
-    const matchRef = db.collection('matches').doc(matchId);
-    const matchDoc = await matchRef.get();
+    const matchData = await matchRepo.findById(matchId);
 
-    if (!matchDoc.exists) {
+    if (!matchData) {
       return res.status(404).json({
         status: 'error',
         message: 'Match not found'
       });
     }
 
-    const matchData = matchDoc.data();
-
     // Verify user is part of this match
     if (matchData.user1_id !== userId && matchData.user2_id !== userId) {
       return res.status(403).json({
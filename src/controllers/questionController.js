@@ -1,5 +1,6 @@
 const path = require('path');
-const { db } = require('../config/firebase');
+const { userRepo } = require('../repositories');
+const dataExportService = require('../services/dataExportService');
 const Anthropic = require('@anthropic-ai/sdk');
 
 // Initialize Claude API client
@@ -324,45 +325,35 @@ Please ensure all scores are realistic (0-100) and based on evidence from their
 
 const saveAnswerAndGetNext = async (req, res) => {
   try {
-    const { email, questionId, answer } = req.body;
+    const { questionId, answer } = req.body;
     
-    if (!email || !questionId || !answer) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email, questionId, and answer are required'
-      });
-    }
+    // Find the authenticated user
+    const userData = await userRepo.findById(req.user.id);
     
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
-    
-    if (snapshot.empty) {
+    if (!userData) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
     
-    const userDoc = snapshot.docs[0];
-    const userId = userDoc.id;
-    const userData = userDoc.data();
+    const userId = userData.id;
     
     // Save the answer
     const answerData = {
-      questionId: parseInt(questionId),
+      questionId: questionId,
       answer: answer,
       answeredAt: new Date()
     };
     
     // Update user document with the answer
-    await userDoc.ref.update({
+    await userRepo.update(userId, {
       [`answers.question${questionId}`]: answerData,
       updatedAt: new Date()
     });
     
     // Check if this was the last question (question 8) - FIXED: Only 8 questions for now
-    if (parseInt(questionId) === 8) {
+    if (questionId === 8) {
       
       try {
         // Get all questions from JSON file
@@ -377,7 +368,7 @@ const saveAnswerAndGetNext = async (req, res) => {
           
           // Get answer from user document (either from current update or existing data)
           let userAnswer;
-          if (i === parseInt(questionId)) {
+          if (i === questionId) {
             userAnswer = answer; // Current answer
           } else {
             // Get from saved answers
@@ -405,16 +396,18 @@ const saveAnswerAndGetNext = async (req, res) => {
           analysisVersion: '1.0'
         };
         
+        // Keep the previous analysis for the user's data export history
+        await dataExportService.archivePersonalityAnalysis(userId, userData.personalityAnalysis);
+
         // Save personality analysis to user document
-        await userDoc.ref.update({
+        await userRepo.update(userId, {
           personalityAnalysis: analysisData,
           isAnalysisComplete: true,
           updatedAt: new Date()
         });
         
         // Get updated user data with personality analysis
-        const updatedUserSnapshot = await userDoc.ref.get();
-        const updatedUserData = updatedUserSnapshot.data();
+        const updatedUserData = await userRepo.findById(userId);
                 
         // FIXED: Return here to prevent further execution
         return res.status(200).json({
@@ -445,7 +438,7 @@ const saveAnswerAndGetNext = async (req, res) => {
     const questionsPath = path.join(__dirname, '../data/questions.json');
     const questionsData = require(questionsPath);
     
-    const nextQuestionIndex = parseInt(questionId); // questionId 1 gets question[1] (2nd question)
+    const nextQuestionIndex = questionId; // questionId 1 gets question[1] (2nd question)
     const nextQuestion = questionsData.matchingQuestions[nextQuestionIndex];
     
     if (!nextQuestion) {
@@ -476,46 +469,36 @@ const saveAnswerAndGetNext = async (req, res) => {
 const saveEnrichmentAnswerAndGetNext = async (req, res) => {
   try {
     
-    const { email, questionId, answer } = req.body;
+    const { questionId, answer } = req.body;
     
-    if (!email || !questionId || !answer) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email, questionId, and answer are required'
-      });
-    }
+    // Find the authenticated user
+    const userData = await userRepo.findById(req.user.id);
     
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
-    
-    if (snapshot.empty) {
+    if (!userData) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
     
-    const userDoc = snapshot.docs[0];
-    const userId = userDoc.id;
-    const userData = userDoc.data();
+    const userId = userData.id;
     
     // Save the answer
     const answerData = {
-      questionId: parseInt(questionId),
+      questionId: questionId,
       answer: answer,
       answeredAt: new Date()
     };
     
     // Update user document with the answer
-    await userDoc.ref.update({
+    await userRepo.update(userId, {
       [`answers.question${questionId}`]: answerData,
       updatedAt: new Date()
     });
     
     
     // Check if this was the last enrichment question (question 15)
-    if (parseInt(questionId) === 15) {      
+    if (questionId === 15) {      
       try {
         // Get all questions from JSON file
         const questionsPath = path.join(__dirname, '../data/questions.json');
@@ -529,7 +512,7 @@ const saveEnrichmentAnswerAndGetNext = async (req, res) => {
           
           // Get answer from user document (either from current update or existing data)
           let userAnswer;
-          if (i === parseInt(questionId)) {
+          if (i === questionId) {
             userAnswer = answer; // Current answer
           } else {
             // Get from saved answers
@@ -558,8 +541,11 @@ const saveEnrichmentAnswerAndGetNext = async (req, res) => {
           isEnriched: true
         };
         
+        // Keep the previous analysis for the user's data export history
+        await dataExportService.archivePersonalityAnalysis(userId, userData.personalityAnalysis);
+
         // Save enhanced personality analysis to user document
-        await userDoc.ref.update({
+        await userRepo.update(userId, {
           personalityAnalysis: enhancedAnalysisData,
           isAnalysisComplete: true,
           isEnrichmentComplete: true,
@@ -567,8 +553,7 @@ const saveEnrichmentAnswerAndGetNext = async (req, res) => {
         });
         
         // Get updated user data with enhanced personality analysis
-        const updatedUserSnapshot = await userDoc.ref.get();
-        const updatedUserData = updatedUserSnapshot.data();
+        const updatedUserData = await userRepo.findById(userId);
         
         
         // Return completion response
@@ -602,7 +587,7 @@ const saveEnrichmentAnswerAndGetNext = async (req, res) => {
     const questionsPath = path.join(__dirname, '../data/questions.json');
     const questionsData = require(questionsPath);
     
-    const nextQuestionIndex = parseInt(questionId); // questionId 9 gets question[9] (10th question)
+    const nextQuestionIndex = questionId; // questionId 9 gets question[9] (10th question)
     const nextQuestion = questionsData.matchingQuestions[nextQuestionIndex];
     
     if (!nextQuestion) {
@@ -1,35 +1,24 @@
-const { db } = require('../config/firebase');
+const { auth } = require('../config/firebase');
+const { userRepo, matchRepo } = require('../repositories');
 const azureStorage = require('../services/azureStorage');
 const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken'); // Add this import for JWT handling
+const sessionService = require('../services/sessionService');
+const magicLinkService = require('../services/magicLinkService');
+const accountDeletionService = require('../services/accountDeletionService');
+const dataExportService = require('../services/dataExportService');
+const scoringStrategies = require('../services/scoringStrategies');
+const geocodingService = require('../services/geocodingService');
+const timezoneService = require('../services/timezoneService');
+const timezoneRegistryService = require('../services/timezoneRegistryService');
+const { normalizeGender, normalizeInterestedIn } = require('../services/genderModel');
+const migrationRunner = require('../migrations/migrationRunner');
 
 /**
  * Normalize user data for consistent storage
  * This ensures all data is stored in the same format throughout the app
  */
 const normalizeUserData = (userData) => {
-  const normalizeGender = (gender) => {
-    if (!gender) return '';
-    const genderMap = {
-      'Man': 'male',
-      'Woman': 'female', 
-      'Non-binary': 'non-binary',
-      'Other': 'prefer-not-to-say'
-    };
-    return genderMap[gender] || gender.toLowerCase();
-  };
-
-  const normalizeInterestedIn = (interestedIn) => {
-    if (!interestedIn) return '';
-    const interestedMap = {
-      'Men': 'men',
-      'Women': 'women',
-      'Non-binary': 'non-binary',  // ✅ FIXED: Should map to 'both'
-      'Everyone': 'both'     // ✅ FIXED: Should map to 'both'
-    };
-    return interestedMap[interestedIn] || interestedIn.toLowerCase();
-  };
-
   const normalizeLookingFor = (lookingFor) => {
     if (!lookingFor) return '';
     const lookingForMap = {
@@ -54,8 +43,8 @@ const normalizeUserData = (userData) => {
 
   const normalized = {
     ...userData,
-    gender: normalizeGender(userData.gender),
-    interestedIn: normalizeInterestedIn(userData.interestedIn),
+    gender: normalizeGender(userData.gender) || '',
+    interestedIn: normalizeInterestedIn(userData.interestedIn) || [],
     lookingFor: normalizeLookingFor(userData.lookingFor),
     relationshipStatus: normalizeRelationshipStatus(userData.relationshipStatus)
   };
@@ -70,31 +59,17 @@ const normalizeUserData = (userData) => {
  */
 const getUnnotifiedMatches = async (userId) => {
   try {
-    
-    const matchesRef = db.collection('matches');
-    
-    // Get matches where user is user1 (visible to user1)
-    const snapshot1 = await matchesRef
-      .where('user1_id', '==', userId)
-      .where('visible_to_user1', '==', true)
-      .orderBy('created_at', 'desc')
-      .get();
-
-    // Get matches where user is user2 (visible to user2)
-    const snapshot2 = await matchesRef
-      .where('user2_id', '==', userId)
-      .where('visible_to_user2', '==', true)
-      .orderBy('created_at', 'desc')
-      .get();
+    // Matches visible to the user, as user1 and as user2
+    const visibleMatches = await matchRepo.findVisibleTo(userId);
+
+    // "null" / "" actions are stored as null once migration 002-match-actions has run
+    const migrateMatch = await migrationRunner.getReadFallback('002-match-actions');
+    const asUser1 = visibleMatches.asUser1.map(match => migrateMatch(match, match.id));
+    const asUser2 = visibleMatches.asUser2.map(match => migrateMatch(match, match.id));
 
     const allMatches = [];
     const now = new Date();
 
-    // Helper function to normalize action values (handle string "null" and empty strings)
-    const normalizeAction = (action) => {
-      return action === "null" || action === null || action === undefined || action === "" ? null : action;
-    };
-
     // Helper function to build matched user data based on privacy settings
     const buildMatchedUserData = (userData) => {
       const matchedUserData = {
@@ -125,25 +100,21 @@ const getUnnotifiedMatches = async (userId) => {
     };
 
     // Process matches where user is user1
-    for (const doc of snapshot1.docs) {
-      const matchData = doc.data();
-      
+    for (const matchData of asUser1) {
       // Get matched user details (user2)
-      const userRef = db.collection('users').doc(matchData.user2_id);
-      const userDoc = await userRef.get();
+      const userData = await userRepo.findById(matchData.user2_id);
       
-      if (userDoc.exists) {
-        const userData = userDoc.data();
+      if (userData) {
         const matchedUserData = buildMatchedUserData(userData);
         
         // Calculate match status flags
         const isExpired = matchData.expires_at && matchData.expires_at.toDate() < now;
-        const user1Action = normalizeAction(matchData.user1_action);
-        const user2Action = normalizeAction(matchData.user2_action);
+        const user1Action = matchData.user1_action;
+        const user2Action = matchData.user2_action;
         
         const enrichedMatchData = {
           // Basic match info
-          id: doc.id,
+          id: matchData.id,
           matchType: matchData.match_type,
           userPosition: 'user1',
           matchedUser: matchedUserData,
@@ -153,7 +124,7 @@ const getUnnotifiedMatches = async (userId) => {
           createdAt: matchData.created_at,
           expiresAt: matchData.expires_at,
           
-          // User actions (normalized)
+          // User actions (null until they act)
           userAction: user1Action,
           otherUserAction: user2Action,
           
@@ -193,25 +164,21 @@ const getUnnotifiedMatches = async (userId) => {
     }
 
     // Process matches where user is user2
-    for (const doc of snapshot2.docs) {
-      const matchData = doc.data();
-      
+    for (const matchData of asUser2) {
       // Get matched user details (user1)
-      const userRef = db.collection('users').doc(matchData.user1_id);
-      const userDoc = await userRef.get();
+      const userData = await userRepo.findById(matchData.user1_id);
       
-      if (userDoc.exists) {
-        const userData = userDoc.data();
+      if (userData) {
         const matchedUserData = buildMatchedUserData(userData);
         
         // Calculate match status flags
         const isExpired = matchData.expires_at && matchData.expires_at.toDate() < now;
-        const user1Action = normalizeAction(matchData.user1_action);
-        const user2Action = normalizeAction(matchData.user2_action);
+        const user1Action = matchData.user1_action;
+        const user2Action = matchData.user2_action;
         
         const enrichedMatchData = {
           // Basic match info
-          id: doc.id,
+          id: matchData.id,
           matchType: matchData.match_type,
           userPosition: 'user2',
           matchedUser: matchedUserData,
@@ -221,7 +188,7 @@ const getUnnotifiedMatches = async (userId) => {
           createdAt: matchData.created_at,
           expiresAt: matchData.expires_at,
           
-          // User actions (normalized, swapped perspective)
+          // User actions (null until they act, swapped perspective)
           userAction: user2Action,
           otherUserAction: user1Action,
           
@@ -514,24 +481,50 @@ const getUnnotifiedMatches = async (userId) => {
   }
 };
 
+/**
+ * Verify a Firebase Auth ID token that carries a verified email
+ * @returns {object} { decodedToken }, or { error } with the message for a 401
+ */
+const verifySignInToken = async (idToken) => {
+  let decodedToken;
+  try {
+    decodedToken = await auth.verifyIdToken(idToken);
+  } catch (authError) {
+    console.error('❌ Firebase ID token verification failed:', authError.message);
+    return {
+      error: authError.code === 'auth/id-token-expired'
+        ? 'Sign-in has expired, please try again'
+        : 'Invalid Firebase ID token'
+    };
+  }
+
+  if (!decodedToken.email || decodedToken.email_verified === false) {
+    return { error: 'A verified email address is required' };
+  }
+
+  return { decodedToken };
+};
+
 const signInUser = async (req, res) => {
   try {
     
-    const { email } = req.body;
-
-    // Validate email is provided
-    if (!email) {
-      return res.status(400).json({
+    const { decodedToken, error: tokenError } = await verifySignInToken(req.body.idToken);
+    if (tokenError) {
+      return res.status(401).json({
         status: 'error',
-        message: 'Email is required'
+        message: tokenError
       });
     }
 
-    // Check if user exists in Firestore
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
+    // Look up the user by their linked Firebase UID, falling back to email for
+    // accounts that have not been linked yet
+    let rawUserData = await userRepo.findByFirebaseUid(decodedToken.uid);
 
-    if (snapshot.empty) {
+    if (!rawUserData) {
+      rawUserData = await userRepo.findByEmail(decodedToken.email);
+    }
+
+    if (!rawUserData) {
       return res.status(200).json({
         status: 'success',
         message: 'User not found',
@@ -542,30 +535,46 @@ const signInUser = async (req, res) => {
       });
     }
 
-    // User found - get the user document
-    const userDoc = snapshot.docs[0];
-    const rawUserData = userDoc.data();
+    // User found
+    const userId = rawUserData.id;
+
+    // Link the Firebase account to this user on first sign-in
+    if (rawUserData.firebaseUid && rawUserData.firebaseUid !== decodedToken.uid) {
+      console.error('❌ Firebase UID mismatch for user:', userId);
+      return res.status(403).json({
+        status: 'error',
+        message: 'This account is linked to a different sign-in'
+      });
+    }
+
+    // Accounts registered before registration required an ID token were never
+    // proven to own their email - sign out whoever holds sessions on them now
+    if (!rawUserData.firebaseUid) {
+      await userRepo.update(userId, {
+        firebaseUid: decodedToken.uid,
+        updatedAt: new Date()
+      });
+      await sessionService.revokeAllSessionsForUser(userId, 'firebase_linked');
+      rawUserData.firebaseUid = decodedToken.uid;
+    }
+
+    // The email on the Firebase account changed - follow it and sign out every
+    // existing session, since their tokens still carry the old address
+    if (rawUserData.email !== decodedToken.email) {
+      await userRepo.update(userId, {
+        email: decodedToken.email,
+        previousEmail: rawUserData.email,
+        emailChangedAt: new Date(),
+        updatedAt: new Date()
+      });
+      await sessionService.revokeAllSessionsForUser(userId, 'email_changed');
+      await magicLinkService.revokeAllForUser(userId);
+      rawUserData.email = decodedToken.email;
+    }
     
-    // ✅ ADD DEFAULT VALUES FOR MISSING FIELDS
-    const userData = {
-      ...rawUserData,
-      // Ensure tour fields exist with proper defaults
-      hasSeenDashboardTour: rawUserData.hasSeenDashboardTour || false,
-      tourCompletedAt: rawUserData.tourCompletedAt || null,
-      // Ensure PWA fields exist with proper defaults
-      isPWAInstalled: rawUserData.isPWAInstalled || false,
-      pushNotificationsEnabled: rawUserData.pushNotificationsEnabled || false,
-      pwaInstallPromptShown: rawUserData.pwaInstallPromptShown || false,
-      pwaInstallPromptDismissed: rawUserData.pwaInstallPromptDismissed || false,
-      lastPWAPromptAt: rawUserData.lastPWAPromptAt || null,
-      // NEW PWA FIELDS FOR 15-DAY RE-PROMPT LOGIC
-      pwaPromptRejectedCount: rawUserData.pwaPromptRejectedCount || 0,
-      nextPWAPromptEligibleAt: rawUserData.nextPWAPromptEligibleAt || null,
-      pwaPromptAcceptedAt: rawUserData.pwaPromptAcceptedAt || null,
-      // Ensure other fields exist too
-      showFullProfile: rawUserData.showFullProfile || false,
-      showPersonalityScore: rawUserData.showPersonalityScore || false
-    };
+    // Tour, PWA and privacy fields are set on every user once migration 003-user-defaults has run
+    const migrateUser = await migrationRunner.getReadFallback('003-user-defaults');
+    const userData = migrateUser(rawUserData, rawUserData.id);
     
     // CHECK IF USER IS ELIGIBLE FOR PWA RE-PROMPT (15-day logic)
     let shouldShowPWAPrompt = false;
@@ -579,8 +588,6 @@ const signInUser = async (req, res) => {
       
       if (now >= eligibleDate) {
         shouldShowPWAPrompt = true;
-      } else {
-        const daysRemaining = Math.ceil((eligibleDate - now) / (1000 * 60 * 60 * 24));
       }
     } else if (!userData.isPWAInstalled && !userData.hasSeenDashboardTour) {
       // First time user who hasn't seen tour yet - will get prompt after tour
@@ -595,13 +602,23 @@ const signInUser = async (req, res) => {
     // Get unnotified matches for this user
     const matchData = await getUnnotifiedMatches(userData.id);
 
+    // Start a session, the same way email auto-login does
+    const session = await sessionService.createSession(userData, {
+      deviceId: req.body.deviceId,
+      userAgent: req.get('user-agent')
+    });
+
     // Return complete user profile including matches and PWA prompt eligibility
     res.status(200).json({
       status: 'success',
       message: 'User found',
       data: {
-        user: userData, // ✅ Now includes defaults and PWA prompt eligibility
-        matches: matchData
+        user: userData, // Includes PWA prompt eligibility
+        matches: matchData,
+        authToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        deviceId: session.deviceId
       }
     });
 
@@ -621,14 +638,6 @@ const verifyEmailToken = async (req, res) => {
     
     const { token } = req.body;
 
-    // Validate token is provided
-    if (!token) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Token is required'
-      });
-    }
-
     // Verify the JWT token
     let decoded;
     try {
@@ -639,17 +648,20 @@ const verifyEmailToken = async (req, res) => {
       if (jwtError.name === 'TokenExpiredError') {
         return res.status(401).json({
           status: 'error',
-          message: 'Email link has expired for your security'
+          message: 'Email link has expired for your security',
+          code: 'MAGIC_LINK_EXPIRED'
         });
       } else if (jwtError.name === 'JsonWebTokenError') {
         return res.status(401).json({
           status: 'error',
-          message: 'Invalid authentication token'
+          message: 'Invalid authentication token',
+          code: 'MAGIC_LINK_INVALID'
         });
       } else {
         return res.status(401).json({
           status: 'error',
-          message: 'Token verification failed'
+          message: 'Token verification failed',
+          code: 'MAGIC_LINK_INVALID'
         });
       }
     }
@@ -659,15 +671,29 @@ const verifyEmailToken = async (req, res) => {
       console.error('❌ Invalid token purpose:', decoded.purpose);
       return res.status(401).json({
         status: 'error',
-        message: 'Invalid token type'
+        message: 'Invalid token type',
+        code: 'MAGIC_LINK_INVALID'
+      });
+    }
+
+    // Consume the link's nonce - a replayed or revoked link stops here
+    try {
+      await magicLinkService.consumeNonce(decoded.nonce, decoded.userId);
+    } catch (linkError) {
+      if (linkError.status !== 401) throw linkError;
+
+      console.error('❌ Magic link rejected:', linkError.code);
+      return res.status(401).json({
+        status: 'error',
+        message: linkError.message,
+        code: linkError.code
       });
     }
 
     // Get user from database using user ID from token
-    const userRef = db.collection('users').doc(decoded.userId);
-    const userDoc = await userRef.get();
+    const rawUserData = await userRepo.findById(decoded.userId);
 
-    if (!userDoc.exists) {
+    if (!rawUserData) {
       console.error('❌ User not found in database:', decoded.userId);
       return res.status(404).json({
         status: 'error',
@@ -675,8 +701,6 @@ const verifyEmailToken = async (req, res) => {
       });
     }
 
-    const rawUserData = userDoc.data();
-
     // Verify email matches the one in the token
     if (rawUserData.email !== decoded.email) {
       console.error('❌ Email mismatch:', {
@@ -689,41 +713,30 @@ const verifyEmailToken = async (req, res) => {
       });
     }
 
-    // ✅ ADD DEFAULT VALUES FOR MISSING FIELDS
-    const userData = {
-      ...rawUserData,
-      // Ensure tour fields exist with proper defaults
-      hasSeenDashboardTour: rawUserData.hasSeenDashboardTour || false,
-      tourCompletedAt: rawUserData.tourCompletedAt || null,
-      // Ensure other fields exist too
-      isPWAInstalled: rawUserData.isPWAInstalled || false,
-      pushNotificationsEnabled: rawUserData.pushNotificationsEnabled || false,
-      showFullProfile: rawUserData.showFullProfile || false,
-      showPersonalityScore: rawUserData.showPersonalityScore || false
-    };
+    // Tour, PWA and privacy fields are set on every user once migration 003-user-defaults has run
+    const migrateUser = await migrationRunner.getReadFallback('003-user-defaults');
+    const userData = migrateUser(rawUserData, rawUserData.id);
 
 
     // Get unnotified matches for this user
     const matchData = await getUnnotifiedMatches(userData.id);
 
-    // Generate new session auth token (longer expiry for user session)
-    const sessionToken = jwt.sign(
-      { 
-        userId: userData.id,
-        email: userData.email,
-        purpose: 'session'
-      }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '7d' } // 7 days for session
-    );
+    // Start a new session (short-lived access token + rotating refresh token)
+    const session = await sessionService.createSession(userData, {
+      deviceId: req.body.deviceId,
+      userAgent: req.get('user-agent')
+    });
 
     // Return complete user data, matches, and session token
     res.status(200).json({
       status: 'success',
       message: 'Email verification successful',
-      user: userData, // ✅ Now includes defaults
+      user: userData,
       matches: matchData,
-      authToken: sessionToken
+      authToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      deviceId: session.deviceId
     });
 
   } catch (error) {
@@ -747,29 +760,34 @@ const registerUser = async (req, res) => {
       gender,
       interestedIn,
       city,
+      timezone,
       lookingFor,
       relationshipStatus,
-      email,
       phone,
       profilePictureSource,
       profilePictureFromGoogle
     } = req.body;
 
-    // Validate required fields
-    if (!firstName || !lastName || !age || !gender || !interestedIn || !city || !lookingFor || !relationshipStatus || !email) {
-      return res.status(400).json({
+    // The email comes from a verified Firebase sign-in, so nobody can register
+    // (and later be linked to) an address they do not own
+    const { decodedToken, error: tokenError } = await verifySignInToken(req.body.idToken);
+    if (tokenError) {
+      return res.status(401).json({
         status: 'error',
-        message: 'Missing required fields'
+        message: tokenError
       });
     }
 
-    // Get users collection reference
-    const usersRef = db.collection('users');
-
-    // Check if user already exists with this email
-    const existingUserSnapshot = await usersRef.where('email', '==', email).get();
+    const email = decodedToken.email;
+    if (req.body.email && req.body.email.toLowerCase() !== email.toLowerCase()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email does not match the signed-in account'
+      });
+    }
 
-    if (!existingUserSnapshot.empty) {
+    // Check if user already exists with this email or sign-in
+    if (await userRepo.findByEmail(email) || await userRepo.findByFirebaseUid(decodedToken.uid)) {
       return res.status(409).json({
         status: 'error',
         message: 'An account with this email already exists'
@@ -782,10 +800,9 @@ const registerUser = async (req, res) => {
       const phoneDigitsOnly = phone.replace(/\D/g, '');
       
       // Check both formats: with country code and without
-      const existingPhoneSnapshot1 = await usersRef.where('phone', '==', phone).get();
-      const existingPhoneSnapshot2 = await usersRef.where('phone', '==', phoneDigitsOnly).get();
+      const existingPhoneUser = await userRepo.findByPhone(phone) || await userRepo.findByPhone(phoneDigitsOnly);
       
-      if (!existingPhoneSnapshot1.empty || !existingPhoneSnapshot2.empty) {
+      if (existingPhoneUser) {
         return res.status(409).json({
           status: 'error',
           message: 'An account with this phone number already exists'
@@ -823,7 +840,7 @@ const registerUser = async (req, res) => {
     const rawUserData = {
       firstName,
       lastName,
-      age: parseInt(age),
+      age,
       gender,
       interestedIn,
       city,
@@ -840,16 +857,25 @@ const registerUser = async (req, res) => {
     const userData = {
       id: userId,
       ...normalizedUserData, // Use normalized data
+      // Coordinates for the distance filter (null if the city is not in the dataset)
+      location: geocodingService.getLocationForCity(city),
+      // Matches and notification emails go out in the morning of this timezone
+      timezone: timezone || timezoneService.defaultTimezone,
       // New multi-photo system
       profilePictures: profilePictures,
       // Keep legacy field for backward compatibility
       profilePicture: profilePictureUrl,
       profilePictureSource: profilePictureSource || 'none',
-      // DEFAULT MATCHING ALGORITHMS
-      similarityMatching: true,
-      complementaryMatching: false,
-      multiDimensionalMatching: false,
-      dealBreakerFiltering: false,
+      // Linked Firebase sign-in
+      firebaseUid: decodedToken.uid,
+      // ACCESS ROLE ('admin' is granted by hand in Firestore)
+      role: 'user',
+      // DEFAULT MATCHING ALGORITHM (any id registered in scoringStrategies)
+      matchingAlgorithm: scoringStrategies.defaultAlgorithm,
+      // MATCH FILTERS (null = no limit)
+      minAge: null,
+      maxAge: null,
+      maxDistanceKm: null,
       // PRIVACY FIELDS WITH DEFAULT VALUES
       showFullProfile: false,
       showPersonalityScore: false,
@@ -876,15 +902,26 @@ const registerUser = async (req, res) => {
     };
 
     // Save to Firestore
-    await db.collection('users').doc(userId).set(userData);
+    await userRepo.create(userId, userData);
+    await timezoneRegistryService.rememberTimezone(userData.timezone);
     
 
+    // Start a session so the new user can call authenticated routes
+    const session = await sessionService.createSession(userData, {
+      deviceId: req.body.deviceId,
+      userAgent: req.get('user-agent')
+    });
+
     // Return success response with user data (no matches for new user)
     res.status(201).json({
       status: 'success',
       message: 'User registered successfully',
       data: {
         user: userData,
+        authToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        deviceId: session.deviceId,
         matches: {
           matches: [],
           mutualMatches: [],
@@ -910,13 +947,13 @@ const registerUser = async (req, res) => {
 const updateUserProfile = async (req, res) => {
   try {
     const {
-      email,
       firstName,
       lastName,
       age,
       gender,
       interestedIn,
       city,
+      timezone,
       lookingFor,
       relationshipStatus,
       phone,
@@ -926,28 +963,17 @@ const updateUserProfile = async (req, res) => {
       existingPhotos
     } = req.body;
 
-    // Validate required fields
-    if (!email) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email is required'
-      });
-    }
+    // Find the authenticated user
+    const currentUserData = await userRepo.findById(req.user.id);
 
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
-
-    if (snapshot.empty) {
+    if (!currentUserData) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
 
-    const userDoc = snapshot.docs[0];
-    const userId = userDoc.id;
-    const currentUserData = userDoc.data();
+    const userId = currentUserData.id;
     
     // Handle multi-photo upload
     let profilePictures = [];
@@ -982,7 +1008,7 @@ const updateUserProfile = async (req, res) => {
         // New photo uploaded for this slot
         profilePictures.push({
           url: newPhoto.url,
-          isMain: i === parseInt(mainPhotoIndex || 0),
+          isMain: i === mainPhotoIndex,
           order: i,
           uploadedAt: new Date()
         });
@@ -990,7 +1016,7 @@ const updateUserProfile = async (req, res) => {
         // Keep existing photo
         profilePictures.push({
           url: existingPhoto.url,
-          isMain: i === parseInt(mainPhotoIndex || 0),
+          isMain: i === mainPhotoIndex,
           order: i,
           uploadedAt: new Date() // Update timestamp
         });
@@ -1020,26 +1046,32 @@ const updateUserProfile = async (req, res) => {
     // Add fields that are provided
     if (firstName !== undefined) updateData.firstName = firstName;
     if (lastName !== undefined) updateData.lastName = lastName;
-    if (age !== undefined) updateData.age = parseInt(age);
-    if (gender !== undefined) updateData.gender = gender;
-    if (interestedIn !== undefined) updateData.interestedIn = interestedIn;
-    if (city !== undefined) updateData.city = city;
+    if (age !== undefined) updateData.age = age;
+    if (gender !== undefined) updateData.gender = normalizeGender(gender);
+    if (interestedIn !== undefined) updateData.interestedIn = normalizeInterestedIn(interestedIn);
+    if (city !== undefined) {
+      updateData.city = city;
+      updateData.location = geocodingService.getLocationForCity(city);
+    }
+    if (timezone !== undefined) updateData.timezone = timezone;
     if (lookingFor !== undefined) updateData.lookingFor = lookingFor;
     if (relationshipStatus !== undefined) updateData.relationshipStatus = relationshipStatus;
     if (phone !== undefined) updateData.phone = phone;
-    if (showFullProfile !== undefined) updateData.showFullProfile = showFullProfile === 'true';
-    if (showPersonalityScore !== undefined) updateData.showPersonalityScore = showPersonalityScore === 'true';
+    if (showFullProfile !== undefined) updateData.showFullProfile = showFullProfile;
+    if (showPersonalityScore !== undefined) updateData.showPersonalityScore = showPersonalityScore;
     
     // Update photos
     updateData.profilePictures = profilePictures;
     updateData.profilePicture = mainProfilePictureUrl; // Backward compatibility
 
     // Update user document
-    await userDoc.ref.update(updateData);
+    await userRepo.update(req.user.id, updateData);
+    if (timezone !== undefined) {
+      await timezoneRegistryService.rememberTimezone(timezone);
+    }
     
     // Get updated user data
-    const updatedUserSnapshot = await userDoc.ref.get();
-    const updatedUserData = updatedUserSnapshot.data();
+    const updatedUserData = await userRepo.findById(req.user.id);
 
     // Return success response
     res.status(200).json({
@@ -1063,63 +1095,46 @@ const updateUserProfile = async (req, res) => {
 
 const updateMatchSettings = async (req, res) => {
   try {
-    
-    const {
-      email,
-      similarityMatching,
-      complementaryMatching,
-      multiDimensionalMatching,
-      dealBreakerFiltering
-    } = req.body;
+    // matchingAlgorithm is already checked against the registered scoring strategies
+    const { matchingAlgorithm, minAge, maxAge, maxDistanceKm } = req.body;
 
-    // Validate required fields
-    if (!email) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email is required'
-      });
-    }
+    // Find the authenticated user
+    const currentUserData = await userRepo.findById(req.user.id);
 
-    // Validate that exactly one matching algorithm is true
-    const matchingAlgorithms = [similarityMatching, complementaryMatching, multiDimensionalMatching, dealBreakerFiltering];
-    const activeAlgorithms = matchingAlgorithms.filter(algo => algo === true);
-    
-    if (activeAlgorithms.length !== 1) {
-      return res.status(400).json({
+    if (!currentUserData) {
+      return res.status(404).json({
         status: 'error',
-        message: 'Exactly one matching algorithm must be selected'
+        message: 'User not found'
       });
     }
 
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
 
-    if (snapshot.empty) {
-      return res.status(404).json({
+    // The age range can be sent one bound at a time, so check it against the stored bound
+    const effectiveMinAge = minAge !== undefined ? minAge : currentUserData.minAge ?? null;
+    const effectiveMaxAge = maxAge !== undefined ? maxAge : currentUserData.maxAge ?? null;
+
+    if (effectiveMinAge !== null && effectiveMaxAge !== null && effectiveMinAge > effectiveMaxAge) {
+      return res.status(400).json({
         status: 'error',
-        message: 'User not found'
+        message: 'minAge cannot be greater than maxAge'
       });
     }
 
-    const userDoc = snapshot.docs[0];
-    const userId = userDoc.id;
-    
     // Prepare update data
     const updateData = {
-      similarityMatching: similarityMatching || false,
-      complementaryMatching: complementaryMatching || false,
-      multiDimensionalMatching: multiDimensionalMatching || false,
-      dealBreakerFiltering: dealBreakerFiltering || false,
       updatedAt: new Date()
     };
 
+    if (matchingAlgorithm !== undefined) updateData.matchingAlgorithm = matchingAlgorithm;
+    if (minAge !== undefined) updateData.minAge = minAge;
+    if (maxAge !== undefined) updateData.maxAge = maxAge;
+    if (maxDistanceKm !== undefined) updateData.maxDistanceKm = maxDistanceKm;
+
     // Update user document
-    await userDoc.ref.update(updateData);
+    await userRepo.update(req.user.id, updateData);
     
     // Get updated user data
-    const updatedUserSnapshot = await userDoc.ref.get();
-    const updatedUserData = updatedUserSnapshot.data();
+    const updatedUserData = await userRepo.findById(req.user.id);
 
     // Return success response
     res.status(200).json({
@@ -1141,36 +1156,33 @@ const updateMatchSettings = async (req, res) => {
   }
 };
 
+/**
+ * List the matching algorithms a user can pick in match settings
+ */
+const getMatchingAlgorithms = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      algorithms: scoringStrategies.list()
+    }
+  });
+};
+
 const updateQuestions = async (req, res) => {
   try {
 
-    const { email, responses } = req.body;
-
-    // Validate required fields
-    if (!email || !responses || !Array.isArray(responses)) {
-      console.error('❌ Validation failed:', { email: !!email, responses: !!responses, isArray: Array.isArray(responses) });
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email and responses array are required'
-      });
-    }
+    const { responses } = req.body;
 
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
+    // Find the authenticated user
+    const currentUserData = await userRepo.findById(req.user.id);
 
-    if (snapshot.empty) {
-      console.error('❌ User not found for email:', email);
+    if (!currentUserData) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
 
-    const userDoc = snapshot.docs[0];
-    const userId = userDoc.id;
-    const currentUserData = userDoc.data();
-
     // Step 1: Save updated responses to database
     // Convert responses array back to answers object format for database consistency
     // FIXED: Using 'question' prefix instead of 'q' to match frontend expectations
@@ -1189,7 +1201,7 @@ const updateQuestions = async (req, res) => {
       updatedAt: new Date()
     };
 
-    await userDoc.ref.update(updateData);
+    await userRepo.update(req.user.id, updateData);
 
     // Step 2: Prepare data for Claude API
     const questionsForAnalysis = responses.map((response) => ({
@@ -1324,7 +1336,9 @@ Return a JSON object with this exact structure:
       throw new Error('Invalid personality analysis format from Claude');
     }
 
-    // Step 5: Save analysis to database
+    // Step 5: Save analysis to database, keeping the previous one for the user's data export history
+    await dataExportService.archivePersonalityAnalysis(req.user.id, previousAnalysis);
+
     const finalUpdateData = {
       answers: answersObject,
       responses: responses,
@@ -1334,11 +1348,10 @@ Return a JSON object with this exact structure:
       updatedAt: new Date()
     };
 
-    await userDoc.ref.update(finalUpdateData);
+    await userRepo.update(req.user.id, finalUpdateData);
 
     // Get updated user data
-    const updatedUserSnapshot = await userDoc.ref.get();
-    const updatedUserData = updatedUserSnapshot.data();
+    const updatedUserData = await userRepo.findById(req.user.id);
 
 
     // Return success response
@@ -1364,33 +1377,18 @@ Return a JSON object with this exact structure:
 
 const updateBio = async (req, res) => {
   try {
-    const { email, bioData } = req.body;
-
-    // Validate required fields
-    if (!email || !bioData) {
-      console.error('❌ Validation failed:', { email: !!email, bioData: !!bioData });
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email and bioData are required'
-      });
-    }
+    const { bioData } = req.body;
 
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
+    // Find the authenticated user
+    const currentUserData = await userRepo.findById(req.user.id);
 
-    if (snapshot.empty) {
-      console.error('❌ User not found for email:', email);
+    if (!currentUserData) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
 
-    const userDoc = snapshot.docs[0];
-    const userId = userDoc.id;
-    const currentUserData = userDoc.data();
-
     // Prepare update data
     const updateData = {
       bioData: bioData,
@@ -1399,11 +1397,10 @@ const updateBio = async (req, res) => {
     };
 
     // Update user document
-    await userDoc.ref.update(updateData);
+    await userRepo.update(req.user.id, updateData);
 
     // Get updated user data
-    const updatedUserSnapshot = await userDoc.ref.get();
-    const updatedUserData = updatedUserSnapshot.data();
+    const updatedUserData = await userRepo.findById(req.user.id);
 
 
     // Return success response
@@ -1433,7 +1430,6 @@ const updatePWAStatus = async (req, res) => {
   try {
 
     const { 
-      email, 
       isPWAInstalled, 
       pushSubscription, 
       pushNotificationsEnabled,
@@ -1441,29 +1437,16 @@ const updatePWAStatus = async (req, res) => {
       pwaPromptShown // New field: true when prompt is shown
     } = req.body;
 
-    // Validate required fields
-    if (!email) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email is required'
-      });
-    }
-
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
+    // Find the authenticated user
+    const currentUserData = await userRepo.findById(req.user.id);
 
-    if (snapshot.empty) {
+    if (!currentUserData) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
 
-    const userDoc = snapshot.docs[0];
-    const userId = userDoc.id;
-    const currentUserData = userDoc.data();
-    
 
     // Prepare update data
     const updateData = {
@@ -1533,11 +1516,10 @@ const updatePWAStatus = async (req, res) => {
     }
 
     // Update user document
-    await userDoc.ref.update(updateData);
+    await userRepo.update(req.user.id, updateData);
 
     // Get updated user data
-    const updatedUserSnapshot = await userDoc.ref.get();
-    const updatedUserData = updatedUserSnapshot.data();
+    const updatedUserData = await userRepo.findById(req.user.id);
 
     // Add shouldShowPWAPrompt flag for frontend
     const now = new Date();
@@ -1578,50 +1560,37 @@ const updatePWAStatus = async (req, res) => {
 const updateTourStatus = async (req, res) => {
   try {
     
-    const { email, hasSeenDashboardTour, tourCompletedAt } = req.body;
+    const { hasSeenDashboardTour, tourCompletedAt } = req.body;
 
-    if (!email) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email is required'
-      });
-    }
+    // Find the authenticated user
+    const currentUserData = await userRepo.findById(req.user.id);
 
-    // ✅ ADD VALIDATION FOR TOUR STATUS
-
-    // Find user by email
-    const usersRef = db.collection('users');
-    const snapshot = await usersRef.where('email', '==', email).get();
-
-    if (snapshot.empty) {
+    if (!currentUserData) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found'
       });
     }
 
-    const userDoc = snapshot.docs[0];
-    const currentUserData = userDoc.data();
     
-    // ✅ ENSURE PROPER BOOLEAN VALUES
+    // Prepare update data
     const updateData = {
       updatedAt: new Date()
     };
 
     // Only update fields that are explicitly provided
     if (hasSeenDashboardTour !== undefined) {
-      updateData.hasSeenDashboardTour = Boolean(hasSeenDashboardTour); // Ensure boolean
+      updateData.hasSeenDashboardTour = hasSeenDashboardTour;
     }
 
     if (tourCompletedAt !== undefined) {
       updateData.tourCompletedAt = tourCompletedAt;
     }
 
-    await userDoc.ref.update(updateData);
+    await userRepo.update(req.user.id, updateData);
     
     // Get updated user data to verify the change
-    const updatedUserSnapshot = await userDoc.ref.get();
-    const updatedUserData = updatedUserSnapshot.data();
+    const updatedUserData = await userRepo.findById(req.user.id);
     
 
     res.status(200).json({
@@ -1642,12 +1611,189 @@ const updateTourStatus = async (req, res) => {
   }
 };
 
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = await sessionService.refreshSession(refreshToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session refreshed',
+      data: {
+        authToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        status: 'error',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Session refresh error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Session refresh failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const logoutUser = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sessionId, 'logout');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const logoutAllSessions = async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllSessionsForUser(req.user.id, 'logout_all');
+    await magicLinkService.revokeAllForUser(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out of all devices',
+      data: {
+        revokedSessions: revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Logout-all error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Logout from all devices failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete the authenticated user's account and all data tied to it
+ * Safe to call again after a failure - completed steps are skipped
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const receipt = await accountDeletionService.deleteAccount(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account deleted successfully',
+      data: {
+        receipt: receipt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Account deletion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Account deletion did not complete, please try again',
+      data: {
+        receipt: error.receipt || null
+      },
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start building a download of everything we store about the user
+ * Generation runs in the background - poll getDataExport for the link
+ */
+const requestDataExport = async (req, res) => {
+  try {
+    const dataExport = await dataExportService.requestExport(req.user.id);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Data export is being prepared',
+      data: {
+        exportId: dataExport.id,
+        status: dataExport.status,
+        requestedAt: dataExport.requestedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Data export request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to request data export',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a data export's status and, once ready, a short-lived download link
+ */
+const getDataExport = async (req, res) => {
+  try {
+    const dataExport = await dataExportService.getExport(req.params.exportId, req.user.id);
+
+    if (!dataExport) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Data export not found'
+      });
+    }
+
+    if (dataExport.status === 'expired') {
+      return res.status(410).json({
+        status: 'error',
+        message: 'Data export has expired, please request a new one',
+        data: dataExport
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: dataExport
+    });
+
+  } catch (error) {
+    console.error('❌ Data export lookup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get data export',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   signInUser,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  deleteAccount,
+  requestDataExport,
+  getDataExport,
   verifyEmailToken,
   registerUser,
   updateUserProfile,
   updateMatchSettings,
+  getMatchingAlgorithms,
   updateQuestions,
   updateBio,
   updatePWAStatus,
@@ -1,75 +1,164 @@
 const cron = require('node-cron');
 const MatchingService = require('../services/matchingService');
+const matchingRunService = require('../services/matchingRunService');
+const jobLockService = require('../services/jobLockService');
+
+// Lock document shared by every instance
+const JOB_NAME = 'daily_matching';
 const pushNotificationService = require('../services/pushNotificationService'); // NEW: Import push notification service
 
 class DailyMatchingJob {
   constructor() {
     this.matchingService = new MatchingService();
     this.isRunning = false;
+    this.cronJob = null;
+    // Every 15 minutes, so each timezone (including :30 and :45 offsets) is
+    // matched soon after 6:00 AM local time - see MatchingService.runDailyMatching
+    this.cronExpression = '*/15 * * * *';
+    this.timezone = 'UTC';
+    // Pairing mode for scheduled runs; manual runs can pick their own
+    this.defaultMode = MatchingService.MODES.includes(process.env.DAILY_MATCHING_MODE)
+      ? process.env.DAILY_MATCHING_MODE
+      : 'greedy';
   }
 
   /**
    * Start the daily matching job scheduler
-   * Runs every day at 6:00 AM IST
+   * Users get their matches from 6:00 AM in their own timezone
    */
   start() {
     console.log('🕕 Starting daily matching job scheduler...');
-    console.log('⏰ Job will run daily at 6:00 AM IST');
+    console.log('⏰ Matches go out from 6:00 AM in each user\'s timezone (checked every 15 minutes)');
+
+    this.cronJob = cron.schedule(this.cronExpression, async () => {
+      await this.runScheduled(jobLockService.getTickKey());
+    }, {
+      scheduled: true,
+      timezone: this.timezone
+    });
+
+    console.log('✅ Daily matching job scheduler started successfully');
+  }
+
+  /**
+   * Stop the scheduler (for graceful shutdown)
+   */
+  stop() {
+    console.log('🛑 Stopping daily matching job scheduler...');
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  /**
+   * Scheduled tick - matches every timezone whose morning window is open
+   * Only the instance holding the job lease runs it. A window that an
+   * instance failed to finish is still due, so the next tick carries it on.
+   * @param {string} tickKey - See jobLockService.getTickKey
+   */
+  async runScheduled(tickKey) {
+    if (this.isRunning) {
+      console.log('⚠️ Previous matching job is still running, skipping this execution');
+      return;
+    }
 
-    // Cron expression: '30 0 * * *' = At 00:30 UTC every day
-    // IST is UTC+5:30, so 6:00 AM IST = 00:30 UTC
-    const cronExpression = '30 0 * * *'; // 00:30 UTC = 6:00 AM IST
+    this.isRunning = true;
 
-    cron.schedule(cronExpression, async () => {
-      if (this.isRunning) {
-        console.log('⚠️ Previous matching job is still running, skipping this execution');
+    try {
+      // Most ticks have nothing to do - don't record a run for them
+      if (!(await this.matchingService.hasDueWindows())) {
         return;
       }
 
-      console.log('🚀 Starting daily matching job at', new Date().toLocaleString('en-IN', {timeZone: 'Asia/Kolkata'}));
-      this.isRunning = true;
+      console.log('🚀 Starting daily matching job at', new Date().toISOString());
 
-      try {
-        const result = await this.matchingService.runDailyMatching();
-        
+      const outcome = await jobLockService.runExclusive(JOB_NAME, tickKey, ({ lease }) =>
+        this.executeRun('scheduled', { mode: this.defaultMode, lease })
+      );
+
+      if (outcome.acquired) {
         console.log('🎉 Daily matching job completed successfully!');
+      }
+    } catch (error) {
+      console.error('❌ Daily matching job failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
 
-        // NEW: Send push notifications for new matches
-        await this.sendMatchNotifications(result);
-        
-        // Log to monitoring/analytics if needed
-        this.logJobCompletion(result);
+  /**
+   * Run matching once and record the run in matching_runs
+   * @param {string} trigger - 'scheduled' or 'manual'
+   * @param {object} options - Options for MatchingService.runDailyMatching
+   * @returns {object} Matching result with the run ID
+   */
+  async executeRun(trigger, options) {
+    const startedAt = new Date();
+    const runId = await this.recordRunStart(trigger, options);
+
+    // Users are notified window by window as soon as their matches are saved,
+    // so a run that fails part way has still notified the windows it finished.
+    // Nobody gets notified about matches a dry run did not save.
+    let notifications = null;
+    const onWindowSaved = async (window, matches) => {
+      const windowNotifications = await this.sendMatchNotifications({ newMatches: matches });
+      if (!windowNotifications) return;
+
+      notifications = notifications || { total: 0, successful: 0, failed: 0 };
+      notifications.total += windowNotifications.total;
+      notifications.successful += windowNotifications.successful;
+      notifications.failed += windowNotifications.failed;
+    };
 
-      } catch (error) {
-        console.error('❌ Daily matching job failed:', error);
-        
-        // Send alert/notification about job failure
-        this.handleJobFailure(error);
-      } finally {
-        this.isRunning = false;
-        console.log('🏁 Daily matching job finished at', new Date().toLocaleString('en-IN', {timeZone: 'Asia/Kolkata'}));
-      }
-    }, {
-      scheduled: true,
-      timezone: "UTC" // We handle IST conversion in cron expression
-    });
+    try {
+      const result = await this.matchingService.runDailyMatching({
+        ...options,
+        onWindowSaved: options.dryRun ? null : onWindowSaved
+      });
 
-    console.log('✅ Daily matching job scheduler started successfully');
+      await this.logJobCompletion(runId, result, notifications);
+      return { runId, ...result };
+    } catch (error) {
+      await this.handleJobFailure(runId, error, startedAt);
+      throw error;
+    }
   }
 
   /**
-   * Stop the scheduler (for graceful shutdown)
+   * Write the run record; a failure here is logged but does not stop matching
+   * @returns {string|null} Run ID
    */
-  stop() {
-    console.log('🛑 Stopping daily matching job scheduler...');
-    // Note: node-cron doesn't have a direct stop method for individual jobs
-    // In production, you'd typically handle this with process management
+  async recordRunStart(trigger, options) {
+    try {
+      return await matchingRunService.startRun({
+        trigger: trigger,
+        config: this.matchingService.getRunConfig(options)
+      });
+    } catch (error) {
+      console.error('❌ Failed to record matching run start:', error);
+      return null;
+    }
   }
 
   /**
    * Run matching job manually (for testing)
+   * @param {object} options - { mode } to override the scheduled pairing mode for this run,
+   *   { dryRun, settings } to preview a run without saving matches or sending notifications.
+   *   Manual runs match every timezone that is past 6:00 AM local and has not been matched for its local day yet
+   * @returns {object|undefined} Matching result, undefined if a run is already in progress here or on another instance
    */
-  async runManually() {
+  async runManually(options = {}) {
+    // Dry runs write nothing, so they can run alongside a real run
+    if (options.dryRun) {
+      return await this.executeRun('manual', {
+        mode: options.mode || this.defaultMode,
+        dryRun: true,
+        settings: options.settings,
+        allTimezones: true
+      });
+    }
+
     if (this.isRunning) {
       return;
     }
@@ -77,12 +166,11 @@ class DailyMatchingJob {
     this.isRunning = true;
 
     try {
-      const result = await this.matchingService.runDailyMatching();
-
-      // NEW: Send push notifications for manual matches too
-      await this.sendMatchNotifications(result);
+      const outcome = await jobLockService.runExclusive(JOB_NAME, null, ({ lease }) =>
+        this.executeRun('manual', { mode: options.mode || this.defaultMode, allTimezones: true, lease })
+      );
 
-      return result;
+      return outcome.acquired ? outcome.result : undefined;
     } catch (error) {
       console.error('❌ Manual matching job failed:', error);
       throw error;
@@ -94,6 +182,7 @@ class DailyMatchingJob {
   /**
    * NEW: Send push notifications for new matches
    * @param {object} matchingResult - Result from matching service
+   * @returns {object|null} { total, successful, failed }, null if nothing was sent
    */
   async sendMatchNotifications(matchingResult) {
     try {
@@ -103,7 +192,7 @@ class DailyMatchingJob {
       const pushServiceStatus = pushNotificationService.getStatus();
       if (!pushServiceStatus.isInitialized) {
         console.warn('⚠️ Push notification service not initialized, skipping notifications');
-        return;
+        return null;
       }
 
       // Extract user notifications from matching result
@@ -111,7 +200,7 @@ class DailyMatchingJob {
 
       if (!userNotifications || userNotifications.length === 0) {
         console.log('📭 No users to notify about new matches');
-        return;
+        return null;
       }
 
       let notificationStats = {
@@ -140,9 +229,12 @@ class DailyMatchingJob {
         }
       }
 
+      return notificationStats;
+
     } catch (error) {
       console.error('❌ Failed to send push notifications:', error);
       // Don't throw error here - push notification failure shouldn't fail the entire matching job
+      return null;
     }
   }
 
@@ -220,26 +312,35 @@ class DailyMatchingJob {
   /**
    * Log job completion for monitoring
    */
-  logJobCompletion(result) {
-    // You can integrate with logging services like Winston, or analytics
-    // TODO: Send to monitoring service (DataDog, CloudWatch, etc.)
-    // TODO: Update job status in database
+  async logJobCompletion(runId, result, notifications) {
+    if (!runId) return;
+
+    try {
+      await matchingRunService.completeRun(runId, result, notifications);
+    } catch (error) {
+      console.error(`❌ Failed to record completion of matching run ${runId}:`, error);
+    }
   }
 
   /**
    * Handle job failure
    */
-  handleJobFailure(error) {
+  async handleJobFailure(runId, error, startedAt) {
     console.error('🚨 Job Failure Details:', {
+      runId: runId,
       timestamp: new Date().toISOString(),
       error: error.message,
       stack: error.stack,
       success: false
     });
 
-    // TODO: Send alert email/slack notification
-    // TODO: Log to error tracking service (Sentry, Bugsnag, etc.)
-    // TODO: Update job status in database
+    if (!runId) return;
+
+    try {
+      await matchingRunService.failRun(runId, error, startedAt);
+    } catch (recordError) {
+      console.error(`❌ Failed to record failure of matching run ${runId}:`, recordError);
+    }
   }
 
   /**
@@ -248,23 +349,22 @@ class DailyMatchingJob {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      mode: this.defaultMode,
+      availableModes: MatchingService.MODES,
       nextRun: this.getNextRunTime(),
-      timezone: 'IST (UTC+5:30)',
-      cronExpression: '30 0 * * *', // 6:00 AM IST daily
+      timezone: this.timezone,
+      cronExpression: this.cronExpression,
+      // Matches go out from this time in each user's own timezone
+      localDeliveryTime: '06:00',
       pushNotificationService: pushNotificationService.getStatus() // NEW: Include push service status
     };
   }
 
   /**
-   * Calculate next run time
+   * Next run time from the scheduled cron expression, null if the scheduler is not running
    */
   getNextRunTime() {
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(6, 0, 0, 0); // 6:00 AM IST tomorrow
-    
-    return tomorrow.toLocaleString('en-IN', {timeZone: 'Asia/Kolkata'});
+    return this.cronJob ? this.cronJob.getNextRun() : null;
   }
 }
 
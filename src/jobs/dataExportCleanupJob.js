@@ -0,0 +1,67 @@
+const cron = require('node-cron');
+const dataExportService = require('../services/dataExportService');
+const jobLockService = require('../services/jobLockService');
+
+// Lock document shared by every instance
+const JOB_NAME = 'data_export_cleanup';
+
+class DataExportCleanupJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.cronExpression = '0 3 * * *';
+  }
+
+  /**
+   * Start the cron job - deletes expired export archives daily at 3:00 AM UTC,
+   * so an archive nobody downloads does not stay in blob storage
+   */
+  start() {
+    console.log('📦 Data export cleanup job started');
+
+    this.cronJob = cron.schedule(this.cronExpression, async () => {
+      await this.run(jobLockService.getRunKey());
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    });
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      console.log('📦 Data export cleanup job stopped');
+    }
+  }
+
+  /**
+   * Main job execution - only the instance holding the job lease deletes archives
+   * A failed run is left to the next day; archives stay expired until then
+   * @param {string|null} runKey - Day of a scheduled run, null for manual runs
+   * @returns {number|undefined} Archives deleted, undefined if already running here or on another instance
+   */
+  async run(runKey = null) {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+
+    try {
+      const outcome = await jobLockService.runExclusive(JOB_NAME, runKey, () => dataExportService.deleteExpiredExports());
+      if (!outcome.acquired) return;
+
+      console.log(`🧹 Deleted ${outcome.result} expired data export archive(s)`);
+      return outcome.result;
+
+    } catch (error) {
+      console.error('❌ Data export cleanup failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = DataExportCleanupJob;
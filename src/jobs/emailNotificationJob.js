@@ -1,6 +1,23 @@
 const cron = require('node-cron');
-const { db } = require('../config/firebase');
+const { userRepo, matchRepo, emailWindowRepo } = require('../repositories');
 const EmailNotificationService = require('../services/emailNotificationService');
+const jobLockService = require('../services/jobLockService');
+const timezoneService = require('../services/timezoneService');
+const timezoneRegistryService = require('../services/timezoneRegistryService');
+
+// Lock document shared by every instance
+const JOB_NAME = 'email_notifications';
+
+// Emails go out from 7:00 in each user's timezone, an hour after their matches
+const EMAIL_LOCAL_HOUR = 7;
+const EMAIL_WINDOW_HOURS = 6;
+
+/**
+ * Whether a matching window's matches are saved and its users notified
+ * Checkpoints from before notifications were tracked have no flag
+ */
+const isMatchingSaved = (checkpoint) =>
+  checkpoint?.status === 'completed' && checkpoint.notificationsSent !== false;
 
 class EmailNotificationJob {
   constructor() {
@@ -11,15 +28,19 @@ class EmailNotificationJob {
   }
 
   /**
-   * Start the cron job - runs daily at 7:00 AM IST
+   * Start the cron job - emails each timezone once a day from 7:00 AM local time
    */
   start() {
     console.log('📧 Email notification cron job started');
-    console.log('⏰ Scheduled to run daily at 7:00 AM IST (1:30 AM UTC)');
+    console.log('⏰ Emails go out from 7:00 AM in each user\'s timezone (checked every 15 minutes)');
 
-    // Cron expression: "30 1 * * *" = 1:30 AM UTC = 7:00 AM IST
-    this.cronJob = cron.schedule('30 1 * * *', async () => {
-      await this.run();
+    // Every 15 minutes, so :30 and :45 offset timezones are covered too
+    this.cronJob = cron.schedule('*/15 * * * *', async () => {
+      try {
+        await this.run(jobLockService.getTickKey());
+      } catch (error) {
+        // Already logged in run(); pending notifications wait for the next tick
+      }
     }, {
       scheduled: true,
       timezone: "UTC"
@@ -39,41 +60,33 @@ class EmailNotificationJob {
   }
 
   /**
-   * Main job execution
+   * Main job execution - only the instance holding the job lease sends emails
+   * Scheduled runs email the users in timezones whose morning window is open
+   * and that have not been emailed yet that local day; manual runs email everyone pending.
+   * @param {string|null} tickKey - Scheduled tick (see jobLockService.getTickKey), null for manual runs
+   * @returns {object|undefined} Results, undefined if already running here or on another instance
+   *   (or, for scheduled runs, if no timezone is due)
    */
-  async run() {
+  async run(tickKey = null) {
     if (this.isRunning) {
       console.log('⚠️ Email notification job already running, skipping...');
       return;
     }
 
     this.isRunning = true;
-    this.lastRun = new Date();
-    
-    console.log('🚀 Starting email notification job at:', this.lastRun.toISOString());
 
     try {
-      // ONLY process generic notifications
-      const usersWithPendingNotifications = await this.getUsersWithPendingNotifications();
+      const windows = tickKey ? await this.getDueWindows(new Date()) : null;
+      if (windows && windows.length === 0) return;
 
-      let results = {
-        notifications: { count: 0, success: 0, errors: 0 }
-      };
-
-      if (usersWithPendingNotifications.length > 0) {
+      this.lastRun = new Date();
+      console.log('🚀 Starting email notification job at:', this.lastRun.toISOString());
 
-        const notificationResult = await this.sendGenericNotifications(usersWithPendingNotifications);
-        await this.updateNotificationFlags(usersWithPendingNotifications);
-
-        results.notifications = {
-          count: usersWithPendingNotifications.length,
-          success: notificationResult.successCount,
-          errors: notificationResult.failureCount
-        };
-      } 
+      const outcome = await jobLockService.runExclusive(JOB_NAME, tickKey, ({ lease }) => this.sendPendingNotifications(windows, lease));
+      if (!outcome.acquired) return;
 
-      console.log('📈 Email notification job completed:', results);
-      return results;
+      console.log('📈 Email notification job completed:', outcome.result);
+      return outcome.result;
 
     } catch (error) {
       console.error('❌ Email notification job failed:', error);
@@ -84,17 +97,91 @@ class EmailNotificationJob {
     }
   }
 
+  /**
+   * Timezones whose email window is open, whose matches for the local day are
+   * saved and that have not been emailed this local day
+   * A window whose matching has not finished yet (it ran late, or failed)
+   * is left for a later tick, so its users get one email with their matches.
+   * @returns {Array} { key, timezone }
+   */
+  async getDueWindows(now) {
+    const timezones = await timezoneRegistryService.getKnownTimezones();
+    const openWindows = timezones
+      .filter(timezone => timezoneService.isWithinLocalWindow(now, timezone, EMAIL_LOCAL_HOUR, EMAIL_WINDOW_HOURS))
+      .map(timezone => ({ key: timezoneService.getWindowKey(now, timezone), timezone: timezone }));
+
+    // Matching and email windows share the local date and timezone key
+    const [emailedWindows, checkpoints] = await Promise.all([
+      Promise.all(openWindows.map(window => emailWindowRepo.findByKey(window.key))),
+      Promise.all(openWindows.map(window => matchRepo.findCheckpoint(window.key)))
+    ]);
+
+    return openWindows.filter((window, index) => !emailedWindows[index] && isMatchingSaved(checkpoints[index]));
+  }
+
+  /**
+   * Email users with pending match notifications
+   * @param {Array|null} windows - Only email users in these timezones and mark them done (null = everyone)
+   * @param {object|null} lease - Job lease handle, checked before each email
+   */
+  async sendPendingNotifications(windows = null, lease = null) {
+    // ONLY process generic notifications
+    let usersWithPendingNotifications = await this.getUsersWithPendingNotifications();
+
+    if (windows) {
+      const dueTimezones = new Set(windows.map(window => window.timezone));
+      usersWithPendingNotifications = usersWithPendingNotifications.filter(user => dueTimezones.has(user.timezone));
+    }
+
+    let results = {
+      notifications: { count: 0, success: 0, errors: 0, flagErrors: 0 }
+    };
+    let unfinishedTimezones = new Set();
+
+    if (usersWithPendingNotifications.length > 0) {
+
+      const notificationResult = await this.sendGenericNotifications(usersWithPendingNotifications, lease);
+      unfinishedTimezones = notificationResult.unfinishedTimezones;
+
+      results.notifications = {
+        count: usersWithPendingNotifications.length,
+        success: notificationResult.successCount,
+        errors: notificationResult.failureCount,
+        flagErrors: notificationResult.flagFailureCount
+      };
+    }
+
+    // Matches made later in the day wait for tomorrow's email. A window with
+    // users whose email failed or whose flags could not be saved stays due, so
+    // the next tick retries them; users already flagged are not emailed again.
+    if (windows) {
+      const completedWindows = windows.filter(window => !unfinishedTimezones.has(window.timezone));
+      if (completedWindows.length < windows.length) {
+        console.warn(`⚠️ Leaving ${windows.length - completedWindows.length} email window(s) open: emails failed or notification flags could not be saved`);
+      }
+
+      await Promise.all(completedWindows.map(window => emailWindowRepo.save(window.key, {
+        timezone: window.timezone,
+        completedAt: new Date(),
+        emailsSent: usersWithPendingNotifications.filter(user => user.timezone === window.timezone).length
+      })));
+    }
+
+    return results;
+  }
+
   /**
    * Get users who have pending notifications
+   * Only matches with a pending flag are read, not the whole collection
    */
   async getUsersWithPendingNotifications() {
     try {
-      const snapshot = await db.collection('matches').get();
+      const pendingMatches = await matchRepo.findPendingNotifications();
+
       const userEmailMap = new Map();
 
-      snapshot.forEach(doc => {
-        const matchData = doc.data();
-        const matchId = doc.id;
+      pendingMatches.forEach(matchData => {
+        const matchId = matchData.id;
         
         // Check if user1 has pending notification
         if (matchData.notification_pending_user1 && !matchData.notification_sent_user1) {
@@ -132,17 +219,15 @@ class EmailNotificationJob {
     
     for (const [userId, userData] of userEmailMap) {
       try {
-        const userRef = db.collection('users').doc(userId);
-        const userDoc = await userRef.get();
+        const userDetails = await userRepo.findById(userId);
         
-        if (userDoc.exists) {
-          const userDetails = userDoc.data();
-          
+        if (userDetails) {
           users.push({
             id: userId,
             email: userDetails.email,
             firstName: userDetails.firstName,
             lastName: userDetails.lastName,
+            timezone: timezoneService.getUserTimezone(userDetails),
             matchIds: userData.matchIds,
             notificationCount: userData.matchIds.length
           });
@@ -157,11 +242,21 @@ class EmailNotificationJob {
 
   /**
    * Send generic notification emails with delay
+   * Each user's matches are flagged as notified as soon as their email is
+   * sent, so a run that stops part way does not email them again.
+   * @returns {object} { successCount, failureCount, flagFailureCount, unfinishedTimezones }
+   *   unfinishedTimezones - timezones with a user whose email failed or was not flagged
    */
-  async sendGenericNotifications(users) {
+  async sendGenericNotifications(users, lease = null) {
     let successCount = 0;
     let failureCount = 0;
+    let flagFailureCount = 0;
+    const unfinishedTimezones = new Set();
+
     for (const user of users) {
+      // Another instance may have taken over - stop before emailing anyone twice
+      lease?.throwIfLost();
+
       try {
         const emailData = {
           user: {
@@ -175,63 +270,59 @@ class EmailNotificationJob {
 
         await this.emailService.sendGenericNotificationEmail(emailData);
         successCount++;        
-        // Add 1.5 second delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
       } catch (error) {
         failureCount++;
+        unfinishedTimezones.add(user.timezone);
         console.error(`❌ Failed to send notification to ${user.firstName} (${user.email}):`, error.message);
+        continue;
       }
+
+      try {
+        await this.updateNotificationFlags(user);
+      } catch (error) {
+        flagFailureCount++;
+        unfinishedTimezones.add(user.timezone);
+        console.error(`❌ Failed to flag notifications sent to ${user.id}:`, error.message);
+      }
+
+      // Add 1.5 second delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 1500));
     }
 
-    return { successCount, failureCount };
+    return { successCount, failureCount, flagFailureCount, unfinishedTimezones };
   }
 
   /**
-   * Update notification flags
+   * Mark a user's pending match notifications as sent
+   * Throws if any of them could not be saved
    */
-  async updateNotificationFlags(users) {
-    try {
-      const batch = db.batch();
-      let updateCount = 0;
-
-      for (const user of users) {
-        for (const matchId of user.matchIds) {
-          try {
-            const matchRef = db.collection('matches').doc(matchId);
-            const matchDoc = await matchRef.get();
-            
-            if (matchDoc.exists) {
-              const matchData = matchDoc.data();
-              const updateData = {};
-              
-              if (matchData.user1_id === user.id && matchData.notification_pending_user1) {
-                updateData.notification_sent_user1 = true;
-                updateData.notification_pending_user1 = false;
-                updateCount++;
-              } else if (matchData.user2_id === user.id && matchData.notification_pending_user2) {
-                updateData.notification_sent_user2 = true;
-                updateData.notification_pending_user2 = false;
-                updateCount++;
-              }
-              
-              if (Object.keys(updateData).length > 0) {
-                batch.update(matchRef, updateData);
-              }
-            }
-          } catch (error) {
-            console.error(`❌ Error preparing notification flag update for match ${matchId}:`, error.message);
+  async updateNotificationFlags(user) {
+    const matches = await matchRepo.findByIds(user.matchIds);
+    const updates = [];
+
+    matches.forEach(matchData => {
+      if (!matchData) return;
+
+      if (matchData.user1_id === user.id && matchData.notification_pending_user1) {
+        updates.push({
+          id: matchData.id,
+          fields: {
+            notification_sent_user1: true,
+            notification_pending_user1: false
           }
-        }
+        });
+      } else if (matchData.user2_id === user.id && matchData.notification_pending_user2) {
+        updates.push({
+          id: matchData.id,
+          fields: {
+            notification_sent_user2: true,
+            notification_pending_user2: false
+          }
+        });
       }
+    });
 
-      if (updateCount > 0) {
-        await batch.commit();
-      } 
-
-    } catch (error) {
-      console.error('❌ Error updating notification flags:', error);
-    }
+    await matchRepo.updateMany(updates);
   }
 
   /**
@@ -249,8 +340,10 @@ class EmailNotificationJob {
       isRunning: this.isRunning,
       lastRun: this.lastRun,
       nextRun: this.nextRun,
-      cronExpression: '30 1 * * *',
-      timezone: 'UTC'
+      cronExpression: '*/15 * * * *',
+      timezone: 'UTC',
+      // Emails go out from this time in each user's own timezone
+      localDeliveryTime: '07:00'
     };
   }
 
@@ -258,19 +351,8 @@ class EmailNotificationJob {
    * Update next run time for status reporting
    */
   updateNextRunTime() {
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
-    tomorrow.setUTCHours(1, 30, 0, 0);
-    
-    if (now.getUTCHours() > 1 || (now.getUTCHours() === 1 && now.getUTCMinutes() >= 30)) {
-      this.nextRun = tomorrow;
-    } else {
-      const today = new Date(now);
-      today.setUTCHours(1, 30, 0, 0);
-      this.nextRun = today;
-    }
+    this.nextRun = this.cronJob ? this.cronJob.getNextRun() : null;
   }
 }
 
-module.exports = EmailNotificationJob;
\ No newline at end of file
+module.exports = EmailNotificationJob;
@@ -0,0 +1,148 @@
+const cron = require('node-cron');
+const rankingModelService = require('../services/rankingModelService');
+const jobLockService = require('../services/jobLockService');
+
+// Lock document shared by every instance
+const JOB_NAME = 'ranking_model';
+
+class RankingModelJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResult = null;
+    this.nextRun = null;
+    // 15:30 UTC is just before the first timezone's 06:00 matching window
+    // (UTC+14 reaches 06:00 at 16:00 UTC), so each day of windows, from UTC+14
+    // round to UTC-12 (18:00 UTC the next day), runs on a model trained before it began
+    this.cronExpression = '30 15 * * *';
+  }
+
+  /**
+   * Start the cron job - runs daily at 15:30 UTC, ahead of the earliest
+   * timezone's 6:00 AM matching window (see the constructor)
+   */
+  start() {
+    console.log('🧠 Ranking model training job started');
+    console.log('⏰ Scheduled to run daily at 15:30 UTC, before the first timezone reaches 6:00 AM');
+
+    this.cronJob = cron.schedule(this.cronExpression, async () => {
+      try {
+        await this.run(jobLockService.getRunKey());
+      } catch (error) {
+        // Already logged in run(); the current model stays in place
+      }
+    }, {
+      scheduled: true,
+      timezone: "UTC"
+    });
+
+    // Pick up today's run if the instance running it died
+    this.recoveryJob = cron.schedule(jobLockService.recoveryCronExpression, async () => {
+      await this.resumeInterruptedRun();
+    }, {
+      timezone: "UTC"
+    });
+    this.resumeInterruptedRun();
+
+    this.updateNextRunTime();
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.recoveryJob.stop();
+      console.log('🧠 Ranking model training job stopped');
+    }
+  }
+
+  /**
+   * Main job execution - only the instance holding the job lease trains
+   * @param {string|null} runKey - Day of a scheduled run, null for manual runs
+   * @returns {object|undefined} The run record, undefined if already running here or on another instance
+   */
+  async run(runKey = null) {
+    if (this.isRunning) {
+      console.log('⚠️ Ranking model job already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+
+    console.log('🚀 Starting ranking model training at:', this.lastRun.toISOString());
+
+    try {
+      const outcome = await jobLockService.runExclusive(JOB_NAME, runKey, ({ lease }) => rankingModelService.trainAndStore(lease));
+      if (!outcome.acquired) return;
+
+      const result = outcome.result;
+      this.lastResult = result;
+
+      if (result.status === 'completed') {
+        console.log(`📈 Ranking model trained${result.promoted ? ' and promoted' : `, not promoted: ${result.reason}`}`, {
+          examples: result.examples,
+          auc: result.metrics.auc,
+          baselines: result.metrics.baselines
+        });
+      } else {
+        console.log(`⏭️ Ranking model training skipped: ${result.reason}`);
+      }
+
+      return result;
+
+    } catch (error) {
+      console.error('❌ Ranking model training failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+      this.updateNextRunTime();
+    }
+  }
+
+  /**
+   * Re-run today's scheduled training if its instance stopped heartbeating before finishing
+   */
+  async resumeInterruptedRun() {
+    try {
+      const runKey = await jobLockService.getInterruptedRunKey(JOB_NAME);
+      if (runKey) {
+        await this.run(runKey);
+      }
+    } catch (error) {
+      console.error('❌ Failed to resume ranking model training:', error);
+    }
+  }
+
+  /**
+   * Manual trigger for testing
+   */
+  async runManually() {
+    return await this.run();
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+      nextRun: this.nextRun,
+      cronExpression: this.cronExpression,
+      timezone: 'UTC'
+    };
+  }
+
+  /**
+   * Update next run time for status reporting, from the cron schedule itself
+   */
+  updateNextRunTime() {
+    this.nextRun = this.cronJob ? this.cronJob.getNextRun() : null;
+  }
+}
+
+module.exports = RankingModelJob;
@@ -0,0 +1,124 @@
+const jwt = require('jsonwebtoken');
+const { userRepo } = require('../repositories');
+const sessionService = require('../services/sessionService');
+
+/**
+ * Pull the bearer token out of the Authorization header
+ */
+const extractBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+};
+
+/**
+ * Verify the session token and attach the caller's identity to req.user
+ */
+const authenticate = async (req, res, next) => {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authentication required'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    const isExpired = jwtError.name === 'TokenExpiredError';
+    return res.status(401).json({
+      status: 'error',
+      message: isExpired ? 'Access token has expired' : 'Invalid authentication token',
+      code: isExpired ? 'ACCESS_TOKEN_EXPIRED' : 'ACCESS_TOKEN_INVALID'
+    });
+  }
+
+  if (decoded.purpose !== 'session' || !decoded.userId || !decoded.sessionId) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid token type'
+    });
+  }
+
+  // Revoked sessions are rejected straight away, not when the token expires
+  try {
+    const isActive = await sessionService.isSessionActive(decoded.sessionId, decoded.userId);
+    if (!isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked, please sign in again',
+        code: 'SESSION_REVOKED'
+      });
+    }
+  } catch (error) {
+    console.error('❌ Session lookup failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Authentication failed'
+    });
+  }
+
+  req.user = {
+    id: decoded.userId,
+    email: decoded.email,
+    sessionId: decoded.sessionId
+  };
+
+  // Clients still send their own email/userId in many payloads - reject any
+  // that name a different user instead of silently acting on their behalf
+  const claimedIdentities = [
+    req.body?.email,
+    req.body?.userId,
+    req.body?.senderId,
+    req.query?.userId
+  ].filter(value => value !== undefined && value !== null && value !== '');
+
+  const isForeignIdentity = claimedIdentities.some(value =>
+    value !== req.user.id && value !== req.user.email
+  );
+
+  if (isForeignIdentity) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You are not allowed to act on behalf of another user'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Only let users with the admin role through - must run after authenticate
+ * The role is read from Firestore so a demotion applies on the next request
+ */
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await userRepo.findById(req.user.id);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Admin access required'
+      });
+    }
+
+    req.user.role = 'admin';
+    next();
+  } catch (error) {
+    console.error('❌ Admin check failed:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Authorization failed'
+    });
+  }
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin
+};
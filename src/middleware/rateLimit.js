@@ -0,0 +1,102 @@
+const MemoryRateLimitStore = require('../services/rateLimitStore');
+
+const defaultStore = new MemoryRateLimitStore();
+
+/**
+ * Read a positive number from the environment, falling back to a default
+ */
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Build a token-bucket limiter applied per authenticated user and per IP
+ * @param {object} options
+ * @param {string} options.name - Bucket namespace, keeps limiters independent
+ * @param {number} options.userCapacity - Burst size per user
+ * @param {number} options.userRefillPerMinute - Sustained requests per minute per user
+ * @param {number} options.ipCapacity - Burst size per IP
+ * @param {number} options.ipRefillPerMinute - Sustained requests per minute per IP
+ * @param {object} [options.store] - Store implementing consume(key, bucketConfig)
+ */
+const createRateLimiter = ({
+  name,
+  userCapacity,
+  userRefillPerMinute,
+  ipCapacity,
+  ipRefillPerMinute,
+  store = defaultStore
+}) => async (req, res, next) => {
+  try {
+    // IP first - a request the IP limit turns away must not use up the user's tokens
+    const checks = [{
+      key: `${name}:ip:${req.ip}`,
+      capacity: ipCapacity,
+      refillPerSecond: ipRefillPerMinute / 60
+    }];
+
+    // Routes without authentication are only limited by IP
+    if (req.user?.id) {
+      checks.push({
+        key: `${name}:user:${req.user.id}`,
+        capacity: userCapacity,
+        refillPerSecond: userRefillPerMinute / 60
+      });
+    }
+
+    for (const check of checks) {
+      const result = await store.consume(check.key, check);
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+          status: 'error',
+          message: 'Too many requests, please try again later',
+          code: 'RATE_LIMITED',
+          retryAfter: result.retryAfterSeconds
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    // A broken limiter store should not take the API down with it
+    console.error('❌ Rate limiter error:', error);
+    next();
+  }
+};
+
+// General write endpoints (likes, passes, chat messages, profile updates)
+const writeLimiter = createRateLimiter({
+  name: 'write',
+  userCapacity: numberFromEnv('RATE_LIMIT_WRITE_USER_BURST', 30),
+  userRefillPerMinute: numberFromEnv('RATE_LIMIT_WRITE_USER_PER_MINUTE', 60),
+  ipCapacity: numberFromEnv('RATE_LIMIT_WRITE_IP_BURST', 100),
+  ipRefillPerMinute: numberFromEnv('RATE_LIMIT_WRITE_IP_PER_MINUTE', 200)
+});
+
+// Routes that can trigger a paid Claude call - far tighter than writes. A
+// questionnaire answer takes a while to type, so onboarding stays within a
+// small burst and a few requests a minute
+const llmLimiter = createRateLimiter({
+  name: 'llm',
+  userCapacity: numberFromEnv('RATE_LIMIT_LLM_USER_BURST', 5),
+  userRefillPerMinute: numberFromEnv('RATE_LIMIT_LLM_USER_PER_MINUTE', 5),
+  ipCapacity: numberFromEnv('RATE_LIMIT_LLM_IP_BURST', 10),
+  ipRefillPerMinute: numberFromEnv('RATE_LIMIT_LLM_IP_PER_MINUTE', 10)
+});
+
+// Sign-in, registration and token exchange (no user yet, so IP only)
+const authLimiter = createRateLimiter({
+  name: 'auth',
+  ipCapacity: numberFromEnv('RATE_LIMIT_AUTH_IP_BURST', 10),
+  ipRefillPerMinute: numberFromEnv('RATE_LIMIT_AUTH_IP_PER_MINUTE', 10)
+});
+
+module.exports = {
+  createRateLimiter,
+  writeLimiter,
+  llmLimiter,
+  authLimiter
+};
@@ -0,0 +1,51 @@
+/**
+ * Build middleware that validates part of the request against a joi schema
+ * Valid values replace the originals, so controllers get coerced types
+ * (e.g. age as an integer, 'true' as a boolean)
+ * @param {object} schemas - joi schemas keyed by request part: body, query, params
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const [source, schema] of Object.entries(schemas)) {
+    const { value, error } = schema.validate(req[source] || {}, {
+      abortEarly: false,
+      convert: true,
+      stripUnknown: true,
+      errors: { wrap: { label: false } }
+    });
+
+    if (error) {
+      error.details.forEach(detail => {
+        errors.push({
+          field: detail.path.join('.') || null,
+          location: source,
+          message: detail.message
+        });
+      });
+      continue;
+    }
+
+    // req.query is a getter in Express 5, so redefine it instead of assigning
+    Object.defineProperty(req, source, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,34 @@
+const { normalizeGender, normalizeInterestedIn } = require('../services/genderModel');
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * `gender` as one of genderModel.GENDERS and `interestedIn` as an array of
+ * them ("both" -> every gender, "women" -> ['female']). Values the model does
+ * not recognize are logged and left as they are.
+ */
+module.exports = {
+  id: '001-gender-model',
+  description: 'Rewrite gender and interestedIn into the shared gender model',
+  collection: 'users',
+
+  migrate(user, userId) {
+    const update = {};
+
+    const gender = normalizeGender(user.gender);
+    if (!gender) {
+      console.warn(`⚠️ User ${userId} has an unrecognized gender: ${JSON.stringify(user.gender ?? null)}`);
+    } else if (gender !== user.gender) {
+      update.gender = gender;
+    }
+
+    const interestedIn = normalizeInterestedIn(user.interestedIn);
+    if (!interestedIn) {
+      console.warn(`⚠️ User ${userId} has an unrecognized interestedIn: ${JSON.stringify(user.interestedIn ?? null)}`);
+    } else if (!sameValue(interestedIn, user.interestedIn)) {
+      update.interestedIn = interestedIn;
+    }
+
+    return Object.keys(update).length > 0 ? update : null;
+  }
+};
@@ -0,0 +1,24 @@
+const ACTION_FIELDS = ['user1_action', 'user2_action'];
+
+/**
+ * Old clients saved "no action yet" as the string "null" or as "", and the
+ * oldest matches have no action fields at all. All of them become null.
+ */
+module.exports = {
+  id: '002-match-actions',
+  description: 'Store missing match actions as null instead of "null" or ""',
+  collection: 'matches',
+
+  migrate(match) {
+    const update = {};
+
+    ACTION_FIELDS.forEach(field => {
+      const action = match[field];
+      if (action === undefined || action === 'null' || action === '') {
+        update[field] = null;
+      }
+    });
+
+    return Object.keys(update).length > 0 ? update : null;
+  }
+};
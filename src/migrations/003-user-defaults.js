@@ -0,0 +1,37 @@
+// Fields registration sets that users created before them are missing
+const USER_DEFAULTS = {
+  hasSeenDashboardTour: false,
+  tourCompletedAt: null,
+  isPWAInstalled: false,
+  pushNotificationsEnabled: false,
+  pwaInstallPromptShown: false,
+  pwaInstallPromptDismissed: false,
+  lastPWAPromptAt: null,
+  pwaPromptRejectedCount: 0,
+  nextPWAPromptEligibleAt: null,
+  pwaPromptAcceptedAt: null,
+  showFullProfile: false,
+  showPersonalityScore: false
+};
+
+/**
+ * Give older users the tour, PWA and privacy defaults new users are
+ * registered with, so sign-in can return the user doc as stored
+ */
+module.exports = {
+  id: '003-user-defaults',
+  description: 'Backfill missing tour, PWA and privacy defaults on users',
+  collection: 'users',
+
+  migrate(user) {
+    const update = {};
+
+    Object.entries(USER_DEFAULTS).forEach(([field, value]) => {
+      if (user[field] === undefined || (user[field] === null && value !== null)) {
+        update[field] = value;
+      }
+    });
+
+    return Object.keys(update).length > 0 ? update : null;
+  }
+};
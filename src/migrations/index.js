@@ -0,0 +1,31 @@
+/**
+ * Firestore data migrations, in the order they run
+ *
+ * A migration is a module exporting:
+ *   id          - unique and sortable ("004-short-name"); recorded in `schema_migrations` once applied
+ *   description - one line for the status listing
+ *   collection  - collection whose documents it rewrites
+ *   migrate(data, docId) - the fields to update on one document, or null to leave it alone
+ *
+ * migrate must be safe to run twice on the same document: a resumed run
+ * repeats the page it was on when it stopped. Add new migrations to the end
+ * of the list; never reorder or edit one that has been applied.
+ */
+const MIGRATIONS = [
+  require('./001-gender-model'),
+  require('./002-match-actions'),
+  require('./003-user-defaults')
+];
+
+const ids = new Set();
+MIGRATIONS.forEach(migration => {
+  if (!migration.id || !migration.collection || typeof migration.migrate !== 'function') {
+    throw new Error(`Migration "${migration.id}" must have an id, a collection and migrate()`);
+  }
+  if (ids.has(migration.id)) {
+    throw new Error(`Migration "${migration.id}" is listed twice`);
+  }
+  ids.add(migration.id);
+});
+
+module.exports = MIGRATIONS;
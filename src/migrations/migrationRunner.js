@@ -0,0 +1,224 @@
+const { migrationRepo } = require('../repositories');
+const jobLockService = require('../services/jobLockService');
+const MIGRATIONS = require('./index');
+
+// Firestore batches take at most 500 writes - one is left for the checkpoint
+const PAGE_SIZE = 499;
+
+const toDate = (value) => value?.toDate ? value.toDate() : value || null;
+
+/**
+ * Applies the migrations in ./index.js and records them in `schema_migrations`
+ *
+ * Each migration pages through its collection in document ID order. Every
+ * page's updates are committed in one batch together with the migration's
+ * checkpoint (the last document ID done), so a run that stops part way -
+ * crash, deploy, timeout - resumes after the last saved page. Only one
+ * instance migrates at a time (job_locks/migrations).
+ */
+class MigrationRunner {
+  constructor() {
+    this.migrations = MIGRATIONS;
+    // A completed migration never goes back to pending, so only that answer is cached
+    this.appliedIds = new Set();
+  }
+
+  /**
+   * Whether a migration has completed over its whole collection
+   */
+  async isApplied(migrationId) {
+    if (this.appliedIds.has(migrationId)) return true;
+
+    const record = await migrationRepo.findById(migrationId);
+    const applied = record?.status === 'completed';
+    if (applied) this.appliedIds.add(migrationId);
+    return applied;
+  }
+
+  /**
+   * Read-time stand-in for a migration that has not completed yet
+   * Between a deploy and `npm run migrate` documents are still in the old
+   * shape; the returned function applies the migration to one document as
+   * it is read, and does nothing once the migration has run.
+   * @returns {Function} (data, docId) => data in the migrated shape
+   */
+  async getReadFallback(migrationId) {
+    const migration = this.migrations.find(item => item.id === migrationId);
+    if (!migration) {
+      throw new Error(`Unknown migration "${migrationId}"`);
+    }
+
+    if (await this.isApplied(migrationId)) {
+      return (data) => data;
+    }
+    return (data, docId) => ({ ...data, ...migration.migrate(data, docId) });
+  }
+
+  /**
+   * Every migration and how far it has got
+   */
+  async getStatus() {
+    const records = await migrationRepo.findByIds(this.migrations.map(migration => migration.id));
+
+    return this.migrations.map((migration, index) => {
+      const record = records[index] || {};
+      return {
+        id: migration.id,
+        description: migration.description,
+        collection: migration.collection,
+        status: record.status || 'pending',
+        scanned: record.scanned || 0,
+        updated: record.updated || 0,
+        cursor: record.cursor || null,
+        finishedAt: toDate(record.finishedAt),
+        lastError: record.lastError || null
+      };
+    });
+  }
+
+  /**
+   * Migrations that have not completed
+   */
+  async getPending() {
+    const status = await this.getStatus();
+    return status.filter(migration => migration.status !== 'completed');
+  }
+
+  /**
+   * Apply every migration that has not completed, in order, stopping at the first failure
+   * @param {object} options - dryRun, only (run just this migration ID)
+   * @returns {Array|undefined} One result per migration, undefined if another instance is migrating
+   */
+  async run({ dryRun = false, only = null } = {}) {
+    const migrations = only
+      ? this.migrations.filter(migration => migration.id === only)
+      : this.migrations;
+
+    if (only && migrations.length === 0) {
+      throw new Error(`Unknown migration "${only}" (expected one of: ${this.migrations.map(migration => migration.id).join(', ')})`);
+    }
+
+    // A dry run writes nothing, so it can run alongside a real one
+    if (dryRun) {
+      return await this.runAll(migrations, true);
+    }
+
+    const lockResult = await jobLockService.runExclusive('migrations', null, ({ lease }) => this.runAll(migrations, false, lease));
+    return lockResult.acquired ? lockResult.result : undefined;
+  }
+
+  async runAll(migrations, dryRun, lease = null) {
+    const results = [];
+    for (const migration of migrations) {
+      results.push(await this.runMigration(migration, dryRun, lease));
+    }
+    return results;
+  }
+
+  /**
+   * Apply one migration, resuming from its checkpoint
+   * @param {object|null} lease - Job lease handle, checked before each page
+   * @returns {object} { id, status, scanned, updated, resumed }
+   */
+  async runMigration(migration, dryRun = false, lease = null) {
+    const record = await migrationRepo.findById(migration.id);
+
+    if (record && record.status === 'completed') {
+      console.log(`⏭️ ${migration.id} already applied`);
+      return { id: migration.id, status: 'skipped', scanned: 0, updated: 0, resumed: false };
+    }
+
+    // A dry run always starts from the beginning
+    const resumeFrom = !dryRun && record ? record.cursor || null : null;
+    const stats = {
+      scanned: resumeFrom ? record.scanned || 0 : 0,
+      updated: resumeFrom ? record.updated || 0 : 0
+    };
+
+    if (!dryRun) {
+      await migrationRepo.save(migration.id, {
+        id: migration.id,
+        description: migration.description,
+        collection: migration.collection,
+        status: 'running',
+        cursor: resumeFrom,
+        scanned: stats.scanned,
+        updated: stats.updated,
+        startedAt: record?.startedAt || new Date(),
+        updatedAt: new Date(),
+        finishedAt: null,
+        lastError: null
+      });
+    }
+
+    console.log(`🔄 ${resumeFrom ? `Resuming ${migration.id} after ${resumeFrom}` : `Running ${migration.id}`}: ${migration.description}${dryRun ? ' (dry run - nothing is saved)' : ''}`);
+
+    let cursor = resumeFrom;
+    try {
+      while (true) {
+        lease?.throwIfLost();
+
+        const docs = await migrationRepo.findPage(migration.collection, cursor, PAGE_SIZE);
+        if (docs.length === 0) break;
+
+        const updates = [];
+        docs.forEach(({ id, data }) => {
+          const fields = migration.migrate(data, id);
+          if (fields) updates.push({ id, fields });
+        });
+
+        cursor = docs[docs.length - 1].id;
+
+        if (!dryRun) {
+          await migrationRepo.savePage(migration.collection, updates, migration.id, {
+            cursor: cursor,
+            scanned: stats.scanned + docs.length,
+            updated: stats.updated + updates.length,
+            updatedAt: new Date()
+          });
+        }
+
+        // Counted only once the page is saved
+        stats.scanned += docs.length;
+        stats.updated += updates.length;
+        console.log(`   • ${stats.scanned} ${migration.collection} scanned, ${stats.updated} ${dryRun ? 'to update' : 'updated'}`);
+
+        if (docs.length < PAGE_SIZE) break;
+      }
+    } catch (error) {
+      console.error(`❌ ${migration.id} failed after ${stats.scanned} documents:`, error.message);
+
+      // The instance that took the lease over owns the record now
+      if (!dryRun && !jobLockService.isLeaseLost(error)) {
+        await migrationRepo.update(migration.id, {
+          status: 'failed',
+          lastError: error.message,
+          updatedAt: new Date()
+        }).catch(recordError => {
+          console.error(`❌ Failed to record the ${migration.id} failure:`, recordError.message);
+        });
+      }
+      throw error;
+    }
+
+    if (!dryRun) {
+      await migrationRepo.update(migration.id, {
+        status: 'completed',
+        updatedAt: new Date(),
+        finishedAt: new Date()
+      });
+    }
+
+    console.log(`✅ ${migration.id}: ${stats.updated} of ${stats.scanned} ${migration.collection} ${dryRun ? 'would be updated' : 'updated'}`);
+
+    return {
+      id: migration.id,
+      status: dryRun ? 'dry_run' : 'completed',
+      scanned: stats.scanned,
+      updated: stats.updated,
+      resumed: Boolean(resumeFrom)
+    };
+  }
+}
+
+module.exports = new MigrationRunner();
@@ -0,0 +1,34 @@
+/**
+ * Account deletion receipts in `account_deletions`, keyed by user ID
+ */
+class AccountDeletionRepo {
+  constructor({ db }) {
+    this.receiptsRef = db.collection('account_deletions');
+  }
+
+  /**
+   * @returns {object|null} The user's receipt, or null if deletion never started
+   */
+  async findByUserId(userId) {
+    const receiptDoc = await this.receiptsRef.doc(userId).get();
+    return receiptDoc.exists ? receiptDoc.data() : null;
+  }
+
+  async create(userId, receipt) {
+    await this.receiptsRef.doc(userId).set(receipt);
+  }
+
+  async update(userId, fields) {
+    await this.receiptsRef.doc(userId).update(fields);
+  }
+
+  /**
+   * Record one step's outcome, leaving the other steps as they are
+   * @param {object} fields - Other receipt fields to update with it
+   */
+  async saveStep(userId, stepName, step, fields = {}) {
+    await this.update(userId, { [`steps.${stepName}`]: step, ...fields });
+  }
+}
+
+module.exports = AccountDeletionRepo;
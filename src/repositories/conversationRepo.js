@@ -0,0 +1,105 @@
+/**
+ * Chat conversations in the Realtime Database
+ *
+ * A conversation lives at `conversations/{chatId}` and is listed under
+ * `userConversations/{userId}/{chatId}` for each participant, so a user's
+ * chats can be read without scanning every conversation.
+ */
+class ConversationRepo {
+  constructor({ realtimeDb }) {
+    this.realtimeDb = realtimeDb;
+  }
+
+  conversationRef(chatId) {
+    return this.realtimeDb.ref(`conversations/${chatId}`);
+  }
+
+  /**
+   * @returns {object|null} The conversation, or null if it does not exist
+   */
+  async findById(chatId) {
+    const snapshot = await this.conversationRef(chatId).once('value');
+    return snapshot.exists() ? snapshot.val() : null;
+  }
+
+  async isParticipant(chatId, userId) {
+    const snapshot = await this.realtimeDb.ref(`conversations/${chatId}/participants/${userId}`).once('value');
+    return snapshot.exists();
+  }
+
+  /**
+   * IDs of the conversations in the user's index
+   * @returns {Array|null} null if the user has no index yet
+   */
+  async findIdsForUser(userId) {
+    const snapshot = await this.realtimeDb.ref(`userConversations/${userId}`).once('value');
+    return snapshot.exists() ? Object.keys(snapshot.val()) : null;
+  }
+
+  /**
+   * Every conversation, keyed by chat ID - for users whose index predates userConversations
+   */
+  async findAll() {
+    const snapshot = await this.realtimeDb.ref('conversations').once('value');
+    return snapshot.exists() ? snapshot.val() : {};
+  }
+
+  async create(chatId, conversation) {
+    await this.conversationRef(chatId).set(conversation);
+  }
+
+  /**
+   * Update a conversation - keys may be paths within it ("participants/{id}/unreadCount")
+   */
+  async update(chatId, updates) {
+    await this.conversationRef(chatId).update(updates);
+  }
+
+  /**
+   * Reset the user's unread count and record when they last read the chat
+   */
+  async markSeen(chatId, userId) {
+    await this.update(chatId, {
+      [`participants/${userId}/unreadCount`]: 0,
+      [`participants/${userId}/lastSeen`]: new Date().toISOString()
+    });
+  }
+
+  async addToUserIndexes(chatId, userIds) {
+    const updates = {};
+    userIds.forEach(userId => {
+      updates[`userConversations/${userId}/${chatId}`] = true;
+    });
+    await this.realtimeDb.ref().update(updates);
+  }
+
+  async removeFromUserIndex(userId, chatId) {
+    await this.realtimeDb.ref(`userConversations/${userId}/${chatId}`).remove();
+  }
+
+  async remove(chatId) {
+    await this.conversationRef(chatId).remove();
+  }
+
+  /**
+   * Delete a conversation and take it out of every participant's index
+   */
+  async removeEverywhere(chatId) {
+    const conversation = await this.findById(chatId);
+
+    const updates = { [`conversations/${chatId}`]: null };
+    Object.keys(conversation?.participants || {}).forEach(userId => {
+      updates[`userConversations/${userId}/${chatId}`] = null;
+    });
+    await this.realtimeDb.ref().update(updates);
+  }
+
+  /**
+   * Delete the user's whole conversation index
+   */
+  async removeUserIndex(userId) {
+    await this.realtimeDb.ref(`userConversations/${userId}`).remove();
+  }
+}
+
+module.exports = ConversationRepo;
@@ -0,0 +1,48 @@
+/**
+ * Personal data export requests in `data_exports`
+ *
+ * Reads return the stored export with `id` set to the document ID, or null.
+ */
+class DataExportRepo {
+  constructor({ db }) {
+    this.exportsRef = db.collection('data_exports');
+  }
+
+  toExport(doc) {
+    return { id: doc.id, ...doc.data() };
+  }
+
+  async findById(exportId) {
+    const exportDoc = await this.exportsRef.doc(exportId).get();
+    return exportDoc.exists ? this.toExport(exportDoc) : null;
+  }
+
+  async findForUser(userId) {
+    const snapshot = await this.exportsRef.where('userId', '==', userId).get();
+    return snapshot.docs.map(doc => this.toExport(doc));
+  }
+
+  async findByStatus(status) {
+    const snapshot = await this.exportsRef.where('status', '==', status).get();
+    return snapshot.docs.map(doc => this.toExport(doc));
+  }
+
+  /**
+   * @returns {string} The new export's ID
+   */
+  async create(exportData) {
+    const exportRef = this.exportsRef.doc();
+    await exportRef.set(exportData);
+    return exportRef.id;
+  }
+
+  async update(exportId, fields) {
+    await this.exportsRef.doc(exportId).update(fields);
+  }
+
+  async remove(exportId) {
+    await this.exportsRef.doc(exportId).delete();
+  }
+}
+
+module.exports = DataExportRepo;
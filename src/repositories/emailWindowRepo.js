@@ -0,0 +1,25 @@
+/**
+ * Timezones emailed for a local day, in `email_windows`
+ *
+ * Keyed by the same window key as the day's matching checkpoint
+ * (timezoneService.getWindowKey).
+ */
+class EmailWindowRepo {
+  constructor({ db }) {
+    this.windowsRef = db.collection('email_windows');
+  }
+
+  /**
+   * @returns {object|null} The window, or null if it has not been emailed
+   */
+  async findByKey(windowKey) {
+    const windowDoc = await this.windowsRef.doc(windowKey).get();
+    return windowDoc.exists ? windowDoc.data() : null;
+  }
+
+  async save(windowKey, window) {
+    await this.windowsRef.doc(windowKey).set(window);
+  }
+}
+
+module.exports = EmailWindowRepo;
@@ -0,0 +1,38 @@
+// Firestore batches take at most 500 writes
+const BATCH_LIMIT = 500;
+
+/**
+ * Write items in batches of at most BATCH_LIMIT, one commit per batch
+ * @param {Function} write - (batch, item) => void, adds the item's write to the batch
+ */
+const writeInBatches = async (db, items, write) => {
+  for (let i = 0; i < items.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    items.slice(i, i + BATCH_LIMIT).forEach(item => write(batch, item));
+    await batch.commit();
+  }
+};
+
+/**
+ * Read a document, decide what to change and write it, in one transaction
+ * @param {Function} decide - Gets the stored data (null if there is no document)
+ *   and returns { update, result }; update is merged into the document unless
+ *   it is null, result is returned. Anything it throws aborts the transaction.
+ */
+const updateInTransaction = async (db, ref, decide) => {
+  return await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const { update = null, result } = decide(doc.exists ? doc.data() : null);
+
+    if (update) {
+      transaction.set(ref, update, { merge: true });
+    }
+    return result;
+  });
+};
+
+module.exports = {
+  BATCH_LIMIT,
+  writeInBatches,
+  updateInTransaction
+};
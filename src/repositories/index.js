@@ -0,0 +1,46 @@
+const firebase = require('../config/firebase');
+const UserRepo = require('./userRepo');
+const MatchRepo = require('./matchRepo');
+const ConversationRepo = require('./conversationRepo');
+const MessageRepo = require('./messageRepo');
+const SessionRepo = require('./sessionRepo');
+const MagicLinkRepo = require('./magicLinkRepo');
+const JobLockRepo = require('./jobLockRepo');
+const TimezoneRepo = require('./timezoneRepo');
+const MatchingRunRepo = require('./matchingRunRepo');
+const RankingModelRepo = require('./rankingModelRepo');
+const DataExportRepo = require('./dataExportRepo');
+const AccountDeletionRepo = require('./accountDeletionRepo');
+const EmailWindowRepo = require('./emailWindowRepo');
+const MigrationRepo = require('./migrationRepo');
+const { createMemoryRepositories } = require('./memory');
+
+/**
+ * The repositories over one Firestore / Realtime Database pair
+ *
+ * Services use the app's set below - these over config/firebase, or the
+ * in-memory ones from ./memory when DATA_STORE=memory.
+ * @param {object} stores - { db, realtimeDb }
+ */
+const createRepositories = ({ db, realtimeDb }) => ({
+  userRepo: new UserRepo({ db }),
+  matchRepo: new MatchRepo({ db, realtimeDb }),
+  conversationRepo: new ConversationRepo({ realtimeDb }),
+  messageRepo: new MessageRepo({ realtimeDb }),
+  sessionRepo: new SessionRepo({ db }),
+  magicLinkRepo: new MagicLinkRepo({ db }),
+  jobLockRepo: new JobLockRepo({ db }),
+  timezoneRepo: new TimezoneRepo({ db }),
+  matchingRunRepo: new MatchingRunRepo({ db }),
+  rankingModelRepo: new RankingModelRepo({ db }),
+  dataExportRepo: new DataExportRepo({ db }),
+  accountDeletionRepo: new AccountDeletionRepo({ db }),
+  emailWindowRepo: new EmailWindowRepo({ db }),
+  migrationRepo: new MigrationRepo({ db })
+});
+
+module.exports = {
+  ...(firebase.dataStore === 'memory' ? createMemoryRepositories() : createRepositories(firebase)),
+  createRepositories,
+  createMemoryRepositories
+};
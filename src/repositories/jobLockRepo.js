@@ -0,0 +1,28 @@
+const { updateInTransaction } = require('./firestoreHelpers');
+
+/**
+ * Cron job leases in `job_locks`, keyed by job name
+ */
+class JobLockRepo {
+  constructor({ db }) {
+    this.db = db;
+    this.locksRef = db.collection('job_locks');
+  }
+
+  /**
+   * @returns {object|null} The lock, or null if the job has never been locked
+   */
+  async findByName(jobName) {
+    const lockDoc = await this.locksRef.doc(jobName).get();
+    return lockDoc.exists ? lockDoc.data() : null;
+  }
+
+  /**
+   * Read and update a lock atomically (see firestoreHelpers.updateInTransaction)
+   */
+  async transact(jobName, decide) {
+    return await updateInTransaction(this.db, this.locksRef.doc(jobName), decide);
+  }
+}
+
+module.exports = JobLockRepo;
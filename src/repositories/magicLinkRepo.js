@@ -0,0 +1,56 @@
+const { writeInBatches, updateInTransaction } = require('./firestoreHelpers');
+
+/**
+ * Email auto-login links in `magic_links`, keyed by the link's nonce
+ */
+class MagicLinkRepo {
+  constructor({ db }) {
+    this.db = db;
+    this.magicLinksRef = db.collection('magic_links');
+  }
+
+  /**
+   * @returns {string} The new link's nonce
+   */
+  async create(link) {
+    const linkRef = this.magicLinksRef.doc();
+    await linkRef.set(link);
+    return linkRef.id;
+  }
+
+  /**
+   * Read and update a link atomically (see firestoreHelpers.updateInTransaction)
+   */
+  async transact(nonce, decide) {
+    return await updateInTransaction(this.db, this.magicLinksRef.doc(nonce), decide);
+  }
+
+  /**
+   * Revoke every link the user has not used yet
+   * @returns {number} Number of links revoked
+   */
+  async revokeUnusedForUser(userId) {
+    const snapshot = await this.magicLinksRef
+      .where('userId', '==', userId)
+      .where('usedAt', '==', null)
+      .where('revokedAt', '==', null)
+      .get();
+
+    await writeInBatches(this.db, snapshot.docs, (batch, doc) => {
+      batch.update(doc.ref, { revokedAt: new Date() });
+    });
+    return snapshot.size;
+  }
+
+  /**
+   * Delete every link the user has been sent, used or not
+   * @returns {number} Number of links deleted
+   */
+  async removeAllForUser(userId) {
+    const snapshot = await this.magicLinksRef.where('userId', '==', userId).get();
+    await writeInBatches(this.db, snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+    return snapshot.size;
+  }
+}
+
+module.exports = MagicLinkRepo;
@@ -0,0 +1,234 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { writeInBatches } = require('./firestoreHelpers');
+
+/**
+ * Matches in `matches`, plus the live match updates clients listen to in
+ * the Realtime Database at `match_updates/{userId}/{matchId}`
+ *
+ * Daily matching saves each timezone's matches together with the window's
+ * progress in `matching_checkpoints/{windowKey}`, so the checkpoints live
+ * here too.
+ *
+ * Reads return the stored match with `id` set to the document ID, or null.
+ */
+class MatchRepo {
+  constructor({ db, realtimeDb }) {
+    this.db = db;
+    this.matchesRef = db.collection('matches');
+    this.checkpointsRef = db.collection('matching_checkpoints');
+    this.realtimeDb = realtimeDb;
+  }
+
+  toMatch(doc) {
+    return { id: doc.id, ...doc.data() };
+  }
+
+  async findById(matchId) {
+    const matchDoc = await this.matchesRef.doc(matchId).get();
+    return matchDoc.exists ? this.toMatch(matchDoc) : null;
+  }
+
+  /**
+   * Matches by ID, in the same order - null for a match that does not exist
+   */
+  async findByIds(matchIds) {
+    if (matchIds.length === 0) return [];
+
+    const matchDocs = await this.db.getAll(...matchIds.map(matchId => this.matchesRef.doc(matchId)));
+    return matchDocs.map(doc => (doc.exists ? this.toMatch(doc) : null));
+  }
+
+  /**
+   * Every match
+   * @param {Array|null} fields - Only read these fields, to hold memory down on large reads
+   */
+  async findAll(fields = null) {
+    const query = fields ? this.matchesRef.select(...fields) : this.matchesRef;
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => this.toMatch(doc));
+  }
+
+  /**
+   * Every match the user is part of, visible or not, split by the user's side of the match
+   * @returns {object} { asUser1, asUser2 }
+   */
+  async findForUser(userId) {
+    const [asUser1, asUser2] = await Promise.all([
+      this.matchesRef.where('user1_id', '==', userId).get(),
+      this.matchesRef.where('user2_id', '==', userId).get()
+    ]);
+
+    return {
+      asUser1: asUser1.docs.map(doc => this.toMatch(doc)),
+      asUser2: asUser2.docs.map(doc => this.toMatch(doc))
+    };
+  }
+
+  /**
+   * Every match saved for a timezone's local day
+   */
+  async findForWindow(timezone, localDate) {
+    const snapshot = await this.matchesRef
+      .where('run_timezone', '==', timezone)
+      .where('run_date', '==', localDate)
+      .get();
+    return snapshot.docs.map(doc => this.toMatch(doc));
+  }
+
+  /**
+   * Matches with a notification pending for either user
+   */
+  async findPendingNotifications() {
+    const snapshots = await Promise.all([
+      this.matchesRef.where('notification_pending_user1', '==', true).get(),
+      this.matchesRef.where('notification_pending_user2', '==', true).get()
+    ]);
+
+    const matches = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => matches.set(doc.id, this.toMatch(doc))));
+    return [...matches.values()];
+  }
+
+  /**
+   * Matches the user can see, newest first, split by the user's side of the match
+   * @returns {object} { asUser1, asUser2 }
+   */
+  async findVisibleTo(userId) {
+    const [asUser1, asUser2] = await Promise.all([
+      this.matchesRef
+        .where('user1_id', '==', userId)
+        .where('visible_to_user1', '==', true)
+        .orderBy('created_at', 'desc')
+        .get(),
+      this.matchesRef
+        .where('user2_id', '==', userId)
+        .where('visible_to_user2', '==', true)
+        .orderBy('created_at', 'desc')
+        .get()
+    ]);
+
+    return {
+      asUser1: asUser1.docs.map(doc => this.toMatch(doc)),
+      asUser2: asUser2.docs.map(doc => this.toMatch(doc))
+    };
+  }
+
+  /**
+   * Every match between two users, whichever of them is user1
+   */
+  async findBetween(userId, otherUserId) {
+    const [forward, reverse] = await Promise.all([
+      this.matchesRef.where('user1_id', '==', userId).where('user2_id', '==', otherUserId).get(),
+      this.matchesRef.where('user1_id', '==', otherUserId).where('user2_id', '==', userId).get()
+    ]);
+
+    return [...forward.docs, ...reverse.docs].map(doc => this.toMatch(doc));
+  }
+
+  /**
+   * Save a match under its ID (daily matching uses its pair_key)
+   */
+  async create(matchId, match) {
+    await this.matchesRef.doc(matchId).set(match);
+  }
+
+  async update(matchId, fields) {
+    await this.matchesRef.doc(matchId).update(fields);
+  }
+
+  /**
+   * Update a match on a user's like, pass or interest, recording who acted and when
+   */
+  async recordAction(matchId, userId, fields) {
+    await this.update(matchId, {
+      ...fields,
+      last_action_by: userId,
+      last_action_at: FieldValue.serverTimestamp(),
+      total_interactions: FieldValue.increment(1)
+    });
+  }
+
+  /**
+   * Update several matches, in batches of at most 500
+   * @param {Array} updates - { id, fields }
+   */
+  async updateMany(updates) {
+    await writeInBatches(this.db, updates, (batch, { id, fields }) => {
+      batch.update(this.matchesRef.doc(id), fields);
+    });
+  }
+
+  async deleteMany(matchIds) {
+    if (matchIds.length === 0) return;
+
+    const batch = this.db.batch();
+    matchIds.forEach(matchId => batch.delete(this.matchesRef.doc(matchId)));
+    await batch.commit();
+  }
+
+  /**
+   * Push a live update about a match to both of its users
+   */
+  async publishUpdate(matchId, userIds, payload) {
+    const updates = {};
+    userIds.forEach(userId => {
+      updates[`match_updates/${userId}/${matchId}`] = payload;
+    });
+    await this.realtimeDb.ref().update(updates);
+  }
+
+  async clearUpdate(matchId, userIds) {
+    await this.publishUpdate(matchId, userIds, null);
+  }
+
+  /**
+   * Clear several live updates at once
+   * @param {Array} entries - { matchId, userId }
+   */
+  async clearUpdates(entries) {
+    if (entries.length === 0) return;
+
+    const updates = {};
+    entries.forEach(({ matchId, userId }) => {
+      updates[`match_updates/${userId}/${matchId}`] = null;
+    });
+    await this.realtimeDb.ref().update(updates);
+  }
+
+  /**
+   * Clear every live update the user holds
+   */
+  async clearAllUpdatesFor(userId) {
+    await this.realtimeDb.ref(`match_updates/${userId}`).remove();
+  }
+
+  /**
+   * A delivery window's matching progress, or null if it has not started
+   */
+  async findCheckpoint(windowKey) {
+    const checkpointDoc = await this.checkpointsRef.doc(windowKey).get();
+    return checkpointDoc.exists ? checkpointDoc.data() : null;
+  }
+
+  async saveCheckpoint(windowKey, checkpoint) {
+    await this.checkpointsRef.doc(windowKey).set(checkpoint);
+  }
+
+  async updateCheckpoint(windowKey, fields) {
+    await this.checkpointsRef.doc(windowKey).update(fields);
+  }
+
+  /**
+   * Save new matches for a window together with its checkpoint update, in one batch
+   * Either every match and the checkpoint are saved or none are.
+   * @param {Array} matches - Match documents, keyed by their pair_key
+   */
+  async createForWindow(windowKey, matches, checkpointFields) {
+    const batch = this.db.batch();
+    matches.forEach(match => batch.set(this.matchesRef.doc(match.pair_key), match));
+    batch.update(this.checkpointsRef.doc(windowKey), checkpointFields);
+    await batch.commit();
+  }
+}
+
+module.exports = MatchRepo;
@@ -0,0 +1,49 @@
+/**
+ * Daily matching run records in `matching_runs`
+ *
+ * Reads return the stored run with `id` set to the document ID.
+ */
+class MatchingRunRepo {
+  constructor({ db }) {
+    this.runsRef = db.collection('matching_runs');
+  }
+
+  /**
+   * @returns {string} The new run's ID
+   */
+  async create(run) {
+    const runRef = await this.runsRef.add(run);
+    return runRef.id;
+  }
+
+  async update(runId, fields) {
+    await this.runsRef.doc(runId).update(fields);
+  }
+
+  /**
+   * One page of runs, newest first
+   * @param {object} options - limit, and cursor (the last run ID of the previous page)
+   * @returns {object|null} { runs, hasMore }, or null if the cursor run does not exist
+   */
+  async findPage({ limit, cursor = null }) {
+    let query = this.runsRef.orderBy('startedAt', 'desc');
+
+    if (cursor) {
+      const cursorDoc = await this.runsRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return null;
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    // One extra to know whether there is another page
+    const snapshot = await query.limit(limit + 1).get();
+
+    return {
+      runs: snapshot.docs.slice(0, limit).map(doc => ({ id: doc.id, ...doc.data() })),
+      hasMore: snapshot.docs.length > limit
+    };
+  }
+}
+
+module.exports = MatchingRunRepo;
@@ -0,0 +1,26 @@
+/**
+ * Account deletion receipts, held in memory (see ../accountDeletionRepo)
+ */
+class MemoryAccountDeletionRepo {
+  constructor({ store }) {
+    this.receipts = store.collection('account_deletions');
+  }
+
+  async findByUserId(userId) {
+    return this.receipts.get(userId);
+  }
+
+  async create(userId, receipt) {
+    this.receipts.set(userId, receipt);
+  }
+
+  async update(userId, fields) {
+    this.receipts.update(userId, fields);
+  }
+
+  async saveStep(userId, stepName, step, fields = {}) {
+    await this.update(userId, { [`steps.${stepName}`]: step, ...fields });
+  }
+}
+
+module.exports = MemoryAccountDeletionRepo;
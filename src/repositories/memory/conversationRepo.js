@@ -0,0 +1,100 @@
+const { clone, toRealtimeValue } = require('./memoryStore');
+
+/**
+ * Chat conversations and each user's conversation index, held in memory
+ * (see ../conversationRepo)
+ */
+class MemoryConversationRepo {
+  constructor() {
+    this.conversations = new Map();
+    this.userConversations = new Map();
+  }
+
+  async findById(chatId) {
+    return this.conversations.has(chatId) ? clone(this.conversations.get(chatId)) : null;
+  }
+
+  async isParticipant(chatId, userId) {
+    return this.conversations.get(chatId)?.participants?.[userId] !== undefined;
+  }
+
+  async findIdsForUser(userId) {
+    const chatIds = this.userConversations.get(userId);
+    return chatIds?.size ? [...chatIds] : null;
+  }
+
+  async findAll() {
+    return Object.fromEntries([...this.conversations].map(([chatId, conversation]) => [chatId, clone(conversation)]));
+  }
+
+  async create(chatId, conversation) {
+    this.save(chatId, toRealtimeValue(conversation));
+  }
+
+  /**
+   * Keys may be paths within the conversation ("participants/{id}/unreadCount");
+   * a null value deletes
+   */
+  async update(chatId, updates) {
+    const conversation = clone(this.conversations.get(chatId) || {});
+
+    Object.entries(updates).forEach(([path, value]) => {
+      const keys = path.split('/');
+      const last = keys.pop();
+      const parent = keys.reduce((node, key) => {
+        if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+      }, conversation);
+      parent[last] = value;
+    });
+
+    this.save(chatId, toRealtimeValue(conversation));
+  }
+
+  async markSeen(chatId, userId) {
+    await this.update(chatId, {
+      [`participants/${userId}/unreadCount`]: 0,
+      [`participants/${userId}/lastSeen`]: new Date().toISOString()
+    });
+  }
+
+  async addToUserIndexes(chatId, userIds) {
+    userIds.forEach(userId => {
+      if (!this.userConversations.has(userId)) {
+        this.userConversations.set(userId, new Set());
+      }
+      this.userConversations.get(userId).add(chatId);
+    });
+  }
+
+  async removeFromUserIndex(userId, chatId) {
+    this.userConversations.get(userId)?.delete(chatId);
+  }
+
+  async remove(chatId) {
+    this.conversations.delete(chatId);
+  }
+
+  async removeEverywhere(chatId) {
+    const conversation = this.conversations.get(chatId);
+    Object.keys(conversation?.participants || {}).forEach(userId => {
+      this.userConversations.get(userId)?.delete(chatId);
+    });
+    this.conversations.delete(chatId);
+  }
+
+  async removeUserIndex(userId) {
+    this.userConversations.delete(userId);
+  }
+
+  // Like the Realtime Database, a conversation with nothing left in it is gone
+  save(chatId, conversation) {
+    if (conversation === null) {
+      this.conversations.delete(chatId);
+    } else {
+      this.conversations.set(chatId, conversation);
+    }
+  }
+}
+
+module.exports = MemoryConversationRepo;
@@ -0,0 +1,39 @@
+/**
+ * Personal data export requests, held in memory (see ../dataExportRepo)
+ */
+class MemoryDataExportRepo {
+  constructor({ store }) {
+    this.exports = store.collection('data_exports');
+  }
+
+  async findById(exportId) {
+    const exportData = this.exports.get(exportId);
+    return exportData ? { id: exportId, ...exportData } : null;
+  }
+
+  async findForUser(userId) {
+    return this.exports
+      .filter(exportData => exportData.userId === userId)
+      .map(({ id, data }) => ({ id, ...data }));
+  }
+
+  async findByStatus(status) {
+    return this.exports
+      .filter(exportData => exportData.status === status)
+      .map(({ id, data }) => ({ id, ...data }));
+  }
+
+  async create(exportData) {
+    return this.exports.add(exportData);
+  }
+
+  async update(exportId, fields) {
+    this.exports.update(exportId, fields);
+  }
+
+  async remove(exportId) {
+    this.exports.delete(exportId);
+  }
+}
+
+module.exports = MemoryDataExportRepo;
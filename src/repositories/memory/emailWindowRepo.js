@@ -0,0 +1,18 @@
+/**
+ * Timezones emailed for a local day, held in memory (see ../emailWindowRepo)
+ */
+class MemoryEmailWindowRepo {
+  constructor({ store }) {
+    this.windows = store.collection('email_windows');
+  }
+
+  async findByKey(windowKey) {
+    return this.windows.get(windowKey);
+  }
+
+  async save(windowKey, window) {
+    this.windows.set(windowKey, window);
+  }
+}
+
+module.exports = MemoryEmailWindowRepo;
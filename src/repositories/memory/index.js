@@ -0,0 +1,44 @@
+const { MemoryStore } = require('./memoryStore');
+const MemoryUserRepo = require('./userRepo');
+const MemoryMatchRepo = require('./matchRepo');
+const MemoryConversationRepo = require('./conversationRepo');
+const MemoryMessageRepo = require('./messageRepo');
+const MemorySessionRepo = require('./sessionRepo');
+const MemoryMagicLinkRepo = require('./magicLinkRepo');
+const MemoryJobLockRepo = require('./jobLockRepo');
+const MemoryTimezoneRepo = require('./timezoneRepo');
+const MemoryMatchingRunRepo = require('./matchingRunRepo');
+const MemoryRankingModelRepo = require('./rankingModelRepo');
+const MemoryDataExportRepo = require('./dataExportRepo');
+const MemoryAccountDeletionRepo = require('./accountDeletionRepo');
+const MemoryEmailWindowRepo = require('./emailWindowRepo');
+const MemoryMigrationRepo = require('./migrationRepo');
+
+/**
+ * The repositories over one empty in-memory store, with the same methods
+ * and read shapes as the Firestore / Realtime Database ones
+ */
+const createMemoryRepositories = () => {
+  const store = new MemoryStore();
+
+  return {
+    userRepo: new MemoryUserRepo({ store }),
+    matchRepo: new MemoryMatchRepo({ store }),
+    conversationRepo: new MemoryConversationRepo(),
+    messageRepo: new MemoryMessageRepo(),
+    sessionRepo: new MemorySessionRepo({ store }),
+    magicLinkRepo: new MemoryMagicLinkRepo({ store }),
+    jobLockRepo: new MemoryJobLockRepo({ store }),
+    timezoneRepo: new MemoryTimezoneRepo({ store }),
+    matchingRunRepo: new MemoryMatchingRunRepo({ store }),
+    rankingModelRepo: new MemoryRankingModelRepo({ store }),
+    dataExportRepo: new MemoryDataExportRepo({ store }),
+    accountDeletionRepo: new MemoryAccountDeletionRepo({ store }),
+    emailWindowRepo: new MemoryEmailWindowRepo({ store }),
+    migrationRepo: new MemoryMigrationRepo({ store })
+  };
+};
+
+module.exports = {
+  createMemoryRepositories
+};
@@ -0,0 +1,18 @@
+/**
+ * Cron job leases, held in memory (see ../jobLockRepo)
+ */
+class MemoryJobLockRepo {
+  constructor({ store }) {
+    this.locks = store.collection('job_locks');
+  }
+
+  async findByName(jobName) {
+    return this.locks.get(jobName);
+  }
+
+  async transact(jobName, decide) {
+    return this.locks.transact(jobName, decide);
+  }
+}
+
+module.exports = MemoryJobLockRepo;
@@ -0,0 +1,32 @@
+/**
+ * Email auto-login links, held in memory (see ../magicLinkRepo)
+ */
+class MemoryMagicLinkRepo {
+  constructor({ store }) {
+    this.magicLinks = store.collection('magic_links');
+  }
+
+  async create(link) {
+    return this.magicLinks.add(link);
+  }
+
+  async transact(nonce, decide) {
+    return this.magicLinks.transact(nonce, decide);
+  }
+
+  async revokeUnusedForUser(userId) {
+    const links = this.magicLinks.filter(link => link.userId === userId &&
+      link.usedAt === null &&
+      link.revokedAt === null);
+    links.forEach(({ id }) => this.magicLinks.update(id, { revokedAt: new Date() }));
+    return links.length;
+  }
+
+  async removeAllForUser(userId) {
+    const links = this.magicLinks.filter(link => link.userId === userId);
+    links.forEach(({ id }) => this.magicLinks.delete(id));
+    return links.length;
+  }
+}
+
+module.exports = MemoryMagicLinkRepo;
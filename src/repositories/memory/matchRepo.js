@@ -0,0 +1,138 @@
+const { toMillis, toRealtimeValue } = require('./memoryStore');
+
+/**
+ * Matches, the live match updates and daily matching checkpoints, held in
+ * memory (see ../matchRepo)
+ */
+class MemoryMatchRepo {
+  constructor({ store }) {
+    this.matches = store.collection('matches');
+    this.checkpoints = store.collection('matching_checkpoints');
+    // userId -> Map of matchId -> payload, as at match_updates/{userId}/{matchId}
+    this.matchUpdates = new Map();
+  }
+
+  findWhere(test) {
+    return this.matches.filter(test).map(({ id, data }) => ({ id, ...data }));
+  }
+
+  async findById(matchId) {
+    const match = this.matches.get(matchId);
+    return match ? { id: matchId, ...match } : null;
+  }
+
+  async findByIds(matchIds) {
+    return Promise.all(matchIds.map(matchId => this.findById(matchId)));
+  }
+
+  async findAll(fields = null) {
+    return this.findWhere(() => true).map(match => (fields
+      ? Object.fromEntries(Object.entries(match).filter(([key]) => key === 'id' || fields.includes(key)))
+      : match));
+  }
+
+  async findForUser(userId) {
+    return {
+      asUser1: this.findWhere(match => match.user1_id === userId),
+      asUser2: this.findWhere(match => match.user2_id === userId)
+    };
+  }
+
+  async findForWindow(timezone, localDate) {
+    return this.findWhere(match => match.run_timezone === timezone && match.run_date === localDate);
+  }
+
+  async findPendingNotifications() {
+    return this.findWhere(match => match.notification_pending_user1 === true || match.notification_pending_user2 === true);
+  }
+
+  async findVisibleTo(userId) {
+    const newestFirst = (a, b) => toMillis(b.created_at) - toMillis(a.created_at);
+    return {
+      asUser1: this.findWhere(match => match.user1_id === userId && match.visible_to_user1 === true).sort(newestFirst),
+      asUser2: this.findWhere(match => match.user2_id === userId && match.visible_to_user2 === true).sort(newestFirst)
+    };
+  }
+
+  async findBetween(userId, otherUserId) {
+    return [
+      ...this.findWhere(match => match.user1_id === userId && match.user2_id === otherUserId),
+      ...this.findWhere(match => match.user1_id === otherUserId && match.user2_id === userId)
+    ];
+  }
+
+  async create(matchId, match) {
+    this.matches.set(matchId, match);
+  }
+
+  async update(matchId, fields) {
+    this.matches.update(matchId, fields);
+  }
+
+  async recordAction(matchId, userId, fields) {
+    this.matches.assertExists(matchId);
+
+    await this.update(matchId, {
+      ...fields,
+      last_action_by: userId,
+      last_action_at: new Date(),
+      total_interactions: (this.matches.get(matchId).total_interactions || 0) + 1
+    });
+  }
+
+  async updateMany(updates) {
+    updates.forEach(({ id, fields }) => this.matches.update(id, fields));
+  }
+
+  async deleteMany(matchIds) {
+    matchIds.forEach(matchId => this.matches.delete(matchId));
+  }
+
+  async publishUpdate(matchId, userIds, payload) {
+    const stored = toRealtimeValue(payload);
+    userIds.forEach(userId => {
+      if (!this.matchUpdates.has(userId)) {
+        this.matchUpdates.set(userId, new Map());
+      }
+      if (stored === null) {
+        this.matchUpdates.get(userId).delete(matchId);
+      } else {
+        this.matchUpdates.get(userId).set(matchId, stored);
+      }
+    });
+  }
+
+  async clearUpdate(matchId, userIds) {
+    await this.publishUpdate(matchId, userIds, null);
+  }
+
+  async clearUpdates(entries) {
+    entries.forEach(({ matchId, userId }) => this.matchUpdates.get(userId)?.delete(matchId));
+  }
+
+  async clearAllUpdatesFor(userId) {
+    this.matchUpdates.delete(userId);
+  }
+
+  async findCheckpoint(windowKey) {
+    return this.checkpoints.get(windowKey);
+  }
+
+  async saveCheckpoint(windowKey, checkpoint) {
+    this.checkpoints.set(windowKey, checkpoint);
+  }
+
+  async updateCheckpoint(windowKey, fields) {
+    this.checkpoints.update(windowKey, fields);
+  }
+
+  async createForWindow(windowKey, matches, checkpointFields) {
+    // A batch writes nothing if its checkpoint update fails
+    this.checkpoints.assertExists(windowKey);
+
+    matches.forEach(match => this.matches.set(match.pair_key, match));
+    this.checkpoints.update(windowKey, checkpointFields);
+  }
+}
+
+module.exports = MemoryMatchRepo;
@@ -0,0 +1,40 @@
+const { toMillis } = require('./memoryStore');
+
+/**
+ * Daily matching run records, held in memory (see ../matchingRunRepo)
+ */
+class MemoryMatchingRunRepo {
+  constructor({ store }) {
+    this.runs = store.collection('matching_runs');
+  }
+
+  async create(run) {
+    return this.runs.add(run);
+  }
+
+  async update(runId, fields) {
+    this.runs.update(runId, fields);
+  }
+
+  async findPage({ limit, cursor = null }) {
+    // Newest first, ties broken by ID as Firestore does
+    const runs = this.runs.filter().sort((a, b) =>
+      (toMillis(b.data.startedAt) - toMillis(a.data.startedAt)) || b.id.localeCompare(a.id));
+
+    let start = 0;
+    if (cursor) {
+      start = runs.findIndex(run => run.id === cursor) + 1;
+      if (start === 0) {
+        return null;
+      }
+    }
+
+    const page = runs.slice(start, start + limit);
+    return {
+      runs: page.map(({ id, data }) => ({ id, ...data })),
+      hasMore: runs.length > start + limit
+    };
+  }
+}
+
+module.exports = MemoryMatchingRunRepo;
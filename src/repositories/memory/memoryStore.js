@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * A random 20 character ID, like Firestore's auto IDs
+ */
+const autoId = () => {
+  const bytes = crypto.randomBytes(20);
+  return [...bytes].map(byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Copy a value the way Firestore stores it: Dates come back as Timestamps
+ * and undefined is refused, as it is without ignoreUndefinedProperties
+ */
+const toStored = (value, path = '') => {
+  if (value === undefined) {
+    throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${path}")`);
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map((item, index) => toStored(item, `${path}.${index}`));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStored(item, path ? `${path}.${key}` : key)]));
+  }
+  return value;
+};
+
+// Timestamps are immutable, so only arrays and maps need copying
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+/**
+ * Milliseconds for a stored Timestamp, for sorting
+ */
+const toMillis = (value) => (value instanceof Timestamp ? value.toMillis() : value ?? null);
+
+/**
+ * Copy a value the way the Realtime Database stores it: as JSON, with
+ * nulls and empty objects dropped
+ * @returns {*} The stored value, or null if nothing would be stored
+ */
+const toRealtimeValue = (value) => {
+  const json = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  const prune = (node) => {
+    if (node === null || typeof node !== 'object') return node;
+    if (Array.isArray(node)) return node.map(prune);
+    const entries = Object.entries(node)
+      .map(([key, item]) => [key, prune(item)])
+      .filter(([, item]) => item !== null);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  };
+  return prune(json);
+};
+
+const notFoundError = (collection, id) => {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${collection}/${id}`);
+  error.code = 5;
+  return error;
+};
+
+/**
+ * One collection of documents, keyed by ID
+ *
+ * Reads return copies, so callers can never change what is stored.
+ */
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = new Map();
+  }
+
+  /**
+   * @returns {object|null} The document's data, or null if there is none
+   */
+  get(id) {
+    return this.docs.has(id) ? clone(this.docs.get(id)) : null;
+  }
+
+  /**
+   * Documents whose data passes the test, in ID order
+   * @returns {Array} { id, data }
+   */
+  filter(test = () => true) {
+    return [...this.docs.keys()]
+      .sort()
+      .filter(id => test(this.docs.get(id)))
+      .map(id => ({ id, data: clone(this.docs.get(id)) }));
+  }
+
+  set(id, data) {
+    this.docs.set(id, toStored(data));
+  }
+
+  /**
+   * @returns {string} The new document's ID
+   */
+  add(data) {
+    const id = autoId();
+    this.set(id, data);
+    return id;
+  }
+
+  /**
+   * Throw Firestore's NOT_FOUND error if there is no such document
+   * For checking every write of a batch before making any of them
+   */
+  assertExists(id) {
+    if (!this.docs.has(id)) {
+      throw notFoundError(this.name, id);
+    }
+  }
+
+  /**
+   * Update fields of an existing document
+   * Like Firestore, updating a missing document throws, and a dotted key
+   * ("steps.matches") updates one field of a map
+   */
+  update(id, fields) {
+    this.assertExists(id);
+
+    const data = clone(this.docs.get(id));
+    Object.entries(toStored(fields)).forEach(([fieldPath, value]) => {
+      const keys = fieldPath.split('.');
+      const last = keys.pop();
+      const parent = keys.reduce((map, key) => {
+        if (!isPlainObject(map[key])) map[key] = {};
+        return map[key];
+      }, data);
+      parent[last] = value;
+    });
+    this.docs.set(id, data);
+  }
+
+  /**
+   * Update fields, creating the document if there is none
+   */
+  merge(id, fields) {
+    this.docs.set(id, { ...this.docs.get(id), ...toStored(fields) });
+  }
+
+  delete(id) {
+    this.docs.delete(id);
+  }
+
+  /**
+   * Read a document, decide what to change and write it
+   * Nothing else runs in between, so this is as atomic as a Firestore
+   * transaction (see firestoreHelpers.updateInTransaction)
+   */
+  transact(id, decide) {
+    const { update = null, result } = decide(this.get(id));
+    if (update) {
+      this.merge(id, update);
+    }
+    return result;
+  }
+}
+
+/**
+ * Every collection of one in-memory data store
+ */
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name));
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  MemoryCollection,
+  autoId,
+  clone,
+  toMillis,
+  toRealtimeValue
+};
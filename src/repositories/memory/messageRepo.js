@@ -0,0 +1,63 @@
+const { clone, toRealtimeValue } = require('./memoryStore');
+
+/**
+ * Chat messages, held in memory (see ../messageRepo)
+ */
+class MemoryMessageRepo {
+  constructor() {
+    this.messages = new Map();
+    this.pushCount = 0;
+  }
+
+  /**
+   * Messages of the chat as [messageId, message] pairs
+   */
+  entries(chatId) {
+    return [...(this.messages.get(chatId) || new Map())];
+  }
+
+  async list(chatId, { limit, before = null }) {
+    // Ordered by timestamp, ending before `before`, as the Realtime Database query is
+    return this.entries(chatId)
+      .filter(([, message]) => !before || message.timestamp < before)
+      .sort(([, a], [, b]) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0))
+      .slice(-limit)
+      .map(([messageId, message]) => ({ id: messageId, ...clone(message) }));
+  }
+
+  /**
+   * IDs sort in the order messages were added, like push keys
+   */
+  async add(chatId, message) {
+    this.pushCount += 1;
+    const messageId = `-${Date.now().toString(36).padStart(9, '0')}${this.pushCount.toString(36).padStart(8, '0')}`;
+
+    if (!this.messages.has(chatId)) {
+      this.messages.set(chatId, new Map());
+    }
+    this.messages.get(chatId).set(messageId, toRealtimeValue(message));
+    return messageId;
+  }
+
+  async markReadFor(chatId, userId) {
+    const received = this.entries(chatId).filter(([, message]) => message.recipientId === userId);
+    if (received.length === 0) return false;
+
+    received.forEach(([, message]) => {
+      message.read = true;
+    });
+    return true;
+  }
+
+  async findSentBy(chatId, userId) {
+    return Object.fromEntries(this.entries(chatId)
+      .filter(([, message]) => message.senderId === userId)
+      .map(([messageId, message]) => [messageId, clone(message)]));
+  }
+
+  async removeAll(chatId) {
+    this.messages.delete(chatId);
+  }
+}
+
+module.exports = MemoryMessageRepo;
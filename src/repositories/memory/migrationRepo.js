@@ -0,0 +1,46 @@
+/**
+ * Data migration records, and the documents migrations rewrite, held in
+ * memory (see ../migrationRepo)
+ */
+class MemoryMigrationRepo {
+  constructor({ store }) {
+    this.store = store;
+    this.migrations = store.collection('schema_migrations');
+  }
+
+  async findByIds(migrationIds) {
+    return migrationIds.map(migrationId => this.migrations.get(migrationId));
+  }
+
+  async findById(migrationId) {
+    return this.migrations.get(migrationId);
+  }
+
+  async save(migrationId, fields) {
+    this.migrations.merge(migrationId, fields);
+  }
+
+  async update(migrationId, fields) {
+    this.migrations.update(migrationId, fields);
+  }
+
+  async findPage(collection, afterId, limit) {
+    // filter() returns documents in ID order
+    return this.store.collection(collection)
+      .filter()
+      .filter(({ id }) => !afterId || id > afterId)
+      .slice(0, limit);
+  }
+
+  async savePage(collection, updates, migrationId, recordFields) {
+    // A batch writes nothing if one of its updates fails
+    const documents = this.store.collection(collection);
+    updates.forEach(({ id }) => documents.assertExists(id));
+    this.migrations.assertExists(migrationId);
+
+    updates.forEach(({ id, fields }) => documents.update(id, fields));
+    this.migrations.update(migrationId, recordFields);
+  }
+}
+
+module.exports = MemoryMigrationRepo;
@@ -0,0 +1,24 @@
+/**
+ * The learned ranking model and its training runs, held in memory
+ * (see ../rankingModelRepo)
+ */
+class MemoryRankingModelRepo {
+  constructor({ store }) {
+    this.models = store.collection('ranking_models');
+    this.runs = store.collection('ranking_model_runs');
+  }
+
+  async findCurrent() {
+    return this.models.get('current');
+  }
+
+  async saveCurrent(model) {
+    this.models.set('current', model);
+  }
+
+  async addRun(run) {
+    return this.runs.add(run);
+  }
+}
+
+module.exports = MemoryRankingModelRepo;
@@ -0,0 +1,44 @@
+/**
+ * Sign-in sessions, held in memory (see ../sessionRepo)
+ */
+class MemorySessionRepo {
+  constructor({ store }) {
+    this.sessions = store.collection('sessions');
+  }
+
+  async findById(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { id: sessionId, ...session } : null;
+  }
+
+  async findActive(userId, deviceId = null) {
+    return this.sessions
+      .filter(session => session.userId === userId &&
+        (!deviceId || session.deviceId === deviceId) &&
+        session.revokedAt === null)
+      .map(({ id, data }) => ({ id, ...data }));
+  }
+
+  async create(session) {
+    return this.sessions.add(session);
+  }
+
+  async transact(sessionId, decide) {
+    return this.sessions.transact(sessionId, decide);
+  }
+
+  async revoke(sessionIds, reason) {
+    sessionIds.forEach(sessionId => this.sessions.update(sessionId, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    }));
+  }
+
+  async removeAllForUser(userId) {
+    const sessions = this.sessions.filter(session => session.userId === userId);
+    sessions.forEach(({ id }) => this.sessions.delete(id));
+    return sessions.length;
+  }
+}
+
+module.exports = MemorySessionRepo;
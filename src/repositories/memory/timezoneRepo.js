@@ -0,0 +1,18 @@
+/**
+ * The timezones users are in, held in memory (see ../timezoneRepo)
+ */
+class MemoryTimezoneRepo {
+  constructor({ store }) {
+    this.timezones = store.collection('matching_timezones');
+  }
+
+  async save(timezoneId, entry) {
+    this.timezones.set(timezoneId, entry);
+  }
+
+  async findAll() {
+    return this.timezones.filter().map(({ data }) => data);
+  }
+}
+
+module.exports = MemoryTimezoneRepo;
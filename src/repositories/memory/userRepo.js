@@ -0,0 +1,85 @@
+const { toMillis } = require('./memoryStore');
+
+/**
+ * User profiles and their personality history, held in memory (see ../userRepo)
+ */
+class MemoryUserRepo {
+  constructor({ store }) {
+    this.store = store;
+    this.users = store.collection('users');
+  }
+
+  historyOf(userId) {
+    return this.store.collection(`users/${userId}/personality_history`);
+  }
+
+  findWhere(test) {
+    return this.users.filter(test).map(({ id, data }) => ({ id, ...data }));
+  }
+
+  async findById(userId) {
+    const user = this.users.get(userId);
+    return user ? { id: userId, ...user } : null;
+  }
+
+  async findOneBy(field, value) {
+    return this.findWhere(user => user[field] === value)[0] || null;
+  }
+
+  async findByEmail(email) {
+    return await this.findOneBy('email', email);
+  }
+
+  async findByFirebaseUid(firebaseUid) {
+    return await this.findOneBy('firebaseUid', firebaseUid);
+  }
+
+  async findByPhone(phone) {
+    return await this.findOneBy('phone', phone);
+  }
+
+  async findAll() {
+    return this.findWhere(() => true);
+  }
+
+  async findMatchable() {
+    return this.findWhere(user => user.isActive === true && user.isAnalysisComplete === true);
+  }
+
+  async create(userId, user) {
+    this.users.set(userId, user);
+  }
+
+  async update(userId, fields) {
+    this.users.update(userId, fields);
+  }
+
+  async addBlockedUser(userId, blockedUserId) {
+    this.users.assertExists(userId);
+
+    const blockedUserIds = this.users.get(userId).blockedUserIds || [];
+    this.users.update(userId, {
+      blockedUserIds: blockedUserIds.includes(blockedUserId) ? blockedUserIds : [...blockedUserIds, blockedUserId],
+      updatedAt: new Date()
+    });
+  }
+
+  async remove(userId) {
+    const history = this.historyOf(userId);
+    history.filter().forEach(({ id }) => history.delete(id));
+    this.users.delete(userId);
+  }
+
+  async addPersonalityHistory(userId, entry) {
+    this.historyOf(userId).add(entry);
+  }
+
+  async findPersonalityHistory(userId) {
+    return this.historyOf(userId)
+      .filter()
+      .map(({ data }) => data)
+      .sort((a, b) => toMillis(a.archivedAt) - toMillis(b.archivedAt));
+  }
+}
+
+module.exports = MemoryUserRepo;
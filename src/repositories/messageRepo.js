@@ -0,0 +1,84 @@
+/**
+ * Chat messages in the Realtime Database at `messages/{chatId}/{messageId}`
+ *
+ * Message IDs are push keys, so they sort in the order messages were sent.
+ */
+class MessageRepo {
+  constructor({ realtimeDb }) {
+    this.realtimeDb = realtimeDb;
+  }
+
+  messagesRef(chatId) {
+    return this.realtimeDb.ref(`messages/${chatId}`);
+  }
+
+  /**
+   * The latest messages, oldest first
+   * @param {object} options - limit, and before (an ISO timestamp) to page back
+   */
+  async list(chatId, { limit, before = null }) {
+    let query = this.messagesRef(chatId).orderByChild('timestamp');
+    if (before) {
+      query = query.endBefore(before);
+    }
+
+    const snapshot = await query.limitToLast(limit).once('value');
+    const messages = Object.entries(snapshot.val() || {}).map(([messageId, message]) => ({
+      id: messageId,
+      ...message
+    }));
+
+    return messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * @returns {string} The new message's ID
+   */
+  async add(chatId, message) {
+    const messageRef = await this.messagesRef(chatId).push(message);
+    return messageRef.key;
+  }
+
+  /**
+   * Mark every message sent to the user in the chat as read
+   * @returns {boolean} false if the user has never been sent a message in the chat
+   */
+  async markReadFor(chatId, userId) {
+    const snapshot = await this.messagesRef(chatId)
+      .orderByChild('recipientId')
+      .equalTo(userId)
+      .once('value');
+
+    if (!snapshot.exists()) return false;
+
+    const updates = {};
+    Object.entries(snapshot.val()).forEach(([messageId, message]) => {
+      if (!message.read) {
+        updates[`${messageId}/read`] = true;
+      }
+    });
+
+    if (Object.keys(updates).length > 0) {
+      await this.messagesRef(chatId).update(updates);
+    }
+    return true;
+  }
+
+  /**
+   * Every message the user sent in the chat, keyed by message ID
+   */
+  async findSentBy(chatId, userId) {
+    const snapshot = await this.messagesRef(chatId)
+      .orderByChild('senderId')
+      .equalTo(userId)
+      .once('value');
+
+    return snapshot.val() || {};
+  }
+
+  async removeAll(chatId) {
+    await this.messagesRef(chatId).remove();
+  }
+}
+
+module.exports = MessageRepo;
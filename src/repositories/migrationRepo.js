@@ -0,0 +1,64 @@
+const { FieldPath } = require('firebase-admin/firestore');
+
+/**
+ * Data migration records in `schema_migrations`, keyed by migration ID,
+ * and the pages of documents migrations rewrite
+ */
+class MigrationRepo {
+  constructor({ db }) {
+    this.db = db;
+    this.migrationsRef = db.collection('schema_migrations');
+  }
+
+  /**
+   * Records for the migrations, in the same order - null for one that has never run
+   */
+  async findByIds(migrationIds) {
+    const recordDocs = await this.db.getAll(...migrationIds.map(migrationId => this.migrationsRef.doc(migrationId)));
+    return recordDocs.map(doc => (doc.exists ? doc.data() : null));
+  }
+
+  async findById(migrationId) {
+    const [record] = await this.findByIds([migrationId]);
+    return record;
+  }
+
+  /**
+   * Create the record or merge the fields into it
+   */
+  async save(migrationId, fields) {
+    await this.migrationsRef.doc(migrationId).set(fields, { merge: true });
+  }
+
+  async update(migrationId, fields) {
+    await this.migrationsRef.doc(migrationId).update(fields);
+  }
+
+  /**
+   * The next documents of a collection in document ID order
+   * @param {string|null} afterId - Start after this document ID, null for the first page
+   * @returns {Array} { id, data }
+   */
+  async findPage(collection, afterId, limit) {
+    let query = this.db.collection(collection)
+      .orderBy(FieldPath.documentId())
+      .limit(limit);
+    if (afterId) query = query.startAfter(afterId);
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+  }
+
+  /**
+   * Update a page of documents and the migration's record in one batch
+   * @param {Array} updates - { id, fields }, at most 499 so the record fits in the batch
+   */
+  async savePage(collection, updates, migrationId, recordFields) {
+    const batch = this.db.batch();
+    updates.forEach(({ id, fields }) => batch.update(this.db.collection(collection).doc(id), fields));
+    batch.update(this.migrationsRef.doc(migrationId), recordFields);
+    await batch.commit();
+  }
+}
+
+module.exports = MigrationRepo;
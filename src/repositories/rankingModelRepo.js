@@ -0,0 +1,32 @@
+/**
+ * The learned ranking model in `ranking_models/current`, and every training
+ * run in `ranking_model_runs`
+ */
+class RankingModelRepo {
+  constructor({ db }) {
+    this.currentModelRef = db.collection('ranking_models').doc('current');
+    this.runsRef = db.collection('ranking_model_runs');
+  }
+
+  /**
+   * @returns {object|null} The current model, or null if none has been trained
+   */
+  async findCurrent() {
+    const modelDoc = await this.currentModelRef.get();
+    return modelDoc.exists ? modelDoc.data() : null;
+  }
+
+  async saveCurrent(model) {
+    await this.currentModelRef.set(model);
+  }
+
+  /**
+   * @returns {string} The new run's ID
+   */
+  async addRun(run) {
+    const runRef = await this.runsRef.add(run);
+    return runRef.id;
+  }
+}
+
+module.exports = RankingModelRepo;
@@ -0,0 +1,72 @@
+const { writeInBatches, updateInTransaction } = require('./firestoreHelpers');
+
+/**
+ * Sign-in sessions in `sessions`
+ *
+ * Reads return the stored session with `id` set to the document ID, or null.
+ */
+class SessionRepo {
+  constructor({ db }) {
+    this.db = db;
+    this.sessionsRef = db.collection('sessions');
+  }
+
+  toSession(doc) {
+    return { id: doc.id, ...doc.data() };
+  }
+
+  async findById(sessionId) {
+    const sessionDoc = await this.sessionsRef.doc(sessionId).get();
+    return sessionDoc.exists ? this.toSession(sessionDoc) : null;
+  }
+
+  /**
+   * The user's sessions that have not been revoked, on one device if deviceId is given
+   */
+  async findActive(userId, deviceId = null) {
+    let query = this.sessionsRef.where('userId', '==', userId);
+    if (deviceId) {
+      query = query.where('deviceId', '==', deviceId);
+    }
+
+    const snapshot = await query.where('revokedAt', '==', null).get();
+    return snapshot.docs.map(doc => this.toSession(doc));
+  }
+
+  /**
+   * @returns {string} The new session's ID
+   */
+  async create(session) {
+    const sessionRef = this.sessionsRef.doc();
+    await sessionRef.set(session);
+    return sessionRef.id;
+  }
+
+  /**
+   * Read and update a session atomically (see firestoreHelpers.updateInTransaction)
+   */
+  async transact(sessionId, decide) {
+    return await updateInTransaction(this.db, this.sessionsRef.doc(sessionId), decide);
+  }
+
+  async revoke(sessionIds, reason) {
+    await writeInBatches(this.db, sessionIds, (batch, sessionId) => {
+      batch.update(this.sessionsRef.doc(sessionId), {
+        revokedAt: new Date(),
+        revokedReason: reason
+      });
+    });
+  }
+
+  /**
+   * Delete every session the user has, revoked or not
+   * @returns {number} Number of sessions deleted
+   */
+  async removeAllForUser(userId) {
+    const snapshot = await this.sessionsRef.where('userId', '==', userId).get();
+    await writeInBatches(this.db, snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+    return snapshot.size;
+  }
+}
+
+module.exports = SessionRepo;
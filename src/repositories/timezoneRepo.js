@@ -0,0 +1,24 @@
+/**
+ * The timezones users are in, in `matching_timezones`
+ *
+ * Documents are keyed by timezoneService.toDocumentId(timezone).
+ */
+class TimezoneRepo {
+  constructor({ db }) {
+    this.timezonesRef = db.collection('matching_timezones');
+  }
+
+  async save(timezoneId, entry) {
+    await this.timezonesRef.doc(timezoneId).set(entry);
+  }
+
+  /**
+   * Every stored entry ({ timezone, lastSeenAt })
+   */
+  async findAll() {
+    const snapshot = await this.timezonesRef.get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+}
+
+module.exports = TimezoneRepo;
@@ -0,0 +1,109 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { writeInBatches } = require('./firestoreHelpers');
+
+/**
+ * User profiles in `users`, keyed by user ID, with each user's earlier
+ * personality analyses in `users/{userId}/personality_history`
+ *
+ * Reads return the stored profile with `id` set to the document ID, or null.
+ */
+class UserRepo {
+  constructor({ db }) {
+    this.db = db;
+    this.usersRef = db.collection('users');
+  }
+
+  toUser(doc) {
+    return { id: doc.id, ...doc.data() };
+  }
+
+  async findById(userId) {
+    const userDoc = await this.usersRef.doc(userId).get();
+    return userDoc.exists ? this.toUser(userDoc) : null;
+  }
+
+  /**
+   * First user whose field equals value
+   */
+  async findOneBy(field, value) {
+    const snapshot = await this.usersRef.where(field, '==', value).limit(1).get();
+    return snapshot.empty ? null : this.toUser(snapshot.docs[0]);
+  }
+
+  async findByEmail(email) {
+    return await this.findOneBy('email', email);
+  }
+
+  async findByFirebaseUid(firebaseUid) {
+    return await this.findOneBy('firebaseUid', firebaseUid);
+  }
+
+  async findByPhone(phone) {
+    return await this.findOneBy('phone', phone);
+  }
+
+  async findAll() {
+    const snapshot = await this.usersRef.get();
+    return snapshot.docs.map(doc => this.toUser(doc));
+  }
+
+  /**
+   * Active users who have completed personality analysis - the ones daily matching pairs up
+   */
+  async findMatchable() {
+    const snapshot = await this.usersRef
+      .where('isActive', '==', true)
+      .where('isAnalysisComplete', '==', true)
+      .get();
+    return snapshot.docs.map(doc => this.toUser(doc));
+  }
+
+  async create(userId, user) {
+    await this.usersRef.doc(userId).set(user);
+  }
+
+  async update(userId, fields) {
+    await this.usersRef.doc(userId).update(fields);
+  }
+
+  /**
+   * Record that userId blocked blockedUserId (kept in the blocker's blockedUserIds)
+   */
+  async addBlockedUser(userId, blockedUserId) {
+    await this.usersRef.doc(userId).update({
+      blockedUserIds: FieldValue.arrayUnion(blockedUserId),
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Delete the user and their personality history
+   * Firestore does not remove subcollections along with their parent
+   */
+  async remove(userId) {
+    const userRef = this.usersRef.doc(userId);
+    const historySnapshot = await userRef.collection('personality_history').get();
+
+    await writeInBatches(this.db, historySnapshot.docs, (batch, doc) => batch.delete(doc.ref));
+    await userRef.delete();
+  }
+
+  /**
+   * Keep a copy of a personality analysis in `users/{userId}/personality_history`
+   */
+  async addPersonalityHistory(userId, entry) {
+    await this.usersRef.doc(userId).collection('personality_history').add(entry);
+  }
+
+  /**
+   * The user's earlier personality analyses, oldest first
+   */
+  async findPersonalityHistory(userId) {
+    const snapshot = await this.usersRef.doc(userId).collection('personality_history')
+      .orderBy('archivedAt', 'asc')
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+}
+
+module.exports = UserRepo;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const {
+  runDailyMatching,
+  getDailyMatchingStatus,
+  getMatchingRuns,
+  runRankingModelTraining,
+  getRankingModelStatus,
+  getUserById,
+  getUserByEmail,
+  deleteUserAccount
+} = require('../controllers/adminController');
+const {
+  runEmailNotifications,
+  getEmailJobStatus
+} = require('../controllers/emailController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const adminSchemas = require('../validation/adminSchemas');
+
+// Every admin route needs a signed-in user with the admin role
+router.use(authenticate, requireAdmin);
+
+/**
+ * Manually trigger daily matching
+ * POST /api/admin/jobs/daily-matching/run
+ * Body (optional): { mode: 'greedy' | 'reciprocal', dryRun: true, settings: { matchThreshold, dailyMatchLimit, ... } }
+ */
+router.post('/jobs/daily-matching/run', validate(adminSchemas.dailyMatchingRun), runDailyMatching);
+
+/**
+ * Get daily matching job status
+ * GET /api/admin/jobs/daily-matching/status
+ */
+router.get('/jobs/daily-matching/status', getDailyMatchingStatus);
+
+/**
+ * Daily matching run history, newest first
+ * GET /api/admin/jobs/daily-matching/runs?limit=20&cursor=<nextCursor from the previous page>
+ */
+router.get('/jobs/daily-matching/runs', validate(adminSchemas.matchingRuns), getMatchingRuns);
+
+/**
+ * Manually train the learned ranking model
+ * POST /api/admin/jobs/ranking-model/run
+ */
+router.post('/jobs/ranking-model/run', runRankingModelTraining);
+
+/**
+ * Get ranking model job status (last run's AUC vs rule-based scores)
+ * GET /api/admin/jobs/ranking-model/status
+ */
+router.get('/jobs/ranking-model/status', getRankingModelStatus);
+
+/**
+ * Manually trigger email notifications
+ * POST /api/admin/jobs/email-notifications/run
+ */
+router.post('/jobs/email-notifications/run', runEmailNotifications);
+
+/**
+ * Get email notification job status
+ * GET /api/admin/jobs/email-notifications/status
+ */
+router.get('/jobs/email-notifications/status', getEmailJobStatus);
+
+/**
+ * Look up a user by email
+ * GET /api/admin/users?email=xxx
+ */
+router.get('/users', validate(adminSchemas.userByEmail), getUserByEmail);
+
+/**
+ * Look up a user by id
+ * GET /api/admin/users/:userId
+ */
+router.get('/users/:userId', validate(adminSchemas.userById), getUserById);
+
+/**
+ * Run or retry account deletion for a user
+ * POST /api/admin/users/:userId/deletion
+ */
+router.post('/users/:userId/deletion', validate(adminSchemas.userById), deleteUserAccount);
+
+module.exports = router;
@@ -9,26 +9,33 @@ const {
   deleteConversation,
   blockUser
 } = require('../controllers/chatController');
+const { authenticate } = require('../middleware/auth');
+const { writeLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const chatSchemas = require('../validation/chatSchemas');
+
+// Every chat route acts on behalf of the signed-in user
+router.use(authenticate);
 
 // Create or get conversation
-router.post('/conversation', createOrGetConversation);
+router.post('/conversation', writeLimiter, validate(chatSchemas.createConversation), createOrGetConversation);
 
 // Get conversations for a user
-router.get('/conversations/:userId', getConversations);
+router.get('/conversations/:userId', validate(chatSchemas.getConversations), getConversations);
 
 // Get messages for a conversation
-router.get('/messages/:chatId', getMessages);
+router.get('/messages/:chatId', validate(chatSchemas.getMessages), getMessages);
 
 // Send a message
-router.post('/send', sendMessage);
+router.post('/send', writeLimiter, validate(chatSchemas.sendMessage), sendMessage);
 
 // Mark messages as read
-router.post('/mark-read', markMessagesAsRead);
+router.post('/mark-read', writeLimiter, validate(chatSchemas.markRead), markMessagesAsRead);
 
 // Delete conversation
-router.post('/delete-conversation', deleteConversation);
+router.post('/delete-conversation', writeLimiter, validate(chatSchemas.deleteConversation), deleteConversation);
 
 // NEW: Block user
-router.post('/block-user', blockUser);
+router.post('/block-user', writeLimiter, validate(chatSchemas.blockUser), blockUser);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,5 @@
 const express = require('express');
 const router = express.Router();
-const { 
-  runEmailNotifications, 
-  getEmailJobStatus 
-} = require('../controllers/emailController');
 
 // Test route
 router.get('/test', (req, res) => {
@@ -14,16 +10,6 @@ router.get('/test', (req, res) => {
   });
 });
 
-/**
- * Manual trigger for email notifications (for testing)
- * POST /api/email/trigger-notifications
- */
-router.post('/trigger-notifications', runEmailNotifications);
-
-/**
- * Get email notification job status
- * GET /api/email/job-status
- */
-router.get('/job-status', getEmailJobStatus);
+// Manual trigger and job status live under /api/admin/jobs/email-notifications
 
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,10 @@ const {
   passMatch,
   getMatchDetails
 } = require('../controllers/matchingController');
+const { authenticate } = require('../middleware/auth');
+const { writeLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const matchingSchemas = require('../validation/matchingSchemas');
 
 // Test route
 router.get('/test', (req, res) => {
@@ -20,70 +24,38 @@ router.get('/test', (req, res) => {
 /**
  * Express interest in a one-way match
  * POST /api/matching/express-interest
- * Body: { matchId, userId }
+ * Body: { matchId }
  */
-router.post('/express-interest', expressInterest);
+router.post('/express-interest', authenticate, writeLimiter, validate(matchingSchemas.expressInterest), expressInterest);
 
 /**
  * Accept interest from a one-way match
  * POST /api/matching/accept-interest
- * Body: { matchId, userId }
+ * Body: { matchId }
  */
-router.post('/accept-interest', acceptInterest);
+router.post('/accept-interest', authenticate, writeLimiter, validate(matchingSchemas.acceptInterest), acceptInterest);
 
 /**
  * Like a match (mutual matches)
  * POST /api/matching/like
- * Body: { matchId, userId, isSecondChance }
+ * Body: { matchId, isSecondChance }
  */
-router.post('/like', likeMatch);
+router.post('/like', authenticate, writeLimiter, validate(matchingSchemas.likeMatch), likeMatch);
 
 /**
  * Pass on a match (both one-way and mutual)
  * POST /api/matching/pass
- * Body: { matchId, userId, isSecondChance }
+ * Body: { matchId, isSecondChance }
  */
-router.post('/pass', passMatch);
+router.post('/pass', authenticate, writeLimiter, validate(matchingSchemas.passMatch), passMatch);
 
 /**
  * Get match details
  * GET /api/matching/match-details
- * Query: ?matchId=xxx&userId=xxx
+ * Query: ?matchId=xxx
  */
-router.get('/match-details', getMatchDetails);
+router.get('/match-details', authenticate, validate(matchingSchemas.matchDetails), getMatchDetails);
 
-// ===== OPTIONAL: Keep old routes if you have other controllers =====
-// If you have a separate controller for daily matching jobs, uncomment these:
-
-// const {
-//   runDailyMatching,
-//   getMatchingStatus,
-//   getMatchesByUserId,
-//   getMatchesByEmail
-// } = require('../controllers/dailyMatchingController'); // or wherever these are
-
-// /**
-//  * Manually trigger daily matching (for testing)
-//  * POST /api/matching/run-daily
-//  */
-// router.post('/run-daily', runDailyMatching);
-
-// /**
-//  * Get daily matching job status
-//  * GET /api/matching/status
-//  */
-// router.get('/status', getMatchingStatus);
-
-// /**
-//  * Get matches for a specific user by user ID
-//  * GET /api/matching/matches/:userId
-//  */
-// router.get('/matches/:userId', getMatchesByUserId);
-
-// /**
-//  * Get matches for a user by email
-//  * GET /api/matching/matches-by-email/:email
-//  */
-// router.get('/matches-by-email/:email', getMatchesByEmail);
+// Manual daily matching runs and job status live under /api/admin/jobs/daily-matching
 
 module.exports = router;
\ No newline at end of file
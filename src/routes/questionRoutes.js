@@ -6,23 +6,27 @@ const {
   saveEnrichmentAnswerAndGetNext,
   getQuestions // Add this import
 } = require('../controllers/questionController');
+const { authenticate } = require('../middleware/auth');
+const { llmLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const questionSchemas = require('../validation/questionSchemas');
 const router = express.Router();
 
 // GET /api/questions/all - Get all questions for Questions tab
-router.get('/all', getQuestions);
+router.get('/all', authenticate, getQuestions);
 
 // Original routes for initial 8 questions
 // GET /api/questions - Get first question
-router.get('/', getFirstQuestion);
+router.get('/', authenticate, getFirstQuestion);
 
 // POST /api/questions/answer - Save answer and get next question
-router.post('/answer', saveAnswerAndGetNext);
+router.post('/answer', authenticate, llmLimiter, validate(questionSchemas.saveAnswer), saveAnswerAndGetNext);
 
 // New routes for enrichment questions (9-15)
 // GET /api/questions/enrichment - Get enrichment question (question 9)
-router.get('/enrichment', getEnrichmentQuestion);
+router.get('/enrichment', authenticate, getEnrichmentQuestion);
 
 // POST /api/questions/enrichment/answer - Save enrichment answer and get next question
-router.post('/enrichment/answer', saveEnrichmentAnswerAndGetNext);
+router.post('/enrichment/answer', authenticate, llmLimiter, validate(questionSchemas.saveEnrichmentAnswer), saveEnrichmentAnswerAndGetNext);
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { uploadFields, handleUploadError } = require('../middleware/upload');
+const { authenticate } = require('../middleware/auth');
+const { authLimiter, writeLimiter, llmLimiter } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const userSchemas = require('../validation/userSchemas');
 const {
   signInUser,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  deleteAccount,
+  requestDataExport,
+  getDataExport,
   registerUser,
   updateUserProfile,
   updateMatchSettings,
+  getMatchingAlgorithms,
   updateQuestions,
   updateBio,
   verifyEmailToken,
@@ -22,31 +33,52 @@ router.get('/test', (req, res) => {
   });
 });
 
-// User sign in route
-router.post('/signin', signInUser);
+// User sign in route (Firebase Auth ID token)
+router.post('/signin', authLimiter, validate(userSchemas.signIn), signInUser);
 
 // Email token verification route (For auto-login)
-router.post('/verify-email-token', verifyEmailToken);
+router.post('/verify-email-token', authLimiter, validate(userSchemas.verifyEmailToken), verifyEmailToken);
+
+// Exchange a refresh token for a new access token
+router.post('/refresh-token', authLimiter, validate(userSchemas.refreshSession), refreshSession);
+
+// Revoke the current session
+router.post('/logout', authenticate, writeLimiter, logoutUser);
+
+// Revoke every session on every device
+router.post('/logout-all', authenticate, writeLimiter, logoutAllSessions);
 
 // User registration route
-router.post('/register', uploadFields, handleUploadError, registerUser);
+router.post('/register', authLimiter, uploadFields, handleUploadError, validate(userSchemas.register), registerUser);
 
 // User profile update route
-router.put('/profile', uploadFields, handleUploadError, updateUserProfile);
+router.put('/profile', authenticate, writeLimiter, uploadFields, handleUploadError, validate(userSchemas.updateProfile), updateUserProfile);
+
+// Matching algorithms available in match settings
+router.get('/matching-algorithms', authenticate, getMatchingAlgorithms);
 
 // User match settings update route
-router.put('/match-settings', updateMatchSettings);
+router.put('/match-settings', authenticate, writeLimiter, validate(userSchemas.matchSettings), updateMatchSettings);
 
 // User questions update route
-router.put('/questions', updateQuestions);
+router.put('/questions', authenticate, llmLimiter, validate(userSchemas.updateQuestions), updateQuestions);
 
 // User bio update route
-router.put('/update-bio', updateBio);
+router.put('/update-bio', authenticate, writeLimiter, validate(userSchemas.updateBio), updateBio);
 
 // PWA status update route
-router.put('/pwa-status', updatePWAStatus);
+router.put('/pwa-status', authenticate, writeLimiter, validate(userSchemas.pwaStatus), updatePWAStatus);
+
+// Delete the authenticated user's account (retry-safe)
+router.delete('/me', authenticate, writeLimiter, deleteAccount);
+
+// Request a download of the authenticated user's data
+router.post('/me/export', authenticate, writeLimiter, requestDataExport);
+
+// Data export status and expiring download link
+router.get('/me/export/:exportId', authenticate, validate(userSchemas.dataExport), getDataExport);
 
 // Tour status update route
-router.patch('/tour-status', updateTourStatus);
+router.patch('/tour-status', authenticate, writeLimiter, validate(userSchemas.tourStatus), updateTourStatus);
 
 module.exports = router;
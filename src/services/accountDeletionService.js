@@ -0,0 +1,210 @@
+const { v4: uuidv4 } = require('uuid');
+const { userRepo, matchRepo, conversationRepo, messageRepo, accountDeletionRepo } = require('../repositories');
+const azureStorage = require('./azureStorage');
+const sessionService = require('./sessionService');
+const magicLinkService = require('./magicLinkService');
+const dataExportService = require('./dataExportService');
+
+/**
+ * Deletes a user's account and everything tied to it
+ *
+ * Each step records its outcome on a receipt in `account_deletions/{userId}`.
+ * Running the deletion again resumes from the first step that has not
+ * completed, so a failed step can simply be retried.
+ */
+class AccountDeletionService {
+  constructor() {
+    // Order matters: sessions are revoked late so the user can still retry
+    // a failed step themselves, and the user doc goes last
+    this.steps = [
+      { name: 'photos', run: (userId) => azureStorage.purgeUserPhotos(userId) },
+      { name: 'matches', run: (userId, receipt) => this.anonymizeMatches(userId, receipt.pseudonym) },
+      { name: 'realtime', run: (userId) => this.purgeRealtimeData(userId) },
+      { name: 'exports', run: (userId) => dataExportService.deleteExportsForUser(userId) },
+      { name: 'sessions', run: (userId) => this.removeAccess(userId) },
+      { name: 'userDoc', run: (userId) => this.deleteUserDoc(userId) }
+    ];
+  }
+
+  /**
+   * Delete (or resume deleting) a user's account
+   * @returns {object} The deletion receipt
+   */
+  async deleteAccount(userId) {
+    const receipt = await this.getOrCreateReceipt(userId);
+
+    for (const step of this.steps) {
+      if (receipt.steps[step.name]?.status === 'completed') continue;
+
+      try {
+        const affected = await step.run(userId, receipt);
+
+        receipt.steps[step.name] = {
+          status: 'completed',
+          affected: affected || 0,
+          completedAt: new Date(),
+          attempts: (receipt.steps[step.name]?.attempts || 0) + 1
+        };
+        await accountDeletionRepo.saveStep(userId, step.name, receipt.steps[step.name]);
+
+      } catch (error) {
+        console.error(`❌ Account deletion step "${step.name}" failed for user ${userId}:`, error);
+
+        receipt.steps[step.name] = {
+          status: 'failed',
+          error: error.message,
+          failedAt: new Date(),
+          attempts: (receipt.steps[step.name]?.attempts || 0) + 1
+        };
+        receipt.status = 'failed';
+        await accountDeletionRepo.saveStep(userId, step.name, receipt.steps[step.name], { status: 'failed' });
+
+        const deletionError = new Error(`Account deletion failed at step "${step.name}"`);
+        deletionError.receipt = this.formatReceipt(userId, receipt);
+        throw deletionError;
+      }
+    }
+
+    receipt.status = 'completed';
+    receipt.completedAt = new Date();
+    await accountDeletionRepo.update(userId, {
+      status: 'completed',
+      completedAt: receipt.completedAt
+    });
+
+    return this.formatReceipt(userId, receipt);
+  }
+
+  /**
+   * Load an in-progress receipt or start a new one
+   */
+  async getOrCreateReceipt(userId) {
+    const existing = await accountDeletionRepo.findByUserId(userId);
+
+    if (existing) {
+      await accountDeletionRepo.update(userId, { status: 'in_progress', lastAttemptAt: new Date() });
+      return { ...existing, status: 'in_progress' };
+    }
+
+    const receipt = {
+      userId: userId,
+      // Replaces the user's id on match records that are kept for statistics
+      pseudonym: `deleted_${uuidv4()}`,
+      status: 'in_progress',
+      requestedAt: new Date(),
+      lastAttemptAt: new Date(),
+      completedAt: null,
+      steps: {}
+    };
+    await accountDeletionRepo.create(userId, receipt);
+    return receipt;
+  }
+
+  /**
+   * Shape a receipt for API responses
+   */
+  formatReceipt(receiptId, receipt) {
+    return {
+      receiptId: receiptId,
+      status: receipt.status,
+      requestedAt: receipt.requestedAt,
+      completedAt: receipt.completedAt || null,
+      steps: receipt.steps
+    };
+  }
+
+  /**
+   * Strip the user from every match they are part of
+   * Matches are kept (hidden from the other user) so aggregate stats stay intact
+   */
+  async anonymizeMatches(userId, pseudonym) {
+    const { asUser1, asUser2 } = await matchRepo.findForUser(userId);
+
+    const removed = {
+      // Both sides' ranking features are worked out from the deleted profile
+      user1_features: null,
+      user2_features: null,
+      chat_unlocked: false,
+      match_status: 'removed',
+      deleted_reason: 'account_deleted',
+      deleted_at: new Date()
+    };
+
+    const updates = [
+      ...asUser1.map(match => ({
+        id: match.id,
+        fields: {
+          ...removed,
+          user1_id: pseudonym,
+          user1_reason: null,
+          visible_to_user2: false
+        }
+      })),
+      ...asUser2.map(match => ({
+        id: match.id,
+        fields: {
+          ...removed,
+          user2_id: pseudonym,
+          user2_reason: null,
+          visible_to_user1: false
+        }
+      }))
+    ];
+
+    // Clear pending real-time updates the other users still hold for these matches.
+    // This goes first: once a match is rewritten to the pseudonym a retry can no longer find it.
+    await matchRepo.clearUpdates([
+      ...asUser1.map(match => ({ matchId: match.id, userId: match.user2_id })),
+      ...asUser2.map(match => ({ matchId: match.id, userId: match.user1_id }))
+    ]);
+
+    await matchRepo.updateMany(updates);
+
+    return updates.length;
+  }
+
+  /**
+   * Remove the user's conversations, messages and indexes from the Realtime DB
+   * The user's own index goes last, so a retry still finds every conversation
+   */
+  async purgeRealtimeData(userId) {
+    let chatIds = await conversationRepo.findIdsForUser(userId);
+
+    if (!chatIds) {
+      // Fallback for conversations created before the user index existed
+      const conversationsData = await conversationRepo.findAll();
+      chatIds = Object.entries(conversationsData)
+        .filter(([, conversation]) => conversation.participants && conversation.participants[userId])
+        .map(([chatId]) => chatId);
+    }
+
+    for (const chatId of chatIds) {
+      await messageRepo.removeAll(chatId);
+      await conversationRepo.removeEverywhere(chatId);
+    }
+
+    await conversationRepo.removeUserIndex(userId);
+    await matchRepo.clearAllUpdatesFor(userId);
+    return chatIds.length;
+  }
+
+  /**
+   * Delete every session and email login link the user has
+   * Deleting revokes them and leaves no email, device or user agent behind
+   */
+  async removeAccess(userId) {
+    const deletedSessions = await sessionService.deleteAllSessionsForUser(userId);
+    await magicLinkService.deleteAllForUser(userId);
+    return deletedSessions;
+  }
+
+  /**
+   * Delete the user document and its personality history
+   */
+  async deleteUserDoc(userId) {
+    await userRepo.remove(userId);
+    return 1;
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -1,13 +1,22 @@
-const { BlobServiceClient } = require('@azure/storage-blob');
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
+const { dataStore } = require('../config/firebase');
 
 class AzureStorageService {
   constructor() {
-    this.blobServiceClient = BlobServiceClient.fromConnectionString(
-      `DefaultEndpointsProtocol=https;AccountName=${process.env.AZURE_STORAGE_ACCOUNT_NAME};AccountKey=${process.env.AZURE_STORAGE_ACCOUNT_KEY};EndpointSuffix=core.windows.net`
-    );
+    // DATA_STORE=memory keeps blobs in process memory alongside the in-memory repositories
+    if (dataStore === 'memory') {
+      const { MemoryBlobServiceClient } = require('../config/memory');
+      this.blobServiceClient = new MemoryBlobServiceClient();
+    } else {
+      this.blobServiceClient = BlobServiceClient.fromConnectionString(
+        `DefaultEndpointsProtocol=https;AccountName=${process.env.AZURE_STORAGE_ACCOUNT_NAME};AccountKey=${process.env.AZURE_STORAGE_ACCOUNT_KEY};EndpointSuffix=core.windows.net`
+      );
+    }
     this.containerName = process.env.AZURE_STORAGE_CONTAINER_NAME;
+    // Private container - data exports are only reachable through short-lived SAS links
+    this.exportContainerName = process.env.AZURE_STORAGE_EXPORT_CONTAINER_NAME || 'data-exports';
   }
 
   async uploadImage(imageBuffer, originalName, userId, photoIndex = null) {
@@ -128,11 +137,30 @@ class AzureStorageService {
     }
   }
 
+  /**
+   * Delete every photo stored for a user, logging (not throwing) on failure
+   * @returns {number} Number of blobs deleted (0 if the delete failed)
+   */
   async deleteUserPhotos(userId) {
     try {
-      
+      return await this.purgeUserPhotos(userId);
+    } catch (error) {
+      console.error('❌ Error deleting user photos:', error);
+      // Don't throw error for delete failures - just log
+      return 0;
+    }
+  }
+
+  /**
+   * Delete every photo stored for a user
+   * Throws on failure so account deletion can retry the step
+   * @returns {number} Number of blobs deleted
+   */
+  async purgeUserPhotos(userId) {
+    try {
       const containerClient = this.blobServiceClient.getContainerClient(this.containerName);
       const prefix = `users/${userId}/`;
+      let deletedCount = 0;
       
       // List all blobs with the user prefix
       const blobs = containerClient.listBlobsFlat({ prefix });
@@ -141,11 +169,65 @@ class AzureStorageService {
       for await (const blob of blobs) {
         const blockBlobClient = containerClient.getBlockBlobClient(blob.name);
         await blockBlobClient.deleteIfExists();
+        deletedCount++;
       }
-      
+
+      return deletedCount;
     } catch (error) {
-      console.error('❌ Error deleting user photos:', error);
-      // Don't throw error for delete failures - just log
+      throw new Error(`Failed to delete user photos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload a personal data export archive to the private export container
+   * @returns {string} Blob name of the stored archive
+   */
+  async uploadDataExport(userId, exportId, buffer) {
+    try {
+      const containerClient = this.blobServiceClient.getContainerClient(this.exportContainerName);
+
+      // No access option - the container stays private
+      await containerClient.createIfNotExists();
+
+      const blobName = `users/${userId}/${exportId}.json`;
+      const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+      await blockBlobClient.upload(buffer, buffer.length, {
+        blobHTTPHeaders: {
+          blobContentType: 'application/json',
+          blobContentDisposition: `attachment; filename="data-export-${exportId}.json"`
+        }
+      });
+
+      return blobName;
+    } catch (error) {
+      console.error('❌ Azure data export upload error:', error);
+      throw new Error(`Failed to upload data export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a read-only SAS link for a data export that expires at expiresOn
+   */
+  async getDataExportUrl(blobName, expiresOn) {
+    const containerClient = this.blobServiceClient.getContainerClient(this.exportContainerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    return blockBlobClient.generateSasUrl({
+      permissions: BlobSASPermissions.parse('r'),
+      expiresOn: expiresOn
+    });
+  }
+
+  /**
+   * Delete a data export archive
+   */
+  async deleteDataExport(blobName) {
+    try {
+      const containerClient = this.blobServiceClient.getContainerClient(this.exportContainerName);
+      await containerClient.getBlockBlobClient(blobName).deleteIfExists();
+    } catch (error) {
+      console.error('❌ Azure data export delete error:', error);
+      throw new Error(`Failed to delete data export: ${error.message}`);
     }
   }
 }
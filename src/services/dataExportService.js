@@ -0,0 +1,325 @@
+const { userRepo, matchRepo, conversationRepo, messageRepo, dataExportRepo } = require('../repositories');
+const azureStorage = require('./azureStorage');
+
+const EXPORT_RETENTION_DAYS = 7;
+const DOWNLOAD_LINK_TTL_MINUTES = parseInt(process.env.DATA_EXPORT_LINK_TTL_MINUTES) || 15;
+// An export still pending or processing after this long was lost with the
+// instance building it (generation runs in-process)
+const STALE_EXPORT_MINUTES = parseInt(process.env.DATA_EXPORT_STALE_MINUTES) || 30;
+const IN_FLIGHT_STATUSES = ['pending', 'processing'];
+
+// Never handed out in an export - these are credentials, not personal data
+const EXCLUDED_USER_FIELDS = ['pushSubscription'];
+
+/**
+ * Builds personal data export archives
+ *
+ * Requests are recorded in `data_exports` and generated in the background.
+ * The finished archive sits in a private blob container and is only handed
+ * out through short-lived SAS links.
+ */
+class DataExportService {
+  /**
+   * Queue a data export for a user
+   * Returns the in-flight export instead of starting a second one, unless it
+   * has gone stale (see isStale), in which case it is failed and re-queued
+   */
+  async requestExport(userId) {
+    const existing = await dataExportRepo.findForUser(userId);
+    const inFlight = existing.filter(exportData => IN_FLIGHT_STATUSES.includes(exportData.status));
+
+    for (const inFlightExport of inFlight) {
+      if (!this.isStale(inFlightExport)) {
+        return inFlightExport;
+      }
+      // Nothing is building it any more - fail it and queue a fresh one below
+      await this.failStaleExport(inFlightExport);
+    }
+
+    const exportData = {
+      userId: userId,
+      status: 'pending',
+      requestedAt: new Date(),
+      completedAt: null,
+      expiresAt: null,
+      blobName: null,
+      sizeBytes: null,
+      error: null
+    };
+    const exportId = await dataExportRepo.create(exportData);
+
+    // Generate in the background - the client polls getExport for the result
+    setImmediate(() => {
+      this.generateExport(exportId).catch(error => {
+        console.error(`❌ Data export ${exportId} failed:`, error);
+      });
+    });
+
+    return { id: exportId, ...exportData };
+  }
+
+  /**
+   * Collect the user's data, upload the archive and mark the export complete
+   */
+  async generateExport(exportId) {
+    const { userId } = await dataExportRepo.findById(exportId);
+
+    await dataExportRepo.update(exportId, { status: 'processing', startedAt: new Date() });
+
+    try {
+      const archive = await this.buildArchive(userId);
+      const buffer = Buffer.from(JSON.stringify(archive, null, 2));
+      const blobName = await azureStorage.uploadDataExport(userId, exportId, buffer);
+
+      const completedAt = new Date();
+      await dataExportRepo.update(exportId, {
+        status: 'completed',
+        completedAt: completedAt,
+        expiresAt: new Date(completedAt.getTime() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+        blobName: blobName,
+        sizeBytes: buffer.length
+      });
+
+      console.log(`📦 Data export ${exportId} ready for user ${userId} (${buffer.length} bytes)`);
+    } catch (error) {
+      await dataExportRepo.update(exportId, {
+        status: 'failed',
+        failedAt: new Date(),
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an export's status, with a fresh download link once it is ready
+   * @returns {object|null} null if the export does not belong to the user
+   */
+  async getExport(exportId, userId) {
+    const exportData = await dataExportRepo.findById(exportId);
+
+    if (!exportData || exportData.userId !== userId) {
+      return null;
+    }
+
+    const result = {
+      exportId: exportData.id,
+      status: exportData.status,
+      requestedAt: exportData.requestedAt,
+      completedAt: exportData.completedAt,
+      expiresAt: exportData.expiresAt
+    };
+
+    if (this.isStale(exportData)) {
+      await this.failStaleExport(exportData);
+      return { ...result, status: 'failed' };
+    }
+
+    if (exportData.status !== 'completed') {
+      return result;
+    }
+
+    if (exportData.expiresAt.toDate() <= new Date()) {
+      await this.expireExport(exportData);
+      return { ...result, status: 'expired' };
+    }
+
+    const linkExpiresAt = new Date(Date.now() + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000);
+    return {
+      ...result,
+      sizeBytes: exportData.sizeBytes,
+      downloadUrl: await azureStorage.getDataExportUrl(exportData.blobName, linkExpiresAt),
+      downloadUrlExpiresAt: linkExpiresAt
+    };
+  }
+
+  /**
+   * Whether an export is still pending / processing long after it started
+   */
+  isStale(exportData, now = new Date()) {
+    if (!IN_FLIGHT_STATUSES.includes(exportData.status)) return false;
+
+    const since = exportData.startedAt || exportData.requestedAt;
+    const sinceDate = since?.toDate ? since.toDate() : new Date(since);
+    return now - sinceDate > STALE_EXPORT_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Mark an export that was lost mid-generation as failed
+   */
+  async failStaleExport(exportData) {
+    console.warn(`⚠️ Data export ${exportData.id} went stale while ${exportData.status}, marking it failed`);
+    await dataExportRepo.update(exportData.id, {
+      status: 'failed',
+      failedAt: new Date(),
+      error: `Did not finish within ${STALE_EXPORT_MINUTES} minutes`
+    });
+  }
+
+  /**
+   * Delete a completed export's archive, keeping the record as expired
+   */
+  async expireExport(exportData) {
+    await azureStorage.deleteDataExport(exportData.blobName);
+    await dataExportRepo.update(exportData.id, { status: 'expired', blobName: null });
+  }
+
+  /**
+   * Delete every archive past its expiry, including ones nobody came back for
+   * Only completed exports still hold an archive, so the scan stays small
+   * @returns {number} Number of archives deleted
+   */
+  async deleteExpiredExports(now = new Date()) {
+    const completedExports = await dataExportRepo.findByStatus('completed');
+    const expiredExports = completedExports.filter(exportData => exportData.expiresAt.toDate() <= now);
+
+    let deleted = 0;
+    for (const exportData of expiredExports) {
+      try {
+        await this.expireExport(exportData);
+        deleted++;
+      } catch (error) {
+        console.error(`❌ Failed to delete expired data export ${exportData.id}:`, error.message);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Remove every export archive and record for a user
+   * @returns {number} Number of exports removed
+   */
+  async deleteExportsForUser(userId) {
+    const exports = await dataExportRepo.findForUser(userId);
+
+    for (const exportData of exports) {
+      if (exportData.blobName) {
+        await azureStorage.deleteDataExport(exportData.blobName);
+      }
+      await dataExportRepo.remove(exportData.id);
+    }
+
+    return exports.length;
+  }
+
+  /**
+   * Gather everything we store about a user into one object
+   */
+  async buildArchive(userId) {
+    const user = await userRepo.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const userData = { ...user };
+    // Exported as userId
+    delete userData.id;
+    EXCLUDED_USER_FIELDS.forEach(field => delete userData[field]);
+
+    const { answers, responses, personalityAnalysis, profilePictures, profilePicture, ...profile } = userData;
+
+    const [personalityHistory, matches, messages] = await Promise.all([
+      userRepo.findPersonalityHistory(userId),
+      this.getMatches(userId),
+      this.getSentMessages(userId)
+    ]);
+
+    const photoUrls = (profilePictures || []).map(photo => photo.url).filter(Boolean);
+    if (profilePicture && !photoUrls.includes(profilePicture)) {
+      photoUrls.push(profilePicture);
+    }
+
+    return {
+      exportedAt: new Date().toISOString(),
+      userId: userId,
+      profile: profile,
+      answers: answers || {},
+      responses: responses || [],
+      personalityAnalysis: {
+        current: personalityAnalysis || null,
+        history: personalityHistory
+      },
+      photos: photoUrls,
+      matches: matches,
+      messages: messages
+    };
+  }
+
+  /**
+   * Keep a copy of a personality analysis before it is replaced
+   */
+  async archivePersonalityAnalysis(userId, analysis) {
+    if (!analysis) return;
+
+    await userRepo.addPersonalityHistory(userId, {
+      ...analysis,
+      archivedAt: new Date()
+    });
+  }
+
+  /**
+   * Every match the user is part of, seen from their side
+   */
+  async getMatches(userId) {
+    const { asUser1, asUser2 } = await matchRepo.findForUser(userId);
+
+    const toExport = (match, side, otherSide) => {
+      return {
+        matchId: match.id,
+        matchedUserId: match[`${otherSide}_id`],
+        matchType: match.match_type,
+        status: match.match_status,
+        yourScore: match[`${side}_score`] ?? null,
+        theirScore: match[`${otherSide}_score`] ?? null,
+        combinedScore: match.combined_score ?? null,
+        reasonShownToYou: match[`${side}_reason`] || null,
+        reasonShownToThem: match[`${otherSide}_reason`] || null,
+        createdAt: match.created_at
+      };
+    };
+
+    return [
+      ...asUser1.map(match => toExport(match, 'user1', 'user2')),
+      ...asUser2.map(match => toExport(match, 'user2', 'user1'))
+    ];
+  }
+
+  /**
+   * Every chat message the user sent, grouped by conversation
+   * Conversations come from the user's userConversations index, which keeps
+   * the ones they deleted (see chatController.deleteConversation)
+   */
+  async getSentMessages(userId) {
+    let chatIds = await conversationRepo.findIdsForUser(userId);
+
+    if (!chatIds) {
+      // Fallback for conversations created before the user index existed
+      const conversationsData = await conversationRepo.findAll();
+      chatIds = Object.entries(conversationsData)
+        .filter(([, conversation]) => conversation.participants && conversation.participants[userId])
+        .map(([chatId]) => chatId);
+    }
+
+    const conversations = [];
+    for (const chatId of chatIds) {
+      const sentMessages = await messageRepo.findSentBy(chatId, userId);
+
+      if (Object.keys(sentMessages).length === 0) continue;
+
+      conversations.push({
+        chatId: chatId,
+        messages: Object.entries(sentMessages).map(([messageId, message]) => ({
+          messageId: messageId,
+          message: message.message,
+          messageType: message.messageType,
+          timestamp: message.timestamp
+        }))
+      });
+    }
+
+    return conversations;
+  }
+}
+
+module.exports = new DataExportService();
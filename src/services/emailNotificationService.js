@@ -1,22 +1,38 @@
 const { Resend } = require('resend');
 const jwt = require('jsonwebtoken');
+const magicLinkService = require('./magicLinkService');
 
 class EmailNotificationService {
   constructor() {
-    this.resend = new Resend(process.env.RESEND_API_KEY);
+    this.resendClient = null;
   }
 
   /**
-   * Generate auto-login token for email links
+   * Created on first send - Resend refuses to construct without an API key,
+   * and the app should still start without one (DATA_STORE=memory, tests)
    */
-  generateAutoLoginToken(userId, email) {
+  get resend() {
+    if (!this.resendClient) {
+      this.resendClient = new Resend(process.env.RESEND_API_KEY);
+    }
+    return this.resendClient;
+  }
+
+  /**
+   * Generate a single-use auto-login token for email links
+   * The token carries a nonce that verifyEmailToken consumes on first use
+   */
+  async generateAutoLoginToken(userId, email) {
     try {
+      const { nonce, expiresAt } = await magicLinkService.createNonce(userId, email);
+
       const token = jwt.sign(
         { 
           userId: userId, 
           email: email,
+          nonce: nonce,
           purpose: 'email_login',
-          exp: Math.floor(Date.now() / 1000) + (48 * 60 * 60) // 48 hours
+          exp: Math.floor(expiresAt.getTime() / 1000)
         }, 
         process.env.JWT_SECRET
       );
@@ -31,8 +47,8 @@ class EmailNotificationService {
   /**
    * Generate dashboard URL with auto-login token
    */
-  generateDashboardLink(userId, email) {
-    const token = this.generateAutoLoginToken(userId, email);
+  async generateDashboardLink(userId, email) {
+    const token = await this.generateAutoLoginToken(userId, email);
     const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     return `${baseUrl}/auto-login?token=${token}&redirect=dashboard`;
   }
@@ -43,7 +59,7 @@ class EmailNotificationService {
   async sendGenericNotificationEmail(emailData) {
     try {
 
-      const dashboardLink = this.generateDashboardLink(emailData.user.id, emailData.user.email);
+      const dashboardLink = await this.generateDashboardLink(emailData.user.id, emailData.user.email);
 
       const resendEmailData = {
         from: 'notifications@notifications.alphacodelabs.com',
@@ -135,7 +151,7 @@ class EmailNotificationService {
             <!-- Footer Message -->
             <div style="text-align: center; margin-top: 40px; padding-top: 30px; border-top: 1px solid #e5e7eb;">
               <p style="color: #9ca3af; margin: 0; font-size: 14px; line-height: 1.5;">
-                This link will expire in 48 hours for your security.<br>
+                This link can only be used once and will expire in 48 hours for your security.<br>
                 Don't miss out on potential connections!
               </p>
               <p style="color: #6b7280; margin: 15px 0 0 0; font-size: 16px; font-weight: 600;">
@@ -0,0 +1,86 @@
+/**
+ * The one gender / orientation model shared by registration, profile
+ * updates and matching
+ *
+ * Users are stored with `gender` as one of GENDERS and `interestedIn` as an
+ * array of GENDERS. Form labels ("Woman", "Everyone") and the older stored
+ * values ("women", "both", "prefer-not-to-say") are all accepted on the way
+ * in, so documents written before this model still match correctly until
+ * they are migrated (src/migrations/001-gender-model.js).
+ */
+
+const GENDERS = ['male', 'female', 'non-binary', 'other'];
+
+// Lower-cased input -> canonical gender
+const GENDER_ALIASES = {
+  'male': 'male',
+  'man': 'male',
+  'men': 'male',
+  'female': 'female',
+  'woman': 'female',
+  'women': 'female',
+  'non-binary': 'non-binary',
+  'nonbinary': 'non-binary',
+  'non binary': 'non-binary',
+  'other': 'other',
+  'prefer-not-to-say': 'other',
+  'prefer not to say': 'other'
+};
+
+// Lower-cased interestedIn values that mean every gender
+const EVERYONE_ALIASES = ['everyone', 'both', 'all', 'any'];
+
+/**
+ * "Woman" -> "female"
+ * @returns {string|null} One of GENDERS, or null if the value is not recognized
+ */
+const normalizeGender = (value) => {
+  if (typeof value !== 'string') return null;
+  return GENDER_ALIASES[value.toLowerCase().trim()] || null;
+};
+
+/**
+ * "Everyone" -> every gender, "Women" -> ['female'], ['Men', 'Non-binary'] -> ['male', 'non-binary']
+ * @returns {Array|null} Canonical genders in GENDERS order, or null if any value is not recognized
+ */
+const normalizeInterestedIn = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  const genders = new Set();
+
+  for (const item of values) {
+    if (typeof item !== 'string') return null;
+
+    if (EVERYONE_ALIASES.includes(item.toLowerCase().trim())) {
+      GENDERS.forEach(gender => genders.add(gender));
+      continue;
+    }
+
+    const gender = normalizeGender(item);
+    if (!gender) return null;
+    genders.add(gender);
+  }
+
+  return genders.size === 0 ? null : GENDERS.filter(gender => genders.has(gender));
+};
+
+/**
+ * Whether `user` is interested in `other`'s gender
+ */
+const isInterestedIn = (user, other) => {
+  const interestedIn = normalizeInterestedIn(user.interestedIn);
+  const gender = normalizeGender(other.gender);
+  return Boolean(interestedIn && gender && interestedIn.includes(gender));
+};
+
+/**
+ * Both users are interested in each other's gender
+ */
+const areGendersCompatible = (user1, user2) => isInterestedIn(user1, user2) && isInterestedIn(user2, user1);
+
+module.exports = {
+  GENDERS,
+  normalizeGender,
+  normalizeInterestedIn,
+  isInterestedIn,
+  areGendersCompatible
+};
@@ -0,0 +1,83 @@
+const { cities } = require('../data/cityCoordinates.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Offline city geocoding backed by src/data/cityCoordinates.json
+ *
+ * Profiles only carry a free-text city, so lookups are by name (or a known
+ * alias such as "Bangalore" for "Bengaluru"). Cities missing from the dataset
+ * simply have no coordinates.
+ */
+class GeocodingService {
+  constructor() {
+    this.citiesByName = new Map();
+
+    cities.forEach(city => {
+      const entry = { name: city.name, country: city.country, lat: city.lat, lng: city.lng };
+      [city.name, ...(city.aliases || [])].forEach(name => {
+        this.citiesByName.set(this.normalizeName(name), entry);
+      });
+    });
+  }
+
+  /**
+   * "  Bangalore, Karnataka " -> "bangalore"
+   */
+  normalizeName(name) {
+    return String(name).split(',')[0].toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Look up a city's coordinates
+   * @returns {object|null} { name, country, lat, lng } or null if the city is unknown
+   */
+  geocodeCity(city) {
+    if (!city) return null;
+    return this.citiesByName.get(this.normalizeName(city)) || null;
+  }
+
+  /**
+   * Location to store on a user document for their city
+   * @returns {object|null} { lat, lng, city, country, source } or null if the city is unknown
+   */
+  getLocationForCity(city) {
+    const match = this.geocodeCity(city);
+    if (!match) return null;
+
+    return {
+      lat: match.lat,
+      lng: match.lng,
+      city: match.name,
+      country: match.country,
+      source: 'city_dataset'
+    };
+  }
+
+  /**
+   * Coordinates for a user: the stored location, or their city looked up in
+   * the dataset for users registered before locations were recorded
+   */
+  getUserLocation(user) {
+    if (user.location && typeof user.location.lat === 'number' && typeof user.location.lng === 'number') {
+      return user.location;
+    }
+    return this.geocodeCity(user.city);
+  }
+
+  /**
+   * Great-circle (haversine) distance between two { lat, lng } points in km
+   */
+  distanceKm(from, to) {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,238 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { jobLockRepo } = require('../repositories');
+
+const DEFAULT_LEASE_SECONDS = 120;
+
+/**
+ * Firestore leases so a cron job runs on one app instance at a time
+ *
+ * Every instance schedules the same jobs; whichever takes the lease in
+ * `job_locks/{jobName}` runs the job and the rest skip it. The holder
+ * extends the lease with a heartbeat while it works, so a crashed holder's
+ * lease simply expires.
+ *
+ * Scheduled runs carry a run key (the UTC date of a daily run, or the minute
+ * of a job that ticks through the day). The key of the last completed run is
+ * kept on the lock, so a slow instance whose cron fires after another
+ * finished does not run the job again, and a daily run whose holder died can
+ * be picked up by any instance (see getInterruptedRunKey).
+ */
+class JobLockService {
+  constructor() {
+    // WEBSITE_INSTANCE_ID is set by Azure App Service
+    this.instanceId = `${process.env.WEBSITE_INSTANCE_ID || os.hostname()}:${process.pid}`;
+    this.leaseMs = (parseInt(process.env.JOB_LOCK_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS) * 1000;
+    this.heartbeatMs = Math.floor(this.leaseMs / 3);
+    // How often every instance checks for a run whose holder died
+    this.recoveryCronExpression = '*/10 * * * *';
+  }
+
+  /**
+   * Run key for a scheduled run today
+   */
+  getRunKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Run key for one tick of a job that runs every few minutes
+   */
+  getTickKey(date = new Date()) {
+    return date.toISOString().slice(0, 16);
+  }
+
+  /**
+   * Try to take the lease for a job
+   * @param {string} jobName - Lock document ID
+   * @param {string|null} runKey - Scheduled run key, null for manual runs
+   * @returns {object} { acquired, lease, resumed } or { acquired: false, reason, owner }
+   */
+  async acquire(jobName, runKey = null) {
+    const leaseId = uuidv4();
+
+    return await jobLockRepo.transact(jobName, (storedLock) => {
+      const lock = storedLock || {};
+      const now = new Date();
+
+      if (runKey && lock.lastCompletedRunKey === runKey) {
+        return { result: { acquired: false, reason: 'already_completed', owner: lock.owner || null } };
+      }
+
+      const leaseExpiresAt = lock.leaseExpiresAt ? lock.leaseExpiresAt.toDate() : null;
+      if (lock.status === 'running' && leaseExpiresAt && leaseExpiresAt > now) {
+        return { result: { acquired: false, reason: 'held', owner: lock.owner } };
+      }
+
+      // The previous holder of this run stopped heartbeating without finishing it
+      const resumed = Boolean(runKey) && lock.status === 'running' && lock.runKey === runKey;
+
+      return {
+        update: {
+          jobName: jobName,
+          status: 'running',
+          owner: this.instanceId,
+          leaseId: leaseId,
+          runKey: runKey,
+          attempt: resumed ? (lock.attempt || 1) + 1 : 1,
+          acquiredAt: now,
+          heartbeatAt: now,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs)
+        },
+        result: {
+          acquired: true,
+          resumed: resumed,
+          lease: { jobName, runKey, leaseId }
+        }
+      };
+    });
+  }
+
+  /**
+   * Extend a lease
+   * @returns {boolean} false if the lease has been taken over
+   */
+  async heartbeat(lease) {
+    return await jobLockRepo.transact(lease.jobName, (lock) => {
+      if (!lock || lock.leaseId !== lease.leaseId) {
+        return { result: false };
+      }
+
+      const now = new Date();
+      return {
+        update: {
+          heartbeatAt: now,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs)
+        },
+        result: true
+      };
+    });
+  }
+
+  /**
+   * Give up a lease
+   * @param {object} lease - From acquire
+   * @param {string} status - 'completed' or 'failed'
+   */
+  async release(lease, status, error = null) {
+    await jobLockRepo.transact(lease.jobName, (lock) => {
+      if (!lock || lock.leaseId !== lease.leaseId) {
+        return {};
+      }
+
+      const update = {
+        status: status,
+        leaseExpiresAt: null,
+        finishedAt: new Date(),
+        lastError: error ? error.message : null
+      };
+      if (status === 'completed' && lease.runKey) {
+        update.lastCompletedRunKey = lease.runKey;
+      }
+
+      return { update };
+    });
+  }
+
+  /**
+   * Run fn while holding the job's lease, heartbeating until it settles
+   * fn gets a lease handle and must call lease.throwIfLost() between steps
+   * (windows, chunks, emails): once the lease has been taken over, or has
+   * gone unrenewed for so long that another instance could take it, the
+   * handle reports it lost and the job stops at its next check.
+   * @param {string} jobName - Lock document ID
+   * @param {string|null} runKey - Scheduled run key, null for manual runs
+   * @param {Function} fn - Receives { resumed, lease } where lease is { isHeld(), throwIfLost() }
+   * @returns {object} { acquired: true, resumed, result } or { acquired: false, reason, owner }
+   */
+  async runExclusive(jobName, runKey, fn) {
+    const attempt = await this.acquire(jobName, runKey);
+    if (!attempt.acquired) {
+      console.log(`⏭️ Skipping ${jobName}: ${attempt.reason === 'held' ? `lease held by ${attempt.owner}` : `run ${runKey} already completed`}`);
+      return attempt;
+    }
+
+    const { lease, resumed } = attempt;
+    if (resumed) {
+      console.log(`♻️ Resuming interrupted ${jobName} run ${runKey}`);
+    }
+
+    let lost = false;
+    let renewedAt = Date.now();
+
+    const heartbeatTimer = setInterval(async () => {
+      const sentAt = Date.now();
+      try {
+        if (await this.heartbeat(lease)) {
+          renewedAt = sentAt;
+          return;
+        }
+        console.warn(`⚠️ Lost the ${jobName} lease to another instance, stopping`);
+        lost = true;
+      } catch (error) {
+        console.error(`❌ ${jobName} lease heartbeat failed:`, error.message);
+        // The lease would expire before the next heartbeat - another instance may take it
+        if (Date.now() + this.heartbeatMs < renewedAt + this.leaseMs) return;
+        console.warn(`⚠️ Could not renew the ${jobName} lease before it expires, stopping`);
+        lost = true;
+      }
+      clearInterval(heartbeatTimer);
+    }, this.heartbeatMs);
+    heartbeatTimer.unref();
+
+    const leaseHandle = {
+      isHeld: () => !lost,
+      throwIfLost: () => {
+        if (lost) throw this.leaseLostError(jobName);
+      }
+    };
+
+    const releaseLease = (status, error = null) => {
+      clearInterval(heartbeatTimer);
+      return this.release(lease, status, error).catch(releaseError => {
+        console.error(`❌ Failed to release the ${jobName} lease:`, releaseError.message);
+      });
+    };
+
+    let result;
+    try {
+      result = await fn({ resumed, lease: leaseHandle });
+    } catch (error) {
+      await releaseLease('failed', error);
+      throw error;
+    }
+
+    await releaseLease('completed');
+    return { acquired: true, resumed, result };
+  }
+
+  /**
+   * Whether a job stopped because its lease was lost (see runExclusive)
+   */
+  isLeaseLost(error) {
+    return error?.code === 'lease_lost';
+  }
+
+  leaseLostError(jobName) {
+    const error = new Error(`The ${jobName} lease was lost; another instance may be running the job`);
+    error.code = 'lease_lost';
+    return error;
+  }
+
+  /**
+   * Today's scheduled run if its holder died before finishing it
+   * @returns {string|null} Run key to resume
+   */
+  async getInterruptedRunKey(jobName) {
+    const lock = await jobLockRepo.findByName(jobName);
+    if (!lock) return null;
+
+    const leaseExpiresAt = lock.leaseExpiresAt ? lock.leaseExpiresAt.toDate() : null;
+    const interrupted = lock.status === 'running' && lock.runKey && leaseExpiresAt && leaseExpiresAt <= new Date();
+
+    // Yesterday's run is left to today's schedule
+    return interrupted && lock.runKey === this.getRunKey() ? lock.runKey : null;
+  }
+}
+
+module.exports = new JobLockService();
@@ -0,0 +1,77 @@
+const { magicLinkRepo } = require('../repositories');
+
+const MAGIC_LINK_TTL_HOURS = 48;
+
+class MagicLinkService {
+  /**
+   * Create a single-use nonce for an email auto-login link
+   * @returns {object} { nonce, expiresAt }
+   */
+  async createNonce(userId, email) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + MAGIC_LINK_TTL_HOURS * 60 * 60 * 1000);
+
+    const nonce = await magicLinkRepo.create({
+      userId: userId,
+      email: email,
+      createdAt: now,
+      expiresAt: expiresAt,
+      usedAt: null,
+      revokedAt: null
+    });
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Atomically mark a nonce as used
+   * Throws an error with a `code` when the link cannot be used
+   */
+  async consumeNonce(nonce, userId) {
+    if (!nonce) {
+      throw this.linkError('Invalid login link', 'MAGIC_LINK_INVALID');
+    }
+
+    await magicLinkRepo.transact(nonce, (nonceData) => {
+      if (!nonceData || nonceData.userId !== userId) {
+        throw this.linkError('Invalid login link', 'MAGIC_LINK_INVALID');
+      }
+
+      if (nonceData.usedAt) {
+        throw this.linkError('This login link has already been used', 'MAGIC_LINK_ALREADY_USED');
+      }
+
+      if (nonceData.revokedAt) {
+        throw this.linkError('This login link is no longer valid', 'MAGIC_LINK_REVOKED');
+      }
+
+      return { update: { usedAt: new Date() } };
+    });
+  }
+
+  /**
+   * Revoke every unused link a user has been sent
+   */
+  async revokeAllForUser(userId) {
+    return await magicLinkRepo.revokeUnusedForUser(userId);
+  }
+
+  /**
+   * Delete every link a user has been sent, used or not (for account deletion)
+   */
+  async deleteAllForUser(userId) {
+    return await magicLinkRepo.removeAllForUser(userId);
+  }
+
+  /**
+   * Build an error carrying a machine-readable code for the client
+   */
+  linkError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 401;
+    return error;
+  }
+}
+
+module.exports = new MagicLinkService();
@@ -0,0 +1,959 @@
+const scoringStrategies = require('./scoringStrategies');
+const dealBreaker = require('./scoringStrategies/dealBreaker');
+const geocodingService = require('./geocodingService');
+const { normalizeGender, normalizeInterestedIn, areGendersCompatible } = require('./genderModel');
+
+/**
+ * How a run turns scores into pairs
+ * greedy: every user takes their own top picks; mutual only when two picks coincide
+ * reciprocal: pairs are chosen globally from both sides' scores (see computeReciprocalMatches)
+ */
+const MATCHING_MODES = ['greedy', 'reciprocal'];
+
+// Engine settings a single run (e.g. a dry run) may override
+const TUNABLE_SETTINGS = [
+  'dailyMatchLimit',
+  'matchThreshold',
+  'candidatePoolSize',
+  'reciprocalListSize',
+  'maxDailyExposure',
+  'coldStartBoost',
+  'coldStartMaxMatches'
+];
+
+/**
+ * In-memory matching engine
+ *
+ * Everything here works on plain objects and never touches Firestore, so a
+ * whole daily run can be computed from one read of `users` and one read of
+ * `matches` (and benchmarked without a database - see scripts/benchmarkMatching.js).
+ */
+class MatchingEngine {
+  constructor(options = {}) {
+    this.options = options;
+    this.dailyMatchLimit = options.dailyMatchLimit || 5;
+    this.matchThreshold = options.matchThreshold ?? 30; // Lowered to ensure more matches
+    // Upper bound on candidates scored per user. Same-city candidates go in
+    // first, then the closest in age - when a user has fewer compatible
+    // candidates than this, every one of them is scored.
+    // Age range and distance preferences are hard filters applied before this.
+    this.candidatePoolSize = options.candidatePoolSize || 200;
+    // How many of each user's best-scored candidates the reciprocal mode
+    // considers when building pairs
+    this.reciprocalListSize = options.reciprocalListSize || this.dailyMatchLimit * 4;
+    // Most times one candidate can be handed out as a one-way match (user2)
+    // in a single run, so popular profiles do not soak up everyone's slots.
+    // 0 turns the cap off.
+    this.maxDailyExposure = options.maxDailyExposure ?? 25;
+    // Users with fewer than coldStartMaxMatches matches ever get this much
+    // added to their score as a candidate, so new profiles get seen
+    this.coldStartBoost = options.coldStartBoost ?? 10;
+    this.coldStartMaxMatches = options.coldStartMaxMatches ?? 3;
+  }
+
+  /**
+   * A copy of this engine with some settings changed, for trying them out
+   * @param {object} settings - Any of TUNABLE_SETTINGS
+   */
+  withSettings(settings = {}) {
+    const overrides = {};
+    TUNABLE_SETTINGS.forEach(name => {
+      if (settings[name] !== undefined) overrides[name] = settings[name];
+    });
+    return new MatchingEngine({ ...this.options, ...overrides });
+  }
+
+  /**
+   * Current value of every tunable setting, e.g. to record with a run
+   */
+  getSettings() {
+    const settings = {};
+    TUNABLE_SETTINGS.forEach(name => {
+      settings[name] = this[name];
+    });
+    return settings;
+  }
+
+  /**
+   * Everything a daily run decides, without saving anything
+   * @param {Date|Function} startOfDay - See buildMatchIndex
+   * @param {string} mode - One of MATCHING_MODES
+   * @param {Set|null} pickerIds - Users who get picks of their own this run (null = everyone);
+   *   the rest are only candidates
+   * @returns {object} { picks, processedMatches, exposure, comparison }
+   */
+  runInMemory(activeUsers, existingMatches, startOfDay, mode = 'greedy', pickerIds = null) {
+    let picks;
+    let exposureStats;
+    let comparison = null;
+
+    if (mode === 'reciprocal') {
+      ({ picks, comparison, exposureStats } = this.computeReciprocalMatches(activeUsers, existingMatches, startOfDay, pickerIds));
+    } else {
+      ({ picks, exposureStats } = this.computeMatches(activeUsers, existingMatches, startOfDay, pickerIds));
+    }
+
+    // Process matches to determine mutual vs one-way
+    const processedMatches = this.processMatches(picks);
+
+    return {
+      picks,
+      processedMatches,
+      exposure: this.buildExposureReport(activeUsers, processedMatches, exposureStats),
+      comparison
+    };
+  }
+
+  /**
+   * What a run would create: the pairs, how their scores are spread, the
+   * mutual / one-way split and who would get nothing
+   */
+  buildSimulationReport(activeUsers, processedMatches) {
+    const { mutual, oneWay } = processedMatches;
+    const pairs = [...mutual, ...oneWay].map(match => ({
+      user1_id: match.user1_id,
+      user2_id: match.user2_id,
+      match_type: match.match_type,
+      user1_score: match.user1_score,
+      user2_score: match.user2_score ?? null,
+      combined_score: match.combined_score,
+      user1_algorithm: match.user1_algorithm,
+      user1_reason: match.user1_reason
+    }));
+
+    const matchedUserIds = new Set();
+    pairs.forEach(pair => {
+      matchedUserIds.add(pair.user1_id);
+      matchedUserIds.add(pair.user2_id);
+    });
+    const unmatchedUserIds = activeUsers
+      .map(user => user.id)
+      .filter(userId => !matchedUserIds.has(userId));
+
+    const scores = pairs.map(pair => pair.combined_score).sort((a, b) => a - b);
+    const percentile = (share) => scores[Math.min(scores.length - 1, Math.floor(share * scores.length))];
+
+    // Ten-point buckets from the threshold up: { '30-39': n, ..., '90-100': n }
+    const histogram = {};
+    for (let low = Math.floor(this.matchThreshold / 10) * 10; low <= 90; low += 10) {
+      histogram[low === 90 ? '90-100' : `${low}-${low + 9}`] = 0;
+    }
+    scores.forEach(score => {
+      const low = Math.min(90, Math.floor(score / 10) * 10);
+      const bucket = low === 90 ? '90-100' : `${low}-${low + 9}`;
+      histogram[bucket] = (histogram[bucket] || 0) + 1;
+    });
+
+    return {
+      settings: this.getSettings(),
+      pairCount: pairs.length,
+      mutualCount: mutual.length,
+      oneWayCount: oneWay.length,
+      mutualShare: pairs.length === 0 ? 0 : Math.round(mutual.length / pairs.length * 1000) / 1000,
+      scoreDistribution: scores.length === 0 ? null : {
+        min: scores[0],
+        p10: percentile(0.1),
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        max: scores[scores.length - 1],
+        mean: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100,
+        histogram: histogram
+      },
+      unmatchedCount: unmatchedUserIds.length,
+      unmatchedUserIds: unmatchedUserIds,
+      pairs: pairs
+    };
+  }
+
+  /**
+   * Compute today's match picks for every active user
+   * @param {Array} activeUsers - Users eligible for matching
+   * @param {Array} existingMatches - Every match ever created ({ user1_id, user2_id, created_at })
+   * @param {Date|Function} startOfDay - Matches created after this count against today's limit
+   * @param {Set|null} pickerIds - Users who pick this run (null = everyone)
+   * @returns {object} { picks, exposureStats } - one pick per entry, keyed by
+   *   pairKey for processMatches, and counts for buildExposureReport
+   */
+  computeMatches(activeUsers, existingMatches, startOfDay, pickerIds = null) {
+    const { matchedPairs, todayCounts } = this.buildMatchIndex(existingMatches, startOfDay);
+    const candidateIndex = this.buildCandidateIndex(activeUsers);
+    const coldStartIds = this.getColdStartIds(activeUsers, matchedPairs);
+    const exposure = this.createExposureTracker();
+    const allMatches = [];
+
+    for (const user of activeUsers) {
+      if (pickerIds && !pickerIds.has(user.id)) {
+        continue;
+      }
+
+      const remainingSlots = this.dailyMatchLimit - (todayCounts.get(user.id) || 0);
+
+      if (remainingSlots <= 0) {
+        continue;
+      }
+
+      // Get potential matches for this user (excluding ALL historical matches)
+      const candidates = this.findCandidates(user, candidateIndex, matchedPairs.get(user.id));
+
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      // Score and rank candidates based on user's selected algorithm
+      const scoredCandidates = this.scoreCandidates(user, candidates, coldStartIds);
+
+      // Filter by minimum threshold and keep the best scores among candidates under the exposure cap
+      const validMatches = this.selectTopMatches(
+        scoredCandidates,
+        remainingSlots,
+        match => !this.isAtExposureCap(exposure, user.id, match.candidateId)
+      );
+
+      // Add to matches array with user context
+      validMatches.forEach(match => {
+        allMatches.push(this.toPick(user, match));
+        this.recordExposure(exposure, user.id, match);
+      });
+    }
+
+    return { picks: allMatches, exposureStats: exposure.stats };
+  }
+
+  /**
+   * Compute today's picks by pairing users on both sides' scores
+   *
+   * Each user's best candidates (up to reciprocalListSize) are scored from the
+   * candidate's side too, and every pair both sides score above the threshold
+   * becomes an edge weighted by the average of the two scores. Edges are then
+   * taken best first while both users still have slots left, which is a
+   * stable b-matching for those weights (no two users would both rather be
+   * paired with each other) and within half of the maximum total weight.
+   * Slots that are still open afterwards are filled with one-way picks, as in
+   * greedy mode (and under the same exposure cap). Users outside pickerIds
+   * have no ranking of their own but can still be paired from the other side.
+   *
+   * @returns {object} { picks, comparison, exposureStats } - picks for
+   *   processMatches, summary stats for these picks next to the greedy picks
+   *   for the same day, and counts for buildExposureReport
+   */
+  computeReciprocalMatches(activeUsers, existingMatches, startOfDay, pickerIds = null) {
+    const { matchedPairs, todayCounts } = this.buildMatchIndex(existingMatches, startOfDay);
+    const candidateIndex = this.buildCandidateIndex(activeUsers);
+    const coldStartIds = this.getColdStartIds(activeUsers, matchedPairs);
+    const exposure = this.createExposureTracker();
+    const remainingSlots = new Map();
+    const rankings = new Map(); // userId -> Map of candidateId -> scored match, best first
+    const greedyPicks = [];
+
+    for (const user of activeUsers) {
+      const slots = this.dailyMatchLimit - (todayCounts.get(user.id) || 0);
+      if (slots <= 0) continue;
+      remainingSlots.set(user.id, slots);
+      if (pickerIds && !pickerIds.has(user.id)) continue;
+
+      const candidates = this.findCandidates(user, candidateIndex, matchedPairs.get(user.id));
+      if (candidates.length === 0) continue;
+
+      const ranked = this.selectTopMatches(
+        this.scoreCandidates(user, candidates, coldStartIds),
+        Math.max(this.reciprocalListSize, slots)
+      );
+      rankings.set(user.id, new Map(ranked.map(match => [match.candidateId, match])));
+
+      // What greedy mode would have picked, for the comparison stats
+      ranked.slice(0, slots).forEach(match => greedyPicks.push(this.toPick(user, match)));
+    }
+
+    // 1. Pairs acceptable to both sides
+    const edges = [];
+    for (const [userId, ranking] of rankings) {
+      const user = candidateIndex.profiles.get(userId).user;
+
+      for (const [candidateId, match] of ranking) {
+        if (!remainingSlots.has(candidateId)) continue;
+
+        let reverse = rankings.get(candidateId)?.get(userId);
+        if (reverse) {
+          // Both rankings list the pair - add it once
+          if (candidateId < userId) continue;
+        } else {
+          reverse = this.scoreCandidates(match.candidateData, [user], coldStartIds)[0];
+          if (!reverse || reverse.score < this.matchThreshold) continue;
+        }
+
+        edges.push({
+          user: user,
+          candidate: match.candidateData,
+          forward: match,
+          reverse: reverse,
+          weight: (match.score + reverse.score) / 2
+        });
+      }
+    }
+
+    // 2. Best pairs first while both users have slots (sort is stable, so ties keep ranking order)
+    edges.sort((a, b) => b.weight - a.weight);
+
+    const picks = [];
+    const pickedPairs = new Set();
+
+    for (const edge of edges) {
+      if (remainingSlots.get(edge.user.id) <= 0 || remainingSlots.get(edge.candidate.id) <= 0) continue;
+
+      const forwardPick = this.toPick(edge.user, edge.forward);
+      picks.push(forwardPick, this.toPick(edge.candidate, edge.reverse));
+      pickedPairs.add(forwardPick.pairKey);
+      if (edge.forward.coldStartBoost) exposure.stats.coldStartPicks++;
+      if (edge.reverse.coldStartBoost) exposure.stats.coldStartPicks++;
+      remainingSlots.set(edge.user.id, remainingSlots.get(edge.user.id) - 1);
+      remainingSlots.set(edge.candidate.id, remainingSlots.get(edge.candidate.id) - 1);
+    }
+
+    // 3. Leftover slots get one-way picks from the user's own ranking
+    for (const [userId, ranking] of rankings) {
+      const user = candidateIndex.profiles.get(userId).user;
+
+      for (const match of ranking.values()) {
+        if (remainingSlots.get(userId) <= 0) break;
+
+        const pick = this.toPick(user, match);
+        if (pickedPairs.has(pick.pairKey) || this.isAtExposureCap(exposure, userId, match.candidateId)) continue;
+
+        picks.push(pick);
+        pickedPairs.add(pick.pairKey);
+        this.recordExposure(exposure, userId, match);
+        remainingSlots.set(userId, remainingSlots.get(userId) - 1);
+      }
+    }
+
+    return {
+      picks,
+      comparison: {
+        reciprocal: this.summarizePicks(picks),
+        greedy: this.summarizePicks(greedyPicks)
+      },
+      exposureStats: exposure.stats
+    };
+  }
+
+  /**
+   * Users who get the cold-start boost: fewer than coldStartMaxMatches matches ever
+   */
+  getColdStartIds(users, matchedPairs) {
+    const coldStartIds = new Set();
+    if (this.coldStartBoost <= 0) return coldStartIds;
+
+    users.forEach(user => {
+      if ((matchedPairs.get(user.id)?.size || 0) < this.coldStartMaxMatches) {
+        coldStartIds.add(user.id);
+      }
+    });
+    return coldStartIds;
+  }
+
+  /**
+   * Per-run record of how often each candidate has been handed out one-way
+   */
+  createExposureTracker() {
+    return {
+      counts: new Map(), // candidateId -> one-way picks of them so far
+      picks: new Set(), // "picker>picked" for every pick so far
+      stats: { coldStartPicks: 0 }
+    };
+  }
+
+  /**
+   * Has this candidate used up their one-way exposure for the run?
+   * Never true when the candidate already picked the user - that pick makes
+   * the pair mutual rather than one more one-way appearance
+   */
+  isAtExposureCap(exposure, userId, candidateId) {
+    if (!this.maxDailyExposure) return false;
+    if ((exposure.counts.get(candidateId) || 0) < this.maxDailyExposure) return false;
+    return !exposure.picks.has(`${candidateId}>${userId}`);
+  }
+
+  /**
+   * Count a pick towards the candidate's exposure
+   * If the candidate had already picked the user, the pair turns out mutual,
+   * so that earlier pick stops counting as one-way exposure of the user
+   */
+  recordExposure(exposure, userId, match) {
+    const candidateId = match.candidateId;
+    exposure.picks.add(`${userId}>${candidateId}`);
+
+    if (exposure.picks.has(`${candidateId}>${userId}`)) {
+      exposure.counts.set(userId, exposure.counts.get(userId) - 1);
+    } else {
+      exposure.counts.set(candidateId, (exposure.counts.get(candidateId) || 0) + 1);
+    }
+
+    if (match.coldStartBoost) {
+      exposure.stats.coldStartPicks++;
+    }
+  }
+
+  /**
+   * How one-way exposure was spread over the active users in a run
+   * @param {Array} activeUsers - Every user the run considered
+   * @param {object} processedMatches - Output of processMatches
+   * @param {object} exposureStats - From computeMatches / computeReciprocalMatches
+   */
+  buildExposureReport(activeUsers, processedMatches, exposureStats = {}) {
+    const counts = new Map(activeUsers.map(user => [user.id, 0]));
+    processedMatches.oneWay.forEach(match => {
+      counts.set(match.user2_id, (counts.get(match.user2_id) || 0) + 1);
+    });
+
+    const values = [...counts.values()].sort((a, b) => a - b);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    const percentile = (share) => values.length === 0
+      ? 0
+      : values[Math.min(values.length - 1, Math.floor(share * values.length))];
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    // 0 = everyone shown equally often, 1 = one person gets every appearance
+    let weightedSum = 0;
+    values.forEach((value, i) => { weightedSum += (i + 1) * value; });
+    const gini = total === 0 ? 0 : (2 * weightedSum) / (values.length * total) - (values.length + 1) / values.length;
+
+    const topOnePercentCount = Math.max(1, Math.ceil(values.length * 0.01));
+    const topOnePercentTotal = values.slice(-topOnePercentCount).reduce((sum, value) => sum + value, 0);
+
+    return {
+      maxDailyExposure: this.maxDailyExposure || null,
+      oneWayExposures: total,
+      usersConsidered: values.length,
+      usersExposed: values.filter(value => value > 0).length,
+      usersAtCap: this.maxDailyExposure ? values.filter(value => value >= this.maxDailyExposure).length : 0,
+      mean: round(values.length === 0 ? 0 : total / values.length),
+      median: percentile(0.5),
+      p90: percentile(0.9),
+      p99: percentile(0.99),
+      max: values.length === 0 ? 0 : values[values.length - 1],
+      gini: round(gini),
+      topOnePercentShare: round(total === 0 ? 0 : topOnePercentTotal / total),
+      coldStartBoostedPicks: exposureStats.coldStartPicks || 0
+    };
+  }
+
+  /**
+   * One user's pick of a scored candidate, in the shape processMatches expects
+   */
+  toPick(user, match) {
+    return {
+      user1_id: user.id,
+      user2_id: match.candidateId,
+      user1_score: match.score,
+      user1_algorithm: match.algorithm,
+      user1_reason: match.reason,
+      pairKey: [user.id, match.candidateId].sort().join('-')
+    };
+  }
+
+  /**
+   * Headline numbers for a set of picks, used to compare matching modes
+   */
+  summarizePicks(picks) {
+    const { mutual, oneWay } = this.processMatches(picks);
+    const usersWithMutual = new Set();
+    mutual.forEach(match => {
+      usersWithMutual.add(match.user1_id);
+      usersWithMutual.add(match.user2_id);
+    });
+
+    const average = (list) => list.length === 0
+      ? 0
+      : Math.round(list.reduce((sum, match) => sum + match.combined_score, 0) / list.length * 100) / 100;
+
+    return {
+      mutualPairs: mutual.length,
+      oneWayPairs: oneWay.length,
+      usersWithMutual: usersWithMutual.size,
+      averageMutualScore: average(mutual),
+      averageScore: average([...mutual, ...oneWay])
+    };
+  }
+
+  /**
+   * Index existing matches by user
+   * matchedPairs: userId -> Set of every user they were ever matched with
+   * todayCounts: userId -> number of matches created since startOfDay
+   * @param {Date|Function} startOfDay - One cut-off for everyone, or
+   *   userId => Date for users whose days start at different times
+   */
+  buildMatchIndex(existingMatches, startOfDay) {
+    const matchedPairs = new Map();
+    const todayCounts = new Map();
+    const getStartOfDay = typeof startOfDay === 'function' ? startOfDay : () => startOfDay;
+    const countToday = (userId) => todayCounts.set(userId, (todayCounts.get(userId) || 0) + 1);
+
+    const addPair = (userId, otherUserId) => {
+      if (!matchedPairs.has(userId)) {
+        matchedPairs.set(userId, new Set());
+      }
+      matchedPairs.get(userId).add(otherUserId);
+    };
+
+    for (const match of existingMatches) {
+      addPair(match.user1_id, match.user2_id);
+      addPair(match.user2_id, match.user1_id);
+
+      if (match.created_at) {
+        if (match.created_at >= getStartOfDay(match.user1_id)) countToday(match.user1_id);
+        if (match.created_at >= getStartOfDay(match.user2_id)) countToday(match.user2_id);
+      }
+    }
+
+    return { matchedPairs, todayCounts };
+  }
+
+  /**
+   * Build each bucket's candidate pool
+   *
+   * Users are bucketed by normalized gender, interestedIn and lookingFor.
+   * Compatibility only depends on those three values, so it is checked once
+   * per pair of buckets instead of once per pair of users. Every bucket then
+   * gets the users of all its compatible buckets, grouped by city and sorted
+   * by age, so each user's pool can be read off directly.
+   */
+  buildCandidateIndex(users) {
+    const buckets = new Map();
+    const profiles = new Map();
+
+    users.forEach((user, slot) => {
+      const profile = this.buildProfile(user, slot);
+      profiles.set(user.id, profile);
+
+      if (!buckets.has(profile.key)) {
+        buckets.set(profile.key, { sample: user, entries: [] });
+      }
+      buckets.get(profile.key).entries.push(profile);
+    });
+
+    const candidatePools = new Map();
+    for (const [key, bucket] of buckets) {
+      const pool = { byCity: new Map(), byAge: [], withoutAge: [] };
+
+      for (const other of buckets.values()) {
+        if (!this.areUsersCompatible(bucket.sample, other.sample)) continue;
+
+        for (const entry of other.entries) {
+          if (entry.city) {
+            if (!pool.byCity.has(entry.city)) {
+              pool.byCity.set(entry.city, []);
+            }
+            pool.byCity.get(entry.city).push(entry);
+          }
+
+          if (entry.age !== null) {
+            pool.byAge.push(entry);
+          } else {
+            pool.withoutAge.push(entry);
+          }
+        }
+      }
+
+      pool.byAge.sort((a, b) => a.age - b.age);
+      candidatePools.set(key, pool);
+    }
+
+    return {
+      candidatePools,
+      profiles,
+      // Per-user "already in the pool" marks, reused across users via a stamp
+      poolMarks: new Int32Array(users.length),
+      poolStamp: 0,
+      // Age-sorted pools cut down to one location and max distance, shared
+      // by every user in the same bucket, place and distance setting
+      nearbyByAge: new Map()
+    };
+  }
+
+  /**
+   * Everything findCandidates needs about a user, worked out once per run
+   */
+  buildProfile(user, slot) {
+    return {
+      slot,
+      key: this.getBucketKey(user),
+      city: this.normalizeCity(user.city),
+      age: this.getAge(user),
+      location: geocodingService.getUserLocation(user),
+      minAge: this.getPreference(user.minAge),
+      maxAge: this.getPreference(user.maxAge),
+      maxDistanceKm: this.getPreference(user.maxDistanceKm),
+      // null for the many users who never blocked anyone
+      blockedUserIds: user.blockedUserIds?.length ? new Set(user.blockedUserIds) : null,
+      user
+    };
+  }
+
+  /**
+   * Key for the values that decide whether two users can be matched
+   */
+  getBucketKey(user) {
+    return [
+      normalizeGender(user.gender) || '',
+      (normalizeInterestedIn(user.interestedIn) || []).join(','),
+      this.normalizeLookingFor(user.lookingFor)
+    ].join('|');
+  }
+
+  /**
+   * Gender preferences and lookingFor must both line up
+   */
+  areUsersCompatible(user1, user2) {
+    // Each must be interested in the other's gender (see genderModel)
+    if (!areGendersCompatible(user1, user2)) {
+      return false;
+    }
+
+    // Check if looking for same things (with normalization)
+    const user1LookingFor = this.normalizeLookingFor(user1.lookingFor);
+    const user2LookingFor = this.normalizeLookingFor(user2.lookingFor);
+
+    // Compatible if both want friendship, both want dating, or either wants "both"
+    return user1LookingFor === user2LookingFor ||
+      user1LookingFor === 'both' ||
+      user2LookingFor === 'both';
+  }
+
+  normalizeCity(city) {
+    return city ? city.toLowerCase().trim() : '';
+  }
+
+  getAge(user) {
+    const age = parseInt(user.age);
+    return Number.isNaN(age) ? null : age;
+  }
+
+  /**
+   * Numeric match-settings filter, or null when the user has not set one
+   */
+  getPreference(value) {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || Number.isNaN(number) ? null : number;
+  }
+
+  /**
+   * Distance between two profiles in km, or null when it cannot be worked out
+   * Users in the same city are 0 km apart even if the city is not in the dataset
+   */
+  getDistanceKm(profile, other) {
+    if (profile.location && other.location) {
+      return geocodingService.distanceKm(profile.location, other.location);
+    }
+    return profile.city && profile.city === other.city ? 0 : null;
+  }
+
+  /**
+   * Does `other` fall inside `profile`'s age range and max distance?
+   * Once a filter is set, a candidate with no age / no known location fails it
+   */
+  isWithinPreferences(profile, other) {
+    if (profile.minAge !== null || profile.maxAge !== null) {
+      if (other.age === null) return false;
+      if (profile.minAge !== null && other.age < profile.minAge) return false;
+      if (profile.maxAge !== null && other.age > profile.maxAge) return false;
+    }
+
+    if (profile.maxDistanceKm !== null) {
+      const distance = this.getDistanceKm(profile, other);
+      if (distance === null || distance > profile.maxDistanceKm) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether either user blocked the other from a chat
+   */
+  isBlockedPair(profile, other) {
+    return Boolean(
+      profile.blockedUserIds?.has(other.user.id) ||
+      other.blockedUserIds?.has(profile.user.id)
+    );
+  }
+
+  /**
+   * Hard filters go both ways - each user must fit the other's preferences,
+   * neither may have blocked the other, and neither may break the other's hard
+   * deal-breakers (whichever scoring strategy either of them uses)
+   */
+  passesHardFilters(profile, other) {
+    return !this.isBlockedPair(profile, other) &&
+      this.isWithinPreferences(profile, other) &&
+      this.isWithinPreferences(other, profile) &&
+      !dealBreaker.hasHardConflict(profile.user, other.user);
+  }
+
+  /**
+   * Find potential candidates for a user
+   * Builds a pool of at most candidatePoolSize compatible users who pass
+   * both sides' hard filters: same city first, then by closest age (within
+   * the user's age range), then users with no age on file
+   */
+  findCandidates(user, candidateIndex, alreadyMatchedUserIds = new Set()) {
+    const profile = candidateIndex.profiles.get(user.id);
+    const pool = candidateIndex.candidatePools.get(profile.key);
+    const marks = candidateIndex.poolMarks;
+    const stamp = ++candidateIndex.poolStamp;
+    const candidates = [];
+
+    marks[profile.slot] = stamp;
+
+    const tryAdd = (entry) => {
+      // Skip self, anyone already seen and anyone EVER matched before
+      if (marks[entry.slot] === stamp || alreadyMatchedUserIds.has(entry.user.id)) {
+        return;
+      }
+      marks[entry.slot] = stamp;
+
+      if (this.passesHardFilters(profile, entry)) {
+        candidates.push(entry.user);
+      }
+    };
+
+    const isFull = () => candidates.length >= this.candidatePoolSize;
+
+    // 1. Same city - these get the biggest location bonus
+    if (profile.city) {
+      for (const entry of pool.byCity.get(profile.city) || []) {
+        if (isFull()) return candidates;
+        tryAdd(entry);
+      }
+    }
+
+    // 2. Closest in age, walking outwards from the user's age but never
+    // past either end of their age range
+    const byAge = this.getAgeOrderedPool(profile, pool, candidateIndex);
+    const targetAge = profile.age;
+    const start = profile.minAge === null ? 0 : this.lowerBoundByAge(byAge, profile.minAge);
+    const end = profile.maxAge === null ? byAge.length : this.lowerBoundByAge(byAge, profile.maxAge + 1);
+    let hi = targetAge === null ? start : Math.min(Math.max(this.lowerBoundByAge(byAge, targetAge), start), end);
+    let lo = hi - 1;
+
+    while (!isFull() && (lo >= start || hi < end)) {
+      const takeLower = hi >= end ||
+        (lo >= start && targetAge - byAge[lo].age <= byAge[hi].age - targetAge);
+
+      tryAdd(takeLower ? byAge[lo--] : byAge[hi++]);
+    }
+
+    // 3. Users without an age - ruled out by any age range
+    if (profile.minAge !== null || profile.maxAge !== null) {
+      return candidates;
+    }
+    for (const entry of pool.withoutAge) {
+      if (isFull()) return candidates;
+      tryAdd(entry);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * The age-sorted pool to walk for a user
+   * With a max distance set, only candidates within range are kept, so
+   * the walk does not step over everyone who lives too far away
+   */
+  getAgeOrderedPool(profile, pool, candidateIndex) {
+    if (profile.maxDistanceKm === null) {
+      return pool.byAge;
+    }
+    // Without coordinates only same-city candidates can qualify - step 1 has them
+    if (!profile.location) {
+      return [];
+    }
+
+    const cacheKey = `${profile.key}|${profile.location.lat},${profile.location.lng}|${profile.maxDistanceKm}`;
+    let nearby = candidateIndex.nearbyByAge.get(cacheKey);
+
+    if (!nearby) {
+      nearby = pool.byAge.filter(entry =>
+        entry.location &&
+        geocodingService.distanceKm(profile.location, entry.location) <= profile.maxDistanceKm
+      );
+      candidateIndex.nearbyByAge.set(cacheKey, nearby);
+    }
+
+    return nearby;
+  }
+
+  /**
+   * First index in an age-sorted list whose age is >= age
+   */
+  lowerBoundByAge(list, age) {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].age < age) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Keep the highest scoring matches above the threshold, best first
+   * Equal scores keep candidate order, same as a stable sort would
+   * @param {Function} isAllowed - Optional extra check, only run for matches that would make the cut
+   */
+  selectTopMatches(scoredCandidates, limit, isAllowed = null) {
+    const top = [];
+
+    for (const match of scoredCandidates) {
+      if (match.score < this.matchThreshold) continue;
+      if (top.length === limit && match.score <= top[top.length - 1].score) continue;
+      if (isAllowed && !isAllowed(match)) continue;
+
+      let position = top.length;
+      while (position > 0 && top[position - 1].score < match.score) {
+        position--;
+      }
+      top.splice(position, 0, match);
+
+      if (top.length > limit) {
+        top.pop();
+      }
+    }
+
+    return top;
+  }
+
+  /**
+   * Normalize lookingFor values
+   */
+  normalizeLookingFor(value) {
+    if (!value) return '';
+    
+    const normalized = value.toLowerCase().trim();
+    const lookingForMap = {
+      'friendship': 'friendship',
+      'friends': 'friendship',
+      'dating': 'dating',
+      'dating/relationships': 'dating',
+      'relationships': 'dating',
+      'long-term': 'dating',
+      'both': 'both',
+      'all': 'both'
+    };
+    
+    return lookingForMap[normalized] || normalized;
+  }
+
+  /**
+   * Score candidates based on user's selected matching algorithm
+   * The algorithm itself comes from the scoring strategy registry
+   * @param {Set} coldStartIds - Optional, from getColdStartIds; enables the cold-start boost
+   */
+  scoreCandidates(user, candidates, coldStartIds = null) {
+    const scoredCandidates = [];
+    const strategy = scoringStrategies.resolveForUser(user);
+
+    const userCity = user.city ? user.city.toLowerCase() : null;
+    
+    for (const candidate of candidates) {
+      // Strategies can rule a candidate out entirely (e.g. hard deal-breakers)
+      if (strategy.excludes && strategy.excludes(user, candidate)) {
+        continue;
+      }
+
+      let score = strategy.score(user, candidate);
+
+      // Apply location bonus (30% boost for same city)
+      if (userCity && candidate.city && 
+          userCity === candidate.city.toLowerCase()) {
+        score = Math.min(100, score * 1.3);
+      }
+
+      // Apply age compatibility bonus
+      if (user.age && candidate.age) {
+        const ageDiff = Math.abs(user.age - candidate.age);
+        let ageBonus = 0;
+        if (ageDiff <= 2) ageBonus = 10;
+        else if (ageDiff <= 5) ageBonus = 5;
+        else if (ageDiff <= 10) ageBonus = 2;
+        
+        score = Math.min(100, score + ageBonus);
+      }
+
+      // Apply cold-start boost for candidates who have barely been matched yet
+      const coldStartBoost = coldStartIds !== null && coldStartIds.has(candidate.id);
+      if (coldStartBoost) {
+        score = Math.min(100, score + this.coldStartBoost);
+      }
+
+      scoredCandidates.push({
+        candidateId: candidate.id,
+        candidateData: candidate,
+        score: Math.round(score),
+        algorithm: strategy.id,
+        reason: strategy.explain(user, candidate),
+        coldStartBoost: coldStartBoost
+      });
+    }
+
+    return scoredCandidates;
+  }
+
+  /**
+   * Process matches to determine mutual vs one-way
+   */
+  processMatches(allMatches) {
+    const mutual = [];
+    const oneWay = [];
+    const processedPairs = new Set();
+
+    // Group matches by pair
+    const matchesByPair = {};
+    allMatches.forEach(match => {
+      if (!matchesByPair[match.pairKey]) {
+        matchesByPair[match.pairKey] = [];
+      }
+      matchesByPair[match.pairKey].push(match);
+    });
+
+    // Process each pair
+    Object.entries(matchesByPair).forEach(([pairKey, matches]) => {
+      if (matches.length === 2) {
+        // Both users selected each other - mutual match
+        const match1 = matches[0];
+        const match2 = matches[1];        
+        mutual.push({
+          user1_id: match1.user1_id,
+          user2_id: match1.user2_id,
+          match_type: 'mutual_algorithm',
+          user1_score: match1.user1_score,
+          user2_score: match2.user1_score,
+          user1_algorithm: match1.user1_algorithm,
+          user2_algorithm: match2.user1_algorithm,
+          user1_reason: match1.user1_reason,
+          user2_reason: match2.user1_reason,
+          combined_score: Math.round((match1.user1_score + match2.user1_score) / 2)
+        });
+      } else if (matches.length === 1) {
+        // Only one user selected the other - one-way match
+        const match = matches[0];        
+        oneWay.push({
+          user1_id: match.user1_id,
+          user2_id: match.user2_id,
+          match_type: 'one_way_interest',
+          user1_score: match.user1_score,
+          user1_algorithm: match.user1_algorithm,
+          user1_reason: match.user1_reason,
+          combined_score: match.user1_score
+        });
+      }
+    });
+
+    return { mutual, oneWay };
+  }
+
+}
+
+MatchingEngine.MODES = MATCHING_MODES;
+MatchingEngine.TUNABLE_SETTINGS = TUNABLE_SETTINGS;
+
+module.exports = MatchingEngine;
@@ -0,0 +1,105 @@
+const { matchingRunRepo } = require('../repositories');
+
+/**
+ * Records every daily matching run in `matching_runs`
+ *
+ * A run is written as `running` when it starts and updated to `completed`
+ * or `failed` when it ends, so a run that never finishes (crash, deploy)
+ * still shows up in the history.
+ */
+class MatchingRunService {
+  /**
+   * Record the start of a run
+   * @param {object} run - trigger ('scheduled' | 'manual') and config (mode, dryRun, engine settings)
+   * @returns {string} Run ID
+   */
+  async startRun({ trigger, config }) {
+    return await matchingRunRepo.create({
+      trigger: trigger,
+      status: 'running',
+      mode: config.mode,
+      dryRun: config.dryRun,
+      config: config,
+      startedAt: new Date(),
+      finishedAt: null,
+      duration: null,
+      usersProcessed: null,
+      matchesCreated: null,
+      mutualCount: null,
+      oneWayCount: null,
+      notifications: null,
+      errors: []
+    });
+  }
+
+  /**
+   * Record the outcome of a finished run
+   * @param {string} runId - Run ID from startRun
+   * @param {object} result - Result of MatchingService.runDailyMatching
+   * @param {object} notifications - Notification counts, null when none were sent
+   */
+  async completeRun(runId, result, notifications = null) {
+    const update = {
+      status: 'completed',
+      finishedAt: new Date(),
+      duration: result.duration,
+      usersProcessed: result.usersProcessed,
+      matchesCreated: result.matchesCreated,
+      mutualCount: result.mutualCount,
+      oneWayCount: result.oneWayCount,
+      // Timezone windows the run matched
+      windows: result.windows || [],
+      exposure: result.exposure || null,
+      comparison: result.comparison || null,
+      notifications: notifications
+    };
+
+    if (result.dryRun) {
+      // The pairs themselves are in the admin response; keep the record small
+      const { pairs, unmatchedUserIds, ...simulation } = result.simulation;
+      update.simulation = simulation;
+    }
+
+    await matchingRunRepo.update(runId, update);
+  }
+
+  /**
+   * Record a run that threw
+   */
+  async failRun(runId, error, startedAt) {
+    await matchingRunRepo.update(runId, {
+      status: 'failed',
+      finishedAt: new Date(),
+      duration: startedAt ? (Date.now() - startedAt.getTime()) / 1000 : null,
+      errors: [{
+        message: error.message,
+        code: error.code || null
+      }]
+    });
+  }
+
+  /**
+   * Page through run history, newest first
+   * @param {object} options - limit and cursor (the last run ID of the previous page)
+   * @returns {object|null} { runs, nextCursor }, or null if the cursor run does not exist
+   */
+  async listRuns({ limit = 20, cursor = null } = {}) {
+    const page = await matchingRunRepo.findPage({ limit, cursor });
+    if (!page) {
+      return null;
+    }
+
+    const runs = page.runs.map(run => ({
+      ...run,
+      startedAt: run.startedAt?.toDate ? run.startedAt.toDate() : run.startedAt,
+      finishedAt: run.finishedAt?.toDate ? run.finishedAt.toDate() : run.finishedAt
+    }));
+
+    return {
+      runs: runs,
+      nextCursor: page.hasMore ? runs[runs.length - 1].id : null
+    };
+  }
+}
+
+module.exports = new MatchingRunService();
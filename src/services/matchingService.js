@@ -1,143 +1,197 @@
-const { db } = require('../config/firebase');
-
-class MatchingService {
+const { userRepo, matchRepo } = require('../repositories');
+const MatchingEngine = require('./matchingEngine');
+const scoringStrategies = require('./scoringStrategies');
+const rankingModelService = require('./rankingModelService');
+const timezoneService = require('./timezoneService');
+const timezoneRegistryService = require('./timezoneRegistryService');
+const jobLockService = require('./jobLockService');
+const { FEATURE_NAMES, getPairFeatures } = require('./scoringStrategies/pairFeatures');
+
+// Integer setting from the environment, or undefined for the engine default (0 is a valid value)
+const intFromEnv = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+// Firestore allows 500 writes per batch - each chunk of matches also updates the checkpoint
+const BATCH_WRITE_LIMIT = 500;
+const MATCH_CHUNK_SIZE = BATCH_WRITE_LIMIT - 1;
+
+// Matches go out from 6:00 in each user's timezone; a window missed entirely waits for the next day
+const MATCHING_LOCAL_HOUR = 6;
+const DELIVERY_WINDOW_HOURS = 6;
+
+class MatchingService extends MatchingEngine {
   constructor() {
-    this.dailyMatchLimit = 5;
-    this.matchThreshold = 30; // Lowered to ensure more matches
-  }
-
-  /**
-   * CRITICAL FIX: Normalize gender values for consistent comparison
-   */
-  normalizeGenderValue(value) {
-    if (!value) return '';
-    
-    const normalized = value.toLowerCase().trim();
-    
-    // Map all variations to standard values
-    const genderMap = {
-      'male': 'male',
-      'man': 'male',
-      'men': 'male',
-      'female': 'female',
-      'woman': 'female',
-      'women': 'female',
-      'non-binary': 'non-binary',
-      'nonbinary': 'non-binary',
-      'other': 'other',
-      'everyone': 'everyone',
-      'both': 'everyone',
-      'all': 'everyone'
-    };
-    
-    return genderMap[normalized] || normalized;
-  }
-
-  /**
-   * FIXED: Check if two users are compatible based on gender preferences
-   */
-  checkGenderCompatibility(user1, user2) {
-    // Normalize all gender values for comparison
-    const user1Gender = this.normalizeGenderValue(user1.gender);
-    const user1InterestedIn = this.normalizeGenderValue(user1.interestedIn);
-    const user2Gender = this.normalizeGenderValue(user2.gender);
-    const user2InterestedIn = this.normalizeGenderValue(user2.interestedIn);
-    
-    
-    // Check if user1 is interested in user2's gender
-    let user1Interested = false;
-    if (user1InterestedIn === 'everyone') {
-      user1Interested = true;
-    } else if (user1InterestedIn === user2Gender) {
-      user1Interested = true;
-    }
-    
-    // Check if user2 is interested in user1's gender
-    let user2Interested = false;
-    if (user2InterestedIn === 'everyone') {
-      user2Interested = true;
-    } else if (user2InterestedIn === user1Gender) {
-      user2Interested = true;
-    }
-    
-    const isCompatible = user1Interested && user2Interested;
-    return isCompatible;
+    super({
+      candidatePoolSize: parseInt(process.env.MATCHING_CANDIDATE_POOL_SIZE) || undefined,
+      maxDailyExposure: intFromEnv('MATCHING_MAX_DAILY_EXPOSURE'),
+      coldStartBoost: intFromEnv('MATCHING_COLD_START_BOOST'),
+      coldStartMaxMatches: intFromEnv('MATCHING_COLD_START_MAX_MATCHES')
+    });
   }
 
   /**
-   * Run daily matching for all active users
+   * Run daily matching for every timezone whose morning delivery window is open
+   * Users and matches are read once per run - all candidate selection and
+   * scoring happens in memory (see MatchingEngine)
+   *
+   * Users in a due window pick their matches for their local day; everyone
+   * else can still be matched as a candidate. Each window has its own
+   * checkpoint, so a window that has been matched is not matched again and
+   * one that failed part-way carries on at the next run.
+   *
+   * Each window's users are notified (onWindowSaved) as soon as the window is
+   * saved, and the checkpoint records it. A window saved by a run that
+   * stopped before notifying is notified by the next run.
+   * @param {object} options
+   *   mode         - 'greedy' | 'reciprocal'
+   *   dryRun       - compute everything but save nothing; the result carries a simulation report
+   *   settings     - engine settings to try for this run only (dry runs only), e.g. { matchThreshold: 40 }
+   *   allTimezones - also match timezones whose window has closed for the day (manual runs);
+   *                  timezones still before 6:00 local are never matched early
+   *   now          - instant to run as (default: now)
+   *   lease        - job lease handle (see jobLockService.runExclusive); saving stops once it is lost
+   *   onWindowSaved - async (window, matches) called with every match of a window once it is saved
    */
-  async runDailyMatching() {
+  async runDailyMatching(options = {}) {
     try {
       const startTime = Date.now();
+      const mode = options.mode || 'greedy';
+      const dryRun = options.dryRun === true;
+      const engine = this.getEngineForRun(options);
+      const now = options.now || new Date();
 
       // Get all active users who have completed personality analysis
       const activeUsers = await this.getActiveUsers();
 
-      const allMatches = [];
-      const processedPairs = new Set();
-
-      // Process matches for each user
-      for (const user of activeUsers) {
-        
-        // FIXED: Get ALL historical matches for this user (not just today's)
-        const allHistoricalMatches = await this.getAllMatchesForUser(user.id);
-        
-        // Get today's NEW matches (for daily limit calculation)
-        const todayNewMatches = await this.getTodayNewMatches(user.id);
-        const remainingSlots = this.dailyMatchLimit - todayNewMatches.length;
-        
-        if (remainingSlots <= 0) {
-          continue;
+      const knownTimezones = await timezoneRegistryService.getKnownTimezones();
+      const windows = this.getDeliveryWindows(activeUsers, now, options.allTimezones === true, knownTimezones);
+      const dueWindows = await this.getDueWindows(windows, dryRun);
+
+      if (!dryRun && options.onWindowSaved) {
+        for (const window of await this.getUnnotifiedWindows(windows)) {
+          options.lease?.throwIfLost();
+          console.log(`🔔 Notifying ${window.key}, saved by an earlier run`);
+          await this.notifyWindow(window, await this.getWindowMatches(window), options.onWindowSaved);
         }
+      }
 
-        // Get potential matches for this user (excluding ALL historical matches)
-        const candidates = await this.findCandidates(user, allHistoricalMatches);
+      const windowSummaries = dueWindows.map(window => ({
+        key: window.key,
+        timezone: window.timezone,
+        localDate: window.localDate,
+        users: window.userIds.length,
+        resumed: Boolean(window.checkpoint)
+      }));
+
+      if (dueWindows.length === 0) {
+        console.log('⏭️ No timezone is due for daily matching');
+        return {
+          success: true,
+          dryRun: dryRun,
+          mode: mode,
+          windows: [],
+          usersProcessed: 0,
+          matchesCreated: 0,
+          mutualCount: 0,
+          oneWayCount: 0,
+          duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(3)),
+          comparison: null,
+          exposure: null,
+          newMatches: []
+        };
+      }
 
-        if (candidates.length === 0) {
-          continue;
-        }
+      console.log(`🌍 Matching ${dueWindows.length} timezone window(s): ${dueWindows.map(window => window.key).join(', ')}`);
 
-        // Score and rank candidates based on user's selected algorithm
-        const scoredCandidates = this.scoreCandidates(user, candidates);
-        
-        // Filter by minimum threshold and sort by score
-        const validMatches = scoredCandidates
-          .filter(match => match.score >= this.matchThreshold)
-          .sort((a, b) => b.score - a.score)
-          .slice(0, remainingSlots);
-
-        // Add to matches array with user context
-        validMatches.forEach(match => {
-          const pairKey = [user.id, match.candidateId].sort().join('-');
-          
-          allMatches.push({
-            user1_id: user.id,
-            user2_id: match.candidateId,
-            user1_score: match.score,
-            user1_algorithm: match.algorithm,
-            user1_reason: match.reason,
-            pairKey: pairKey
-          });
-        });
+      // Every historical match, used both to skip repeat pairs and for the daily limit
+      const existingMatches = await this.getAllMatches();
+
+      // Latest trained model for users on the learned strategy
+      await this.loadRankingModel();
+
+      // Matches saved since the user's local midnight count against their daily limit,
+      // including any an earlier attempt at the window saved
+      const windowByUser = new Map();
+      windows.forEach(window => window.userIds.forEach(userId => windowByUser.set(userId, window)));
+      const defaultStartOfDay = timezoneService.getStartOfLocalDay(now, timezoneService.defaultTimezone);
+      const getStartOfDay = (userId) => windowByUser.get(userId)?.startOfDay || defaultStartOfDay;
+
+      const pickerIds = new Set(dueWindows.flatMap(window => window.userIds));
+
+      const { processedMatches, exposure, comparison } = engine.runInMemory(activeUsers, existingMatches, getStartOfDay, mode, pickerIds);
+      if (comparison) {
+        console.log('⚖️ Reciprocal vs greedy matching:', comparison);
       }
 
-      // Process matches to determine mutual vs one-way
-      
-      const processedMatches = this.processMatches(allMatches);
+      if (dryRun) {
+        const simulation = engine.buildSimulationReport(activeUsers, processedMatches);
+        console.log(`🧪 Dry run: would create ${simulation.pairCount} matches (${simulation.mutualCount} mutual), ${simulation.unmatchedCount} users unmatched`);
+
+        return {
+          success: true,
+          dryRun: true,
+          mode: mode,
+          windows: windowSummaries,
+          usersProcessed: pickerIds.size,
+          matchesCreated: 0,
+          mutualCount: processedMatches.mutual.length,
+          oneWayCount: processedMatches.oneWay.length,
+          duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(3)),
+          comparison: comparison,
+          exposure: exposure,
+          simulation: simulation,
+          newMatches: []
+        };
+      }
+
+      // Save matches to database, one window (and checkpoint) at a time.
+      // A pair belongs to the window of the user who picked it.
+      const matchesByWindow = new Map(dueWindows.map(window => [window.key, { mutual: [], oneWay: [] }]));
+      const usersById = new Map(activeUsers.map(user => [user.id, user]));
+      const addToWindow = (type, match) => {
+        const pickerId = pickerIds.has(match.user1_id) ? match.user1_id : match.user2_id;
+        matchesByWindow.get(windowByUser.get(pickerId).key)[type].push({
+          ...match,
+          ...this.getFeatureSnapshot(match, usersById)
+        });
+      };
+      processedMatches.mutual.forEach(match => addToWindow('mutual', match));
+      processedMatches.oneWay.forEach(match => addToWindow('oneWay', match));
+
+      const savedMatches = [];
+      for (const window of dueWindows) {
+        const windowMatches = await this.saveMatches(matchesByWindow.get(window.key), window, options.lease);
+        windowSummaries.find(summary => summary.key === window.key).matchesCreated = windowMatches.length;
+        savedMatches.push(...windowMatches);
+
+        if (options.onWindowSaved) {
+          // An earlier attempt at the window saved some of its matches too
+          const allWindowMatches = window.checkpoint ? await this.getWindowMatches(window) : windowMatches;
+          await this.notifyWindow(window, allWindowMatches, options.onWindowSaved);
+        }
+      }
 
-      // Save matches to database
-      const savedMatches = await this.saveMatches(processedMatches);
+      // Pairs an earlier attempt at the window already saved are not saved again
+      const savedMutualCount = savedMatches.filter(match => match.match_type === 'mutual_algorithm').length;
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(3);
       
       const result = {
         success: true,
-        usersProcessed: activeUsers.length,
+        dryRun: false,
+        mode: mode,
+        windows: windowSummaries,
+        usersProcessed: pickerIds.size,
         matchesCreated: savedMatches.length,
-        mutualCount: processedMatches.mutual.length,
-        oneWayCount: processedMatches.oneWay.length,
+        mutualCount: savedMutualCount,
+        oneWayCount: savedMatches.length - savedMutualCount,
         duration: parseFloat(duration),
+        // Only for reciprocal runs: these picks next to what greedy mode would have picked
+        comparison: comparison,
+        // How evenly one-way matches were spread across candidates
+        exposure: exposure,
         newMatches: savedMatches
       };
       return result;
@@ -149,447 +203,326 @@ class MatchingService {
   }
 
   /**
-   * Get all active users who have completed personality analysis
+   * Whether any timezone's window is open and not matched yet
+   * Only reads the timezone list and checkpoints, so it is cheap enough to call every few minutes
    */
-  async getActiveUsers() {
-    const snapshot = await db.collection('users')
-      .where('isActive', '==', true)
-      .where('isAnalysisComplete', '==', true)
-      .get();
-    
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+  async hasDueWindows(now = new Date()) {
+    const timezones = await timezoneRegistryService.getKnownTimezones();
+    const windows = this.getDeliveryWindows([], now, false, timezones);
+    if ((await this.getDueWindows(windows)).length > 0) return true;
+    return (await this.getUnnotifiedWindows(windows)).length > 0;
   }
 
   /**
-   * NEW: Get ALL historical matches for a user (to prevent duplicates)
+   * Group users by timezone into delivery windows for the local day at `now`
+   * @param {boolean} allTimezones - Open every window from 6:00 local, even once it has closed
+   * @param {Array} timezones - Timezones to include even without users, so their windows are marked done
+   * @returns {Array} { key, timezone, localDate, startOfDay, open, userIds }
    */
-  async getAllMatchesForUser(userId) {
-    const snapshot = await db.collection('matches').get();
-    
-    // Filter for ALL matches involving this user (regardless of date or status)
-    return snapshot.docs
-      .map(doc => ({ id: doc.id, ...doc.data() }))
-      .filter(match => 
-        match.user1_id === userId || match.user2_id === userId
-      );
-  }
-
-  /**
-   * Get today's NEW matches for a user (for daily limit)
-   */
-  async getTodayNewMatches(userId) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const snapshot = await db.collection('matches')
-      .where('created_at', '>=', today)
-      .get();
-    
-    // Filter for matches created TODAY involving this user
-    return snapshot.docs
-      .map(doc => ({ id: doc.id, ...doc.data() }))
-      .filter(match => 
-        match.user1_id === userId || match.user2_id === userId
-      );
-  }
+  getDeliveryWindows(users, now, allTimezones = false, timezones = []) {
+    const windows = new Map();
+
+    const addWindow = (timezone) => {
+      windows.set(timezone, {
+        key: timezoneService.getWindowKey(now, timezone),
+        timezone: timezone,
+        localDate: timezoneService.getLocalTime(now, timezone).date,
+        startOfDay: timezoneService.getStartOfLocalDay(now, timezone),
+        // Before 6:00 local the window stays shut even for manual runs - matching
+        // it early would wake users up and use up their morning window
+        open: allTimezones
+          ? timezoneService.getLocalTime(now, timezone).hour >= MATCHING_LOCAL_HOUR
+          : timezoneService.isWithinLocalWindow(now, timezone, MATCHING_LOCAL_HOUR, DELIVERY_WINDOW_HOURS),
+        userIds: []
+      });
+    };
 
-  /**
-   * Find potential candidates for a user
-   */
-  async findCandidates(user, allHistoricalMatches) {
-    const candidates = [];
-    const allUsers = await this.getActiveUsers();
-    
-    // Get IDs of ALL users ever matched (not just today)
-    const alreadyMatchedUserIds = new Set();
-    allHistoricalMatches.forEach(match => {
-      if (match.user1_id === user.id) {
-        alreadyMatchedUserIds.add(match.user2_id);
-      } else {
-        alreadyMatchedUserIds.add(match.user1_id);
+    timezones.forEach(addWindow);
+    users.forEach(user => {
+      const timezone = timezoneService.getUserTimezone(user);
+      if (!windows.has(timezone)) {
+        addWindow(timezone);
       }
+      windows.get(timezone).userIds.push(user.id);
     });
 
-    for (const candidate of allUsers) {
-      // Skip self
-      if (candidate.id === user.id) continue;
-      
-      // Skip if EVER matched before (not just today)
-      if (alreadyMatchedUserIds.has(candidate.id)) {
-        continue;
-      }
-
-      // FIXED: Use normalized gender compatibility check
-      if (!this.checkGenderCompatibility(user, candidate)) {
-        continue;
-      }
+    return [...windows.values()];
+  }
 
-      // Check if looking for same things (with normalization)
-      const userLookingFor = this.normalizeLookingFor(user.lookingFor);
-      const candidateLookingFor = this.normalizeLookingFor(candidate.lookingFor);
-      
-      // Compatible if both want friendship, both want dating, or either wants "both"
-      const lookingForCompatible = 
-        userLookingFor === candidateLookingFor ||
-        userLookingFor === 'both' ||
-        candidateLookingFor === 'both';
-      
-      if (!lookingForCompatible) {
-        continue;
-      }
-      candidates.push(candidate);
+  /**
+   * Open windows that have not been matched yet, with their checkpoint from any earlier attempt
+   * A dry run looks at every open window, whether or not it has run
+   */
+  async getDueWindows(windows, dryRun = false) {
+    const openWindows = windows.filter(window => window.open);
+    if (dryRun) {
+      return openWindows;
     }
 
-    return candidates;
+    const checkpoints = await Promise.all(openWindows.map(window => this.getCheckpoint(window.key)));
+    return openWindows
+      .map((window, index) => ({ ...window, checkpoint: checkpoints[index] }))
+      .filter(window => !window.checkpoint || window.checkpoint.status !== 'completed');
   }
 
   /**
-   * Normalize lookingFor values
+   * Open windows that were saved but whose users were never notified
    */
-  normalizeLookingFor(value) {
-    if (!value) return '';
-    
-    const normalized = value.toLowerCase().trim();
-    const lookingForMap = {
-      'friendship': 'friendship',
-      'friends': 'friendship',
-      'dating': 'dating',
-      'dating/relationships': 'dating',
-      'relationships': 'dating',
-      'long-term': 'dating',
-      'both': 'both',
-      'all': 'both'
-    };
-    
-    return lookingForMap[normalized] || normalized;
+  async getUnnotifiedWindows(windows) {
+    const openWindows = windows.filter(window => window.open);
+    const checkpoints = await Promise.all(openWindows.map(window => this.getCheckpoint(window.key)));
+    return openWindows
+      .map((window, index) => ({ ...window, checkpoint: checkpoints[index] }))
+      // Checkpoints from before notifications were tracked have no flag
+      .filter(window => window.checkpoint?.status === 'completed' && window.checkpoint.notificationsSent === false);
   }
 
   /**
-   * Score candidates based on user's selected matching algorithm
+   * Every match saved for a delivery window, by any attempt
    */
-  scoreCandidates(user, candidates) {
-    const scoredCandidates = [];
-    
-    // Determine which algorithm to use
-    let algorithm = 'similarity'; // default
-    if (user.similarityMatching) algorithm = 'similarity';
-    else if (user.complementaryMatching) algorithm = 'complementary';
-    else if (user.multiDimensionalMatching) algorithm = 'multiDimensional';
-    else if (user.dealBreakerFiltering) algorithm = 'dealBreaker';
-    
-    for (const candidate of candidates) {
-      let score = 0;
-      let reason = '';
-
-      switch (algorithm) {
-        case 'similarity':
-          score = this.calculateSimilarityScore(user, candidate);
-          reason = 'High personality and lifestyle compatibility';
-          break;
-        case 'complementary':
-          score = this.calculateComplementaryScore(user, candidate);
-          reason = 'Perfect personality balance and complementary traits';
-          break;
-        case 'multiDimensional':
-          score = this.calculateMultiDimensionalScore(user, candidate);
-          reason = 'Comprehensive compatibility across multiple dimensions';
-          break;
-        case 'dealBreaker':
-          score = this.calculateDealBreakerScore(user, candidate);
-          reason = 'No deal-breakers detected, all must-haves matched';
-          break;
-      }
-
-      // Apply location bonus (30% boost for same city)
-      if (user.city && candidate.city && 
-          user.city.toLowerCase() === candidate.city.toLowerCase()) {
-        score = Math.min(100, score * 1.3);
-      }
-
-      // Apply age compatibility bonus
-      if (user.age && candidate.age) {
-        const ageDiff = Math.abs(user.age - candidate.age);
-        let ageBonus = 0;
-        if (ageDiff <= 2) ageBonus = 10;
-        else if (ageDiff <= 5) ageBonus = 5;
-        else if (ageDiff <= 10) ageBonus = 2;
-        
-        score = Math.min(100, score + ageBonus);
-      }
-
-      scoredCandidates.push({
-        candidateId: candidate.id,
-        candidateData: candidate,
-        score: Math.round(score),
-        algorithm: algorithm,
-        reason: reason
-      });
-    }
-
-    return scoredCandidates;
+  async getWindowMatches(window) {
+    const matches = await matchRepo.findForWindow(window.timezone, window.localDate);
+    return matches.map(({ id, ...match }) => match);
   }
 
   /**
-   * Calculate similarity score between two users
+   * Notify a saved window's users and record it on the checkpoint
    */
-  calculateSimilarityScore(user1, user2) {
-    let score = 50; // Base score
-
-    // Compare personality scores if available
-    if (user1.personalityAnalysis?.personalityScore && 
-        user2.personalityAnalysis?.personalityScore) {
-      
-      const traits = ['openness', 'conscientiousness', 'extraversion', 
-                     'agreeableness', 'neuroticism'];
-      let totalDifference = 0;
-      
-      traits.forEach(trait => {
-        const diff = Math.abs(
-          (user1.personalityAnalysis.personalityScore[trait] || 50) - 
-          (user2.personalityAnalysis.personalityScore[trait] || 50)
-        );
-        totalDifference += diff;
-      });
-      
-      // Average difference per trait
-      const avgDifference = totalDifference / traits.length;
-      // Convert to similarity score (0-100)
-      score = Math.max(0, 100 - (avgDifference * 2));
-    }
-
-    // Bonus for same relationship status
-    if (user1.relationshipStatus === user2.relationshipStatus) {
-      score += 5;
-    }
-
-    return Math.min(100, score);
+  async notifyWindow(window, matches, onWindowSaved) {
+    await onWindowSaved(window, matches);
+    await matchRepo.updateCheckpoint(window.key, {
+      notificationsSent: true,
+      notifiedAt: new Date()
+    });
   }
 
   /**
-   * Calculate complementary score (opposites attract)
+   * Progress of a delivery window's run, or null if it has not started
    */
-  calculateComplementaryScore(user1, user2) {
-    let score = 50; // Base score
-
-    if (user1.personalityAnalysis?.personalityScore && 
-        user2.personalityAnalysis?.personalityScore) {
-      
-      const scores1 = user1.personalityAnalysis.personalityScore;
-      const scores2 = user2.personalityAnalysis.personalityScore;
-      
-      // Look for complementary traits (one high, one low)
-      let complementaryCount = 0;
-      
-      // Extraversion: introvert + extrovert
-      if ((scores1.extraversion > 70 && scores2.extraversion < 30) ||
-          (scores1.extraversion < 30 && scores2.extraversion > 70)) {
-        complementaryCount++;
-      }
-      
-      // Neuroticism: anxious + calm
-      if ((scores1.neuroticism > 70 && scores2.neuroticism < 30) ||
-          (scores1.neuroticism < 30 && scores2.neuroticism > 70)) {
-        complementaryCount++;
-      }
-      
-      // Calculate balance score (should average to ~50)
-      const traits = ['openness', 'conscientiousness', 'extraversion', 
-                     'agreeableness', 'neuroticism'];
-      let totalBalance = 0;
-      
-      traits.forEach(trait => {
-        const avg = ((scores1[trait] || 50) + (scores2[trait] || 50)) / 2;
-        const balanceScore = 100 - Math.abs(avg - 50) * 2;
-        totalBalance += balanceScore;
-      });
-      
-      score = (totalBalance / traits.length) + (complementaryCount * 10);
-    }
-
-    return Math.min(100, score);
+  async getCheckpoint(windowKey) {
+    return await matchRepo.findCheckpoint(windowKey);
   }
 
   /**
-   * Calculate multi-dimensional score
+   * Engine a run should use
+   * Trying other settings against production data is only safe when nothing is written
    */
-  calculateMultiDimensionalScore(user1, user2) {
-    // Start with average of similarity and complementary
-    const similarity = this.calculateSimilarityScore(user1, user2);
-    const complementary = this.calculateComplementaryScore(user1, user2);
-    let score = (similarity + complementary) / 2;
-
-    // Add bonuses for matching on specific dimensions
-    if (user1.personalityAnalysis?.relationshipStyle && 
-        user2.personalityAnalysis?.relationshipStyle) {
-      
-      // Bonus for same attachment style
-      if (user1.personalityAnalysis.relationshipStyle.attachmentStyle === 
-          user2.personalityAnalysis.relationshipStyle.attachmentStyle) {
-        score += 10;
-      }
-      
-      // Bonus for compatible communication styles
-      if (user1.personalityAnalysis.relationshipStyle.communicationStyle && 
-          user2.personalityAnalysis.relationshipStyle.communicationStyle) {
-        score += 5;
-      }
-    }
-
-    return Math.min(100, score);
+  getEngineForRun(options = {}) {
+    return options.dryRun === true && options.settings ? this.withSettings(options.settings) : this;
   }
 
   /**
-   * Calculate deal-breaker score
+   * The mode and settings a run with these options uses, for the run record
    */
-  calculateDealBreakerScore(user1, user2) {
-    let score = 70; // Start with good base score
-
-    // Check deal breakers if available
-    if (user1.personalityAnalysis?.compatibilityFactors?.dealBreakers) {
-      const dealBreakers = user1.personalityAnalysis.compatibilityFactors.dealBreakers;
-      
-      // Check if candidate has any deal breakers
-      // This is simplified - in production, you'd map specific traits to deal breakers
-      if (dealBreakers.includes('dishonesty') || 
-          dealBreakers.includes('lack of ambition')) {
-        // These are common deal breakers - assume compatibility for now
-        score += 10;
-      }
-    }
+  getRunConfig(options = {}) {
+    return {
+      mode: options.mode || 'greedy',
+      dryRun: options.dryRun === true,
+      allTimezones: options.allTimezones === true,
+      ...this.getEngineForRun(options).getSettings()
+    };
+  }
 
-    // Check must-haves
-    if (user1.personalityAnalysis?.compatibilityFactors?.mustHaves) {
-      const mustHaves = user1.personalityAnalysis.compatibilityFactors.mustHaves;
-      
-      // Check if candidate meets must-haves
-      // Simplified check - in production, map actual traits
-      if (mustHaves.length > 0) {
-        score += 10;
-      }
+  /**
+   * Hand the current ranking model to the learned strategy
+   * Without one (or if loading fails) it scores like the similarity strategy
+   */
+  async loadRankingModel() {
+    try {
+      const model = await rankingModelService.loadCurrentModel();
+      scoringStrategies.get('learned').setModel(model);
+    } catch (error) {
+      console.error('❌ Failed to load ranking model, using personality scores only:', error);
+      scoringStrategies.get('learned').setModel(null);
     }
+  }
 
-    // No critical deal breakers found
-    return Math.min(100, score);
+  /**
+   * Get all active users who have completed personality analysis
+   */
+  async getActiveUsers() {
+    return await userRepo.findMatchable();
   }
 
   /**
-   * Process matches to determine mutual vs one-way
+   * Get the user pair and creation date of every match ever created
+   * Only the fields the engine needs are kept to hold memory down on large runs
    */
-  processMatches(allMatches) {
-    const mutual = [];
-    const oneWay = [];
-    const processedPairs = new Set();
-
-    // Group matches by pair
-    const matchesByPair = {};
-    allMatches.forEach(match => {
-      if (!matchesByPair[match.pairKey]) {
-        matchesByPair[match.pairKey] = [];
-      }
-      matchesByPair[match.pairKey].push(match);
+  async getAllMatches() {
+    const matches = await matchRepo.findAll(['user1_id', 'user2_id', 'created_at']);
+
+    return matches.map(match => {
+      return {
+        user1_id: match.user1_id,
+        user2_id: match.user2_id,
+        created_at: match.created_at ? match.created_at.toDate() : null
+      };
     });
+  }
 
-    // Process each pair
-    Object.entries(matchesByPair).forEach(([pairKey, matches]) => {
-      if (matches.length === 2) {
-        // Both users selected each other - mutual match
-        const match1 = matches[0];
-        const match2 = matches[1];        
-        mutual.push({
-          user1_id: match1.user1_id,
-          user2_id: match1.user2_id,
-          match_type: 'mutual_algorithm',
-          user1_score: match1.user1_score,
-          user2_score: match2.user1_score,
-          user1_algorithm: match1.user1_algorithm,
-          user2_algorithm: match2.user1_algorithm,
-          user1_reason: match1.user1_reason,
-          user2_reason: match2.user1_reason,
-          combined_score: Math.round((match1.user1_score + match2.user1_score) / 2)
-        });
-      } else if (matches.length === 1) {
-        // Only one user selected the other - one-way match
-        const match = matches[0];        
-        oneWay.push({
-          user1_id: match.user1_id,
-          user2_id: match.user2_id,
-          match_type: 'one_way_interest',
-          user1_score: match.user1_score,
-          user1_algorithm: match.user1_algorithm,
-          user1_reason: match.user1_reason,
-          combined_score: match.user1_score
-        });
-      }
-    });
+  /**
+   * Ranking model features of the pair from each side, as the profiles are now
+   * Saved on the match so training learns from what the users were matched on,
+   * not from profiles they have edited since
+   */
+  getFeatureSnapshot(match, usersById) {
+    const user1 = usersById.get(match.user1_id);
+    const user2 = usersById.get(match.user2_id);
+    if (!user1 || !user2) return {};
+
+    const toObject = (values) => Object.fromEntries(FEATURE_NAMES.map((name, index) => [name, values[index]]));
+    return {
+      user1_features: toObject(getPairFeatures(user1, user2)),
+      user2_features: toObject(getPairFeatures(user2, user1))
+    };
+  }
 
-    return { mutual, oneWay };
+  /**
+   * Deterministic match document ID, so saving a pair twice for the same window is a no-op
+   */
+  getPairKey(windowKey, match) {
+    const [firstId, secondId] = [match.user1_id, match.user2_id].sort();
+    return `${windowKey}_${firstId}_${secondId}`;
   }
 
   /**
    * Save processed matches to database
+   * Matches are written in chunks that each commit their own batch together
+   * with the window's checkpoint, so a failure part-way keeps every chunk
+   * before it and the checkpoint says how far the run got. Re-running the
+   * same window skips pairs that are already saved.
+   * @param {object} processedMatches - { mutual, oneWay } from processMatches
+   * @param {object} window - Delivery window from getDeliveryWindows
+   * @param {object|null} lease - Job lease handle, checked before each chunk
+   * @returns {Array} Match documents written by this call
    */
-  async saveMatches(processedMatches) {
+  async saveMatches(processedMatches, window, lease = null) {
     const { mutual, oneWay } = processedMatches;
     const allProcessedMatches = [...mutual, ...oneWay];
-    
-    if (allProcessedMatches.length === 0) {
-      return [];
-    }
-    
+
+    lease?.throwIfLost();
+
+    const checkpoint = await this.getCheckpoint(window.key);
+    const now = new Date();
+
+    let totalSaved = checkpoint ? checkpoint.totalSaved || 0 : 0;
+    let savedInAttempt = 0;
+    let chunksCommitted = 0;
+
+    await matchRepo.saveCheckpoint(window.key, {
+      windowKey: window.key,
+      timezone: window.timezone,
+      localDate: window.localDate,
+      status: 'in_progress',
+      attempts: checkpoint ? (checkpoint.attempts || 0) + 1 : 1,
+      plannedMatches: allProcessedMatches.length,
+      totalSaved: totalSaved,
+      savedInAttempt: 0,
+      chunksCommitted: 0,
+      startedAt: checkpoint ? checkpoint.startedAt : now,
+      updatedAt: now,
+      completedAt: null,
+      notificationsSent: false,
+      lastError: null
+    });
+
     const savedMatches = [];
-    const batch = db.batch();
-    
-    for (const match of allProcessedMatches) {
-      const matchRef = db.collection('matches').doc();
-      
-      const matchData = {
-        ...match,
-        created_at: new Date(),
-        // REMOVED: expires_at field - matches never expire
-        status: 'active',
-        
-        // User action tracking
-        user1_action: null,
-        user2_action: null,
-        user1_action_at: null,
-        user2_action_at: null,
-        
-        // For one-way matches
-        user1_expressed_interest: false,
-        user2_expressed_interest: false,
-        
-        // For mutual matches
-        is_mutual_match: match.match_type === 'mutual_algorithm',
-        chat_unlocked: false,
-        
-        // Visibility flags
-        visible_to_user1: true,
-        visible_to_user2: match.match_type === 'mutual_algorithm', // One-way only visible after interest expressed
-        
-        // Notification flags
-        user1_notified: false,
-        user2_notified: false,
-        email_sent_user1: false,
-        email_sent_user2: false,
-        
-        // FIXED: Generic notification tracking flags
-        notification_pending_user1: true, // Changed from false to true
-        notification_pending_user2: match.match_type === 'mutual_algorithm', // Only notify user2 for mutual matches initially
-        notification_sent_user1: false,
-        notification_sent_user2: false
 
-      };
-      
-      batch.set(matchRef, matchData);
-      savedMatches.push(matchData);
+    try {
+      for (let start = 0; start < allProcessedMatches.length; start += MATCH_CHUNK_SIZE) {
+        lease?.throwIfLost();
+
+        const chunk = allProcessedMatches.slice(start, start + MATCH_CHUNK_SIZE);
+        const pairKeys = chunk.map(match => this.getPairKey(window.key, match));
+
+        // A pair saved by an earlier attempt keeps its document, and any actions taken on it
+        const existingMatches = await matchRepo.findByIds(pairKeys);
+
+        const chunkMatches = chunk
+          .filter((match, index) => !existingMatches[index])
+          .map(match => this.buildMatchDocument(match, window, this.getPairKey(window.key, match)));
+
+        await matchRepo.createForWindow(window.key, chunkMatches, {
+          totalSaved: totalSaved + chunkMatches.length,
+          savedInAttempt: savedInAttempt + chunkMatches.length,
+          chunksCommitted: chunksCommitted + 1,
+          updatedAt: new Date()
+        });
+
+        totalSaved += chunkMatches.length;
+        savedInAttempt += chunkMatches.length;
+        chunksCommitted++;
+        savedMatches.push(...chunkMatches);
+      }
+    } catch (error) {
+      console.error(`❌ Saving matches for ${window.key} stopped after ${chunksCommitted} chunk(s) (${savedInAttempt} matches):`, error);
+      // The instance that took the lease over owns the checkpoint now
+      if (jobLockService.isLeaseLost(error)) throw error;
+
+      await matchRepo.updateCheckpoint(window.key, {
+        status: 'failed',
+        updatedAt: new Date(),
+        lastError: error.message
+      }).catch(checkpointError => {
+        console.error('❌ Failed to update matching checkpoint:', checkpointError);
+      });
+      throw error;
     }
-    
-    await batch.commit();    
+
+    await matchRepo.updateCheckpoint(window.key, {
+      status: 'completed',
+      updatedAt: new Date(),
+      completedAt: new Date()
+    });
+
     return savedMatches;
   }
+
+  /**
+   * Match document for a newly saved pair
+   */
+  buildMatchDocument(match, window, pairKey) {
+    return {
+      ...match,
+      pair_key: pairKey,
+      // Local day and timezone of the delivery window the pair was made in
+      run_date: window.localDate,
+      run_timezone: window.timezone,
+      created_at: new Date(),
+      // REMOVED: expires_at field - matches never expire
+      status: 'active',
+
+      // User action tracking
+      user1_action: null,
+      user2_action: null,
+      user1_action_at: null,
+      user2_action_at: null,
+
+      // For one-way matches
+      user1_expressed_interest: false,
+      user2_expressed_interest: false,
+
+      // For mutual matches
+      is_mutual_match: match.match_type === 'mutual_algorithm',
+      chat_unlocked: false,
+
+      // Visibility flags
+      visible_to_user1: true,
+      visible_to_user2: match.match_type === 'mutual_algorithm', // One-way only visible after interest expressed
+
+      // Notification flags
+      user1_notified: false,
+      user2_notified: false,
+      email_sent_user1: false,
+      email_sent_user2: false,
+
+      // FIXED: Generic notification tracking flags
+      notification_pending_user1: true, // Changed from false to true
+      notification_pending_user2: match.match_type === 'mutual_algorithm', // Only notify user2 for mutual matches initially
+      notification_sent_user1: false,
+      notification_sent_user2: false
+    };
+  }
 }
 
 module.exports = MatchingService;
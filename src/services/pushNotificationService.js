@@ -1,5 +1,5 @@
 const webpush = require('web-push');
-const { db } = require('../config/firebase');
+const { userRepo } = require('../repositories');
 
 class PushNotificationService {
   constructor() {
@@ -47,16 +47,13 @@ class PushNotificationService {
 
     try {
       // Get user's push subscription from database
-      const userRef = db.collection('users').doc(userId);
-      const userDoc = await userRef.get();
+      const userData = await userRepo.findById(userId);
 
-      if (!userDoc.exists) {
+      if (!userData) {
         console.error(`❌ User not found: ${userId}`);
         return { success: false, error: 'User not found' };
       }
 
-      const userData = userDoc.data();
-
       // Check if user has push notifications enabled and subscription
       if (!userData.pushNotificationsEnabled || !userData.pushSubscription) {
         return { success: false, error: 'Push notifications not enabled or subscription missing' };
@@ -203,8 +200,7 @@ class PushNotificationService {
    */
   async cleanupInvalidSubscription(userId) {
     try {
-      const userRef = db.collection('users').doc(userId);
-      await userRef.update({
+      await userRepo.update(userId, {
         pushSubscription: null,
         pushNotificationsEnabled: false,
         notificationPermissionDenied: true,
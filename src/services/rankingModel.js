@@ -0,0 +1,132 @@
+/**
+ * Logistic regression for ranking matches from like/pass feedback
+ *
+ * Small enough to train in-process on the nightly job: features are
+ * standardized, then weights are fitted with full-batch gradient descent and
+ * a little L2 regularization. No Firebase here, so it can be used anywhere.
+ */
+
+const DEFAULT_TRAINING_OPTIONS = {
+  epochs: 300,
+  learningRate: 0.5,
+  l2: 0.001
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Mean and standard deviation of every feature, so weights are comparable
+ */
+const getFeatureScaling = (examples, featureCount) => {
+  const means = new Array(featureCount).fill(0);
+  const scales = new Array(featureCount).fill(0);
+
+  examples.forEach(example => {
+    example.features.forEach((value, i) => { means[i] += value; });
+  });
+  means.forEach((sum, i) => { means[i] = sum / examples.length; });
+
+  examples.forEach(example => {
+    example.features.forEach((value, i) => { scales[i] += (value - means[i]) ** 2; });
+  });
+  // A constant feature gets scale 1 so it simply contributes nothing
+  scales.forEach((sum, i) => { scales[i] = Math.sqrt(sum / examples.length) || 1; });
+
+  return { means, scales };
+};
+
+const standardize = (features, means, scales) =>
+  features.map((value, i) => (value - means[i]) / scales[i]);
+
+/**
+ * Fit a logistic model
+ * @param {Array} examples - { features: number[], label: 0 | 1 }
+ * @param {object} options - epochs, learningRate, l2
+ * @returns {object} { weights, bias, featureMeans, featureScales }
+ */
+const fitLogisticRegression = (examples, options = {}) => {
+  const { epochs, learningRate, l2 } = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+
+  if (examples.length === 0) {
+    throw new Error('Cannot fit a ranking model without training examples');
+  }
+
+  const featureCount = examples[0].features.length;
+  const { means, scales } = getFeatureScaling(examples, featureCount);
+  const rows = examples.map(example => standardize(example.features, means, scales));
+  const labels = examples.map(example => example.label);
+
+  const weights = new Array(featureCount).fill(0);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const weightGradients = new Array(featureCount).fill(0);
+    let biasGradient = 0;
+
+    for (let row = 0; row < rows.length; row++) {
+      const features = rows[row];
+      let z = bias;
+      for (let i = 0; i < featureCount; i++) z += weights[i] * features[i];
+
+      const error = sigmoid(z) - labels[row];
+      for (let i = 0; i < featureCount; i++) weightGradients[i] += error * features[i];
+      biasGradient += error;
+    }
+
+    for (let i = 0; i < featureCount; i++) {
+      weights[i] -= learningRate * (weightGradients[i] / rows.length + l2 * weights[i]);
+    }
+    bias -= learningRate * biasGradient / rows.length;
+  }
+
+  return {
+    weights,
+    bias,
+    featureMeans: means,
+    featureScales: scales
+  };
+};
+
+/**
+ * Probability of a like for one feature vector
+ */
+const predictProbability = (model, features) => {
+  let z = model.bias;
+  for (let i = 0; i < model.weights.length; i++) {
+    z += model.weights[i] * (features[i] - model.featureMeans[i]) / model.featureScales[i];
+  }
+  return sigmoid(z);
+};
+
+/**
+ * Area under the ROC curve (Mann-Whitney), tied scores share their rank
+ * @returns {number|null} null when the labels are all one class
+ */
+const computeAuc = (labels, scores) => {
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  const order = scores.map((score, index) => index).sort((a, b) => scores[a] - scores[b]);
+  let positiveRankSum = 0;
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && scores[order[end + 1]] === scores[order[start]]) end++;
+
+    // Ranks are 1-based; every tied score gets the average rank of the run
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) {
+      if (labels[order[i]] === 1) positiveRankSum += averageRank;
+    }
+    start = end + 1;
+  }
+
+  return (positiveRankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+module.exports = {
+  fitLogisticRegression,
+  predictProbability,
+  computeAuc
+};
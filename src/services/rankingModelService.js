@@ -0,0 +1,223 @@
+const { userRepo, matchRepo, rankingModelRepo } = require('../repositories');
+const { fitLogisticRegression, predictProbability, computeAuc } = require('./rankingModel');
+const { FEATURE_NAMES, getPairFeatures } = require('./scoringStrategies/pairFeatures');
+
+// Share of the newest examples held out to measure the model
+const HOLDOUT_SHARE = 0.2;
+// Rule-based strategies whose scores are already model features - compared against the model
+const RULE_BASED_FEATURES = ['similarity', 'complementary', 'multiDimensional', 'dealBreaker'];
+
+/**
+ * Trains the learned ranking model from like/pass feedback on past matches
+ *
+ * The active model lives in `ranking_models/current` and is what the
+ * `learned` scoring strategy uses. Every training run, used or not, is
+ * recorded in `ranking_model_runs` with its offline AUC next to the AUC of
+ * the rule-based scores on the same held-out matches. A new model only
+ * replaces the current one when it beats the best of those baselines.
+ */
+class RankingModelService {
+  constructor() {
+    this.minTrainingExamples = parseInt(process.env.RANKING_MODEL_MIN_EXAMPLES) || 200;
+    this.blendWeight = parseFloat(process.env.RANKING_MODEL_BLEND_WEIGHT) || 0.5;
+  }
+
+  /**
+   * The model the learned strategy should use, or null if none has been trained
+   */
+  async loadCurrentModel() {
+    return await rankingModelRepo.findCurrent();
+  }
+
+  /**
+   * Each decision recorded on a match, as seen by the user who made it
+   * label 1 = liked / expressed or accepted interest, 0 = passed
+   */
+  getOutcomes(match) {
+    const outcomes = [];
+    const addOutcome = (side, otherSide, label) => {
+      outcomes.push({
+        userId: match[`${side}_id`],
+        candidateId: match[`${otherSide}_id`],
+        label: label,
+        // What the rule-based scoring gave this pair when the match was made
+        matchScore: typeof match[`${side}_score`] === 'number' ? match[`${side}_score`] : null,
+        // Pair features from the profiles at that time (see MatchingService.getFeatureSnapshot)
+        features: match[`${side}_features`] || null
+      });
+    };
+
+    if (match.match_type === 'mutual_algorithm') {
+      ['user1', 'user2'].forEach(side => {
+        const otherSide = side === 'user1' ? 'user2' : 'user1';
+        if (match[`${side}_action`] === 'like') addOutcome(side, otherSide, 1);
+        else if (match[`${side}_action`] === 'pass') addOutcome(side, otherSide, 0);
+      });
+    } else if (match.match_type === 'one_way_interest') {
+      if (match.user1_expressed_interest) addOutcome('user1', 'user2', 1);
+      else if (match.user1_action === 'pass') addOutcome('user1', 'user2', 0);
+
+      if (match.user2_action === 'like') addOutcome('user2', 'user1', 1);
+      else if (match.user2_action === 'pass') addOutcome('user2', 'user1', 0);
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Training examples from every match with a recorded decision, oldest first
+   * Features are the ones snapshotted on the match when it was made. Matches
+   * saved before snapshots existed fall back to the users' current profiles,
+   * which may have changed since (and can leak what happened after the
+   * match); those with a deleted user are skipped.
+   */
+  async buildTrainingSet() {
+    const [matches, users] = await Promise.all([
+      matchRepo.findAll([
+        'user1_id', 'user2_id', 'match_type', 'created_at',
+        'user1_action', 'user2_action', 'user1_expressed_interest',
+        'user1_score', 'user2_score', 'user1_features', 'user2_features'
+      ]),
+      userRepo.findAll()
+    ]);
+
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    const examples = [];
+    matches.forEach(match => {
+      const createdAt = match.created_at ? match.created_at.toDate() : new Date(0);
+
+      this.getOutcomes(match).forEach(outcome => {
+        let features = this.getSnapshotFeatures(outcome.features);
+        if (!features) {
+          const user = usersById.get(outcome.userId);
+          const candidate = usersById.get(outcome.candidateId);
+          if (!user || !candidate) return;
+          features = getPairFeatures(user, candidate);
+        }
+
+        examples.push({
+          features: features,
+          label: outcome.label,
+          matchScore: outcome.matchScore,
+          createdAt: createdAt
+        });
+      });
+    });
+
+    return examples.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * A snapshotted feature object as a vector in FEATURE_NAMES order
+   * @returns {Array|null} null when there is no snapshot or it predates a feature
+   */
+  getSnapshotFeatures(snapshot) {
+    if (!snapshot || !FEATURE_NAMES.every(name => typeof snapshot[name] === 'number')) {
+      return null;
+    }
+    return FEATURE_NAMES.map(name => snapshot[name]);
+  }
+
+  /**
+   * Best AUC any rule-based score reached on the held-out examples, null if none could be measured
+   */
+  getBestBaselineAuc(metrics) {
+    const aucs = Object.values(metrics.baselines).filter(auc => typeof auc === 'number');
+    return aucs.length > 0 ? Math.max(...aucs) : null;
+  }
+
+  /**
+   * Offline AUC of the model and of each rule-based score on held-out examples
+   */
+  evaluate(model, testExamples) {
+    const labels = testExamples.map(example => example.label);
+    const baselines = {};
+
+    RULE_BASED_FEATURES.forEach(name => {
+      const index = FEATURE_NAMES.indexOf(name);
+      baselines[name] = computeAuc(labels, testExamples.map(example => example.features[index]));
+    });
+
+    // The score stored on the match is only there for the side that was scored
+    const scored = testExamples.filter(example => example.matchScore !== null);
+    baselines.matchScore = computeAuc(
+      scored.map(example => example.label),
+      scored.map(example => example.matchScore)
+    );
+
+    return {
+      auc: computeAuc(labels, testExamples.map(example => predictProbability(model, example.features))),
+      baselines: baselines
+    };
+  }
+
+  /**
+   * Fit a new model, record the run and make the model current if it beats the rule-based scores
+   * Otherwise the previous model stays in place
+   * @param {object|null} lease - Job lease handle, checked before the model is saved
+   * @returns {object} The run record
+   */
+  async trainAndStore(lease = null) {
+    const startTime = Date.now();
+    const examples = await this.buildTrainingSet();
+    const positives = examples.filter(example => example.label === 1).length;
+
+    const run = {
+      startedAt: new Date(startTime),
+      examples: examples.length,
+      positives: positives,
+      featureNames: FEATURE_NAMES,
+      status: 'skipped',
+      reason: null,
+      metrics: null,
+      promoted: false
+    };
+
+    if (examples.length < this.minTrainingExamples) {
+      run.reason = `Only ${examples.length} labelled examples (need ${this.minTrainingExamples})`;
+    } else if (positives === 0 || positives === examples.length) {
+      run.reason = 'Every example has the same label';
+    } else {
+      // Hold out the newest decisions so the AUC reflects how the model does on new matches
+      const splitIndex = Math.floor(examples.length * (1 - HOLDOUT_SHARE));
+      const trainExamples = examples.slice(0, splitIndex);
+      const testExamples = examples.slice(splitIndex);
+
+      const model = fitLogisticRegression(trainExamples);
+      const metrics = this.evaluate(model, testExamples);
+      const bestBaselineAuc = this.getBestBaselineAuc(metrics);
+
+      // A model that ranks no better than the rules would only make live ranking worse
+      run.promoted = metrics.auc !== null && (bestBaselineAuc === null || metrics.auc > bestBaselineAuc);
+
+      if (run.promoted) {
+        lease?.throwIfLost();
+        await rankingModelRepo.saveCurrent({
+          ...model,
+          featureNames: FEATURE_NAMES,
+          blendWeight: this.blendWeight,
+          trainedAt: new Date(),
+          trainingExamples: trainExamples.length,
+          testExamples: testExamples.length,
+          metrics: metrics
+        });
+      } else {
+        run.reason = `Held-out AUC ${metrics.auc} does not beat the best rule-based AUC ${bestBaselineAuc}; kept the current model`;
+      }
+
+      run.status = 'completed';
+      run.metrics = metrics;
+      run.trainingExamples = trainExamples.length;
+      run.testExamples = testExamples.length;
+      run.weights = Object.fromEntries(FEATURE_NAMES.map((name, i) => [name, model.weights[i]]));
+    }
+
+    run.duration = (Date.now() - startTime) / 1000;
+    const runId = await rankingModelRepo.addRun(run);
+
+    return { runId, ...run };
+  }
+}
+
+module.exports = new RankingModelService();
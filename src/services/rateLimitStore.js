@@ -0,0 +1,62 @@
+/**
+ * In-memory token-bucket store for rate limiting
+ *
+ * Any store that implements `consume(key, { capacity, refillPerSecond })`
+ * and resolves to `{ allowed, remaining, retryAfterSeconds }` can replace
+ * this one (e.g. a Redis-backed store once we run several instances).
+ */
+class MemoryRateLimitStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.buckets = new Map();
+
+    // Drop buckets that have refilled completely so memory stays bounded
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Take one token from the bucket identified by key
+   */
+  async consume(key, { capacity, refillPerSecond }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || {
+      tokens: capacity,
+      updatedAt: now,
+      capacity,
+      refillPerSecond
+    };
+
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    bucket.updatedAt = now;
+
+    let allowed = false;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      allowed = true;
+    }
+
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerSecond)
+    };
+  }
+
+  /**
+   * Remove buckets that would be full by now
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+      if (bucket.tokens + elapsedSeconds * bucket.refillPerSecond >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,259 @@
+/**
+ * Structured attributes pulled out of free-text question answers
+ *
+ * The answers are free text, so this is deliberately keyword based: it only
+ * sets an attribute when the answer says something recognisable and leaves it
+ * null otherwise, so unknown never counts as a conflict. Hedges ("I don't know
+ * if..."), negations and "not yet" time qualifiers are checked per clause
+ * before any keyword counts.
+ */
+
+// Question ids from src/data/questions.json
+const QUESTION_IDS = {
+  planning: 10,
+  problemSolving: 11,
+  children: 12,
+  distance: 13,
+  religion: 14,
+  leadership: 15
+};
+
+// Importance phrases, checked clause by clause so "religion does not play a big
+// role" reads as low importance rather than high
+const HIGH_IMPORTANCE = /\b(very important|extremely important|really important|so important|most important|hugely important|non[- ]negotiable|deal[- ]?breaker|essential|a must|must[- ]have|central to|core (value|part|to)|big (part|role)|huge (part|role)|everything to me|means a lot)\b/g;
+const LOW_IMPORTANCE = /\b(not (that |very |really |too )?important|unimportant|doesn'?t matter|does not matter|not a big deal|don'?t (really )?care|do not (really )?care|not (a )?(big|huge) (part|role))\b/;
+const NEGATION = /\b(not|never|isn'?t|aren'?t|wasn'?t|doesn'?t|does not|don'?t|do not|won'?t|will not|wouldn'?t|would not|can'?t|cannot|hardly)\b/;
+
+// Hedges - a clause with one of these states no stance at all
+const UNCERTAIN = /\b(not sure|unsure|undecided|uncertain|(haven'?t|have not|not) (yet )?decided|(don'?t|do not) know|no idea|not certain|still figuring|time will tell|we'?ll see)\b/;
+// Time qualifiers - "not planning to have children for a few years" is a "not yet", not a "no"
+const NOT_YET = /\b(yet|right now|just now|for now|at the moment|currently|any ?time soon|for (a few|a couple of|the next few|a while|some) (years?|months?|time)|for a while|in the near future|until|not ready|later)\b/;
+
+const CHILDREN = /\b(kids?|child|children|a family|babies|a baby|parenthood)\b/;
+const CHILDREN_NO = /\b(child[- ]?free|no (kids|children)|(don'?t|do not|never|won'?t|will not|not)\b[^.]{0,30}\b(want|have|having|planning|plan|interested in)\b[^.]{0,20}\b(kids|children|a family|a baby))\b/;
+const CHILDREN_NO_MORE = /\b(no more|(don'?t|do not|won'?t|will not|not)\b[^.]{0,20}\b(want|have|having|planning|plan)\b[^.]{0,10}\b(any )?more)\b/;
+const CHILDREN_HAVE = /\b(i|we) (already )?have (a |one |two |three |\d+ )?(kids?|child|children|son|daughter)s?\b/;
+const CHILDREN_OPEN = /\b(open to|either way|depends|see where)\b/;
+const CHILDREN_YES = /\b(want|would love|hope|dream|plan|planning|looking forward|definitely|someday)\b[^.]{0,30}\b(kids|children|family|a (mom|dad|mother|father|parent))\b/;
+
+const DISTANCE_LOCAL = /\b(no long[- ]distance|not (open to|into|a fan of|interested in) long[- ]distance|long[- ]distance (doesn'?t|does not|won'?t|wouldn'?t|never) work|(needs?|has|have) to (live|be) (near|nearby|close)|same city|nearby is (important|essential|a must))\b/;
+const DISTANCE_OPEN = /\b(open to long[- ]distance|long[- ]distance (is fine|is okay|works|could work)|distance (doesn'?t|does not) matter|don'?t mind (the )?distance)\b/;
+const RELOCATE_NO = /\b((won'?t|wouldn'?t|not|never|can'?t|cannot|unwilling to|not willing to)\s+(be willing to\s+)?(relocate|move))\b/;
+const RELOCATE_YES = /\b(willing to (relocate|move)|open to (relocating|moving)|would (relocate|move)|happy to (relocate|move))\b/;
+
+const RELIGIONS = {
+  christian: /\b(christian|christianity|church|jesus|catholic|protestant)\b/,
+  hindu: /\b(hindu|hinduism)\b/,
+  muslim: /\b(muslim|islam|islamic|allah|mosque)\b/,
+  sikh: /\b(sikh|sikhism|gurudwara)\b/,
+  jewish: /\b(jewish|judaism|synagogue)\b/,
+  buddhist: /\b(buddhist|buddhism)\b/,
+  jain: /\b(jain|jainism)\b/
+};
+const NON_RELIGIOUS = /\b(atheist|agnostic|not religious|no religion|don'?t follow any|not (a )?(big )?part of my life|doesn'?t matter to me|not important)\b/;
+const SPIRITUAL = /\b(spiritual)\b/;
+
+const PLANNER = /\b(planner|plan ahead|planning|structure|structured|routines?|schedules?|organi[sz]ed)\b/g;
+const SPONTANEOUS = /\b(spontaneous|spontaneity|go with the flow|going with the flow|flexible|adventur\w*|last[- ]minute)\b/g;
+
+const ANALYTICAL = /\b(analy\w*|step by step|logical|logic|break (things|it|them) down|methodical)\b/g;
+const INTUITIVE = /\b(intuition|intuitive|gut|instinct\w*)\b/g;
+
+const LEADS = /\b(take the lead|taking the lead|initiate|initiator|take charge|natural leader|lead)\b/g;
+const FOLLOWS = /\b((prefer when |let )?others take (the lead|charge)|prefer when others|let others|follow|go along)\b/g;
+
+// Topics the personality analysis can list as dealBreakers / mustHaves
+const TOPICS = {
+  children: /\b(kids?|child|children|family planning|parent)/,
+  religion: /\b(religio|faith|spiritual|belief)/,
+  distance: /\b(distance|long[- ]distance|relocat|nearby|local)/,
+  planning: /\b(plan|organi[sz]|structure|routine|spontan|adventur)/
+};
+
+const answerText = (user, questionId) =>
+  (user.answers?.[`question${questionId}`]?.answer || '').toLowerCase();
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Split an answer into clauses at sentence ends and contrasting words, so a
+ * hedge or negation in one clause does not leak into the next
+ */
+const splitClauses = (text) =>
+  text
+    .split(/[.;!?]+|,?\s*\b(?:but|however|although|though|whereas)\b/)
+    .map(clause => clause.trim())
+    .filter(Boolean);
+
+/**
+ * How much the user says a topic matters to them: 'high', 'low' or null (not said)
+ * A high-importance phrase with a negation shortly before it counts as low
+ */
+const rateImportance = (text) => {
+  let rating = null;
+
+  for (const clause of splitClauses(text)) {
+    for (const match of clause.matchAll(HIGH_IMPORTANCE)) {
+      const before = clause.slice(Math.max(0, match.index - 25), match.index);
+      if (!NEGATION.test(before)) return 'high';
+      rating = 'low';
+    }
+    if (LOW_IMPORTANCE.test(clause)) rating = 'low';
+  }
+
+  return rating;
+};
+
+/**
+ * Pick a side of a two-way style question, or 'balanced' when the answer leans both ways
+ * Second-side phrases are removed before counting the first side, so
+ * "I prefer when others take the lead" does not also count as taking the lead
+ */
+const leaning = (text, firstPattern, secondPattern, [first, second]) => {
+  const secondCount = countMatches(text, secondPattern);
+  const firstCount = countMatches(text.replace(secondPattern, ' '), firstPattern);
+
+  if (firstCount === 0 && secondCount === 0) return null;
+  if (firstCount > secondCount) return first;
+  if (secondCount > firstCount) return second;
+  return 'balanced';
+};
+
+/**
+ * The stance one clause takes on children, or null if it takes none
+ * 'later' is a "not yet" - it only counts alongside a clause that wants children
+ */
+const childrenClauseStance = (clause, hasChildren) => {
+  if (UNCERTAIN.test(clause)) return CHILDREN.test(clause) || /\bwant\b/.test(clause) ? 'unsure' : null;
+
+  if (CHILDREN_NO.test(clause)) return NOT_YET.test(clause) ? 'later' : 'does_not_want';
+  if (hasChildren && CHILDREN_NO_MORE.test(clause)) return 'does_not_want';
+  if (CHILDREN_YES.test(clause)) return 'wants';
+  if (CHILDREN.test(clause) && CHILDREN_OPEN.test(clause)) return 'open';
+  return null;
+};
+
+/**
+ * Stance on having (more) children: 'wants', 'does_not_want', 'open' or null
+ * Any hedge, or clauses that disagree, gives null - an unsure answer is never a conflict
+ */
+const extractChildren = (text) => {
+  if (!text) return { stance: null, importance: null };
+
+  const hasChildren = CHILDREN_HAVE.test(text);
+  const stances = new Set(
+    splitClauses(text)
+      .map(clause => childrenClauseStance(clause, hasChildren))
+      .filter(Boolean)
+  );
+
+  let stance = null;
+  if (stances.has('unsure')) stance = null;
+  else if (stances.has('wants') && stances.has('does_not_want')) stance = null;
+  else if (stances.has('does_not_want')) stance = 'does_not_want';
+  else if (stances.has('wants')) stance = 'wants';
+  else if (stances.has('open')) stance = 'open';
+
+  return { stance, importance: rateImportance(text) };
+};
+
+/**
+ * The first answer a pattern pair gives across the clauses, or null if they disagree
+ * Hedged clauses are skipped, and so is a "no" that is only a "not yet"
+ */
+const clauseVote = (text, noPattern, yesPattern, [no, yes]) => {
+  const votes = new Set();
+
+  splitClauses(text).forEach(clause => {
+    if (UNCERTAIN.test(clause)) return;
+    if (noPattern.test(clause)) {
+      if (!NOT_YET.test(clause)) votes.add(no);
+    } else if (yesPattern.test(clause)) {
+      votes.add(yes);
+    }
+  });
+
+  return votes.size === 1 ? [...votes][0] : null;
+};
+
+const extractDistance = (text) => {
+  if (!text) return { tolerance: null, relocation: null, importance: null };
+
+  return {
+    tolerance: clauseVote(text, DISTANCE_LOCAL, DISTANCE_OPEN, ['local_only', 'open_to_long_distance']),
+    relocation: clauseVote(text, RELOCATE_NO, RELOCATE_YES, ['unwilling', 'willing']),
+    importance: rateImportance(text)
+  };
+};
+
+const extractReligion = (text) => {
+  if (!text) return { affiliation: null, importance: null };
+
+  // Hedged clauses ("not sure I'd call myself christian") name no affiliation
+  const statedText = splitClauses(text).filter(clause => !UNCERTAIN.test(clause)).join('. ');
+
+  let affiliation = Object.keys(RELIGIONS).find(religion => RELIGIONS[religion].test(statedText)) || null;
+  if (!affiliation && NON_RELIGIOUS.test(statedText)) affiliation = 'none';
+  if (!affiliation && SPIRITUAL.test(statedText)) affiliation = 'spiritual';
+
+  let importance = affiliation === 'none' ? 'low' : rateImportance(text);
+  if (!importance && affiliation) importance = 'moderate';
+
+  return { affiliation, importance };
+};
+
+/**
+ * Which topics a free-text list (dealBreakers / mustHaves) mentions
+ */
+const extractTopics = (items) => {
+  const topics = new Set();
+  if (!Array.isArray(items)) return topics;
+
+  items.forEach(item => {
+    const text = String(item).toLowerCase();
+    Object.entries(TOPICS).forEach(([topic, pattern]) => {
+      if (pattern.test(text)) topics.add(topic);
+    });
+  });
+
+  return topics;
+};
+
+/**
+ * Planning style the user asked for in their must-haves, if any
+ */
+const extractPreferredPlanning = (mustHaves) => {
+  if (!Array.isArray(mustHaves)) return null;
+  const text = mustHaves.join(' ').toLowerCase();
+  return leaning(text, PLANNER, SPONTANEOUS, ['planner', 'spontaneous']);
+};
+
+const attributeCache = new WeakMap();
+
+/**
+ * Structured attributes for a user, built once per user object
+ */
+const getAnswerAttributes = (user) => {
+  let attributes = attributeCache.get(user);
+  if (attributes) return attributes;
+
+  const compatibilityFactors = user.personalityAnalysis?.compatibilityFactors || {};
+
+  attributes = {
+    children: extractChildren(answerText(user, QUESTION_IDS.children)),
+    distance: extractDistance(answerText(user, QUESTION_IDS.distance)),
+    religion: extractReligion(answerText(user, QUESTION_IDS.religion)),
+    planning: leaning(answerText(user, QUESTION_IDS.planning), PLANNER, SPONTANEOUS, ['planner', 'spontaneous']),
+    problemSolving: leaning(answerText(user, QUESTION_IDS.problemSolving), ANALYTICAL, INTUITIVE, ['analytical', 'intuitive']),
+    leadership: leaning(answerText(user, QUESTION_IDS.leadership), LEADS, FOLLOWS, ['leads', 'follows']),
+    dealBreakerTopics: extractTopics(compatibilityFactors.dealBreakers),
+    preferredPlanning: extractPreferredPlanning(compatibilityFactors.mustHaves)
+  };
+
+  attributeCache.set(user, attributes);
+  return attributes;
+};
+
+module.exports = {
+  getAnswerAttributes
+};
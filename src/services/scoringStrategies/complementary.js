@@ -0,0 +1,52 @@
+const { PERSONALITY_TRAITS, getTraitVector, hasPersonalityScores } = require('./personality');
+
+/**
+ * Complementary matching - opposites attract
+ */
+module.exports = {
+  id: 'complementary',
+  name: 'Complementary',
+  description: 'Matches you with people whose traits balance yours out',
+
+  score(user1, user2) {
+    let score = 50; // Base score
+
+    if (hasPersonalityScores(user1, user2)) {
+      const scores1 = user1.personalityAnalysis.personalityScore;
+      const scores2 = user2.personalityAnalysis.personalityScore;
+
+      // Look for complementary traits (one high, one low)
+      let complementaryCount = 0;
+
+      // Extraversion: introvert + extrovert
+      if ((scores1.extraversion > 70 && scores2.extraversion < 30) ||
+          (scores1.extraversion < 30 && scores2.extraversion > 70)) {
+        complementaryCount++;
+      }
+
+      // Neuroticism: anxious + calm
+      if ((scores1.neuroticism > 70 && scores2.neuroticism < 30) ||
+          (scores1.neuroticism < 30 && scores2.neuroticism > 70)) {
+        complementaryCount++;
+      }
+
+      // Calculate balance score (should average to ~50)
+      const traits1 = getTraitVector(user1);
+      const traits2 = getTraitVector(user2);
+      let totalBalance = 0;
+
+      for (let i = 0; i < traits1.length; i++) {
+        const avg = (traits1[i] + traits2[i]) / 2;
+        totalBalance += 100 - Math.abs(avg - 50) * 2;
+      }
+
+      score = (totalBalance / PERSONALITY_TRAITS.length) + (complementaryCount * 10);
+    }
+
+    return Math.min(100, score);
+  },
+
+  explain() {
+    return 'Perfect personality balance and complementary traits';
+  }
+};
@@ -0,0 +1,194 @@
+const { getAnswerAttributes } = require('./answerAttributes');
+
+const BASE_SCORE = 60;
+const MATCH_BONUS = 8;
+const SOFT_CONFLICT_PENALTY = 10;
+
+const sameCity = (user1, user2) =>
+  Boolean(user1.city && user2.city && user1.city.toLowerCase().trim() === user2.city.toLowerCase().trim());
+
+const isOpposite = (value1, value2, [first, second]) =>
+  (value1 === first && value2 === second) || (value1 === second && value2 === first);
+
+/**
+ * How `other` fits the planning style `attributes` must have, from the analysis
+ * @returns {string|null|undefined} 'match', 'conflict', null (close enough) or undefined (no must-have)
+ */
+const checkPreferredPlanning = (attributes, other) => {
+  if (!attributes.preferredPlanning || attributes.preferredPlanning === 'balanced' || !other.planning) {
+    return undefined;
+  }
+  if (other.planning === attributes.preferredPlanning) return 'match';
+  return other.planning === 'balanced' ? null : 'conflict';
+};
+
+/**
+ * Compatibility factors checked for every pair
+ *
+ * evaluate() returns 'match', 'conflict' or null (unknown / not relevant), and
+ * gives the same answer whichever user comes first. isHard() decides whether
+ * a conflict excludes the candidate outright, and is only true when the user
+ * rated the topic highly important or named it a deal-breaker. It is asked
+ * from both sides, since a match that breaks the candidate's own deal-breaker
+ * is no better than one that breaks the user's.
+ */
+const FACTORS = [
+  {
+    id: 'children',
+    label: 'plans for children',
+    evaluate: (a1, a2) => {
+      const stance1 = a1.children.stance;
+      const stance2 = a2.children.stance;
+      if (!stance1 || !stance2 || stance1 === 'open' || stance2 === 'open') return null;
+      return stance1 === stance2 ? 'match' : 'conflict';
+    },
+    isHard: (attributes) =>
+      attributes.children.importance === 'high' || attributes.dealBreakerTopics.has('children')
+  },
+  {
+    id: 'religion',
+    label: 'beliefs',
+    evaluate: (a1, a2) => {
+      const religion1 = a1.religion;
+      const religion2 = a2.religion;
+      if (!religion1.affiliation || !religion2.affiliation) return null;
+      if (religion1.affiliation === religion2.affiliation) return 'match';
+      if (religion1.importance === 'low' && religion2.importance === 'low') return 'match';
+      return 'conflict';
+    },
+    isHard: (attributes) =>
+      attributes.religion.importance === 'high' || attributes.dealBreakerTopics.has('religion')
+  },
+  {
+    id: 'distance',
+    label: 'openness to distance',
+    evaluate: (a1, a2, user1, user2) => {
+      // Only matters when they live in different places
+      if (!user1.city || !user2.city || sameCity(user1, user2)) return null;
+
+      const someoneWillMove = a1.distance.relocation === 'willing' || a2.distance.relocation === 'willing';
+      if (a1.distance.tolerance === 'local_only' || a2.distance.tolerance === 'local_only') {
+        return someoneWillMove ? null : 'conflict';
+      }
+      if (a1.distance.tolerance === 'open_to_long_distance' && a2.distance.tolerance === 'open_to_long_distance') {
+        return 'match';
+      }
+      return someoneWillMove ? 'match' : null;
+    },
+    isHard: (attributes) =>
+      attributes.distance.importance === 'high' || attributes.dealBreakerTopics.has('distance')
+  },
+  {
+    id: 'planning',
+    label: 'planning style',
+    evaluate: (a1, a2) => {
+      // A must-have from either side's analysis beats comparing the two styles
+      const mustHaves = [checkPreferredPlanning(a1, a2), checkPreferredPlanning(a2, a1)]
+        .filter(outcome => outcome !== undefined);
+      if (mustHaves.length > 0) {
+        if (mustHaves.includes('conflict')) return 'conflict';
+        return mustHaves.includes('match') ? 'match' : null;
+      }
+      if (!a1.planning || !a2.planning) return null;
+      if (a1.planning === a2.planning && a1.planning !== 'balanced') return 'match';
+      return isOpposite(a1.planning, a2.planning, ['planner', 'spontaneous']) ? 'conflict' : null;
+    },
+    isHard: (attributes) => attributes.dealBreakerTopics.has('planning')
+  },
+  {
+    id: 'problemSolving',
+    label: 'approach to problem solving',
+    evaluate: (a1, a2) => {
+      if (!a1.problemSolving || !a2.problemSolving) return null;
+      if (a1.problemSolving === a2.problemSolving && a1.problemSolving !== 'balanced') return 'match';
+      return isOpposite(a1.problemSolving, a2.problemSolving, ['analytical', 'intuitive']) ? 'conflict' : null;
+    },
+    isHard: () => false
+  },
+  {
+    id: 'leadership',
+    label: 'lead-and-follow dynamic',
+    evaluate: (a1, a2) => {
+      if (!a1.leadership || !a2.leadership) return null;
+      if (isOpposite(a1.leadership, a2.leadership, ['leads', 'follows'])) return 'match';
+      return a1.leadership === 'leads' && a2.leadership === 'leads' ? 'conflict' : null;
+    },
+    isHard: () => false
+  }
+];
+
+// score(), explain() and excludes() run back to back for the same pair
+let lastEvaluation = { user: null, candidate: null, result: null };
+
+/**
+ * Check every factor for a pair
+ * @returns {object} { matched, softConflicts, hardConflicts } - lists of factor ids/labels
+ */
+const evaluatePair = (user, candidate) => {
+  if (lastEvaluation.user === user && lastEvaluation.candidate === candidate) {
+    return lastEvaluation.result;
+  }
+
+  const userAttributes = getAnswerAttributes(user);
+  const candidateAttributes = getAnswerAttributes(candidate);
+  const result = { matched: [], softConflicts: [], hardConflicts: [] };
+
+  for (const factor of FACTORS) {
+    const outcome = factor.evaluate(userAttributes, candidateAttributes, user, candidate);
+
+    if (outcome === 'match') {
+      result.matched.push(factor.label);
+    } else if (outcome === 'conflict') {
+      const isHard = factor.isHard(userAttributes) || factor.isHard(candidateAttributes);
+      (isHard ? result.hardConflicts : result.softConflicts).push(factor.id);
+    }
+  }
+
+  lastEvaluation = { user, candidate, result };
+  return result;
+};
+
+/**
+ * Deal-breaker matching - rules out hard deal-breakers, then scores the
+ * factors both people answered
+ */
+module.exports = {
+  id: 'dealBreaker',
+  name: 'Deal-breaker filtering',
+  description: 'Rules out your deal-breakers and favours people who line up on what matters to you',
+
+  /**
+   * Whether the pair breaks a hard deal-breaker on either side
+   * The matching engine checks this for every pair, whatever strategy either user picked
+   */
+  hasHardConflict(user, candidate) {
+    return evaluatePair(user, candidate).hardConflicts.length > 0;
+  },
+
+  excludes(user, candidate) {
+    return this.hasHardConflict(user, candidate);
+  },
+
+  score(user, candidate) {
+    const { matched, softConflicts, hardConflicts } = evaluatePair(user, candidate);
+    if (hardConflicts.length > 0) return 0;
+
+    const score = BASE_SCORE +
+      matched.length * MATCH_BONUS -
+      softConflicts.length * SOFT_CONFLICT_PENALTY;
+
+    return Math.max(0, Math.min(100, score));
+  },
+
+  explain(user, candidate) {
+    const { matched } = evaluatePair(user, candidate);
+
+    if (matched.length === 0) {
+      return 'No deal-breakers detected';
+    }
+    if (matched.length === 1) {
+      return `No deal-breakers detected, aligned on ${matched[0]}`;
+    }
+    return `No deal-breakers detected, aligned on ${matched.slice(0, -1).join(', ')} and ${matched[matched.length - 1]}`;
+  }
+};
@@ -0,0 +1,100 @@
+const similarity = require('./similarity');
+const complementary = require('./complementary');
+const multiDimensional = require('./multiDimensional');
+const dealBreaker = require('./dealBreaker');
+const learned = require('./learned');
+
+const DEFAULT_ALGORITHM = similarity.id;
+
+// Users created before matchingAlgorithm existed still carry one boolean per algorithm
+const LEGACY_ALGORITHM_FLAGS = {
+  similarityMatching: 'similarity',
+  complementaryMatching: 'complementary',
+  multiDimensionalMatching: 'multiDimensional',
+  dealBreakerFiltering: 'dealBreaker'
+};
+
+/**
+ * Registry of match scoring strategies
+ *
+ * A strategy is a module exporting:
+ *   id          - stored on the user doc as `matchingAlgorithm`
+ *   name        - short label for clients
+ *   description - one line shown next to the label
+ *   score(user, candidate)   - 0-100 compatibility from the user's point of view
+ *   explain(user, candidate) - reason shown to the user with the match
+ *   excludes(user, candidate) - optional, true drops the candidate before scoring
+ *
+ * Registering a strategy is all it takes to make it selectable - match
+ * settings validation and the algorithm list both read from here.
+ */
+class ScoringStrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+    this.defaultAlgorithm = DEFAULT_ALGORITHM;
+  }
+
+  register(strategy) {
+    if (!strategy || typeof strategy.id !== 'string' || !strategy.id) {
+      throw new Error('Scoring strategy must have a string id');
+    }
+    if (typeof strategy.score !== 'function' || typeof strategy.explain !== 'function') {
+      throw new Error(`Scoring strategy "${strategy.id}" must implement score() and explain()`);
+    }
+    if (this.strategies.has(strategy.id)) {
+      throw new Error(`Scoring strategy "${strategy.id}" is already registered`);
+    }
+
+    this.strategies.set(strategy.id, strategy);
+    return this;
+  }
+
+  has(id) {
+    return this.strategies.has(id);
+  }
+
+  get(id) {
+    return this.strategies.get(id) || null;
+  }
+
+  getIds() {
+    return [...this.strategies.keys()];
+  }
+
+  /**
+   * Public description of every registered algorithm
+   */
+  list() {
+    return [...this.strategies.values()].map(strategy => ({
+      id: strategy.id,
+      name: strategy.name || strategy.id,
+      description: strategy.description || '',
+      isDefault: strategy.id === this.defaultAlgorithm
+    }));
+  }
+
+  /**
+   * Strategy a user has selected, falling back to the legacy flags and then the default
+   */
+  resolveForUser(user) {
+    if (user.matchingAlgorithm && this.strategies.has(user.matchingAlgorithm)) {
+      return this.strategies.get(user.matchingAlgorithm);
+    }
+
+    const legacyFlag = Object.keys(LEGACY_ALGORITHM_FLAGS).find(flag => user[flag] === true);
+    if (legacyFlag && this.strategies.has(LEGACY_ALGORITHM_FLAGS[legacyFlag])) {
+      return this.strategies.get(LEGACY_ALGORITHM_FLAGS[legacyFlag]);
+    }
+
+    return this.strategies.get(this.defaultAlgorithm);
+  }
+}
+
+const registry = new ScoringStrategyRegistry()
+  .register(similarity)
+  .register(complementary)
+  .register(multiDimensional)
+  .register(dealBreaker)
+  .register(learned);
+
+module.exports = registry;
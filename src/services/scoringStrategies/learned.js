@@ -0,0 +1,53 @@
+const similarity = require('./similarity');
+const { FEATURE_NAMES, getPairFeatures } = require('./pairFeatures');
+const { predictProbability } = require('../rankingModel');
+
+// Share of the score that comes from the model when the stored model does not say
+const DEFAULT_BLEND_WEIGHT = 0.5;
+
+let currentModel = null;
+
+/**
+ * Learned ranking - personality similarity blended with a model trained on
+ * past like/pass decisions (see src/jobs/rankingModelJob.js)
+ *
+ * The model is loaded before each daily run with setModel(). Until one has
+ * been trained this scores exactly like the similarity strategy.
+ */
+module.exports = {
+  id: 'learned',
+  name: 'Learned from feedback',
+  description: 'Combines personality compatibility with what people like you have liked before',
+
+  /**
+   * Use a trained model for scoring, or null to go back to similarity only
+   * A model trained on a different feature set is ignored
+   */
+  setModel(model) {
+    const matchesFeatures = model &&
+      Array.isArray(model.featureNames) &&
+      model.featureNames.join(',') === FEATURE_NAMES.join(',');
+
+    currentModel = matchesFeatures ? model : null;
+    return currentModel !== null;
+  },
+
+  getModel() {
+    return currentModel;
+  },
+
+  score(user, candidate) {
+    const personalityScore = similarity.score(user, candidate);
+    if (!currentModel) return personalityScore;
+
+    const blendWeight = currentModel.blendWeight ?? DEFAULT_BLEND_WEIGHT;
+    const likeProbability = predictProbability(currentModel, getPairFeatures(user, candidate));
+
+    return (1 - blendWeight) * personalityScore + blendWeight * likeProbability * 100;
+  },
+
+  explain(user, candidate) {
+    if (!currentModel) return similarity.explain(user, candidate);
+    return 'Personality compatibility plus what you have liked in past matches';
+  }
+};
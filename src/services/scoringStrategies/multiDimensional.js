@@ -0,0 +1,39 @@
+const similarity = require('./similarity');
+const complementary = require('./complementary');
+
+/**
+ * Multi-dimensional matching - blends similarity and complementary scores
+ * with relationship style
+ */
+module.exports = {
+  id: 'multiDimensional',
+  name: 'Multi-dimensional',
+  description: 'Weighs personality, balance and relationship style together',
+
+  score(user1, user2) {
+    // Start with average of similarity and complementary
+    let score = (similarity.score(user1, user2) + complementary.score(user1, user2)) / 2;
+
+    // Add bonuses for matching on specific dimensions
+    const style1 = user1.personalityAnalysis?.relationshipStyle;
+    const style2 = user2.personalityAnalysis?.relationshipStyle;
+
+    if (style1 && style2) {
+      // Bonus for same attachment style
+      if (style1.attachmentStyle === style2.attachmentStyle) {
+        score += 10;
+      }
+
+      // Bonus for compatible communication styles
+      if (style1.communicationStyle && style2.communicationStyle) {
+        score += 5;
+      }
+    }
+
+    return Math.min(100, score);
+  },
+
+  explain() {
+    return 'Comprehensive compatibility across multiple dimensions';
+  }
+};
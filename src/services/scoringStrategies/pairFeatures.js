@@ -0,0 +1,62 @@
+const similarity = require('./similarity');
+const complementary = require('./complementary');
+const multiDimensional = require('./multiDimensional');
+const dealBreaker = require('./dealBreaker');
+const geocodingService = require('../geocodingService');
+
+const NEARBY_KM = 50;
+const FAR_KM = 500;
+
+const normalize = (value) => (value || '').toString().toLowerCase().trim();
+
+/**
+ * Features the learned ranking model sees for a (user, candidate) pair
+ *
+ * Everything is worked out from the two user docs, so training (on past
+ * matches) and scoring (in the daily run) use exactly the same inputs.
+ * Values are roughly 0-1; the model standardizes them anyway.
+ */
+const FEATURES = [
+  { name: 'similarity', value: (user, candidate) => similarity.score(user, candidate) / 100 },
+  { name: 'complementary', value: (user, candidate) => complementary.score(user, candidate) / 100 },
+  { name: 'multiDimensional', value: (user, candidate) => multiDimensional.score(user, candidate) / 100 },
+  { name: 'dealBreaker', value: (user, candidate) => dealBreaker.score(user, candidate) / 100 },
+  {
+    name: 'sameCity',
+    value: (user, candidate) => (normalize(user.city) && normalize(user.city) === normalize(candidate.city) ? 1 : 0)
+  },
+  { name: 'nearby', value: (user, candidate, distance) => (distance !== null && distance <= NEARBY_KM ? 1 : 0) },
+  { name: 'farAway', value: (user, candidate, distance) => (distance !== null && distance > FAR_KM ? 1 : 0) },
+  {
+    name: 'ageGap',
+    value: (user, candidate) => {
+      const age1 = parseInt(user.age);
+      const age2 = parseInt(candidate.age);
+      return Number.isNaN(age1) || Number.isNaN(age2) ? 0 : Math.abs(age1 - age2) / 10;
+    }
+  },
+  {
+    name: 'sameLookingFor',
+    value: (user, candidate) => (normalize(user.lookingFor) && normalize(user.lookingFor) === normalize(candidate.lookingFor) ? 1 : 0)
+  }
+];
+
+const FEATURE_NAMES = FEATURES.map(feature => feature.name);
+
+/**
+ * Feature vector for a pair, in FEATURE_NAMES order
+ */
+const getPairFeatures = (user, candidate) => {
+  const userLocation = geocodingService.getUserLocation(user);
+  const candidateLocation = geocodingService.getUserLocation(candidate);
+  const distance = userLocation && candidateLocation
+    ? geocodingService.distanceKm(userLocation, candidateLocation)
+    : null;
+
+  return FEATURES.map(feature => feature.value(user, candidate, distance));
+};
+
+module.exports = {
+  FEATURE_NAMES,
+  getPairFeatures
+};
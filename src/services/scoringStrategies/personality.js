@@ -0,0 +1,29 @@
+const PERSONALITY_TRAITS = ['openness', 'conscientiousness', 'extraversion',
+                            'agreeableness', 'neuroticism'];
+
+// Trait scores as plain arrays, built once per user instead of once per pair
+const traitVectors = new WeakMap();
+
+/**
+ * Personality trait scores in PERSONALITY_TRAITS order (missing traits count as 50)
+ */
+const getTraitVector = (user) => {
+  let vector = traitVectors.get(user);
+
+  if (!vector) {
+    const scores = user.personalityAnalysis.personalityScore;
+    vector = PERSONALITY_TRAITS.map(trait => scores[trait] || 50);
+    traitVectors.set(user, vector);
+  }
+
+  return vector;
+};
+
+const hasPersonalityScores = (user1, user2) =>
+  Boolean(user1.personalityAnalysis?.personalityScore && user2.personalityAnalysis?.personalityScore);
+
+module.exports = {
+  PERSONALITY_TRAITS,
+  getTraitVector,
+  hasPersonalityScores
+};
@@ -0,0 +1,41 @@
+const { PERSONALITY_TRAITS, getTraitVector, hasPersonalityScores } = require('./personality');
+
+/**
+ * Similarity matching - people with close personality scores
+ */
+module.exports = {
+  id: 'similarity',
+  name: 'Similarity',
+  description: 'Matches you with people whose personality is close to yours',
+
+  score(user1, user2) {
+    let score = 50; // Base score
+
+    // Compare personality scores if available
+    if (hasPersonalityScores(user1, user2)) {
+      const traits1 = getTraitVector(user1);
+      const traits2 = getTraitVector(user2);
+      let totalDifference = 0;
+
+      for (let i = 0; i < traits1.length; i++) {
+        totalDifference += Math.abs(traits1[i] - traits2[i]);
+      }
+
+      // Average difference per trait
+      const avgDifference = totalDifference / PERSONALITY_TRAITS.length;
+      // Convert to similarity score (0-100)
+      score = Math.max(0, 100 - (avgDifference * 2));
+    }
+
+    // Bonus for same relationship status
+    if (user1.relationshipStatus === user2.relationshipStatus) {
+      score += 5;
+    }
+
+    return Math.min(100, score);
+  },
+
+  explain() {
+    return 'High personality and lifestyle compatibility';
+  }
+};
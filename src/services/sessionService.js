@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sessionRepo } = require('../repositories');
+
+const ACCESS_TOKEN_EXPIRY = '15m';
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+class SessionService {
+  /**
+   * Hash a refresh token secret - only hashes are stored in Firestore
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        sessionId: sessionId,
+        purpose: 'session'
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRY }
+    );
+  }
+
+  /**
+   * Build the token pair returned to clients
+   */
+  buildTokenResponse(user, sessionId, secret) {
+    return {
+      sessionId: sessionId,
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS
+    };
+  }
+
+  /**
+   * Start a new session for a user on a device
+   * Any previous session for the same device is revoked
+   */
+  async createSession(user, { deviceId, userAgent } = {}) {
+    const resolvedDeviceId = deviceId || crypto.randomUUID();
+
+    // One active session per device
+    const existingSessions = await sessionRepo.findActive(user.id, resolvedDeviceId);
+
+    if (existingSessions.length > 0) {
+      await sessionRepo.revoke(existingSessions.map(session => session.id), 'replaced');
+    }
+
+    const secret = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now);
+    expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+    const sessionId = await sessionRepo.create({
+      userId: user.id,
+      email: user.email,
+      deviceId: resolvedDeviceId,
+      userAgent: userAgent || null,
+      refreshTokenHash: this.hashSecret(secret),
+      previousRefreshTokenHash: null,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: expiresAt,
+      revokedAt: null,
+      revokedReason: null
+    });
+
+    return {
+      ...this.buildTokenResponse(user, sessionId, secret),
+      deviceId: resolvedDeviceId
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token
+   * Presenting an already-rotated token revokes the session (token theft)
+   */
+  async refreshSession(refreshToken) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret) {
+      throw this.sessionError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    const secretHash = this.hashSecret(secret);
+    const newSecret = crypto.randomBytes(48).toString('hex');
+
+    const session = await sessionRepo.transact(sessionId, (sessionData) => {
+      if (!sessionData) {
+        throw this.sessionError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+      }
+
+      if (sessionData.revokedAt) {
+        throw this.sessionError('Session has been revoked', 'SESSION_REVOKED');
+      }
+
+      const expiresAt = sessionData.expiresAt?.toDate ? sessionData.expiresAt.toDate() : new Date(sessionData.expiresAt);
+      if (expiresAt < new Date()) {
+        throw this.sessionError('Session has expired, please sign in again', 'SESSION_EXPIRED');
+      }
+
+      if (sessionData.refreshTokenHash !== secretHash) {
+        if (sessionData.previousRefreshTokenHash === secretHash) {
+          // A rotated token was replayed - assume it leaked and kill the session
+          return {
+            update: {
+              revokedAt: new Date(),
+              revokedReason: 'refresh_token_reuse'
+            },
+            result: { reused: true }
+          };
+        }
+        throw this.sessionError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+      }
+
+      return {
+        update: {
+          refreshTokenHash: this.hashSecret(newSecret),
+          previousRefreshTokenHash: secretHash,
+          lastUsedAt: new Date()
+        },
+        result: { reused: false, ...sessionData }
+      };
+    });
+
+    if (session.reused) {
+      throw this.sessionError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const user = { id: session.userId, email: session.email };
+    return this.buildTokenResponse(user, sessionId, newSecret);
+  }
+
+  /**
+   * Check whether a session is still usable (used on every authenticated request)
+   */
+  async isSessionActive(sessionId, userId) {
+    const session = await sessionRepo.findById(sessionId);
+
+    if (!session) return false;
+
+    return session.userId === userId && !session.revokedAt;
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    await sessionRepo.revoke([sessionId], reason);
+  }
+
+  /**
+   * Revoke every active session a user has
+   */
+  async revokeAllSessionsForUser(userId, reason = 'logout_all') {
+    const sessions = await sessionRepo.findActive(userId);
+
+    await sessionRepo.revoke(sessions.map(session => session.id), reason);
+    return sessions.length;
+  }
+
+  /**
+   * Delete every session a user has, revoked or not
+   * For account deletion - a missing session is never active
+   * @returns {number} Number of sessions deleted
+   */
+  async deleteAllSessionsForUser(userId) {
+    return await sessionRepo.removeAllForUser(userId);
+  }
+
+  /**
+   * Build an error carrying a machine-readable code for the client
+   */
+  sessionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 401;
+    return error;
+  }
+}
+
+module.exports = new SessionService();
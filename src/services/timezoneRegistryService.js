@@ -0,0 +1,40 @@
+const { timezoneRepo } = require('../repositories');
+const timezoneService = require('./timezoneService');
+
+/**
+ * The set of timezones users are in, kept in `matching_timezones`
+ *
+ * Scheduled jobs check this every few minutes to see whether any timezone's
+ * morning window has opened, without reading every user.
+ */
+class TimezoneRegistryService {
+  /**
+   * Add a user's timezone to the set
+   */
+  async rememberTimezone(timezone) {
+    if (!timezoneService.isValidTimezone(timezone)) return;
+
+    await timezoneRepo.save(timezoneService.toDocumentId(timezone), {
+      timezone: timezone,
+      lastSeenAt: new Date()
+    });
+  }
+
+  /**
+   * Every timezone a user has set, plus the default
+   */
+  async getKnownTimezones() {
+    const entries = await timezoneRepo.findAll();
+    const timezones = new Set([timezoneService.defaultTimezone]);
+
+    entries.forEach(({ timezone }) => {
+      if (timezoneService.isValidTimezone(timezone)) {
+        timezones.add(timezone);
+      }
+    });
+
+    return [...timezones];
+  }
+}
+
+module.exports = new TimezoneRegistryService();
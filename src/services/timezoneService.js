@@ -0,0 +1,121 @@
+// Everyone registered before timezones were stored is in India
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Local dates and times for users' IANA timezones ("Asia/Kolkata", "Europe/London")
+ *
+ * Daily matching and emails go out per timezone in the morning of each
+ * user's own day, and the daily match limit counts from their local
+ * midnight. Pure - no Firebase here, so the engine and scripts can use it.
+ */
+class TimezoneService {
+  constructor() {
+    this.defaultTimezone = DEFAULT_TIMEZONE;
+    this.formatters = new Map();
+  }
+
+  /**
+   * Whether the runtime knows the timezone
+   */
+  isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) return false;
+
+    try {
+      this.getFormatter(timezone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The user's timezone, or the default if it is missing or unknown
+   */
+  getUserTimezone(user) {
+    return this.isValidTimezone(user.timezone) ? user.timezone : this.defaultTimezone;
+  }
+
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+    return this.formatters.get(timezone);
+  }
+
+  /**
+   * Wall-clock time in a timezone
+   * @returns {object} { date: 'YYYY-MM-DD', year, month, day, hour, minute, second }
+   */
+  getLocalTime(date, timezone) {
+    const parts = {};
+    this.getFormatter(timezone).formatToParts(date).forEach(part => {
+      if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+    });
+
+    const pad = (value) => String(value).padStart(2, '0');
+    return {
+      date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      second: parts.second
+    };
+  }
+
+  /**
+   * How far ahead of UTC the timezone is at that instant, in milliseconds
+   */
+  getOffsetMs(date, timezone) {
+    const local = this.getLocalTime(date, timezone);
+    const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * The instant the local day containing `date` began
+   */
+  getStartOfLocalDay(date, timezone) {
+    const local = this.getLocalTime(date, timezone);
+    const midnightAsUtc = Date.UTC(local.year, local.month - 1, local.day);
+
+    // The offset at midnight can differ from the offset now on a DST change day
+    let start = midnightAsUtc - this.getOffsetMs(date, timezone);
+    start = midnightAsUtc - this.getOffsetMs(new Date(start), timezone);
+    return new Date(start);
+  }
+
+  /**
+   * "Asia/Kolkata" -> "Asia-Kolkata" (Firestore IDs cannot contain "/")
+   */
+  toDocumentId(timezone) {
+    return timezone.replace(/\//g, '-');
+  }
+
+  /**
+   * ID of a timezone's local day at `date`, e.g. "2026-10-18_Asia-Kolkata"
+   */
+  getWindowKey(date, timezone) {
+    return `${this.getLocalTime(date, timezone).date}_${this.toDocumentId(timezone)}`;
+  }
+
+  /**
+   * Whether the local time is within [startHour, startHour + hours)
+   */
+  isWithinLocalWindow(date, timezone, startHour, hours) {
+    const { hour } = this.getLocalTime(date, timezone);
+    return hour >= startHour && hour < startHour + hours;
+  }
+}
+
+module.exports = new TimezoneService();
@@ -0,0 +1,45 @@
+const Joi = require('joi');
+const MatchingEngine = require('../services/matchingEngine');
+
+const dailyMatchingRun = {
+  body: Joi.object({
+    mode: Joi.string().valid(...MatchingEngine.MODES),
+    dryRun: Joi.boolean().default(false),
+    // Settings to try out - only accepted on dry runs
+    settings: Joi.object({
+      dailyMatchLimit: Joi.number().integer().min(1).max(50),
+      matchThreshold: Joi.number().min(0).max(100),
+      candidatePoolSize: Joi.number().integer().min(1).max(100000),
+      reciprocalListSize: Joi.number().integer().min(1).max(1000),
+      maxDailyExposure: Joi.number().integer().min(0),
+      coldStartBoost: Joi.number().min(0).max(100),
+      coldStartMaxMatches: Joi.number().integer().min(0)
+    }).when('dryRun', { is: true, otherwise: Joi.forbidden() })
+  })
+};
+
+const matchingRuns = {
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: Joi.string().trim()
+  })
+};
+
+const userById = {
+  params: Joi.object({
+    userId: Joi.string().required()
+  })
+};
+
+const userByEmail = {
+  query: Joi.object({
+    email: Joi.string().trim().email().required()
+  })
+};
+
+module.exports = {
+  dailyMatchingRun,
+  matchingRuns,
+  userById,
+  userByEmail
+};
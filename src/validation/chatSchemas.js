@@ -0,0 +1,48 @@
+const Joi = require('joi');
+
+const chatIdBody = {
+  body: Joi.object({
+    chatId: Joi.string().required()
+  })
+};
+
+const createConversation = {
+  body: Joi.object({
+    user1Id: Joi.string().required(),
+    user2Id: Joi.string().required()
+  })
+};
+
+const getConversations = {
+  params: Joi.object({
+    userId: Joi.string().required()
+  })
+};
+
+const getMessages = {
+  params: Joi.object({
+    chatId: Joi.string().required()
+  }),
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    before: Joi.string()
+  })
+};
+
+const sendMessage = {
+  body: Joi.object({
+    chatId: Joi.string().required(),
+    message: Joi.string().trim().max(5000).required(),
+    messageType: Joi.string().valid('text').default('text')
+  })
+};
+
+module.exports = {
+  createConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markRead: chatIdBody,
+  deleteConversation: chatIdBody,
+  blockUser: chatIdBody
+};
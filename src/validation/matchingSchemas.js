@@ -0,0 +1,28 @@
+const Joi = require('joi');
+
+const matchAction = {
+  body: Joi.object({
+    matchId: Joi.string().required()
+  })
+};
+
+const matchDecision = {
+  body: Joi.object({
+    matchId: Joi.string().required(),
+    isSecondChance: Joi.boolean().default(false)
+  })
+};
+
+const matchDetails = {
+  query: Joi.object({
+    matchId: Joi.string().required()
+  })
+};
+
+module.exports = {
+  expressInterest: matchAction,
+  acceptInterest: matchAction,
+  likeMatch: matchDecision,
+  passMatch: matchDecision,
+  matchDetails
+};
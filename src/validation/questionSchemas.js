@@ -0,0 +1,21 @@
+const Joi = require('joi');
+
+// Questions 1-8 build the initial analysis, 9-15 enrich it
+const saveAnswer = {
+  body: Joi.object({
+    questionId: Joi.number().integer().min(1).max(8).required(),
+    answer: Joi.string().trim().required()
+  })
+};
+
+const saveEnrichmentAnswer = {
+  body: Joi.object({
+    questionId: Joi.number().integer().min(9).max(15).required(),
+    answer: Joi.string().trim().required()
+  })
+};
+
+module.exports = {
+  saveAnswer,
+  saveEnrichmentAnswer
+};
@@ -0,0 +1,172 @@
+const Joi = require('joi');
+const scoringStrategies = require('../services/scoringStrategies');
+const timezoneService = require('../services/timezoneService');
+const genderModel = require('../services/genderModel');
+
+// IANA timezone the runtime knows, e.g. "Asia/Kolkata"
+const timezone = Joi.string().trim().max(64).custom((value, helpers) => {
+  if (!timezoneService.isValidTimezone(value)) {
+    return helpers.message('timezone must be an IANA timezone such as "Asia/Kolkata"');
+  }
+  return value;
+});
+
+// "Woman" / "female" -> one of genderModel.GENDERS
+const gender = Joi.string().trim().custom((value, helpers) => {
+  const normalized = genderModel.normalizeGender(value);
+  if (!normalized) {
+    return helpers.message(`gender must be one of: ${genderModel.GENDERS.join(', ')}`);
+  }
+  return normalized;
+});
+
+// One gender, several, or "Everyone" -> array of genderModel.GENDERS
+const interestedIn = Joi.alternatives().try(
+  Joi.array().items(Joi.string().trim()).min(1),
+  Joi.string().trim()
+).custom((value, helpers) => {
+  const normalized = genderModel.normalizeInterestedIn(value);
+  if (!normalized) {
+    return helpers.message(`interestedIn must be "everyone" or any of: ${genderModel.GENDERS.join(', ')}`);
+  }
+  return normalized;
+});
+
+const signIn = {
+  body: Joi.object({
+    idToken: Joi.string().required(),
+    deviceId: Joi.string().max(128)
+  })
+};
+
+const verifyEmailToken = {
+  body: Joi.object({
+    token: Joi.string().required(),
+    deviceId: Joi.string().max(128)
+  })
+};
+
+const refreshSession = {
+  body: Joi.object({
+    refreshToken: Joi.string().required()
+  })
+};
+
+const register = {
+  body: Joi.object({
+    firstName: Joi.string().trim().max(100).required(),
+    lastName: Joi.string().trim().max(100).required(),
+    age: Joi.number().integer().min(18).max(120).required(),
+    gender: gender.required(),
+    interestedIn: interestedIn.required(),
+    city: Joi.string().trim().max(200).required(),
+    timezone: timezone,
+    lookingFor: Joi.string().trim().required(),
+    relationshipStatus: Joi.string().trim().required(),
+    idToken: Joi.string().required(),
+    email: Joi.string().trim().email(),
+    phone: Joi.string().trim().max(30).allow('', null),
+    profilePictureSource: Joi.string().valid('uploaded', 'google', 'none'),
+    profilePictureFromGoogle: Joi.string().uri().allow('', null),
+    deviceId: Joi.string().max(128)
+  })
+};
+
+const updateProfile = {
+  body: Joi.object({
+    firstName: Joi.string().trim().max(100),
+    lastName: Joi.string().trim().max(100),
+    age: Joi.number().integer().min(18).max(120),
+    gender: gender,
+    interestedIn: interestedIn,
+    city: Joi.string().trim().max(200),
+    timezone: timezone,
+    lookingFor: Joi.string().trim(),
+    relationshipStatus: Joi.string().trim(),
+    phone: Joi.string().trim().max(30).allow('', null),
+    showFullProfile: Joi.boolean(),
+    showPersonalityScore: Joi.boolean(),
+    mainPhotoIndex: Joi.number().integer().min(0).max(4).default(0),
+    // Sent as a JSON string alongside multipart file fields
+    existingPhotos: Joi.string().allow('')
+  })
+};
+
+const matchSettings = {
+  body: Joi.object({
+    // Checked against the registry at request time so new strategies need no schema change
+    matchingAlgorithm: Joi.string().custom((value, helpers) => {
+      if (!scoringStrategies.has(value)) {
+        return helpers.message(`matchingAlgorithm must be one of: ${scoringStrategies.getIds().join(', ')}`);
+      }
+      return value;
+    }),
+    // Hard filters on who can be matched - null clears the limit
+    minAge: Joi.number().integer().min(18).max(120).allow(null),
+    maxAge: Joi.number().integer().min(18).max(120).allow(null),
+    maxDistanceKm: Joi.number().integer().min(1).max(20000).allow(null)
+  }).min(1)
+};
+
+const updateQuestions = {
+  body: Joi.object({
+    responses: Joi.array().items(Joi.object({
+      questionId: Joi.number().integer().min(1).required(),
+      question: Joi.string().allow('').required(),
+      answer: Joi.string().trim().required()
+    })).min(1).required()
+  })
+};
+
+const updateBio = {
+  body: Joi.object({
+    bioData: Joi.alternatives().try(
+      Joi.object().min(1).unknown(true),
+      Joi.string().trim().min(1)
+    ).required()
+  })
+};
+
+const pwaStatus = {
+  body: Joi.object({
+    isPWAInstalled: Joi.boolean(),
+    pushSubscription: Joi.object({
+      endpoint: Joi.string().uri().required(),
+      expirationTime: Joi.number().allow(null),
+      keys: Joi.object({
+        p256dh: Joi.string().required(),
+        auth: Joi.string().required()
+      }).required()
+    }).unknown(true).allow(null),
+    pushNotificationsEnabled: Joi.boolean(),
+    pwaPromptAction: Joi.string().valid('accepted', 'rejected', 'dismissed'),
+    pwaPromptShown: Joi.boolean()
+  })
+};
+
+const tourStatus = {
+  body: Joi.object({
+    hasSeenDashboardTour: Joi.boolean(),
+    tourCompletedAt: Joi.string().isoDate().allow(null)
+  })
+};
+
+const dataExport = {
+  params: Joi.object({
+    exportId: Joi.string().required()
+  })
+};
+
+module.exports = {
+  signIn,
+  verifyEmailToken,
+  refreshSession,
+  register,
+  updateProfile,
+  matchSettings,
+  updateQuestions,
+  updateBio,
+  pwaStatus,
+  tourStatus,
+  dataExport
+};
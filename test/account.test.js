@@ -0,0 +1,151 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startServer, createUser, signIn } = require('./helpers/app');
+const azureStorage = require('../src/services/azureStorage');
+const magicLinkService = require('../src/services/magicLinkService');
+const { userRepo, sessionRepo, magicLinkRepo, dataExportRepo } = require('../src/repositories');
+
+let server;
+let alice;
+let bob;
+
+/**
+ * Open a conversation between alice and bob and send one message from alice
+ */
+const sendMessage = async (message) => {
+  const created = await server.request('POST', '/api/chat/conversation', {
+    token: alice.token,
+    body: { user1Id: alice.id, user2Id: bob.id }
+  });
+  const { chatId } = created.body.data;
+  await server.request('POST', '/api/chat/send', { token: alice.token, body: { chatId, message } });
+  return chatId;
+};
+
+/**
+ * Poll an export until it leaves pending/processing
+ */
+const waitForExport = async (exportId, token) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const response = await server.request('GET', `/api/users/me/export/${exportId}`, { token });
+    if (!['pending', 'processing'].includes(response.body.data?.status)) return response;
+    await sleep(20);
+  }
+  throw new Error(`Export ${exportId} did not finish`);
+};
+
+before(async () => {
+  server = await startServer();
+
+  const aliceUser = await createUser('account-alice');
+  const bobUser = await createUser('account-bob', { gender: 'male' });
+  alice = { id: aliceUser.id, token: (await signIn(server.request, aliceUser)).body.data.authToken };
+  bob = { id: bobUser.id, token: (await signIn(server.request, bobUser)).body.data.authToken };
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('data export includes sent messages and returns a download link', async () => {
+  const chatId = await sendMessage('Exported hello');
+
+  // A conversation the user deleted is hidden from them, but its messages are still theirs
+  const deleted = await server.request('POST', '/api/chat/delete-conversation', { token: alice.token, body: { chatId } });
+  assert.equal(deleted.status, 200);
+
+  const requested = await server.request('POST', '/api/users/me/export', { token: alice.token });
+  assert.equal(requested.status, 202);
+  const { exportId } = requested.body.data;
+
+  const ready = await waitForExport(exportId, alice.token);
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.data.status, 'completed');
+  assert.ok(ready.body.data.downloadUrl);
+
+  // Another user cannot see the export
+  const foreign = await server.request('GET', `/api/users/me/export/${exportId}`, { token: bob.token });
+  assert.equal(foreign.status, 404);
+
+  const { blobName } = await dataExportRepo.findById(exportId);
+  const archive = await azureStorage.blobServiceClient
+    .getContainerClient(azureStorage.exportContainerName)
+    .getBlockBlobClient(blobName)
+    .downloadToBuffer();
+  assert.match(archive.toString(), /Exported hello/);
+});
+
+test('an export left processing by a lost instance is failed and re-queued', async () => {
+  const startedAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  const staleId = await dataExportRepo.create({
+    userId: bob.id,
+    status: 'processing',
+    requestedAt: startedAt,
+    startedAt: startedAt,
+    completedAt: null,
+    expiresAt: null,
+    blobName: null,
+    sizeBytes: null,
+    error: null
+  });
+
+  const polled = await server.request('GET', `/api/users/me/export/${staleId}`, { token: bob.token });
+  assert.equal(polled.body.data.status, 'failed');
+
+  await dataExportRepo.update(staleId, { status: 'processing' });
+  const requested = await server.request('POST', '/api/users/me/export', { token: bob.token });
+  assert.equal(requested.status, 202);
+  assert.notEqual(requested.body.data.exportId, staleId);
+  assert.equal((await dataExportRepo.findById(staleId)).status, 'failed');
+
+  const ready = await waitForExport(requested.body.data.exportId, bob.token);
+  assert.equal(ready.body.data.status, 'completed');
+});
+
+test('account deletion removes photos and the user, and ends their sessions', async () => {
+  await sendMessage('Before deletion');
+
+  const photo = azureStorage.blobServiceClient
+    .getContainerClient(azureStorage.containerName)
+    .getBlockBlobClient(`users/${alice.id}/photo-0.jpg`);
+  await photo.upload(Buffer.from('jpeg'), 4);
+  await magicLinkService.createNonce(alice.id, `${alice.id}@example.com`);
+
+  const deleted = await server.request('DELETE', '/api/users/me', { token: alice.token });
+  assert.equal(deleted.status, 200);
+  const { receipt } = deleted.body.data;
+  assert.equal(receipt.status, 'completed');
+  assert.equal(receipt.steps.photos.affected, 1);
+  assert.equal(receipt.steps.sessions.affected, 1);
+
+  assert.equal(await photo.exists(), false);
+
+  // Sessions and login links go too - not just revoked, since they hold the email and device
+  // (removeAllForUser counts what it finds, so 0 means nothing was left)
+  assert.equal(await sessionRepo.removeAllForUser(alice.id), 0, 'sessions left behind');
+  assert.equal(await magicLinkRepo.removeAllForUser(alice.id), 0, 'magic links left behind');
+  assert.equal(await userRepo.findById(alice.id), null);
+
+  const afterDeletion = await server.request('GET', '/api/users/matching-algorithms', { token: alice.token });
+  assert.equal(afterDeletion.status, 401);
+
+  const signedIn = await signIn(server.request, { id: alice.id, email: `${alice.id}@example.com` });
+  assert.equal(signedIn.body.data.user, null);
+});
+
+test('deleteUserPhotos logs failures instead of throwing; account deletion uses the throwing purge', async () => {
+  const { blobServiceClient } = azureStorage;
+  azureStorage.blobServiceClient = {
+    getContainerClient() {
+      throw new Error('storage is down');
+    }
+  };
+
+  try {
+    assert.equal(await azureStorage.deleteUserPhotos('anyone'), 0);
+    await assert.rejects(azureStorage.purgeUserPhotos('anyone'), /storage is down/);
+  } finally {
+    azureStorage.blobServiceClient = blobServiceClient;
+  }
+});
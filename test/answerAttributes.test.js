@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAnswerAttributes } = require('../src/services/scoringStrategies/answerAttributes');
+const dealBreaker = require('../src/services/scoringStrategies/dealBreaker');
+
+const userWith = (answers, compatibilityFactors = {}) => ({
+  answers: Object.fromEntries(
+    Object.entries(answers).map(([questionId, answer]) => [`question${questionId}`, { answer }])
+  ),
+  personalityAnalysis: { compatibilityFactors }
+});
+
+const childrenStance = (answer) => getAnswerAttributes(userWith({ 12: answer })).children.stance;
+const religion = (answer) => getAnswerAttributes(userWith({ 14: answer })).religion;
+
+test('children: a "not yet" alongside wanting kids is still wanting them', () => {
+  assert.equal(
+    childrenStance('I want kids someday, but I am not planning to have children for a few years'),
+    'wants'
+  );
+});
+
+test('children: hedged answers give no stance', () => {
+  assert.equal(childrenStance("I don't know if I want kids yet"), null);
+  assert.equal(childrenStance("Not sure I want children, honestly"), null);
+  assert.equal(childrenStance('Not planning to have kids right now'), null);
+});
+
+test('children: already having kids and wanting no more is a no', () => {
+  assert.equal(childrenStance('I already have two children and do not want more'), 'does_not_want');
+});
+
+test('children: clear answers keep their stance', () => {
+  assert.equal(childrenStance("I definitely want children, it's very important to me"), 'wants');
+  assert.equal(childrenStance("I don't want kids. I'm happily child-free"), 'does_not_want');
+  assert.equal(childrenStance("I'm open to kids if my partner wants them"), 'open');
+  assert.equal(childrenStance(''), null);
+});
+
+test('children: answers that contradict themselves give no stance', () => {
+  assert.equal(childrenStance("I want kids. I don't want children with the wrong person"), null);
+});
+
+test('religion: "must admit" and negated importance are not high importance', () => {
+  assert.equal(religion('I must admit religion does not play a big role').importance, 'low');
+  assert.equal(religion("My faith isn't a big part of my life").importance, 'low');
+});
+
+test('religion: stated importance and affiliation', () => {
+  assert.deepEqual(religion('I am Hindu and my faith is very important to me'), {
+    affiliation: 'hindu',
+    importance: 'high'
+  });
+  assert.deepEqual(religion('I go to church most Sundays'), {
+    affiliation: 'christian',
+    importance: 'moderate'
+  });
+  assert.deepEqual(religion("I'm an atheist"), { affiliation: 'none', importance: 'low' });
+});
+
+test('distance: hedged and "not yet" clauses are skipped', () => {
+  const { distance } = getAnswerAttributes(userWith({
+    13: "I'm not sure about long distance. I can't relocate right now, but I'd be open to relocating later"
+  }));
+  assert.equal(distance.tolerance, null);
+  assert.equal(distance.relocation, 'willing');
+});
+
+test('dealBreaker: opposite stances on children are soft unless someone said they matter', () => {
+  const wants = userWith({ 12: 'I would love to have kids one day' });
+  const doesNot = userWith({ 12: "I don't want children" });
+
+  assert.equal(dealBreaker.hasHardConflict(wants, doesNot), false);
+  assert.ok(dealBreaker.score(wants, doesNot) < 60);
+});
+
+test('dealBreaker: children are a hard conflict when either side rates them highly', () => {
+  const wants = userWith({ 12: 'I want children, it is non-negotiable for me' });
+  const doesNot = userWith({ 12: "I don't want children" });
+
+  assert.equal(dealBreaker.hasHardConflict(wants, doesNot), true);
+  assert.equal(dealBreaker.hasHardConflict(doesNot, wants), true);
+  assert.equal(dealBreaker.score(wants, doesNot), 0);
+});
+
+test('dealBreaker: a named deal-breaker topic makes the conflict hard', () => {
+  const wants = userWith({ 12: 'I hope to have a family' }, { dealBreakers: ['Partner not wanting kids'] });
+  const doesNot = userWith({ 12: 'I am child-free' });
+
+  assert.equal(dealBreaker.hasHardConflict(doesNot, wants), true);
+});
+
+test('dealBreaker: an unsure answer never conflicts', () => {
+  const wants = userWith({ 12: 'Kids are a must-have for me, I want them' });
+  const unsure = userWith({ 12: "I don't know if I want kids yet" });
+
+  assert.equal(dealBreaker.hasHardConflict(wants, unsure), false);
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, signIn, auth } = require('./helpers/app');
+const sessionService = require('../src/services/sessionService');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('sign-in, refresh and logout', async () => {
+  const user = await createUser('auth-user');
+
+  const signedIn = await signIn(server.request, user);
+  assert.equal(signedIn.status, 200);
+  assert.equal(signedIn.body.data.user.id, user.id);
+  const { authToken, refreshToken } = signedIn.body.data;
+  assert.ok(authToken);
+  assert.ok(refreshToken);
+
+  const refreshed = await server.request('POST', '/api/users/refresh-token', { body: { refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.data.refreshToken, refreshToken);
+
+  // The access token is tied to the session, not to one refresh
+  const loggedOut = await server.request('POST', '/api/users/logout', { token: refreshed.body.data.authToken });
+  assert.equal(loggedOut.status, 200);
+
+  const afterLogout = await server.request('GET', '/api/users/matching-algorithms', { token: authToken });
+  assert.equal(afterLogout.status, 401);
+  assert.equal(afterLogout.body.code, 'SESSION_REVOKED');
+
+  const refreshAfterLogout = await server.request('POST', '/api/users/refresh-token', {
+    body: { refreshToken: refreshed.body.data.refreshToken }
+  });
+  assert.equal(refreshAfterLogout.status, 401);
+});
+
+test('sign-in with an unknown email finds no user', async () => {
+  const response = await signIn(server.request, { id: 'nobody', email: 'nobody@example.com' });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.user, null);
+});
+
+test('sign-in rejects a token the auth provider did not issue', async () => {
+  const response = await server.request('POST', '/api/users/signin', { body: { idToken: 'forged' } });
+  assert.equal(response.status, 401);
+});
+
+test('registration requires a verified Firebase sign-in for the email', async () => {
+  const profile = {
+    firstName: 'Reg',
+    lastName: 'Tester',
+    age: 29,
+    gender: 'Woman',
+    interestedIn: ['Man'],
+    city: 'London',
+    lookingFor: 'Dating/Relationships',
+    relationshipStatus: 'Single'
+  };
+
+  const withoutToken = await server.request('POST', '/api/users/register', {
+    body: { ...profile, email: 'victim@example.com' }
+  });
+  assert.equal(withoutToken.status, 400);
+
+  const idToken = auth.createIdToken({ uid: 'firebase-attacker', email: 'attacker@example.com' });
+  const otherEmail = await server.request('POST', '/api/users/register', {
+    body: { ...profile, idToken, email: 'victim@example.com' }
+  });
+  assert.equal(otherEmail.status, 400);
+
+  const unverified = await server.request('POST', '/api/users/register', {
+    body: { ...profile, idToken: auth.createIdToken({ uid: 'firebase-x', email: 'x@example.com', email_verified: false }) }
+  });
+  assert.equal(unverified.status, 401);
+
+  const registered = await server.request('POST', '/api/users/register', { body: { ...profile, idToken } });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.data.user.email, 'attacker@example.com');
+  assert.equal(registered.body.data.user.firebaseUid, 'firebase-attacker');
+});
+
+test('linking a Firebase sign-in to an unlinked account signs out its existing sessions', async () => {
+  const user = await createUser('legacy-user');
+  const legacySession = await sessionService.createSession(user, {});
+
+  const before = await server.request('GET', '/api/users/matching-algorithms', { token: legacySession.accessToken });
+  assert.equal(before.status, 200);
+
+  const signedIn = await signIn(server.request, user);
+  assert.equal(signedIn.status, 200);
+
+  const after = await server.request('GET', '/api/users/matching-algorithms', { token: legacySession.accessToken });
+  assert.equal(after.status, 401);
+
+  const fresh = await server.request('GET', '/api/users/matching-algorithms', { token: signedIn.body.data.authToken });
+  assert.equal(fresh.status, 200);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, signIn } = require('./helpers/app');
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startServer();
+
+  const aliceUser = await createUser('chat-alice');
+  const bobUser = await createUser('chat-bob', { gender: 'male' });
+  alice = { id: aliceUser.id, token: (await signIn(server.request, aliceUser)).body.data.authToken };
+  bob = { id: bobUser.id, token: (await signIn(server.request, bobUser)).body.data.authToken };
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('send and read a message', async () => {
+  const created = await server.request('POST', '/api/chat/conversation', {
+    token: alice.token,
+    body: { user1Id: alice.id, user2Id: bob.id }
+  });
+  assert.equal(created.status, 200);
+  const { chatId } = created.body.data;
+
+  const sent = await server.request('POST', '/api/chat/send', {
+    token: alice.token,
+    body: { chatId, message: 'Hello Bob' }
+  });
+  assert.equal(sent.status, 200);
+  assert.equal(sent.body.data.message.recipientId, bob.id);
+
+  const inbox = await server.request('GET', `/api/chat/conversations/${bob.id}`, { token: bob.token });
+  assert.equal(inbox.status, 200);
+  assert.equal(inbox.body.data.totalUnread, 1);
+  assert.equal(inbox.body.data.conversations[0].lastMessage, 'Hello Bob');
+
+  const messages = await server.request('GET', `/api/chat/messages/${chatId}`, { token: bob.token });
+  assert.equal(messages.status, 200);
+  assert.deepEqual(messages.body.data.messages.map(message => message.message), ['Hello Bob']);
+
+  const marked = await server.request('POST', '/api/chat/mark-read', { token: bob.token, body: { chatId } });
+  assert.equal(marked.status, 200);
+
+  const afterRead = await server.request('GET', `/api/chat/conversations/${bob.id}`, { token: bob.token });
+  assert.equal(afterRead.body.data.totalUnread, 0);
+});
+
+test('only participants can read or open a conversation', async () => {
+  const eveUser = await createUser('chat-eve');
+  const eveToken = (await signIn(server.request, eveUser)).body.data.authToken;
+
+  const created = await server.request('POST', '/api/chat/conversation', {
+    token: alice.token,
+    body: { user1Id: alice.id, user2Id: bob.id }
+  });
+  const { chatId } = created.body.data;
+
+  const read = await server.request('GET', `/api/chat/messages/${chatId}`, { token: eveToken });
+  assert.equal(read.status, 403);
+
+  const opened = await server.request('POST', '/api/chat/conversation', {
+    token: eveToken,
+    body: { user1Id: alice.id, user2Id: bob.id }
+  });
+  assert.equal(opened.status, 403);
+});
+
+test('blocking ends the chat for the blocked user straight away', async () => {
+  const carolUser = await createUser('chat-carol');
+  const daveUser = await createUser('chat-dave', { gender: 'male' });
+  const carolToken = (await signIn(server.request, carolUser)).body.data.authToken;
+  const daveToken = (await signIn(server.request, daveUser)).body.data.authToken;
+
+  const created = await server.request('POST', '/api/chat/conversation', {
+    token: carolToken,
+    body: { user1Id: carolUser.id, user2Id: daveUser.id }
+  });
+  const { chatId } = created.body.data;
+  await server.request('POST', '/api/chat/send', { token: daveToken, body: { chatId, message: 'Hi Carol' } });
+
+  const blocked = await server.request('POST', '/api/chat/block-user', { token: carolToken, body: { chatId } });
+  assert.equal(blocked.status, 200);
+
+  const read = await server.request('GET', `/api/chat/messages/${chatId}`, { token: daveToken });
+  assert.equal(read.status, 403);
+
+  const sent = await server.request('POST', '/api/chat/send', { token: daveToken, body: { chatId, message: 'Hello?' } });
+  assert.equal(sent.status, 404);
+
+  // Neither side can open a new chat between them
+  for (const token of [daveToken, carolToken]) {
+    const reopened = await server.request('POST', '/api/chat/conversation', {
+      token,
+      body: { user1Id: daveUser.id, user2Id: carolUser.id }
+    });
+    assert.equal(reopened.status, 403);
+  }
+
+  // The block revokes the chat, not Dave's sign-in
+  const inbox = await server.request('GET', `/api/chat/conversations/${daveUser.id}`, { token: daveToken });
+  assert.equal(inbox.status, 200);
+  assert.equal(inbox.body.data.conversations.length, 0);
+});
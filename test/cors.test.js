@@ -0,0 +1,76 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAllowedOrigins, assertCorsConfig, buildCorsOptions } = require('../src/config/cors');
+
+const originalEnv = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...originalEnv };
+});
+
+/**
+ * Whether the cors middleware would let `origin` through with the given allowlist
+ */
+const isAllowed = (allowlist, origin) => {
+  process.env.NODE_ENV = 'production';
+  process.env.CORS_ALLOWED_ORIGINS = allowlist;
+
+  let allowed;
+  buildCorsOptions().origin(origin, (error, result) => {
+    allowed = !error && result === true;
+  });
+  return allowed;
+};
+
+test('exact entries only match the same origin', () => {
+  assert.equal(isAllowed('https://app.example.com', 'https://app.example.com'), true);
+  assert.equal(isAllowed('https://app.example.com/', 'https://app.example.com'), true);
+  assert.equal(isAllowed('https://app.example.com', 'http://app.example.com'), false);
+  assert.equal(isAllowed('https://app.example.com', 'https://app.example.com.evil.io'), false);
+});
+
+test('a wildcard matches subdomains at any depth but not the bare domain', () => {
+  const allowlist = 'https://*.example.com';
+
+  assert.equal(isAllowed(allowlist, 'https://app.example.com'), true);
+  assert.equal(isAllowed(allowlist, 'https://pr-42.preview.example.com'), true);
+  assert.equal(isAllowed(allowlist, 'https://APP.Example.com'), true);
+  assert.equal(isAllowed(allowlist, 'https://example.com'), false);
+});
+
+test('a wildcard cannot be stretched to another domain, scheme or port', () => {
+  const allowlist = 'https://*.example.com';
+
+  assert.equal(isAllowed(allowlist, 'https://example.com.evil.io'), false);
+  assert.equal(isAllowed(allowlist, 'https://evil.io/.example.com'), false);
+  assert.equal(isAllowed(allowlist, 'https://evilexample.com'), false);
+  assert.equal(isAllowed(allowlist, 'https://app.example.com:8443'), false);
+  assert.equal(isAllowed(allowlist, 'http://app.example.com'), false);
+  // Dots in the pattern are literal
+  assert.equal(isAllowed(allowlist, 'https://app.examplexcom'), false);
+});
+
+test('requests without an origin are allowed', () => {
+  assert.equal(isAllowed('https://app.example.com', undefined), true);
+});
+
+test('each environment reads its own allowlist', () => {
+  process.env.CORS_ALLOWED_ORIGINS = 'https://app.example.com, https://*.example.com';
+  process.env.CORS_ALLOWED_ORIGINS_DEV = 'http://localhost:5173';
+
+  process.env.NODE_ENV = 'production';
+  assert.deepEqual(getAllowedOrigins(), ['https://app.example.com', 'https://*.example.com']);
+
+  process.env.NODE_ENV = 'development';
+  assert.deepEqual(getAllowedOrigins(), ['http://localhost:5173']);
+
+  delete process.env.CORS_ALLOWED_ORIGINS_DEV;
+  assert.deepEqual(getAllowedOrigins(), ['http://localhost:3000']);
+});
+
+test('production refuses to start without an allowlist', () => {
+  process.env.NODE_ENV = 'production';
+  process.env.CORS_ALLOWED_ORIGINS = ' , ';
+
+  assert.throws(assertCorsConfig, /CORS_ALLOWED_ORIGINS/);
+});
@@ -0,0 +1,108 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers/app');
+const { matchRepo, emailWindowRepo } = require('../src/repositories');
+const EmailNotificationJob = require('../src/jobs/emailNotificationJob');
+const timezoneService = require('../src/services/timezoneService');
+const timezoneRegistryService = require('../src/services/timezoneRegistryService');
+
+const TIMEZONE = 'Europe/London';
+// 08:30 in London (BST), inside the 07:00 email window
+const NOW = new Date('2026-10-18T07:30:00Z');
+const WINDOW_KEY = timezoneService.getWindowKey(NOW, TIMEZONE);
+
+/**
+ * Save a checkpoint the way matchingService leaves a finished window
+ */
+const saveCheckpoint = (overrides = {}) => matchRepo.saveCheckpoint(WINDOW_KEY, {
+  windowKey: WINDOW_KEY,
+  timezone: TIMEZONE,
+  status: 'completed',
+  notificationsSent: true,
+  ...overrides
+});
+
+/**
+ * Save a match with a pending notification for user1
+ */
+const saveMatch = (id, user1Id, user2Id, overrides = {}) => matchRepo.create(id, {
+  user1_id: user1Id,
+  user2_id: user2Id,
+  notification_pending_user1: true,
+  notification_pending_user2: false,
+  notification_sent_user1: false,
+  notification_sent_user2: false,
+  ...overrides
+});
+
+/**
+ * A job whose emails fail for the given addresses
+ */
+const createJob = (failingEmails = []) => {
+  const job = new EmailNotificationJob();
+  job.sent = [];
+  job.emailService.sendGenericNotificationEmail = async ({ user }) => {
+    if (failingEmails.includes(user.email)) throw new Error('Send failed');
+    job.sent.push(user.email);
+  };
+  return job;
+};
+
+// The tests share one store and run in order; each leaves no notification pending
+before(async () => {
+  await timezoneRegistryService.rememberTimezone(TIMEZONE);
+});
+
+test('a window is not due until its matching has been saved and notified', async () => {
+  const job = createJob();
+
+  assert.deepEqual(await job.getDueWindows(NOW), []);
+
+  await saveCheckpoint({ status: 'in_progress', notificationsSent: false });
+  assert.deepEqual(await job.getDueWindows(NOW), []);
+
+  await saveCheckpoint({ notificationsSent: false });
+  assert.deepEqual(await job.getDueWindows(NOW), []);
+
+  await saveCheckpoint();
+  assert.deepEqual(await job.getDueWindows(NOW), [{ key: WINDOW_KEY, timezone: TIMEZONE }]);
+});
+
+test('a failed email keeps the window open and a retry only emails the users who missed out', async () => {
+  const ok = await createUser('email-ok');
+  const failing = await createUser('email-failing');
+  const partner = await createUser('email-partner', { timezone: 'America/New_York' });
+  await saveMatch('match-ok', ok.id, partner.id);
+  await saveMatch('match-failing', failing.id, partner.id);
+  await saveCheckpoint();
+
+  const firstJob = createJob([failing.email]);
+  const windows = await firstJob.getDueWindows(NOW);
+  const result = await firstJob.sendPendingNotifications(windows);
+
+  assert.equal(result.notifications.success, 1);
+  assert.equal(result.notifications.errors, 1);
+  assert.deepEqual(firstJob.sent, [ok.email]);
+  assert.equal(await emailWindowRepo.findByKey(WINDOW_KEY), null);
+
+  const retryJob = createJob();
+  await retryJob.sendPendingNotifications(await retryJob.getDueWindows(NOW));
+
+  assert.deepEqual(retryJob.sent, [failing.email]);
+  assert.ok(await emailWindowRepo.findByKey(WINDOW_KEY));
+  assert.deepEqual(await retryJob.getDueWindows(NOW), []);
+});
+
+test('only users with a pending notification are emailed', async () => {
+  const pending = await createUser('email-pending');
+  const notified = await createUser('email-notified');
+  await saveMatch('match-pending', pending.id, notified.id);
+  await saveMatch('match-notified', notified.id, pending.id, {
+    notification_pending_user1: false,
+    notification_sent_user1: true
+  });
+
+  const users = await createJob().getUsersWithPendingNotifications();
+
+  assert.deepEqual(users.map(user => [user.id, user.matchIds]), [[pending.id, ['match-pending']]]);
+});
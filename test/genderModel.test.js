@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GENDERS, normalizeGender, normalizeInterestedIn, areGendersCompatible } = require('../src/services/genderModel');
+
+test('normalizeGender accepts form labels and older stored values', () => {
+  assert.equal(normalizeGender('Woman'), 'female');
+  assert.equal(normalizeGender(' MEN '), 'male');
+  assert.equal(normalizeGender('Non Binary'), 'non-binary');
+  assert.equal(normalizeGender('prefer-not-to-say'), 'other');
+  assert.equal(normalizeGender('robot'), null);
+  assert.equal(normalizeGender(undefined), null);
+});
+
+test('normalizeInterestedIn turns "everyone" aliases into every gender', () => {
+  assert.deepEqual(normalizeInterestedIn('Everyone'), GENDERS);
+  assert.deepEqual(normalizeInterestedIn('both'), GENDERS);
+  assert.deepEqual(normalizeInterestedIn(['women', 'Any']), GENDERS);
+});
+
+test('normalizeInterestedIn returns canonical genders in GENDERS order without duplicates', () => {
+  assert.deepEqual(normalizeInterestedIn('Women'), ['female']);
+  assert.deepEqual(normalizeInterestedIn(['Non-binary', 'Men', 'male']), ['male', 'non-binary']);
+});
+
+test('normalizeInterestedIn rejects unknown, non-string and empty values', () => {
+  assert.equal(normalizeInterestedIn(['men', 'robots']), null);
+  assert.equal(normalizeInterestedIn([42]), null);
+  assert.equal(normalizeInterestedIn(null), null);
+  assert.equal(normalizeInterestedIn([]), null);
+});
+
+test('areGendersCompatible needs interest both ways', () => {
+  const anna = { gender: 'Woman', interestedIn: ['Men', 'Non-binary'] };
+  const ben = { gender: 'male', interestedIn: 'Women' };
+  const sam = { gender: 'non-binary', interestedIn: 'men' };
+
+  assert.equal(areGendersCompatible(anna, ben), true);
+  assert.equal(areGendersCompatible(anna, sam), false);
+  assert.equal(areGendersCompatible(ben, { gender: 'female' }), false);
+});
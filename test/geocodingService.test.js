@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const geocodingService = require('../src/services/geocodingService');
+
+test('cities are found by name or alias, ignoring case, spacing and the region', () => {
+  const bengaluru = geocodingService.geocodeCity('Bengaluru');
+
+  assert.equal(bengaluru.country, 'IN');
+  assert.deepEqual(geocodingService.geocodeCity('  BANGALORE,  Karnataka '), bengaluru);
+  assert.deepEqual(geocodingService.geocodeCity('new   delhi'), geocodingService.geocodeCity('Delhi'));
+});
+
+test('unknown or missing cities have no coordinates', () => {
+  assert.equal(geocodingService.geocodeCity('Atlantis'), null);
+  assert.equal(geocodingService.geocodeCity(''), null);
+  assert.equal(geocodingService.geocodeCity(null), null);
+  assert.equal(geocodingService.getLocationForCity('Atlantis'), null);
+});
+
+test('the stored location uses the dataset name and records where it came from', () => {
+  assert.deepEqual(geocodingService.getLocationForCity('bombay'), {
+    lat: 19.076,
+    lng: 72.8777,
+    city: 'Mumbai',
+    country: 'IN',
+    source: 'city_dataset'
+  });
+});
+
+test('a user\'s stored location wins over their city', () => {
+  const location = { lat: 1, lng: 2 };
+
+  assert.equal(geocodingService.getUserLocation({ city: 'Mumbai', location }), location);
+  assert.deepEqual(geocodingService.getUserLocation({ city: 'Mumbai', location: { lat: null, lng: null } }), geocodingService.geocodeCity('Mumbai'));
+  assert.equal(geocodingService.getUserLocation({ city: 'Atlantis' }), null);
+});
+
+test('distanceKm is the great-circle distance', () => {
+  const mumbai = geocodingService.geocodeCity('Mumbai');
+  const pune = geocodingService.geocodeCity('Pune');
+  const london = geocodingService.geocodeCity('London');
+
+  assert.equal(geocodingService.distanceKm(mumbai, mumbai), 0);
+  assert.ok(Math.abs(geocodingService.distanceKm(mumbai, pune) - 120) < 5);
+  assert.ok(Math.abs(geocodingService.distanceKm(mumbai, london) - 7190) < 50);
+  assert.equal(geocodingService.distanceKm(mumbai, pune), geocodingService.distanceKm(pune, mumbai));
+});
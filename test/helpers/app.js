@@ -0,0 +1,83 @@
+// Boots the Express app on the in-memory store (DATA_STORE=memory).
+// Every test file runs in its own process, so each one starts from empty data.
+process.env.DATA_STORE = 'memory';
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.AZURE_STORAGE_CONTAINER_NAME = 'user-photos';
+process.env.RATE_LIMIT_AUTH_IP_BURST = '1000';
+process.env.RATE_LIMIT_WRITE_USER_BURST = '1000';
+process.env.RATE_LIMIT_WRITE_IP_BURST = '1000';
+
+const app = require('../../src/app');
+const { auth } = require('../../src/config/firebase');
+const { userRepo } = require('../../src/repositories');
+
+/**
+ * Listen on a free port and return a small JSON client for it
+ */
+const startServer = async () => {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Store a registered user the way registerUser leaves one
+ */
+const createUser = async (id, overrides = {}) => {
+  const user = {
+    firstName: id,
+    lastName: 'Tester',
+    email: `${id}@example.com`,
+    gender: 'female',
+    age: 30,
+    city: 'London',
+    location: null,
+    timezone: 'Europe/London',
+    profilePictures: [],
+    profilePicture: null,
+    profilePictureSource: 'none',
+    role: 'user',
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...overrides
+  };
+  await userRepo.create(id, user);
+  return { id, ...user };
+};
+
+/**
+ * Sign a user in through the API and return the session tokens
+ */
+const signIn = async (request, user) => {
+  const idToken = auth.createIdToken({ uid: `firebase-${user.id}`, email: user.email });
+  return request('POST', '/api/users/signin', { body: { idToken } });
+};
+
+module.exports = {
+  app,
+  auth,
+  startServer,
+  createUser,
+  signIn
+};
@@ -0,0 +1,165 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser, signIn } = require('./helpers/app');
+const timezoneService = require('../src/services/timezoneService');
+
+// Manual runs only open windows from 6:00 local, so use a timezone where that has passed
+const TIMEZONE = ['Europe/London', 'Asia/Kolkata', 'Pacific/Kiritimati', 'America/New_York', 'Pacific/Pago_Pago']
+  .find(timezone => timezoneService.getLocalTime(new Date(), timezone).hour >= 6);
+
+let server;
+let admin;
+const members = {};
+
+/**
+ * A user the daily matching job will pick up
+ */
+const createMatchableUser = (id, gender) => createUser(id, {
+  gender,
+  interestedIn: [gender === 'female' ? 'male' : 'female'],
+  timezone: TIMEZONE,
+  lookingFor: 'dating',
+  matchingAlgorithm: 'similarity',
+  isActive: true,
+  isAnalysisComplete: true,
+  personalityAnalysis: {
+    personalityScore: { openness: 60, conscientiousness: 60, extraversion: 60, agreeableness: 60, neuroticism: 40 }
+  }
+});
+
+const runMatching = (body = {}) => server.request('POST', '/api/admin/jobs/daily-matching/run', {
+  token: admin.token,
+  body
+});
+
+let savedMatches = [];
+
+before(async () => {
+  // The jobs log every step; on Node 20 that much output next to the test
+  // runner's own messages can corrupt them
+  mock.method(console, 'log', () => {});
+
+  server = await startServer();
+
+  const adminUser = await createUser('match-admin', { role: 'admin', timezone: TIMEZONE });
+  admin = { id: adminUser.id, token: (await signIn(server.request, adminUser)).body.data.authToken };
+
+  for (const [id, gender] of [['match-anna', 'female'], ['match-cara', 'female'], ['match-ben', 'male'], ['match-dev', 'male']]) {
+    const user = await createMatchableUser(id, gender);
+    members[id] = { id, token: (await signIn(server.request, user)).body.data.authToken };
+  }
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('only admins can run jobs or look users up', async () => {
+  const { token } = members['match-anna'];
+
+  const run = await server.request('POST', '/api/admin/jobs/daily-matching/run', { token, body: {} });
+  assert.equal(run.status, 403);
+
+  const lookup = await server.request('GET', '/api/admin/users/match-ben', { token });
+  assert.equal(lookup.status, 403);
+});
+
+test('a dry run reports the matches it would make without saving them', async () => {
+  const dryRun = await runMatching({ dryRun: true });
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.data.dryRun, true);
+  assert.equal(dryRun.body.data.matchesCreated, 0);
+  assert.ok(dryRun.body.data.mutualCount > 0);
+  assert.deepEqual(dryRun.body.data.newMatches, []);
+});
+
+test('a manual run saves each pair once and a second run the same day saves nothing', async () => {
+  const first = await runMatching();
+  assert.equal(first.status, 200);
+  assert.ok(first.body.data.runId);
+  assert.ok(first.body.data.matchesCreated > 0);
+  savedMatches = first.body.data.newMatches;
+
+  const pairs = savedMatches.map(match => [match.user1_id, match.user2_id].sort().join('-'));
+  assert.equal(new Set(pairs).size, pairs.length);
+  savedMatches.forEach(match => {
+    assert.equal(match.run_timezone, TIMEZONE);
+    assert.ok(match.pair_key.startsWith(timezoneService.getWindowKey(new Date(), TIMEZONE)));
+  });
+
+  const second = await runMatching();
+  assert.equal(second.status, 200);
+  assert.equal(second.body.data.matchesCreated, 0);
+
+  const runs = await server.request('GET', '/api/admin/jobs/daily-matching/runs?limit=2', { token: admin.token });
+  assert.equal(runs.status, 200);
+  assert.equal(runs.body.data.runs.length, 2);
+  assert.equal(runs.body.data.runs[0].id, second.body.data.runId);
+  assert.equal(runs.body.data.runs[1].id, first.body.data.runId);
+  assert.ok(runs.body.data.nextCursor);
+
+  const nextPage = await server.request('GET', `/api/admin/jobs/daily-matching/runs?limit=2&cursor=${runs.body.data.nextCursor}`, { token: admin.token });
+  assert.equal(nextPage.status, 200);
+  assert.ok(nextPage.body.data.runs.every(run => run.dryRun === true));
+
+  const badCursor = await server.request('GET', '/api/admin/jobs/daily-matching/runs?cursor=missing', { token: admin.token });
+  assert.equal(badCursor.status, 400);
+});
+
+test('two likes on a mutual match make a love match', async () => {
+  const match = savedMatches.find(candidate => candidate.match_type === 'mutual_algorithm');
+  const user1 = members[match.user1_id];
+  const user2 = members[match.user2_id];
+
+  const first = await server.request('POST', '/api/matching/like', { token: user1.token, body: { matchId: match.pair_key } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.isLoveMatch, false);
+
+  const second = await server.request('POST', '/api/matching/like', { token: user2.token, body: { matchId: match.pair_key } });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.data.isLoveMatch, true);
+
+  const outsider = Object.values(members).find(member => member.id !== user1.id && member.id !== user2.id);
+  const details = await server.request('GET', `/api/matching/match-details?matchId=${match.pair_key}`, { token: outsider.token });
+  assert.equal(details.status, 403);
+});
+
+test('passing on someone who liked you offers a second chance, and passing again removes the match', async () => {
+  const match = savedMatches.filter(candidate => candidate.match_type === 'mutual_algorithm')[1];
+  const user1 = members[match.user1_id];
+  const user2 = members[match.user2_id];
+
+  await server.request('POST', '/api/matching/like', { token: user1.token, body: { matchId: match.pair_key } });
+
+  const pass = await server.request('POST', '/api/matching/pass', { token: user2.token, body: { matchId: match.pair_key } });
+  assert.equal(pass.status, 200);
+  assert.equal(pass.body.data.secondChanceOffered, true);
+  assert.equal(pass.body.data.isDeleted, false);
+
+  const stillPass = await server.request('POST', '/api/matching/pass', {
+    token: user2.token,
+    body: { matchId: match.pair_key, isSecondChance: true }
+  });
+  assert.equal(stillPass.status, 200);
+  assert.equal(stillPass.body.data.isDeleted, true);
+  assert.equal(stillPass.body.data.updatedMatch.match_status, 'rejected');
+});
+
+test('ranking model training is skipped without enough decided matches', async () => {
+  const run = await server.request('POST', '/api/admin/jobs/ranking-model/run', { token: admin.token });
+  assert.equal(run.status, 200);
+  assert.equal(run.body.data.status, 'skipped');
+});
+
+test('admins can look users up by id or email', async () => {
+  const byId = await server.request('GET', '/api/admin/users/match-ben', { token: admin.token });
+  assert.equal(byId.status, 200);
+  assert.equal(byId.body.data.user.email, 'match-ben@example.com');
+
+  const byEmail = await server.request('GET', '/api/admin/users?email=match-cara@example.com', { token: admin.token });
+  assert.equal(byEmail.status, 200);
+  assert.equal(byEmail.body.data.user.id, 'match-cara');
+
+  const missing = await server.request('GET', '/api/admin/users/nobody', { token: admin.token });
+  assert.equal(missing.status, 404);
+});
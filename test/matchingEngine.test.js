@@ -0,0 +1,214 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MatchingEngine = require('../src/services/matchingEngine');
+const scoringStrategies = require('../src/services/scoringStrategies');
+
+const START_OF_DAY = new Date('2026-01-01T00:00:00Z');
+
+const makeUser = (id, overrides = {}) => ({
+  id,
+  firstName: id,
+  age: 30,
+  gender: 'female',
+  interestedIn: ['male'],
+  city: 'Mumbai',
+  lookingFor: 'dating',
+  matchingAlgorithm: 'similarity',
+  isActive: true,
+  isAnalysisComplete: true,
+  personalityAnalysis: {
+    personalityScore: { openness: 60, conscientiousness: 60, extraversion: 60, agreeableness: 60, neuroticism: 40 }
+  },
+  ...overrides
+});
+
+// Scores straight from user.fixedScores, so a test can set exactly who likes whom
+scoringStrategies.register({
+  id: 'fixed',
+  score: (user, candidate) => user.fixedScores[candidate.id] ?? 0,
+  explain: () => 'Fixed test score'
+});
+
+/**
+ * A user scored by the 'fixed' strategy, with no city or age bonus
+ */
+const makeScoredUser = (id, gender, fixedScores, overrides = {}) => makeUser(id, {
+  gender,
+  interestedIn: [gender === 'female' ? 'male' : 'female'],
+  city: null,
+  age: null,
+  matchingAlgorithm: 'fixed',
+  fixedScores,
+  ...overrides
+});
+
+const pairOf = (match) => [match.user1_id, match.user2_id].sort().join('-');
+
+const pairsOf = (processedMatches) => [...processedMatches.mutual, ...processedMatches.oneWay].map(pairOf);
+
+test('a blocked pair is never matched, whichever side blocked', () => {
+  const engine = new MatchingEngine({ matchThreshold: 0 });
+  const users = [
+    makeUser('anna', { blockedUserIds: ['ben'] }),
+    makeUser('ben', { gender: 'male', interestedIn: ['female'] }),
+    makeUser('cara'),
+    makeUser('dev', { gender: 'male', interestedIn: ['female'], blockedUserIds: ['cara'] })
+  ];
+
+  const { processedMatches } = engine.runInMemory(users, [], START_OF_DAY);
+  const pairs = pairsOf(processedMatches);
+
+  assert.ok(!pairs.includes('anna-ben'));
+  assert.ok(!pairs.includes('cara-dev'));
+  assert.ok(pairs.includes('anna-dev'));
+  assert.ok(pairs.includes('ben-cara'));
+});
+
+test('equivalent gender and lookingFor values share a bucket', () => {
+  const engine = new MatchingEngine();
+
+  assert.equal(
+    engine.getBucketKey(makeUser('anna', { gender: 'Woman', interestedIn: 'Men', lookingFor: 'Relationships' })),
+    engine.getBucketKey(makeUser('bea', { gender: 'female', interestedIn: ['male'], lookingFor: 'dating' }))
+  );
+  assert.notEqual(
+    engine.getBucketKey(makeUser('anna')),
+    engine.getBucketKey(makeUser('cleo', { lookingFor: 'friendship' }))
+  );
+});
+
+test('candidates only come from compatible buckets and never include past matches', () => {
+  const engine = new MatchingEngine();
+  const users = [
+    makeUser('anna'),
+    makeUser('ben', { gender: 'male', interestedIn: ['female'] }),
+    makeUser('carl', { gender: 'male', interestedIn: ['male'] }),
+    makeUser('dan', { gender: 'male', interestedIn: ['female'], lookingFor: 'friendship' }),
+    makeUser('eli', { gender: 'male', interestedIn: ['female'], lookingFor: 'both' }),
+    makeUser('finn', { gender: 'male', interestedIn: ['female'] }),
+    makeUser('gina')
+  ];
+  const candidateIndex = engine.buildCandidateIndex(users);
+
+  const candidates = engine.findCandidates(users[0], candidateIndex, new Set(['finn']));
+
+  assert.deepEqual(candidates.map(user => user.id).sort(), ['ben', 'eli']);
+});
+
+test('the candidate pool takes the same city first, then the closest ages', () => {
+  const engine = new MatchingEngine({ candidatePoolSize: 3 });
+  const users = [
+    makeUser('anna', { age: 30, city: 'Pune' }),
+    makeUser('ben', { gender: 'male', interestedIn: ['female'], age: 45, city: 'Pune' }),
+    makeUser('carl', { gender: 'male', interestedIn: ['female'], age: 31 }),
+    makeUser('dev', { gender: 'male', interestedIn: ['female'], age: 28 }),
+    makeUser('eli', { gender: 'male', interestedIn: ['female'], age: 40 }),
+    makeUser('finn', { gender: 'male', interestedIn: ['female'], age: null })
+  ];
+
+  const candidates = engine.findCandidates(users[0], engine.buildCandidateIndex(users));
+
+  assert.deepEqual(candidates.map(user => user.id), ['ben', 'carl', 'dev']);
+});
+
+test('reciprocal mode pairs users on both sides\' scores where greedy leaves one-way picks', () => {
+  const engine = new MatchingEngine({ dailyMatchLimit: 1, coldStartBoost: 0 });
+  const users = [
+    makeScoredUser('anna', 'female', { carl: 90, dev: 80 }),
+    makeScoredUser('bea', 'female', { carl: 85, dev: 40 }),
+    makeScoredUser('carl', 'male', { anna: 40, bea: 90 }),
+    makeScoredUser('dev', 'male', { anna: 90, bea: 40 })
+  ];
+
+  const greedy = engine.runInMemory(users, [], START_OF_DAY);
+  assert.deepEqual(greedy.processedMatches.mutual.map(pairOf), ['bea-carl']);
+  assert.equal(greedy.processedMatches.oneWay.length, 2);
+
+  const reciprocal = engine.runInMemory(users, [], START_OF_DAY, 'reciprocal');
+  assert.deepEqual(pairsOf(reciprocal.processedMatches).sort(), ['anna-dev', 'bea-carl']);
+  assert.equal(reciprocal.processedMatches.oneWay.length, 0);
+  assert.equal(reciprocal.comparison.reciprocal.usersWithMutual, 4);
+  assert.equal(reciprocal.comparison.greedy.usersWithMutual, 2);
+});
+
+test('reciprocal mode skips pairs one side scores below the threshold and fills spare slots one-way', () => {
+  const engine = new MatchingEngine({ dailyMatchLimit: 2, coldStartBoost: 0, matchThreshold: 50 });
+  const users = [
+    makeScoredUser('anna', 'female', { carl: 90, dev: 70 }),
+    makeScoredUser('carl', 'male', { anna: 20 }),
+    makeScoredUser('dev', 'male', { anna: 60 })
+  ];
+
+  const { processedMatches } = engine.runInMemory(users, [], START_OF_DAY, 'reciprocal');
+
+  assert.deepEqual(processedMatches.mutual.map(pairOf), ['anna-dev']);
+  assert.deepEqual(processedMatches.oneWay.map(match => [match.user1_id, match.user2_id]), [['anna', 'carl']]);
+});
+
+test('no candidate is handed out one-way more than maxDailyExposure times', () => {
+  const engine = new MatchingEngine({ dailyMatchLimit: 1, coldStartBoost: 0, maxDailyExposure: 1 });
+  const users = [
+    makeScoredUser('anna', 'female', { carl: 90, dev: 60 }),
+    makeScoredUser('bea', 'female', { carl: 90, dev: 60 }),
+    makeScoredUser('cara', 'female', { carl: 90, dev: 60 }),
+    makeScoredUser('carl', 'male', {}),
+    makeScoredUser('dev', 'male', {})
+  ];
+
+  const { processedMatches, exposure } = engine.runInMemory(users, [], START_OF_DAY);
+
+  assert.deepEqual(processedMatches.oneWay.map(match => [match.user1_id, match.user2_id]), [['anna', 'carl'], ['bea', 'dev']]);
+  assert.equal(exposure.max, 1);
+  assert.equal(exposure.usersAtCap, 2);
+});
+
+test('the exposure cap never stops a pick that makes the pair mutual', () => {
+  const engine = new MatchingEngine({ dailyMatchLimit: 1, coldStartBoost: 0, maxDailyExposure: 1 });
+  const users = [
+    makeScoredUser('anna', 'female', { carl: 90 }),
+    makeScoredUser('carl', 'male', { bea: 90 }),
+    makeScoredUser('bea', 'female', { carl: 90 })
+  ];
+
+  const { processedMatches } = engine.runInMemory(users, [], START_OF_DAY);
+
+  assert.deepEqual(processedMatches.mutual.map(pairOf), ['bea-carl']);
+  assert.deepEqual(processedMatches.oneWay.map(pairOf), ['anna-carl']);
+});
+
+test('candidates with few matches so far get the cold-start boost', () => {
+  const engine = new MatchingEngine({ dailyMatchLimit: 1, coldStartBoost: 10, coldStartMaxMatches: 3 });
+  const users = [
+    makeScoredUser('anna', 'female', { carl: 70, dev: 65 }),
+    makeScoredUser('carl', 'male', {}),
+    makeScoredUser('dev', 'male', {})
+  ];
+  const pastMatches = ['xena', 'yara', 'zoe'].map(id => ({
+    user1_id: id,
+    user2_id: 'carl',
+    created_at: new Date('2025-12-01T00:00:00Z')
+  }));
+
+  const { processedMatches, exposure } = engine.runInMemory(users, pastMatches, START_OF_DAY);
+
+  assert.deepEqual(processedMatches.oneWay.map(match => [match.user2_id, match.user1_score]), [['dev', 75]]);
+  assert.equal(exposure.coldStartBoostedPicks, 1);
+
+  const unboosted = new MatchingEngine({ dailyMatchLimit: 1, coldStartBoost: 0 }).runInMemory(users, pastMatches, START_OF_DAY);
+  assert.deepEqual(unboosted.processedMatches.oneWay.map(match => match.user2_id), ['carl']);
+});
+
+test('age range and max distance filter candidates from both sides', () => {
+  const engine = new MatchingEngine();
+  const users = [
+    makeUser('anna', { city: 'Mumbai', maxDistanceKm: 200, minAge: 28, maxAge: 35 }),
+    makeUser('ben', { gender: 'male', interestedIn: ['female'], city: 'Pune' }),
+    makeUser('carl', { gender: 'male', interestedIn: ['female'], city: 'Delhi' }),
+    makeUser('dev', { gender: 'male', interestedIn: ['female'], city: 'Pune', age: 40 }),
+    makeUser('eli', { gender: 'male', interestedIn: ['female'], city: 'Bombay', maxAge: 25 })
+  ];
+
+  const candidates = engine.findCandidates(users[0], engine.buildCandidateIndex(users));
+
+  assert.deepEqual(candidates.map(user => user.id), ['ben']);
+});
@@ -0,0 +1,54 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers/app');
+const { userRepo, matchRepo, migrationRepo } = require('../src/repositories');
+const migrationRunner = require('../src/migrations/migrationRunner');
+
+before(async () => {
+  // The runner logs every page
+  mock.method(console, 'log', () => {});
+
+  await createUser('migrate-legacy', { gender: 'Woman', interestedIn: 'both' });
+  await createUser('migrate-current', { gender: 'male', interestedIn: ['female'] });
+  await matchRepo.create('migrate-match', {
+    user1_id: 'migrate-legacy',
+    user2_id: 'migrate-current',
+    user1_action: 'null',
+    user2_action: 'like'
+  });
+});
+
+test('a dry run reports what would change and saves nothing', async () => {
+  const results = await migrationRunner.run({ dryRun: true });
+
+  assert.deepEqual(results.map(result => result.status), ['dry_run', 'dry_run', 'dry_run']);
+  assert.equal(results[0].updated, 1);
+  assert.equal((await userRepo.findById('migrate-legacy')).gender, 'Woman');
+  assert.equal(await migrationRepo.findById('001-gender-model'), null);
+});
+
+test('migrations rewrite old documents once and are skipped afterwards', async () => {
+  const results = await migrationRunner.run();
+
+  assert.deepEqual(results.map(result => [result.id, result.status, result.scanned, result.updated]), [
+    ['001-gender-model', 'completed', 2, 1],
+    ['002-match-actions', 'completed', 1, 1],
+    ['003-user-defaults', 'completed', 2, 2]
+  ]);
+
+  const legacy = await userRepo.findById('migrate-legacy');
+  assert.equal(legacy.gender, 'female');
+  assert.deepEqual(legacy.interestedIn, ['male', 'female', 'non-binary', 'other']);
+  assert.equal(legacy.hasSeenDashboardTour, false);
+
+  const match = await matchRepo.findById('migrate-match');
+  assert.equal(match.user1_action, null);
+  assert.equal(match.user2_action, 'like');
+
+  const record = await migrationRepo.findById('002-match-actions');
+  assert.equal(record.cursor, 'migrate-match');
+  assert.ok(record.finishedAt.toDate() instanceof Date);
+
+  const again = await migrationRunner.run();
+  assert.deepEqual(again.map(result => result.status), ['skipped', 'skipped', 'skipped']);
+});
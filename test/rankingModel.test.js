@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitLogisticRegression, predictProbability, computeAuc } = require('../src/services/rankingModel');
+
+test('computeAuc ranks perfectly separated, reversed and tied scores', () => {
+  assert.equal(computeAuc([0, 0, 1, 1], [0.1, 0.2, 0.8, 0.9]), 1);
+  assert.equal(computeAuc([0, 0, 1, 1], [0.9, 0.8, 0.2, 0.1]), 0);
+  assert.equal(computeAuc([0, 1, 0, 1], [0.5, 0.5, 0.5, 0.5]), 0.5);
+  // One positive ties a negative, the other is above both
+  assert.equal(computeAuc([0, 1, 0, 1], [0.2, 0.5, 0.5, 0.9]), 0.875);
+});
+
+test('computeAuc is null when every label is the same', () => {
+  assert.equal(computeAuc([1, 1], [0.2, 0.8]), null);
+  assert.equal(computeAuc([0, 0], [0.2, 0.8]), null);
+});
+
+test('fitLogisticRegression learns which feature predicts a like and ignores a constant one', () => {
+  // Feature 0 decides the label, feature 1 is noise, feature 2 never changes
+  const examples = [];
+  for (let i = 0; i < 40; i++) {
+    const signal = i % 2 === 0 ? 80 + (i % 7) : 20 + (i % 5);
+    examples.push({ features: [signal, (i * 37) % 11, 5], label: signal > 50 ? 1 : 0 });
+  }
+
+  const model = fitLogisticRegression(examples);
+
+  assert.ok(model.weights[0] > 1);
+  assert.ok(Math.abs(model.weights[1]) < model.weights[0] / 4);
+  assert.equal(model.weights[2], 0);
+  assert.equal(model.featureScales[2], 1);
+
+  assert.ok(predictProbability(model, [85, 3, 5]) > 0.9);
+  assert.ok(predictProbability(model, [22, 3, 5]) < 0.1);
+
+  const scores = examples.map(example => predictProbability(model, example.features));
+  assert.equal(computeAuc(examples.map(example => example.label), scores), 1);
+});
+
+test('fitLogisticRegression needs at least one example', () => {
+  assert.throws(() => fitLogisticRegression([]), /without training examples/);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { llmLimiter, writeLimiter } = require('../src/middleware/rateLimit');
+
+/**
+ * Run a limiter once and report whether the request got through
+ */
+const hit = async (limiter, req) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json() { return this; }
+  };
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+test('the LLM limiter allows a much smaller burst than the write limiter', async () => {
+  const req = { ip: '203.0.113.1', user: { id: 'llm-user' } };
+
+  const llmResults = [];
+  for (let i = 0; i < 6; i++) llmResults.push(await hit(llmLimiter, req));
+  assert.deepEqual(llmResults.map(result => result.passed), [true, true, true, true, true, false]);
+
+  const limited = llmResults[5].res;
+  assert.equal(limited.statusCode, 429);
+  assert.ok(Number(limited.headers['Retry-After']) > 0);
+
+  // The write bucket is separate and still has room
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await hit(writeLimiter, req)).passed, true);
+  }
+});
+
+test('the LLM limiter caps one IP across users', async () => {
+  const results = [];
+  for (let i = 0; i < 11; i++) {
+    results.push(await hit(llmLimiter, { ip: '203.0.113.2', user: { id: `user-${i}` } }));
+  }
+  assert.equal(results.filter(result => result.passed).length, 10);
+});
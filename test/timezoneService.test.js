@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const timezoneService = require('../src/services/timezoneService');
+
+const startOfDay = (iso, timezone) => timezoneService.getStartOfLocalDay(new Date(iso), timezone).toISOString();
+
+test('the local day starts at local midnight on ordinary days', () => {
+  assert.equal(startOfDay('2026-10-18T20:00:00Z', 'Asia/Kolkata'), '2026-10-18T18:30:00.000Z');
+  assert.equal(startOfDay('2026-07-01T12:00:00Z', 'Europe/London'), '2026-06-30T23:00:00.000Z');
+});
+
+test('on a spring-forward day the local day starts at the offset in force at midnight', () => {
+  // London moves from GMT to BST at 01:00 UTC
+  assert.equal(startOfDay('2026-03-29T12:00:00Z', 'Europe/London'), '2026-03-29T00:00:00.000Z');
+  assert.equal(startOfDay('2026-03-29T00:30:00Z', 'Europe/London'), '2026-03-29T00:00:00.000Z');
+  // New York moves from EST to EDT at 02:00 local
+  assert.equal(startOfDay('2026-03-08T15:00:00Z', 'America/New_York'), '2026-03-08T05:00:00.000Z');
+});
+
+test('on a fall-back day the local day starts at the summer offset', () => {
+  assert.equal(startOfDay('2026-10-25T12:00:00Z', 'Europe/London'), '2026-10-24T23:00:00.000Z');
+  assert.equal(startOfDay('2026-11-01T15:00:00Z', 'America/New_York'), '2026-11-01T04:00:00.000Z');
+});
+
+test('when the clocks skip midnight the day starts at the first local time that exists', () => {
+  // Santiago jumps from 00:00 to 01:00 local
+  assert.equal(startOfDay('2026-09-06T12:00:00Z', 'America/Santiago'), '2026-09-06T04:00:00.000Z');
+});
+
+test('window keys and local windows follow the user\'s own date and hour', () => {
+  const now = new Date('2026-10-18T11:00:00Z');
+
+  assert.equal(timezoneService.getWindowKey(now, 'Pacific/Kiritimati'), '2026-10-19_Pacific-Kiritimati');
+  assert.equal(timezoneService.getWindowKey(now, 'Pacific/Pago_Pago'), '2026-10-18_Pacific-Pago_Pago');
+  assert.equal(timezoneService.isWithinLocalWindow(now, 'Asia/Kolkata', 6, 6), false);
+  assert.equal(timezoneService.isWithinLocalWindow(now, 'Europe/London', 7, 6), true);
+});
+
+test('unknown timezones fall back to the default', () => {
+  assert.equal(timezoneService.isValidTimezone('Mars/Olympus_Mons'), false);
+  assert.equal(timezoneService.getUserTimezone({ timezone: 'Mars/Olympus_Mons' }), timezoneService.defaultTimezone);
+  assert.equal(timezoneService.getUserTimezone({ timezone: 'Europe/London' }), 'Europe/London');
+});